@@ -31,9 +31,9 @@ export default [
     },
   },
 
-  // ── Options page (browser DOM) ─────────────────────────────────────────────
+  // ── Options page / popup (browser DOM) ─────────────────────────────────────
   {
-    files: ['src/options/**/*.js'],
+    files: ['src/options/**/*.js', 'src/popup/**/*.js'],
     languageOptions: {
       globals: globals.browser,
     },
@@ -0,0 +1,169 @@
+import { CLOSED_JOURNAL_MAX_ENTRIES, ERROR_CODES, TIME_MODE } from '../shared/constants.js';
+import { createLogger } from '../shared/logger.js';
+import { computeStage, resolveEffectiveLifecycle } from './status-evaluator.js';
+import { createTabEntry } from './tab-tracker.js';
+import { parseGroupTitle, composeGroupTitle } from './group-manager.js';
+
+const logger = createLogger('background');
+
+/**
+ * Undo journal: tabs and groups TabCycle closed on its own (gone, tab budget)
+ * are kept in `STORAGE_KEYS.CLOSED_JOURNAL`, newest first, at most
+ * CLOSED_JOURNAL_MAX_ENTRIES entries:
+ *
+ *   {
+ *     id, closedAt, reason: CLOSE_REASON.*, windowId,
+ *     group: { title, color } | null,
+ *     tabs: [{ url, title, index, ageMs }],
+ *   }
+ *
+ * A closed group is one entry. Restoring reopens the tabs at their old
+ * positions, in a group with the old title and color, and tracks them with
+ * their age at close — held at the start of the last stage, so they do not
+ * close again right away. The age is the time since the last refresh, not
+ * scaled by frecency: the reopened tab starts without its activation history.
+ */
+
+/**
+ * Group title without its age suffix; directives such as "!slow" stay.
+ */
+function journalGroupTitle(title) {
+  const { baseName, directives } = parseGroupTitle(title || '');
+  return composeGroupTitle(baseName, '', directives);
+}
+
+/**
+ * Time since the tab's last refresh on the clock of the time mode.
+ */
+function timeSinceRefresh(meta, activeTimeMs, settings, now) {
+  const age = settings.timeMode === TIME_MODE.WALL_CLOCK
+    ? now - meta.refreshWallTime
+    : activeTimeMs - meta.refreshActiveTime;
+  return Math.max(0, age);
+}
+
+/**
+ * Build a journal entry for tabs closed together.
+ *
+ * @param {string} reason - CLOSE_REASON.*
+ * @param {Array<{tab: object, meta: object}>} tabs - Live tab and tabMeta entry of each closed tab
+ * @param {object|null} group - Live chrome.tabGroups.TabGroup they were closed with, if any
+ * @param {number} activeTimeMs
+ * @param {object} settings
+ * @param {number} [now]
+ * @returns {object}
+ */
+export function createClosedEntry(reason, tabs, group, activeTimeMs, settings, now = Date.now()) {
+  return {
+    id: `${now}-${tabs[0].tab.id}`,
+    closedAt: now,
+    reason,
+    windowId: tabs[0].meta.windowId,
+    group: group ? { title: journalGroupTitle(group.title), color: group.color } : null,
+    tabs: tabs.map(({ tab, meta }) => ({
+      url: tab.url || meta.url || '',
+      title: tab.title || '',
+      index: tab.index ?? 0,
+      ageMs: timeSinceRefresh(meta, activeTimeMs, settings, now),
+    })),
+  };
+}
+
+/**
+ * Add entries to the journal, dropping the oldest beyond the bound.
+ *
+ * @param {object[]} journal - Stored journal, newest first
+ * @param {object[]} entries - New entries, oldest first
+ * @returns {object[]}
+ */
+export function appendClosedEntries(journal, entries) {
+  return [...entries].reverse().concat(journal || []).slice(0, CLOSED_JOURNAL_MAX_ENTRIES);
+}
+
+/**
+ * Age a restored tab resumes with: its age at close, but no further than the
+ * start of the last stage of its lifecycle.
+ */
+export function restoredAge(ageMs, lifecycle) {
+  const lastStage = lifecycle.stages[lifecycle.stages.length - 1];
+  return Math.max(0, Math.min(ageMs, lastStage.after));
+}
+
+async function resolveWindowId(windowId) {
+  try {
+    return (await chrome.windows.get(windowId)).id;
+  } catch {
+    return undefined; // window closed since — reopen in the current one
+  }
+}
+
+async function regroup(tabIds, windowId, group) {
+  // A tab closed on its own rejoins its group if that is still open
+  const groups = await chrome.tabGroups.query({ windowId });
+  const existing = groups.find((g) => journalGroupTitle(g.title) === group.title);
+  if (existing) {
+    await chrome.tabs.group({ tabIds, groupId: existing.id });
+    return existing.id;
+  }
+  const groupId = await chrome.tabs.group({ tabIds, createProperties: { windowId } });
+  await chrome.tabGroups.update(groupId, { title: group.title, color: group.color });
+  return groupId;
+}
+
+/**
+ * Reopen the tabs of a journal entry and create their tabMeta entries.
+ * The caller removes the entry from the journal and persists tabMeta.
+ *
+ * @param {object} entry
+ * @param {object} tabMeta
+ * @param {object} windowState
+ * @param {number} activeTimeMs
+ * @param {object} settings
+ * @param {number} [now]
+ * @returns {Promise<number[]>} IDs of the reopened tabs
+ */
+export async function restoreClosedEntry(entry, tabMeta, windowState, activeTimeMs, settings, now = Date.now()) {
+  const windowId = await resolveWindowId(entry.windowId);
+  const reopened = [];
+  for (const saved of [...entry.tabs].sort((a, b) => a.index - b.index)) {
+    try {
+      const tab = await chrome.tabs.create({
+        windowId, url: saved.url, active: false, ...(windowId !== undefined && { index: saved.index }),
+      });
+      reopened.push({ tab, saved });
+    } catch (err) {
+      logger.warn('Failed to reopen closed tab', {
+        url: saved.url,
+        error: err.message,
+        errorCode: ERROR_CODES.ERR_TAB_CREATE,
+      });
+    }
+  }
+  if (reopened.length === 0) return [];
+
+  let groupId = null;
+  if (entry.group) {
+    try {
+      groupId = await regroup(reopened.map(({ tab }) => tab.id), reopened[0].tab.windowId, entry.group);
+    } catch (err) {
+      logger.warn('Failed to regroup reopened tabs', {
+        title: entry.group.title,
+        error: err.message,
+        errorCode: ERROR_CODES.ERR_TAB_GROUP,
+      });
+    }
+  }
+
+  for (const { tab, saved } of reopened) {
+    const meta = createTabEntry(tab, activeTimeMs);
+    meta.url = saved.url;
+    meta.groupId = groupId;
+    const lifecycle = resolveEffectiveLifecycle(meta, settings, windowState);
+    const age = restoredAge(saved.ageMs, lifecycle);
+    meta.refreshActiveTime = activeTimeMs - age;
+    meta.refreshWallTime = now - age;
+    meta.status = computeStage(age, lifecycle);
+    tabMeta[tab.id] = meta;
+  }
+  return reopened.map(({ tab }) => tab.id);
+}
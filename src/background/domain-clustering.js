@@ -0,0 +1,149 @@
+import {
+  DEFAULT_DOMAIN_CLUSTERING, DOMAIN_CLUSTER_SCOPE, GROUPING_RULE_ACTION, STATUS, ERROR_CODES, DRY_RUN_ACTION,
+} from '../shared/constants.js';
+import { createLogger } from '../shared/logger.js';
+import { resolveLifecycle } from '../shared/lifecycle.js';
+import { trackExtensionGroup, markExtensionTitleUpdate, markExtensionColorUpdate } from './group-manager.js';
+import { recordDryRunAction } from './dry-run.js';
+import { generateGroupNameFromTabs } from './group-name-generator.js';
+import { findGroupingRule } from './grouping-rules.js';
+
+const logger = createLogger('background');
+
+/**
+ * Domain clustering: each evaluation cycle, ungrouped green tabs of a window
+ * that share a site are put in a group of their own once there are at least
+ * `settings.domainClusteringMinTabs` of them. The site is the hostname, or
+ * the registrable domain with `domainClusteringScope: 'domain'`. The group
+ * is named by generateGroupNameFromTabs, gets the first stage's color and is
+ * tracked as extension-created. In a dry run the groups are only recorded.
+ *
+ * Tabs already in a group — the user's or a special one — are never touched,
+ * nor are pinned tabs or tabs a grouping rule keeps out of auto-grouping.
+ */
+
+export function isDomainClusteringEnabled(settings) {
+  return settings?.autoGroupEnabled !== false
+    && (settings?.domainClusteringEnabled ?? DEFAULT_DOMAIN_CLUSTERING.ENABLED);
+}
+
+export function resolveClusterMinTabs(settings) {
+  const min = settings?.domainClusteringMinTabs;
+  return Number.isInteger(min) && min >= 2 ? min : DEFAULT_DOMAIN_CLUSTERING.MIN_TABS;
+}
+
+export function resolveClusterScope(settings) {
+  const scope = settings?.domainClusteringScope;
+  return Object.values(DOMAIN_CLUSTER_SCOPE).includes(scope) ? scope : DEFAULT_DOMAIN_CLUSTERING.SCOPE;
+}
+
+// Second-level labels under which country-code domains are registered (example.co.uk)
+const SECOND_LEVEL_LABELS = new Set(['ac', 'co', 'com', 'edu', 'gov', 'net', 'org']);
+
+/**
+ * The domain a hostname is registered under: its last two labels, or three
+ * under a country code's second level (example.co.uk). A heuristic stand-in
+ * for the public suffix list; IP addresses are returned as they are.
+ *
+ * @param {string} hostname
+ * @returns {string}
+ */
+export function registrableDomain(hostname) {
+  if (!hostname.includes('.') || hostname.includes(':') || /^[\d.]+$/.test(hostname)) return hostname;
+  const labels = hostname.split('.');
+  const countryLevel = labels.length > 2 && labels.at(-1).length === 2 && SECOND_LEVEL_LABELS.has(labels.at(-2));
+  return labels.slice(countryLevel ? -3 : -2).join('.');
+}
+
+function siteKey(url, scope) {
+  let hostname;
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+    hostname = parsed.hostname.replace(/^www\./, '');
+  } catch {
+    return null;
+  }
+  return scope === DOMAIN_CLUSTER_SCOPE.DOMAIN ? registrableDomain(hostname) : hostname;
+}
+
+/**
+ * Find the sets of ungrouped green tabs to cluster.
+ *
+ * @param {object} tabMeta
+ * @param {object[]} liveTabs - Result of chrome.tabs.query({})
+ * @param {object} settings
+ * @returns {{ windowId: number, site: string, tabs: object[] }[]} Live tabs
+ *   of each cluster, in tab strip order
+ */
+export function findDomainClusters(tabMeta, liveTabs, settings) {
+  const scope = resolveClusterScope(settings);
+  const minTabs = resolveClusterMinTabs(settings);
+
+  const clusters = new Map(); // `${windowId} ${site}` → cluster
+  for (const tab of liveTabs) {
+    if (tab.pinned || tab.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE) continue;
+    const meta = tabMeta[tab.id] || tabMeta[String(tab.id)];
+    if (!meta || meta.status !== STATUS.GREEN) continue;
+    const url = tab.url || tab.pendingUrl || meta.url;
+    const site = siteKey(url, scope);
+    if (!site) continue;
+    if (findGroupingRule(settings?.groupingRules, url)?.action === GROUPING_RULE_ACTION.EXCLUDE) continue;
+
+    const key = `${tab.windowId} ${site}`;
+    if (!clusters.has(key)) clusters.set(key, { windowId: tab.windowId, site, tabs: [] });
+    clusters.get(key).tabs.push(tab);
+  }
+
+  return [...clusters.values()]
+    .filter((cluster) => cluster.tabs.length >= minTabs)
+    .map((cluster) => ({ ...cluster, tabs: cluster.tabs.sort((a, b) => a.index - b.index) }));
+}
+
+/**
+ * Put each cluster in a new named group.
+ *
+ * @param {object[]} clusters - From findDomainClusters
+ * @param {object} tabMeta - Entries of grouped tabs are updated in place
+ * @param {object} settings
+ * @param {object|null} [dryRunReport] - When set, each group is recorded
+ *   there instead of created
+ * @returns {Promise<number[]>} IDs of the groups created
+ */
+export async function clusterTabs(clusters, tabMeta, settings, dryRunReport = null) {
+  const { color } = resolveLifecycle(settings).stages[0];
+  const created = [];
+  for (const { windowId, site, tabs } of clusters) {
+    const tabIds = tabs.map((tab) => tab.id);
+    const { name } = generateGroupNameFromTabs(tabs);
+    if (recordDryRunAction(dryRunReport, {
+      type: DRY_RUN_ACTION.CREATE_GROUP, windowId, site, title: name, tabIds,
+    })) {
+      continue;
+    }
+    try {
+      const groupId = await chrome.tabs.group({ tabIds, createProperties: { windowId } });
+      trackExtensionGroup(groupId);
+      markExtensionTitleUpdate(groupId, name);
+      markExtensionColorUpdate(groupId, color);
+      await chrome.tabGroups.update(groupId, { title: name, color });
+      for (const tabId of tabIds) {
+        const meta = tabMeta[tabId] || tabMeta[String(tabId)];
+        if (!meta) continue;
+        meta.groupId = groupId;
+        meta.isSpecialGroup = false;
+      }
+      created.push(groupId);
+      logger.debug('Clustered ungrouped tabs of a site', { windowId, site, groupId, name, tabIds });
+    } catch (err) {
+      logger.warn('Failed to cluster ungrouped tabs', {
+        windowId,
+        site,
+        tabIds,
+        error: err.message,
+        errorCode: ERROR_CODES.ERR_TAB_GROUP,
+      });
+    }
+  }
+  return created;
+}
@@ -0,0 +1,83 @@
+import { DEFAULT_DRY_RUN } from '../shared/constants.js';
+
+/**
+ * Dry-run mode (`settings.dryRunEnabled`): the evaluation cycle computes and
+ * persists statuses as usual, but every action it would take on tabs and
+ * groups — closing, moving to special groups, ungrouping, reordering,
+ * recoloring, discarding, clustering into new groups — is recorded in a
+ * report instead of performed. The report of the latest cycle is stored
+ * under STORAGE_KEYS.DRY_RUN_REPORT:
+ *
+ *   {
+ *     createdAt,
+ *     transitions: [{ tabId, windowId, url, title, from, to }],
+ *     actions: [{ type: DRY_RUN_ACTION.*, windowId, ... }],
+ *   }
+ *
+ * Group housekeeping (dissolving unnamed single-tab groups, naming, age
+ * suffixes) is unaffected; placement of new tabs is not part of the cycle and
+ * keeps acting.
+ * Duplicate tabs do not hand their refresh time on to the copy that stays,
+ * so a dry run leaves tab ages as they are.
+ */
+
+export function isDryRunEnabled(settings) {
+  return settings?.dryRunEnabled ?? DEFAULT_DRY_RUN;
+}
+
+export function createDryRunReport(now = Date.now()) {
+  return { createdAt: now, transitions: [], actions: [] };
+}
+
+/**
+ * Record an action when a dry run is in progress.
+ *
+ * @param {object|null} report - null outside dry runs
+ * @param {object} action - { type: DRY_RUN_ACTION.*, ...details }
+ * @returns {boolean} Whether the action was recorded and must not be performed
+ */
+export function recordDryRunAction(report, action) {
+  if (!report) return false;
+  report.actions.push(action);
+  return true;
+}
+
+/**
+ * Record the same action for each of the given live tabs.
+ *
+ * @param {object} report
+ * @param {object[]} tabs - Live chrome.tabs.Tab objects
+ * @param {object} action - { type: DRY_RUN_ACTION.*, ...details }
+ * @returns {number[]} IDs of the tabs
+ */
+export function recordDryRunTabActions(report, tabs, action) {
+  for (const tab of tabs) {
+    recordDryRunAction(report, {
+      ...action, tabId: tab.id, windowId: tab.windowId, url: tab.url || '', title: tab.title || '',
+    });
+  }
+  return tabs.map((tab) => tab.id);
+}
+
+/**
+ * Record the status transitions of the cycle.
+ *
+ * @param {object} report
+ * @param {object} transitions - tabId → { oldStatus, newStatus } (evaluateAllTabs)
+ * @param {object} tabMeta
+ * @param {object[]} [liveTabs] - For tab titles
+ */
+export function recordDryRunTransitions(report, transitions, tabMeta, liveTabs = []) {
+  const titles = new Map(liveTabs.map((tab) => [tab.id, tab.title || '']));
+  for (const [tabId, t] of Object.entries(transitions)) {
+    const meta = tabMeta[tabId];
+    report.transitions.push({
+      tabId: Number(tabId),
+      windowId: meta?.windowId ?? null,
+      url: meta?.url || '',
+      title: titles.get(Number(tabId)) || '',
+      from: t.oldStatus,
+      to: t.newStatus,
+    });
+  }
+}
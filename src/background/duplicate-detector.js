@@ -0,0 +1,165 @@
+import { DEFAULT_DUPLICATES, DUPLICATE_ACTION, TRACKING_PARAMS, ERROR_CODES, CLOSE_REASON } from '../shared/constants.js';
+import { createLogger } from '../shared/logger.js';
+import { isWithinQuietHours } from '../shared/quiet-hours.js';
+import { canCloseEarly } from './protection.js';
+
+const logger = createLogger('background');
+
+/**
+ * Duplicate consolidation: tabs open on the same normalized URL (optionally
+ * ignoring the hash and tracking parameters) are reduced to one copy each
+ * evaluation cycle. The copy the user is looking at survives, else the most
+ * recently opened one; the survivor takes over the freshest refresh time of
+ * the set. Older copies are fast-tracked to gone — or, with
+ * `settings.duplicateAction: 'close'`, closed right away.
+ *
+ * Copies the extension may not close (active, pinned, playing media, never
+ * close, snoozed, frozen) are left alone but can still be the survivor.
+ */
+
+export function isDuplicateDetectionEnabled(settings) {
+  return settings?.duplicateDetectionEnabled ?? DEFAULT_DUPLICATES.ENABLED;
+}
+
+/**
+ * The configured action. Closing is postponed to gone handling during quiet
+ * hours, which then holds the copies until they end.
+ */
+export function resolveDuplicateAction(settings) {
+  const action = settings?.duplicateAction === DUPLICATE_ACTION.CLOSE
+    ? DUPLICATE_ACTION.CLOSE
+    : DUPLICATE_ACTION.GONE;
+  if (action === DUPLICATE_ACTION.CLOSE && isWithinQuietHours(settings?.quietHours)) {
+    return DUPLICATE_ACTION.GONE;
+  }
+  return action;
+}
+
+function isTrackingParam(name) {
+  const key = name.toLowerCase();
+  return TRACKING_PARAMS.some((param) => (param.endsWith('*')
+    ? key.startsWith(param.slice(0, -1))
+    : key === param));
+}
+
+/**
+ * Comparison key for a URL, or null for URLs that are never duplicates
+ * (non-http(s) pages such as chrome://newtab).
+ *
+ * @param {string} url
+ * @param {object} [settings]
+ * @returns {string|null}
+ */
+export function normalizeUrl(url, settings) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+
+  if (settings?.duplicateStripHash ?? DEFAULT_DUPLICATES.STRIP_HASH) {
+    parsed.hash = '';
+  }
+  if (settings?.duplicateStripTrackingParams ?? DEFAULT_DUPLICATES.STRIP_TRACKING_PARAMS) {
+    for (const name of [...parsed.searchParams.keys()]) {
+      if (isTrackingParam(name)) parsed.searchParams.delete(name);
+    }
+  }
+  return parsed.href;
+}
+
+/**
+ * Find sets of tabs open on the same normalized URL.
+ *
+ * @param {object} tabMeta
+ * @param {object[]} liveTabs - Result of chrome.tabs.query({})
+ * @param {object} settings
+ * @param {object} [windowState]
+ * @param {Set<number>} [protectedGroupIds] - Groups with a "never close" title
+ * @param {number} [now]
+ * @returns {Array<{url: string, survivorId: number, duplicateIds: number[]}>}
+ *   Only sets with at least one copy to consolidate
+ */
+export function findDuplicates(tabMeta, liveTabs, settings, windowState, protectedGroupIds = new Set(), now = Date.now()) {
+  const byUrl = new Map(); // normalized URL → live tabs
+  for (const tab of liveTabs) {
+    const meta = tabMeta[tab.id] || tabMeta[String(tab.id)];
+    if (!meta) continue;
+    const key = normalizeUrl(tab.url || meta.url, settings);
+    if (!key) continue;
+    if (!byUrl.has(key)) byUrl.set(key, []);
+    byUrl.get(key).push(tab);
+  }
+
+  const sets = [];
+  for (const [url, tabs] of byUrl) {
+    if (tabs.length < 2) continue;
+    // Tab IDs grow with every tab opened, so the highest ID is the newest copy
+    const survivor = tabs.find((t) => t.active)
+      || tabs.reduce((newest, t) => (t.id > newest.id ? t : newest));
+    const duplicateIds = tabs
+      .filter((t) => t !== survivor)
+      .filter((t) => canCloseEarly(t, tabMeta[t.id] || tabMeta[String(t.id)], settings, windowState, protectedGroupIds, now))
+      .map((t) => t.id)
+      .sort((a, b) => a - b);
+    if (duplicateIds.length > 0) sets.push({ url, survivorId: survivor.id, duplicateIds });
+  }
+  return sets;
+}
+
+/**
+ * Give the survivor the freshest refresh time of its set.
+ *
+ * @returns {boolean} Whether the survivor got fresher
+ */
+export function transferFreshestRefresh(set, tabMeta) {
+  const survivor = tabMeta[set.survivorId] || tabMeta[String(set.survivorId)];
+  if (!survivor) return false;
+  let refreshed = false;
+  for (const tabId of set.duplicateIds) {
+    const meta = tabMeta[tabId] || tabMeta[String(tabId)];
+    if (!meta) continue;
+    if (meta.refreshActiveTime > survivor.refreshActiveTime) {
+      survivor.refreshActiveTime = meta.refreshActiveTime;
+      refreshed = true;
+    }
+    if (meta.refreshWallTime > survivor.refreshWallTime) {
+      survivor.refreshWallTime = meta.refreshWallTime;
+      refreshed = true;
+    }
+  }
+  return refreshed;
+}
+
+/**
+ * Close duplicate copies and drop their tabMeta entries. They are not
+ * bookmarked: the survivor still has the URL open. Each closure is passed to
+ * recordClosed for the undo journal.
+ *
+ * @param {object[]} tabs - Live tabs of the copies to close
+ * @param {object} tabMeta
+ * @param {function} [recordClosed] - See goneConfig.recordClosed
+ * @returns {Promise<number[]>} IDs of the closed tabs
+ */
+export async function closeDuplicates(tabs, tabMeta, recordClosed) {
+  const closed = [];
+  for (const tab of tabs) {
+    try {
+      await chrome.tabs.remove(tab.id);
+      const meta = tabMeta[tab.id] || tabMeta[String(tab.id)];
+      if (meta) recordClosed?.(CLOSE_REASON.DUPLICATE, [{ tab, meta }], null);
+      delete tabMeta[tab.id];
+      delete tabMeta[String(tab.id)];
+      closed.push(tab.id);
+    } catch (err) {
+      logger.warn('Failed to close duplicate tab', {
+        tabId: tab.id,
+        error: err.message,
+        errorCode: ERROR_CODES.ERR_TAB_REMOVE,
+      });
+    }
+  }
+  return closed;
+}
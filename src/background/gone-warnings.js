@@ -0,0 +1,235 @@
+import { DEFAULT_GONE_WARNING, ERROR_CODES } from '../shared/constants.js';
+import { createLogger } from '../shared/logger.js';
+import { resolveLifecycle } from '../shared/lifecycle.js';
+import { isWithinQuietHours } from '../shared/quiet-hours.js';
+import { computeTimeUntilGone, computeGroupTimeUntilGone } from './status-evaluator.js';
+import { isDryRunEnabled } from './dry-run.js';
+import { parseGroupTitle } from './group-manager.js';
+
+const logger = createLogger('background');
+
+/**
+ * Gone warnings: a chrome.notifications notification shortly before an
+ * ungrouped tab (or a tab in a special group) or a whole user group turns
+ * gone, `settings.goneWarningMinutes` ahead. Its buttons keep the tab or group
+ * (a refresh) or snooze it for a day; clicking the notification closes it
+ * right away. The service worker handles the clicks.
+ *
+ * Each tab or group is warned once: warned tabs carry `goneWarned` in tabMeta,
+ * warned groups are listed in `windowState[wid].goneWarnedGroups`. The flag is
+ * dropped and the notification cleared once the target is refreshed, snoozed
+ * or otherwise no longer due, so it can be warned again later.
+ */
+
+const NOTIFICATION_PREFIX = 'gone-warning';
+
+export function isGoneWarningEnabled(settings) {
+  return settings?.goneWarningEnabled ?? DEFAULT_GONE_WARNING.ENABLED;
+}
+
+export function resolveGoneWarningMs(settings) {
+  const minutes = settings?.goneWarningMinutes;
+  return (Number.isInteger(minutes) && minutes > 0 ? minutes : DEFAULT_GONE_WARNING.MINUTES) * 60_000;
+}
+
+export function tabWarningId(tabId) {
+  return `${NOTIFICATION_PREFIX}:tab:${tabId}`;
+}
+
+export function groupWarningId(windowId, groupId) {
+  return `${NOTIFICATION_PREFIX}:group:${windowId}:${groupId}`;
+}
+
+/**
+ * @param {string} notificationId
+ * @returns {{tabId: number}|{windowId: number, groupId: number}|null} null for other notifications
+ */
+export function parseWarningId(notificationId) {
+  const [prefix, kind, ...ids] = String(notificationId).split(':');
+  if (prefix !== NOTIFICATION_PREFIX) return null;
+  const numbers = ids.map(Number);
+  if (numbers.length === 0 || !numbers.every(Number.isInteger)) return null;
+  if (kind === 'tab' && numbers.length === 1) return { tabId: numbers[0] };
+  if (kind === 'group' && numbers.length === 2) return { windowId: numbers[0], groupId: numbers[1] };
+  return null;
+}
+
+function getWarnedGroups(windowId, windowState) {
+  const ws = windowState?.[windowId] || windowState?.[String(windowId)];
+  return Array.isArray(ws?.goneWarnedGroups) ? ws.goneWarnedGroups : [];
+}
+
+function setWarnedGroups(windowId, windowState, groupIds) {
+  const ws = windowState?.[windowId] || windowState?.[String(windowId)];
+  if (!ws) return;
+  if (groupIds.length > 0) ws.goneWarnedGroups = groupIds;
+  else delete ws.goneWarnedGroups;
+}
+
+/**
+ * Decide which tabs and groups to warn now, flagging them as warned, and drop
+ * the flags of targets no longer due (refreshed, snoozed, closed, warnings
+ * turned off, quiet hours — when nothing closes — or dry run).
+ *
+ * @param {object} tabMeta
+ * @param {object} windowState
+ * @param {number} activeTimeMs
+ * @param {object} settings
+ * @param {Set<number>} [protectedGroupIds] - Groups with a "never close" title
+ * @returns {{tabs: Array<{tabId, windowId, remainingMs}>, groups: Array<{windowId, groupId, remainingMs}>}}
+ */
+export function planGoneWarnings(tabMeta, windowState, activeTimeMs, settings, protectedGroupIds = new Set()) {
+  const enabled = isGoneWarningEnabled(settings) && !isDryRunEnabled(settings)
+    && !isWithinQuietHours(settings?.quietHours);
+  const warningMs = resolveGoneWarningMs(settings);
+  const lifecycle = resolveLifecycle(settings);
+  const isDue = (remaining) => enabled && remaining !== null && remaining > 0 && remaining <= warningMs;
+  const plan = { tabs: [], groups: [] };
+
+  // Tabs in a user group close with their group and are warned through it
+  const userGroups = new Map(); // groupId → windowId
+  for (const meta of Object.values(tabMeta)) {
+    if (meta.groupId !== null && !meta.isSpecialGroup) {
+      if (!meta.pinned) userGroups.set(meta.groupId, meta.windowId);
+      delete meta.goneWarned;
+      continue;
+    }
+    const remaining = computeTimeUntilGone(meta, activeTimeMs, settings, windowState, lifecycle);
+    if (!isDue(remaining)) {
+      delete meta.goneWarned;
+    } else if (!meta.goneWarned) {
+      meta.goneWarned = true;
+      plan.tabs.push({ tabId: meta.tabId, windowId: meta.windowId, remainingMs: remaining });
+    }
+  }
+
+  const groupDue = new Map();
+  for (const [groupId, windowId] of userGroups) {
+    if (protectedGroupIds.has(groupId)) continue;
+    const remaining = computeGroupTimeUntilGone(groupId, tabMeta, activeTimeMs, settings, windowState, lifecycle);
+    if (isDue(remaining)) groupDue.set(groupId, { windowId, remaining });
+  }
+  for (const wid of Object.keys(windowState)) {
+    const windowId = Number(wid);
+    const warned = getWarnedGroups(windowId, windowState);
+    const kept = warned.filter((groupId) => groupDue.get(groupId)?.windowId === windowId);
+    for (const [groupId, due] of groupDue) {
+      if (due.windowId !== windowId || warned.includes(groupId)) continue;
+      kept.push(groupId);
+      plan.groups.push({ windowId, groupId, remainingMs: due.remaining });
+    }
+    setWarnedGroups(windowId, windowState, kept);
+  }
+  return plan;
+}
+
+/**
+ * Drop the warnings a refresh of this tab makes moot: the tab's own, and its
+ * group's, since a group is as fresh as its freshest member.
+ *
+ * @param {object} meta - The refreshed tabMeta entry
+ * @param {object} windowState
+ * @returns {string[]} Notification IDs to clear
+ */
+export function withdrawGoneWarnings(meta, windowState) {
+  const ids = [];
+  if (meta.goneWarned) {
+    delete meta.goneWarned;
+    ids.push(tabWarningId(meta.tabId));
+  }
+  const warned = getWarnedGroups(meta.windowId, windowState);
+  if (meta.groupId !== null && warned.includes(meta.groupId)) {
+    setWarnedGroups(meta.windowId, windowState, warned.filter((groupId) => groupId !== meta.groupId));
+    ids.push(groupWarningId(meta.windowId, meta.groupId));
+  }
+  return ids;
+}
+
+function describeRemaining(remainingMs) {
+  const minutes = Math.max(1, Math.ceil(remainingMs / 60_000));
+  return minutes === 1 ? 'about a minute' : `about ${minutes} minutes`;
+}
+
+async function notify(notificationId, title, message) {
+  try {
+    await chrome.notifications.create(notificationId, {
+      type: 'basic',
+      iconUrl: chrome.runtime.getURL('images/logo_symbol_128.png'),
+      title,
+      message,
+      contextMessage: 'Click to close it now',
+      buttons: [{ title: 'Keep' }, { title: 'Snooze 1 day' }],
+      priority: 1,
+    });
+  } catch (err) {
+    logger.warn('Failed to show gone warning', {
+      notificationId,
+      error: err.message,
+      errorCode: ERROR_CODES.ERR_NOTIFICATION,
+    });
+  }
+}
+
+/**
+ * Show the notifications of a plan from planGoneWarnings.
+ *
+ * @param {object} plan
+ * @param {object[]} liveTabs - For tab titles
+ * @param {object[]} liveGroups - For group titles
+ */
+export async function showGoneWarnings(plan, liveTabs = [], liveGroups = []) {
+  for (const { tabId, remainingMs } of plan.tabs) {
+    const tab = liveTabs.find((t) => t.id === tabId);
+    const name = tab?.title || tab?.url ? `"${tab.title || tab.url}"` : 'A tab';
+    await notify(tabWarningId(tabId), 'Tab closing soon', `${name} will close in ${describeRemaining(remainingMs)}.`);
+  }
+  for (const { windowId, groupId, remainingMs } of plan.groups) {
+    const { baseName } = parseGroupTitle(liveGroups.find((g) => g.id === groupId)?.title || '');
+    const count = liveTabs.filter((t) => t.groupId === groupId).length;
+    const name = baseName ? `"${baseName}"` : 'An unnamed group';
+    const tabs = count === 1 ? ' (1 tab)' : count > 1 ? ` (${count} tabs)` : '';
+    await notify(
+      groupWarningId(windowId, groupId),
+      'Tab group closing soon',
+      `${name}${tabs} will close in ${describeRemaining(remainingMs)}.`,
+    );
+  }
+}
+
+export async function clearGoneWarnings(notificationIds) {
+  for (const notificationId of notificationIds) {
+    try {
+      await chrome.notifications.clear(notificationId);
+    } catch (err) {
+      logger.debug('Failed to clear gone warning', { notificationId, error: err.message });
+    }
+  }
+}
+
+/**
+ * Clear the gone warnings still on screen whose tab or group is no longer
+ * flagged as warned (refreshed, snoozed, closed).
+ *
+ * @param {object} tabMeta
+ * @param {object} windowState
+ * @returns {Promise<string[]>} IDs of the cleared notifications
+ */
+export async function clearStaleGoneWarnings(tabMeta, windowState) {
+  let shown;
+  try {
+    shown = Object.keys(await chrome.notifications.getAll());
+  } catch (err) {
+    logger.debug('Failed to list notifications', { error: err.message });
+    return [];
+  }
+  const stale = shown.filter((notificationId) => {
+    const target = parseWarningId(notificationId);
+    if (!target) return false;
+    if ('tabId' in target) {
+      return !(tabMeta[target.tabId] || tabMeta[String(target.tabId)])?.goneWarned;
+    }
+    return !getWarnedGroups(target.windowId, windowState).includes(target.groupId);
+  });
+  await clearGoneWarnings(stale);
+  return stale;
+}
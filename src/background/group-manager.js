@@ -1,7 +1,14 @@
-import { SPECIAL_GROUP_TYPES, ERROR_CODES, STATUS } from '../shared/constants.js';
+import { ERROR_CODES, STATUS, GROUP_DIRECTIVES, DRY_RUN_ACTION, CLOSE_REASON } from '../shared/constants.js';
 import { computeAge } from './status-evaluator.js';
 import { createLogger } from '../shared/logger.js';
 import { generateGroupNameFromTabs } from './group-name-generator.js';
+import { isProtectedUrl, isProtectedGroupName } from './protection.js';
+import { isWithinQuietHours } from '../shared/quiet-hours.js';
+import { isMediaFrozen, isMediaProtected } from './media-protection.js';
+import { isWindowFrozen } from './window-profiles.js';
+import { policyFromDirectives, getGroupPolicy } from './group-policies.js';
+import { recordDryRunAction } from './dry-run.js';
+import { resolveLifecycle, getStage, lastStageId, stageRank } from '../shared/lifecycle.js';
 
 const logger = createLogger('background');
 
@@ -89,37 +96,21 @@ function scheduleDissolution(groupId, tabId, windowId) {
   }
 }
 
-// Colors are identity-based and remain hardcoded. Titles come from settings.
-const GROUP_CONFIG = {
-  [SPECIAL_GROUP_TYPES.YELLOW]: { color: 'yellow' },
-  [SPECIAL_GROUP_TYPES.RED]: { color: 'red' },
-};
-
-/**
- * Get the title for a special group type from settings, falling back to empty string.
- */
-function getSpecialGroupTitle(type, settings) {
-  if (type === SPECIAL_GROUP_TYPES.YELLOW) {
-    return settings?.yellowGroupName ?? '';
-  }
-  if (type === SPECIAL_GROUP_TYPES.RED) {
-    return settings?.redGroupName ?? '';
-  }
-  return '';
-}
+// Special groups hold the ungrouped tabs of every stage after the first, keyed
+// by stage id in windowState[wid].specialGroups. Color and title come from the
+// stage (see shared/lifecycle.js).
 
 export function isSpecialGroup(groupId, windowId, windowState) {
   if (groupId === null || groupId === undefined) return false;
-  const ws = windowState[windowId] || windowState[String(windowId)];
-  if (!ws || !ws.specialGroups) return false;
-  return ws.specialGroups.yellow === groupId || ws.specialGroups.red === groupId;
+  return getSpecialGroupType(groupId, windowId, windowState) !== null;
 }
 
 export function getSpecialGroupType(groupId, windowId, windowState) {
   const ws = windowState[windowId] || windowState[String(windowId)];
   if (!ws || !ws.specialGroups) return null;
-  if (ws.specialGroups.yellow === groupId) return SPECIAL_GROUP_TYPES.YELLOW;
-  if (ws.specialGroups.red === groupId) return SPECIAL_GROUP_TYPES.RED;
+  for (const [type, id] of Object.entries(ws.specialGroups)) {
+    if (id === groupId) return type;
+  }
   return null;
 }
 
@@ -137,6 +128,81 @@ function ensureWindowState(windowId, windowState) {
   return windowState[key];
 }
 
+// Per-group entries of windowState[wid], keyed by group ID
+const GROUP_STATE_KEYS = ['groupZones', 'groupNaming', 'groupSnoozes', 'groupPolicies'];
+
+/**
+ * Carry a group's state over when it is moved to another window: its zone,
+ * naming metadata, snooze and policy move from the old window's entry to the
+ * new one's, and a special group takes its stage's slot there if free. A
+ * gone-warning flag is dropped, to be raised again for the new window.
+ * Chrome keeps a group's ID when it moves; if it was recreated under a new
+ * ID, the state and the extension-created flag are moved to that.
+ *
+ * @param {number} groupId - ID of the group in the old window
+ * @param {number} oldWindowId
+ * @param {number} newWindowId
+ * @param {object} windowState
+ * @param {number} [newGroupId] - ID of the group in the new window
+ * @returns {boolean} Whether there was state to move
+ */
+export function moveGroupState(groupId, oldWindowId, newWindowId, windowState, newGroupId = groupId) {
+  const oldWs = windowState[oldWindowId] || windowState[String(oldWindowId)];
+  if (!oldWs || oldWindowId === newWindowId) return false;
+  const newWs = ensureWindowState(newWindowId, windowState);
+  let moved = false;
+
+  for (const key of GROUP_STATE_KEYS) {
+    const entries = oldWs[key];
+    const value = entries?.[groupId] ?? entries?.[String(groupId)];
+    if (value === undefined) continue;
+    delete entries[groupId];
+    delete entries[String(groupId)];
+    if (!newWs[key]) newWs[key] = {};
+    newWs[key][newGroupId] = value;
+    moved = true;
+  }
+
+  if (Array.isArray(oldWs.goneWarnedGroups) && oldWs.goneWarnedGroups.includes(groupId)) {
+    oldWs.goneWarnedGroups = oldWs.goneWarnedGroups.filter((id) => id !== groupId);
+    if (oldWs.goneWarnedGroups.length === 0) delete oldWs.goneWarnedGroups;
+    moved = true;
+  }
+
+  const specialType = getSpecialGroupType(groupId, oldWindowId, windowState);
+  if (specialType) {
+    oldWs.specialGroups[specialType] = null;
+    if (newWs.specialGroups && (newWs.specialGroups[specialType] ?? null) === null) {
+      newWs.specialGroups[specialType] = newGroupId;
+    }
+    moved = true;
+  }
+
+  if (newGroupId !== groupId && extensionCreatedGroups.delete(groupId)) {
+    extensionCreatedGroups.add(newGroupId);
+  }
+  if (moved) {
+    logger.debug('Moved group state to new window', { groupId, newGroupId, oldWindowId, newWindowId, specialType });
+  }
+  return moved;
+}
+
+/**
+ * Whether a window holds any state for a group: an entry under one of the
+ * per-group keys, or a special group slot.
+ *
+ * @param {number} groupId
+ * @param {number} windowId
+ * @param {object} windowState
+ * @returns {boolean}
+ */
+export function hasGroupState(groupId, windowId, windowState) {
+  const ws = windowState[windowId] || windowState[String(windowId)];
+  if (!ws) return false;
+  return isSpecialGroup(groupId, windowId, windowState)
+    || GROUP_STATE_KEYS.some((key) => (ws[key]?.[groupId] ?? ws[key]?.[String(groupId)]) !== undefined);
+}
+
 function asPositiveTimestamp(value, fallback) {
   if (Number.isFinite(value) && value > 0) return value;
   return fallback;
@@ -182,7 +248,9 @@ function pruneExtensionTitleUpdates(nowMs = Date.now()) {
   }
 }
 
-function markExtensionTitleUpdate(groupId, title, nowMs = Date.now()) {
+// Title and color writes by the extension are marked so tabGroups.onUpdated
+// does not take them for user edits
+export function markExtensionTitleUpdate(groupId, title, nowMs = Date.now()) {
   pruneExtensionTitleUpdates(nowMs);
   extensionTitleUpdates.set(groupId, {
     title,
@@ -198,7 +266,7 @@ function pruneExtensionColorUpdates(nowMs = Date.now()) {
   }
 }
 
-function markExtensionColorUpdate(groupId, color, nowMs = Date.now()) {
+export function markExtensionColorUpdate(groupId, color, nowMs = Date.now()) {
   pruneExtensionColorUpdates(nowMs);
   extensionColorUpdates.set(groupId, {
     color,
@@ -226,7 +294,7 @@ export function consumeExpectedExtensionColorUpdate(groupId, color, nowMs = Date
 
 export async function ensureSpecialGroup(windowId, type, windowState, tabIdForCreation, settings) {
   const ws = ensureWindowState(windowId, windowState);
-  const existingGroupId = ws.specialGroups[type];
+  const existingGroupId = ws.specialGroups[type] ?? null;
 
   if (existingGroupId !== null) {
     try {
@@ -245,12 +313,11 @@ export async function ensureSpecialGroup(windowId, type, windowState, tabIdForCr
   }
 
   try {
-    const config = GROUP_CONFIG[type];
-    const title = getSpecialGroupTitle(type, settings);
+    const stage = getStage(resolveLifecycle(settings), type);
     const groupId = await chrome.tabs.group({ tabIds: [tabIdForCreation], createProperties: { windowId } });
     await chrome.tabGroups.update(groupId, {
-      title,
-      color: config.color,
+      title: stage?.groupName ?? '',
+      color: stage?.color ?? 'grey',
       collapsed: false,
     });
     ws.specialGroups[type] = groupId;
@@ -349,30 +416,40 @@ export async function moveTabToSpecialGroup(tabId, type, windowId, windowState,
 
 // ─── Group Status & Sorting (US4) ────────────────────────────────────────────
 
-const STATUS_PRIORITY = { green: 0, yellow: 1, red: 2, gone: 3 };
-
-export function computeGroupStatus(groupId, tabMeta) {
-  let freshest = null;
+/**
+ * A group's status is the freshest stage among its members.
+ *
+ * @param {number} groupId
+ * @param {object} tabMeta
+ * @param {object} [lifecycle] - Defaults to the classic lifecycle
+ * @returns {string|null} A stage id, STATUS.GONE, or null for groups without tracked tabs
+ */
+export function computeGroupStatus(groupId, tabMeta, lifecycle = resolveLifecycle()) {
+  let freshestRank = null;
+  let mediaFrozen = false;
   for (const meta of Object.values(tabMeta)) {
     if (meta.groupId !== groupId) continue;
     if (meta.pinned) continue;
     if (meta.isSpecialGroup) continue;
-    if (freshest === null || STATUS_PRIORITY[meta.status] < STATUS_PRIORITY[freshest]) {
-      freshest = meta.status;
-    }
+    if (isMediaFrozen(meta)) mediaFrozen = true;
+    const rank = stageRank(lifecycle, meta.status);
+    if (freshestRank === null || rank < freshestRank) freshestRank = rank;
   }
-  return freshest;
+  if (freshestRank === null) return null;
+  if (freshestRank < lifecycle.stages.length) return lifecycle.stages[freshestRank].id;
+  // A group with a media-frozen member is frozen as a whole and never closes
+  return mediaFrozen ? lastStageId(lifecycle) : STATUS.GONE;
 }
 
-export async function updateGroupColor(groupId, status) {
+export async function updateGroupColor(groupId, color) {
   try {
-    markExtensionColorUpdate(groupId, status);
-    const result = await chrome.tabGroups.update(groupId, { color: status });
-    logger.debug('Updated group color', { groupId, status, resultColor: result?.color });
+    markExtensionColorUpdate(groupId, color);
+    const result = await chrome.tabGroups.update(groupId, { color });
+    logger.debug('Updated group color', { groupId, color, resultColor: result?.color });
   } catch (err) {
     logger.warn('Failed to update group color', {
       groupId,
-      status,
+      color,
       error: err.message,
       errorCode: ERROR_CODES.ERR_GROUP_MOVE,
     });
@@ -414,20 +491,63 @@ export async function closeGoneGroups(windowId, goneGroupIds, tabMeta, windowSta
   return closedTabIds;
 }
 
-const ZONE_RANK = { green: 0, yellow: 1, red: 2 };
+/**
+ * IDs of the live groups whose base title matches a protected group title
+ * pattern, for closing decisions made outside gone handling.
+ *
+ * @param {object[]} groups - chrome.tabGroups.TabGroup objects
+ * @param {object} settings
+ * @returns {Set<number>}
+ */
+export function getProtectedGroupIds(groups, settings) {
+  return new Set(groups
+    .filter((g) => isProtectedGroupName(stripAgeSuffix(g.title), settings))
+    .map((g) => g.id));
+}
+
+/**
+ * A group is protected from closing when its base title matches a protected
+ * group title pattern or any of its tracked tabs has a protected URL.
+ */
+function isGroupProtected(groupId, title, tabMeta, settings) {
+  if (isProtectedGroupName(stripAgeSuffix(title), settings)) return true;
+  if (!settings?.protectedUrlPatterns?.length) return false;
+  return Object.values(tabMeta).some(
+    (m) => m.groupId === groupId && isProtectedUrl(m.url, settings)
+  );
+}
 
 /**
  * Unified sort: reads live browser state, sorts an internal model, then
  * applies the minimal set of moves to make the browser match.
  *
- * 1. Ungrouped tabs: if status ≠ zone → move to special group (yellow/red)
- *    or leave to the right of the green zone.  If status = zone → skip.
+ * Zones follow the lifecycle stages (see shared/lifecycle.js), freshest on
+ * the left; the classic lifecycle has green, yellow and red zones.
+ *
+ * 1. Ungrouped tabs: if status ≠ zone → move to the stage's special group,
+ *    or ungroup into the first zone.  If status = zone → skip.
  *    Tabs with status 'gone' that are ungrouped or in special groups are
  *    bookmarked and closed.
  * 2. Groups: compute each group's status, build desired order, compare
  *    to actual order, move only when they differ.  Groups whose status
  *    is 'gone' are bookmarked as a group and closed.
  *
+ * Groups whose title carries a "!keep" directive keep their slot instead of
+ * being zone-sorted; they are still colored and closed like any other.
+ *
+ * Tabs and groups protected by `settings.protectedUrlPatterns` /
+ * `settings.protectedGroupTitles` are held in the last zone instead of closed.
+ *
+ * During `settings.quietHours`, and while the window's aging profile is
+ * frozen, gone tabs and groups are held in the last zone too and recorded in
+ * `windowState[wid].pendingClose` (evaluateAllTabs already holds and queues
+ * tabs that turn gone during quiet hours). Once the hold ends, queued entries
+ * that are still held are closed.
+ *
+ * With a dry-run report, closing, special-group moves, ungrouping, group
+ * reordering and recoloring are recorded in it instead of performed (see
+ * dry-run.js); tabMeta entries of tabs that would close are kept.
+ *
  * @param {number} windowId
  * @param {object} tabMeta
  * @param {object} windowState
@@ -437,8 +557,12 @@ const ZONE_RANK = { green: 0, yellow: 1, red: 2 };
  * @param {function} goneConfig.bookmarkTab - async (tab, folderId) => boolean
  * @param {function} goneConfig.bookmarkGroupTabs - async (title, tabs, folderId) => result
  * @param {function} goneConfig.isBookmarkableUrl - (url) => boolean
+ * @param {function} [goneConfig.recordClosed] - (reason, [{ tab, meta }], group) => void, called
+ *   for each closure for the undo journal (closed-journal.js)
+ * @param {object} [settings]
+ * @param {object|null} [dryRunReport] - Records actions instead of performing them
  */
-export async function sortTabsAndGroups(windowId, tabMeta, windowState, goneConfig, settings) {
+export async function sortTabsAndGroups(windowId, tabMeta, windowState, goneConfig, settings, dryRunReport = null) {
   const ws = ensureWindowState(windowId, windowState);
   const result = { tabsMoved: 0, groupsMoved: 0, goneTabsClosed: 0, goneGroupsClosed: 0 };
 
@@ -446,6 +570,20 @@ export async function sortTabsAndGroups(windowId, tabMeta, windowState, goneConf
   const tabSortingEnabled = settings?.tabSortingEnabled !== false;
   const tabgroupSortingEnabled = settings?.tabgroupSortingEnabled !== false;
   const tabgroupColoringEnabled = settings?.tabgroupColoringEnabled !== false;
+  const closureHeld = isWithinQuietHours(settings?.quietHours) || isWindowFrozen(windowId, windowState);
+  const lifecycle = resolveLifecycle(settings);
+  const freshStage = lifecycle.stages[0].id;
+  const holdStage = lastStageId(lifecycle);
+
+  if (!closureHeld && ws.pendingClose) {
+    releasePendingCloses(windowId, ws.pendingClose, tabMeta, holdStage);
+    delete ws.pendingClose;
+  }
+  // Entries queued earlier in the hold stay queued until it ends
+  const pendingClose = {
+    tabs: [...(ws.pendingClose?.tabs || [])],
+    groups: [...(ws.pendingClose?.groups || [])],
+  };
 
   try {
     // ── 1. Read current browser state ──────────────────────────────────
@@ -485,19 +623,51 @@ export async function sortTabsAndGroups(windowId, tabMeta, windowState, goneConf
       // Skip tabs in user groups — they are sorted as part of group sorting
       if (inUserGroup) continue;
 
-      // Determine what zone the tab is currently in
-      let currentZone = 'green'; // ungrouped = green zone
-      if (inSpecial) {
-        const sgType = getSpecialGroupType(actualGroupId, windowId, windowState);
-        if (sgType === SPECIAL_GROUP_TYPES.YELLOW) currentZone = 'yellow';
-        else if (sgType === SPECIAL_GROUP_TYPES.RED) currentZone = 'red';
+      // Determine what zone the tab is currently in (ungrouped = first zone)
+      const currentZone = inSpecial
+        ? getSpecialGroupType(actualGroupId, windowId, windowState)
+        : freshStage;
+
+      // A stage id or gone; statuses of removed stages fall back to the last zone
+      let desiredZone = meta.status === STATUS.GONE
+        ? STATUS.GONE
+        : lifecycle.stages[stageRank(lifecycle, meta.status)].id;
+
+      // Protected tabs never close — hold them in the last zone instead
+      if (desiredZone === STATUS.GONE && isProtectedUrl(meta.url || ct.url, settings)) {
+        logger.debug('Holding protected gone tab in last zone', { tabId: ct.id, zone: holdStage });
+        meta.status = holdStage;
+        desiredZone = holdStage;
       }
 
-      const desiredZone = meta.status; // green, yellow, red, or gone
+      // Tabs playing media right now are never closed, even if their status is stale
+      if (desiredZone === STATUS.GONE && isMediaProtected(ct, settings)) {
+        logger.debug('Holding media tab in last zone', { tabId: ct.id, zone: holdStage });
+        meta.status = holdStage;
+        desiredZone = holdStage;
+      }
+
+      // Quiet hours: hold in the last zone and queue for closing later
+      if (desiredZone === STATUS.GONE && closureHeld) {
+        meta.status = holdStage;
+        desiredZone = holdStage;
+        if (!pendingClose.tabs.includes(ct.id)) pendingClose.tabs.push(ct.id);
+      }
 
       // ── Gone ungrouped/special-group tabs: bookmark + close ──────────
       // Gone handling always runs regardless of tabSortingEnabled
       if (desiredZone === STATUS.GONE) {
+        if (goneConfig && recordDryRunAction(dryRunReport, {
+          type: DRY_RUN_ACTION.CLOSE_TAB,
+          reason: STATUS.GONE,
+          windowId: Number(windowId),
+          tabId: ct.id,
+          url: ct.url || '',
+          title: ct.title || '',
+          bookmark: Boolean(goneConfig.bookmarkEnabled && goneConfig.isBookmarkableUrl(ct.url)),
+        })) {
+          continue;
+        }
         if (goneConfig) {
           if (goneConfig.bookmarkEnabled && goneConfig.bookmarkFolderId) {
             try {
@@ -512,6 +682,7 @@ export async function sortTabsAndGroups(windowId, tabMeta, windowState, goneConf
           }
           try {
             await chrome.tabs.remove(ct.id);
+            goneConfig.recordClosed?.(CLOSE_REASON.GONE, [{ tab: ct, meta }], null);
             delete tabMeta[ct.id];
             delete tabMeta[String(ct.id)];
             result.goneTabsClosed++;
@@ -529,27 +700,29 @@ export async function sortTabsAndGroups(windowId, tabMeta, windowState, goneConf
       if (currentZone === desiredZone) continue;
 
       // Status differs from zone → move according to rules
-      if (desiredZone === 'yellow') {
-        // Move to yellow special group
-        const moveResult = await moveTabToSpecialGroup(ct.id, 'yellow', windowId, windowState, settings);
-        if (moveResult.success) {
-          meta.groupId = moveResult.groupId;
-          meta.isSpecialGroup = true;
-          result.tabsMoved++;
-          // Refresh specialGroupIds in case a new group was created
-          if (!specialGroupIds.has(moveResult.groupId)) specialGroupIds.add(moveResult.groupId);
+      if (recordDryRunAction(dryRunReport, desiredZone !== freshStage
+        ? {
+          type: DRY_RUN_ACTION.MOVE_TO_SPECIAL_GROUP,
+          windowId: Number(windowId), tabId: ct.id, url: ct.url || '', title: ct.title || '', stage: desiredZone,
         }
-      } else if (desiredZone === 'red') {
-        // Move to red special group (from yellow special or ungrouped)
-        const moveResult = await moveTabToSpecialGroup(ct.id, 'red', windowId, windowState, settings);
+        : {
+          type: DRY_RUN_ACTION.UNGROUP_TAB,
+          windowId: Number(windowId), tabId: ct.id, url: ct.url || '', title: ct.title || '',
+        })) {
+        continue;
+      }
+      if (desiredZone !== freshStage) {
+        // Move to the stage's special group (from another special group or ungrouped)
+        const moveResult = await moveTabToSpecialGroup(ct.id, desiredZone, windowId, windowState, settings);
         if (moveResult.success) {
           meta.groupId = moveResult.groupId;
           meta.isSpecialGroup = true;
           result.tabsMoved++;
+          // Refresh specialGroupIds in case a new group was created
           if (!specialGroupIds.has(moveResult.groupId)) specialGroupIds.add(moveResult.groupId);
         }
-      } else if (desiredZone === 'green' && inSpecial) {
-        // Tab became green but is still in a special group → ungroup
+      } else if (inSpecial) {
+        // Tab became fresh but is still in a special group → ungroup
         const ungrouped = await ungroupTab(ct.id);
         if (ungrouped) {
           meta.groupId = null;
@@ -561,8 +734,9 @@ export async function sortTabsAndGroups(windowId, tabMeta, windowState, goneConf
 
     // Clean up empty special groups only if we moved tabs out of them
     if (result.tabsMoved > 0) {
-      await removeSpecialGroupIfEmpty(windowId, 'yellow', windowState);
-      await removeSpecialGroupIfEmpty(windowId, 'red', windowState);
+      for (const type of Object.keys(ws.specialGroups)) {
+        await removeSpecialGroupIfEmpty(windowId, type, windowState);
+      }
     }
 
     // ── 3. Sort groups (gated on tabgroupSortingEnabled) ────────────────
@@ -589,7 +763,7 @@ export async function sortTabsAndGroups(windowId, tabMeta, windowState, goneConf
 
     // Refresh special group set from windowState references only.
     // We intentionally do NOT re-discover by title/color — a user group
-    // that happens to match (e.g. "Yellow"/yellow) must never be hijacked.
+    // that happens to match a stage (e.g. "Yellow"/yellow) must never be hijacked.
     const specialAfter = new Set();
     for (const g of groupsAfter) {
       if (isSpecialGroup(g.id, windowId, windowState)) {
@@ -614,7 +788,7 @@ export async function sortTabsAndGroups(windowId, tabMeta, windowState, goneConf
     // Compute status for every user group
     const statusMap = new Map();
     for (const group of userGroups) {
-      const status = computeGroupStatus(group.id, tabMeta);
+      const status = computeGroupStatus(group.id, tabMeta, lifecycle);
       if (!status) continue;
       statusMap.set(group.id, status);
       ws.groupZones[group.id] = status;
@@ -623,11 +797,48 @@ export async function sortTabsAndGroups(windowId, tabMeta, windowState, goneConf
     // ── Handle gone groups: bookmark + close ──────────────────────
     const goneGroupIds = [];
     for (const [gid, status] of statusMap) {
-      if (status === STATUS.GONE) goneGroupIds.push(gid);
+      if (status !== STATUS.GONE) continue;
+      const group = groupsAfter.find((g) => g.id === gid);
+      if (isGroupProtected(gid, group?.title, tabMeta, settings)) {
+        // Protected group: keep it (and its members) in the last zone
+        logger.debug('Holding protected gone group in last zone', { groupId: gid, zone: holdStage });
+        statusMap.set(gid, holdStage);
+        ws.groupZones[gid] = holdStage;
+        for (const m of Object.values(tabMeta)) {
+          if (m.groupId === gid && m.status === STATUS.GONE) m.status = holdStage;
+        }
+        continue;
+      }
+      if (closureHeld) {
+        statusMap.set(gid, holdStage);
+        ws.groupZones[gid] = holdStage;
+        for (const m of Object.values(tabMeta)) {
+          if (m.groupId === gid && m.status === STATUS.GONE) m.status = holdStage;
+        }
+        if (!pendingClose.groups.includes(gid)) pendingClose.groups.push(gid);
+        continue;
+      }
+      goneGroupIds.push(gid);
     }
 
     if (goneConfig && goneGroupIds.length > 0) {
       for (const gid of goneGroupIds) {
+        const group = groupsAfter.find((g) => g.id === gid);
+        if (recordDryRunAction(dryRunReport, {
+          type: DRY_RUN_ACTION.CLOSE_GROUP,
+          reason: STATUS.GONE,
+          windowId: Number(windowId),
+          groupId: gid,
+          title: group?.title || '',
+          tabIds: Object.values(tabMeta)
+            .filter((m) => m.groupId === gid && m.windowId === Number(windowId) && !m.pinned)
+            .map((m) => m.tabId),
+          bookmark: Boolean(goneConfig.bookmarkEnabled),
+        })) {
+          statusMap.delete(gid);
+          continue;
+        }
+
         // Bookmark the group as a whole
         if (goneConfig.bookmarkEnabled && goneConfig.bookmarkFolderId) {
           try {
@@ -648,15 +859,18 @@ export async function sortTabsAndGroups(windowId, tabMeta, windowState, goneConf
         const tabsInGroup = Object.values(tabMeta).filter(
           (m) => m.groupId === gid && m.windowId === Number(windowId) && !m.pinned
         );
+        const closedTabs = [];
         for (const m of tabsInGroup) {
           try {
             await chrome.tabs.remove(m.tabId);
+            closedTabs.push({ tab: chromeTabMap.get(m.tabId) || { id: m.tabId }, meta: m });
             delete tabMeta[m.tabId];
             delete tabMeta[String(m.tabId)];
           } catch (err) {
             logger.warn('Failed to remove tab from gone group', { tabId: m.tabId, groupId: gid, error: err.message });
           }
         }
+        if (closedTabs.length > 0) goneConfig.recordClosed?.(CLOSE_REASON.GONE, closedTabs, group || null);
 
         // Clean up groupZones
         delete ws.groupZones[gid];
@@ -669,17 +883,17 @@ export async function sortTabsAndGroups(windowId, tabMeta, windowState, goneConf
     const ordered = userGroups.filter((g) => statusMap.has(g.id));
 
     // Detect which groups just transitioned into a new zone.
-    // Brand-new groups (no previous zone entry) that are green are also
-    // treated as "just arrived" so they sort to the LEFT of the green
-    // zone instead of being appended to the right.
+    // Brand-new groups (no previous zone entry) in the first zone are also
+    // treated as "just arrived" so they sort to the LEFT of that zone
+    // instead of being appended to the right.
     const justArrived = new Set();
     for (const g of ordered) {
       const cur = statusMap.get(g.id);
       const prev = prevZones[g.id] || prevZones[String(g.id)];
       if (prev === undefined) {
-        // New group with no prior zone — treat green as "just arrived"
-        // so it lands at the leftmost position in the green zone.
-        if (cur === 'green') justArrived.add(g.id);
+        // New group with no prior zone — treat the first zone as "just
+        // arrived" so it lands at the leftmost position there.
+        if (cur === freshStage) justArrived.add(g.id);
       } else if (prev !== cur) {
         justArrived.add(g.id);
       }
@@ -688,52 +902,44 @@ export async function sortTabsAndGroups(windowId, tabMeta, windowState, goneConf
     // Build sorted list per zone.  Within each zone:
     //   - newly arrived groups go to the LEFT (inserted first)
     //   - groups already in the zone keep their Chrome visual order
-    // For green: newly refreshed → leftmost of ALL groups
-    // For yellow/red: newly arrived → left of zone (right of special group)
-    const greenGroups = ordered.filter((g) => statusMap.get(g.id) === 'green');
-    const yellowGroups = ordered.filter((g) => statusMap.get(g.id) === 'yellow');
-    const redGroups = ordered.filter((g) => statusMap.get(g.id) === 'red');
-
+    // For the first zone: newly refreshed → leftmost of ALL groups
+    // For later zones: newly arrived → left of zone (right of special group)
     const sortWithNewFirst = (groups) => {
       const arrived = groups.filter((g) => justArrived.has(g.id));
       const staying = groups.filter((g) => !justArrived.has(g.id));
       return [...arrived, ...staying];
     };
 
-    const sortedUser = [
-      ...sortWithNewFirst(greenGroups),
-      ...sortWithNewFirst(yellowGroups),
-      ...sortWithNewFirst(redGroups),
-    ];
+    // Groups with a "!keep" directive are left out of zone sorting
+    const keptIds = new Set(ordered
+      .filter((g) => getGroupPolicy(windowId, g.id, windowState)?.keepPosition)
+      .map((g) => g.id));
+
+    const sortedUser = lifecycle.stages.flatMap((stage) => sortWithNewFirst(
+      ordered.filter((g) => statusMap.get(g.id) === stage.id && !keptIds.has(g.id))
+    ));
+
+    // Insert each stage's special group at the start of its zone.
+    // Special groups of stages that no longer exist go last.
+    const specials = lifecycle.stages
+      .map((stage, rank) => ({ id: ws.specialGroups[stage.id] ?? null, rank }))
+      .filter((s) => s.id !== null && specialAfter.has(s.id));
+    for (const id of specialAfter) {
+      if (!specials.some((s) => s.id === id)) specials.push({ id, rank: Infinity });
+    }
 
-    // Insert special groups at zone boundaries:
-    // Yellow special at the start of the yellow zone,
-    // Red special at the start of the red zone.
     const desired = [];
-    const yellowSpecialId = ws.specialGroups.yellow;
-    const redSpecialId = ws.specialGroups.red;
-    let yellowInserted = false;
-    let redInserted = false;
-
+    let nextSpecial = 0;
     for (const g of sortedUser) {
-      const zone = statusMap.get(g.id);
-      if (!yellowInserted && yellowSpecialId !== null && specialAfter.has(yellowSpecialId)
-          && ZONE_RANK[zone] >= ZONE_RANK.yellow) {
-        desired.push({ id: yellowSpecialId, _special: true });
-        yellowInserted = true;
-      }
-      if (!redInserted && redSpecialId !== null && specialAfter.has(redSpecialId)
-          && ZONE_RANK[zone] >= ZONE_RANK.red) {
-        desired.push({ id: redSpecialId, _special: true });
-        redInserted = true;
+      const rank = stageRank(lifecycle, statusMap.get(g.id));
+      while (nextSpecial < specials.length && rank >= specials[nextSpecial].rank) {
+        desired.push({ id: specials[nextSpecial].id, _special: true });
+        nextSpecial++;
       }
       desired.push(g);
     }
-    if (!yellowInserted && yellowSpecialId !== null && specialAfter.has(yellowSpecialId)) {
-      desired.push({ id: yellowSpecialId, _special: true });
-    }
-    if (!redInserted && redSpecialId !== null && specialAfter.has(redSpecialId)) {
-      desired.push({ id: redSpecialId, _special: true });
+    for (const { id } of specials.slice(nextSpecial)) {
+      desired.push({ id, _special: true });
     }
 
     // Compare current visual order to desired order.
@@ -749,13 +955,18 @@ export async function sortTabsAndGroups(windowId, tabMeta, windowState, goneConf
         return ai - bi;
       });
     const currentIds = allOrdered.map((g) => g.id);
+
+    // Kept groups hold their current slot among the sorted ones
+    for (const [index, id] of currentIds.entries()) {
+      if (keptIds.has(id)) desired.splice(Math.min(index, desired.length), 0, { id });
+    }
     const desiredIds = desired.map((g) => g.id);
 
     logger.info('sortTabsAndGroups: group order comparison', {
       windowId,
       currentIds,
       desiredIds,
-      specialGroups: { yellow: ws.specialGroups.yellow, red: ws.specialGroups.red },
+      specialGroups: { ...ws.specialGroups },
       specialAfter: [...specialAfter],
       userGroupStatuses: Object.fromEntries(statusMap),
       groupsAfterIds: groupsAfter.map((g) => g.id),
@@ -763,7 +974,10 @@ export async function sortTabsAndGroups(windowId, tabMeta, windowState, goneConf
     });
 
     // Only reorder groups when tabgroup sorting is enabled
-    if (tabgroupSortingEnabled && currentIds.join(',') !== desiredIds.join(',')) {
+    if (tabgroupSortingEnabled && currentIds.join(',') !== desiredIds.join(',')
+      && !recordDryRunAction(dryRunReport, {
+        type: DRY_RUN_ACTION.REORDER_GROUPS, windowId: Number(windowId), from: currentIds, to: desiredIds,
+      })) {
       for (const g of desired) {
         try {
           await chrome.tabGroups.move(g.id, { index: -1 });
@@ -780,13 +994,30 @@ export async function sortTabsAndGroups(windowId, tabMeta, windowState, goneConf
     // Update colors for user groups only when tabgroup coloring is enabled
     if (tabgroupColoringEnabled) {
       for (const g of ordered) {
-        const status = statusMap.get(g.id);
-        if (status) {
-          await updateGroupColor(g.id, status);
+        const stage = getStage(lifecycle, statusMap.get(g.id));
+        if (!stage) continue;
+        if (dryRunReport) {
+          if (g.color !== stage.color) {
+            recordDryRunAction(dryRunReport, {
+              type: DRY_RUN_ACTION.SET_GROUP_COLOR,
+              windowId: Number(windowId), groupId: g.id, title: g.title || '', from: g.color, color: stage.color,
+            });
+          }
+          continue;
         }
+        await updateGroupColor(g.id, stage.color);
       }
     }
 
+    if (pendingClose.tabs.length > 0 || pendingClose.groups.length > 0) {
+      ws.pendingClose = pendingClose;
+      logger.debug('Quiet hours: holding gone tabs and groups', {
+        windowId, tabIds: pendingClose.tabs, groupIds: pendingClose.groups,
+      });
+    } else {
+      delete ws.pendingClose;
+    }
+
     logger.debug('sortTabsAndGroups: complete', {
       windowId,
       tabsMoved: result.tabsMoved,
@@ -806,6 +1037,27 @@ export async function sortTabsAndGroups(windowId, tabMeta, windowState, goneConf
   return result;
 }
 
+/**
+ * Quiet hours are over: mark queued tabs and group members that are still held
+ * in the last zone as gone again, so this sort pass closes them. Entries that
+ * were refreshed in the meantime have left that zone and stay open.
+ */
+function releasePendingCloses(windowId, pending, tabMeta, holdStage) {
+  const queuedTabs = new Set(pending.tabs || []);
+  const queuedGroups = new Set(pending.groups || []);
+  let released = 0;
+  for (const meta of Object.values(tabMeta)) {
+    if (meta.windowId !== Number(windowId) || meta.status !== holdStage) continue;
+    if (queuedTabs.has(meta.tabId) || (meta.groupId !== null && queuedGroups.has(meta.groupId))) {
+      meta.status = STATUS.GONE;
+      released++;
+    }
+  }
+  logger.info('Closing hold over, processing pending closes', {
+    windowId, queuedTabs: queuedTabs.size, queuedGroups: queuedGroups.size, released,
+  });
+}
+
 /**
  * Dissolve unnamed groups that contain only a single tab.
  * The remaining tab is ungrouped and its meta is updated.
@@ -822,8 +1074,10 @@ export async function dissolveUnnamedSingleTabGroups(windowId, tabMeta, windowSt
       if (!extensionCreatedGroups.has(group.id)) continue;
       // Only dissolve groups with no user-given title.
       // Strip the age suffix so that groups whose only "title" is an
-      // age label like "(1m)" are still considered unnamed.
-      if (stripAgeSuffix(group.title)) continue;
+      // age label like "(1m)" are still considered unnamed. A directive
+      // on its own is deliberate and keeps the group.
+      const { baseName, directives } = parseGroupTitle(group.title);
+      if (baseName || directives.length > 0) continue;
 
       const tabs = await chrome.tabs.query({ groupId: group.id });
       if (tabs.length !== 1) continue;
@@ -867,31 +1121,74 @@ export async function dissolveUnnamedSingleTabGroups(windowId, tabMeta, windowSt
   return { dissolved };
 }
 
+// ─── Group Policies ───────────────────────────────────────────────────────────
+
+/**
+ * Record the policy of a user group's title directives in
+ * `windowState[wid].groupPolicies`, or drop it when the title has none.
+ */
+export function updateGroupPolicy(group, windowState) {
+  const ws = windowState[group.windowId] || windowState[String(group.windowId)];
+  if (!ws || isSpecialGroup(group.id, group.windowId, windowState)) return;
+  const policy = policyFromDirectives(parseGroupTitle(group.title).directives);
+  if (policy) {
+    if (!ws.groupPolicies || typeof ws.groupPolicies !== 'object') ws.groupPolicies = {};
+    ws.groupPolicies[group.id] = policy;
+  } else if (ws.groupPolicies) {
+    delete ws.groupPolicies[group.id];
+    delete ws.groupPolicies[String(group.id)];
+    if (Object.keys(ws.groupPolicies).length === 0) delete ws.groupPolicies;
+  }
+}
+
+/**
+ * Rebuild every window's group policies from the live group titles.
+ *
+ * @param {object[]} groups - Result of chrome.tabGroups.query({})
+ * @param {object} windowState
+ */
+export function syncGroupPolicies(groups, windowState) {
+  for (const ws of Object.values(windowState)) delete ws.groupPolicies;
+  for (const group of groups) updateGroupPolicy(group, windowState);
+}
+
 // ─── Group Age Display ────────────────────────────────────────────────────────
 
 const AGE_SUFFIX_RE = /\s?(\([0-9]+[mhd]\))$/;
+// "⏸" is often typed with the emoji variation selector ("⏸️")
+const DIRECTIVE_RE = new RegExp(`\\s*(${Object.keys(GROUP_DIRECTIVES).join('|')})\\uFE0F?$`);
 
+/**
+ * Split a group title into its base name, policy directives (see
+ * group-policies.js) and age suffix, in any trailing order:
+ * "Research !slow (3h)" → { baseName: 'Research', directives: ['!slow'], ageSuffix: '(3h)' }.
+ */
 export function parseGroupTitle(title) {
   if (!title) {
-    return { baseName: '', ageSuffix: '' };
+    return { baseName: '', ageSuffix: '', directives: [] };
   }
 
-  const trimmed = String(title).trim();
-  const match = trimmed.match(AGE_SUFFIX_RE);
-  if (!match) {
-    return { baseName: trimmed, ageSuffix: '' };
+  let rest = String(title).trim();
+  let ageSuffix = '';
+  const directives = [];
+  for (;;) {
+    const ageMatch = ageSuffix ? null : rest.match(AGE_SUFFIX_RE);
+    const match = ageMatch || rest.match(DIRECTIVE_RE);
+    if (!match) break;
+    if (ageMatch) {
+      ageSuffix = match[1];
+    } else if (!directives.includes(match[1])) {
+      directives.unshift(match[1]);
+    }
+    rest = rest.slice(0, match.index).trim();
   }
-
-  const ageSuffix = match[1] || '';
-  const baseName = trimmed.slice(0, match.index).trim();
-  return { baseName, ageSuffix };
+  return { baseName: rest, ageSuffix, directives };
 }
 
-export function composeGroupTitle(baseName, ageSuffix) {
-  const base = (baseName || '').trim();
-  const suffix = (ageSuffix || '').trim();
-  if (base && suffix) return `${base} ${suffix}`;
-  return base || suffix;
+export function composeGroupTitle(baseName, ageSuffix, directives = []) {
+  return [(baseName || '').trim(), ...directives, (ageSuffix || '').trim()]
+    .filter(Boolean)
+    .join(' ');
 }
 
 export function isBaseGroupNameEmpty(title) {
@@ -1057,7 +1354,7 @@ export async function autoNameEligibleGroups(windowId, tabMeta, windowState, con
     }
 
     const liveTitle = liveGroup?.title || '';
-    const { baseName: liveBaseName, ageSuffix } = parseGroupTitle(liveTitle);
+    const { baseName: liveBaseName, ageSuffix, directives } = parseGroupTitle(liveTitle);
     if (liveBaseName.length > 0) {
       summary.skipped++;
       removeGroupNamingEntry(ws, group.id);
@@ -1083,7 +1380,7 @@ export async function autoNameEligibleGroups(windowId, tabMeta, windowState, con
       continue;
     }
 
-    const newTitle = composeGroupTitle(candidateName, ageSuffix);
+    const newTitle = composeGroupTitle(candidateName, ageSuffix, directives);
     if (!newTitle || newTitle === liveTitle) {
       summary.skipped++;
       setGroupNamingEntry(ws, group.id, {
@@ -1143,9 +1440,9 @@ export async function updateGroupTitlesWithAge(windowId, tabMeta, windowState, a
       const age = computeGroupAge(group.id, tabMeta, activeTimeMs, settings);
       if (age === 0) continue;
 
-      const { baseName } = parseGroupTitle(group.title);
+      const { baseName, directives } = parseGroupTitle(group.title);
       const ageSuffix = `(${formatAge(age)})`;
-      const newTitle = composeGroupTitle(baseName, ageSuffix);
+      const newTitle = composeGroupTitle(baseName, ageSuffix, directives);
 
       if (newTitle !== group.title) {
         try {
@@ -1176,11 +1473,12 @@ export async function removeAgeSuffixFromAllGroups(windowId, windowState) {
     const groups = await chrome.tabGroups.query({ windowId: Number(windowId) });
     for (const group of groups) {
       if (isSpecialGroup(group.id, windowId, windowState)) continue;
-      const baseName = stripAgeSuffix(group.title);
-      if (baseName !== group.title) {
+      const { baseName, directives } = parseGroupTitle(group.title);
+      const newTitle = composeGroupTitle(baseName, '', directives);
+      if (newTitle !== group.title) {
         try {
-          markExtensionTitleUpdate(group.id, baseName);
-          await chrome.tabGroups.update(group.id, { title: baseName });
+          markExtensionTitleUpdate(group.id, newTitle);
+          await chrome.tabGroups.update(group.id, { title: newTitle });
         } catch { /* best effort */ }
       }
     }
@@ -1208,7 +1506,7 @@ export async function dissolveSpecialGroups(windowId, windowState) {
 
   let dissolved = 0;
 
-  for (const type of ['yellow', 'red']) {
+  for (const type of Object.keys(ws.specialGroups)) {
     const groupId = ws.specialGroups[type];
     if (groupId === null) continue;
 
@@ -0,0 +1,99 @@
+import { GROUP_DIRECTIVES } from '../shared/constants.js';
+import { resumeAgingFrom } from './snooze.js';
+import { isMediaFrozen } from './media-protection.js';
+import { hasWindowFreeze } from './window-profiles.js';
+
+/**
+ * Group policies: directives typed at the end of a group title ("Research
+ * !slow", "Inbox ⏸") that change how the group ages. The title is the source
+ * of truth; each cycle the directives are parsed (see parseGroupTitle in
+ * group-manager.js) into `windowState[wid].groupPolicies[groupId]`:
+ *
+ *   - `frozen`: the group's tabs stop aging, like a window freeze
+ *     (`groupFrozenAtActiveTime`, `groupFrozenAtWallTime` on each tab)
+ *   - `thresholdFactor`: every transition time is multiplied by it
+ *   - `keepPosition`: zone sorting leaves the group where it is
+ */
+
+export function isGroupDirective(token) {
+  return Object.hasOwn(GROUP_DIRECTIVES, token);
+}
+
+/**
+ * Combine directives into a policy. Threshold factors multiply.
+ *
+ * @param {string[]} directives
+ * @returns {object|null} null when no directive changes anything
+ */
+export function policyFromDirectives(directives) {
+  const policy = {};
+  for (const directive of directives) {
+    const { thresholdFactor, ...flags } = GROUP_DIRECTIVES[directive] ?? {};
+    Object.assign(policy, flags);
+    if (thresholdFactor !== undefined) {
+      policy.thresholdFactor = (policy.thresholdFactor ?? 1) * thresholdFactor;
+    }
+  }
+  if (policy.thresholdFactor === 1) delete policy.thresholdFactor;
+  return Object.keys(policy).length > 0 ? policy : null;
+}
+
+export function getGroupPolicy(windowId, groupId, windowState) {
+  if (groupId === null || groupId === undefined) return null;
+  const ws = windowState?.[windowId] || windowState?.[String(windowId)];
+  return ws?.groupPolicies?.[groupId] || ws?.groupPolicies?.[String(groupId)] || null;
+}
+
+/** The policy that applies to a tab through its user group, if any. */
+export function getTabGroupPolicy(meta, windowState) {
+  if (meta.isSpecialGroup) return null;
+  return getGroupPolicy(meta.windowId, meta.groupId, windowState);
+}
+
+export function hasGroupFreeze(meta) {
+  return Number.isFinite(meta?.groupFrozenAtActiveTime);
+}
+
+/**
+ * Start or release group freezes to match each tab's current group policy.
+ * Tabs of frozen windows are left to the window freeze.
+ *
+ * @param {object} tabMeta
+ * @param {object} windowState
+ * @param {number} activeTimeMs
+ * @param {number} [now]
+ * @returns {{frozen: number[], released: number[]}} Tab IDs whose freeze started / ended
+ */
+export function applyGroupFreeze(tabMeta, windowState, activeTimeMs, now = Date.now()) {
+  const result = { frozen: [], released: [] };
+  for (const meta of Object.values(tabMeta)) {
+    const shouldFreeze = !hasWindowFreeze(meta) && getTabGroupPolicy(meta, windowState)?.frozen === true;
+    if (shouldFreeze && !hasGroupFreeze(meta)) {
+      if (isMediaFrozen(meta)) {
+        meta.groupFrozenAtActiveTime = meta.mediaFrozenAtActiveTime;
+        meta.groupFrozenAtWallTime = meta.mediaFrozenAtWallTime;
+        delete meta.mediaFrozenAtActiveTime;
+        delete meta.mediaFrozenAtWallTime;
+      } else {
+        meta.groupFrozenAtActiveTime = activeTimeMs;
+        meta.groupFrozenAtWallTime = now;
+      }
+      result.frozen.push(meta.tabId);
+    } else if (!shouldFreeze && hasGroupFreeze(meta)) {
+      resumeAgingFrom(meta, meta.groupFrozenAtActiveTime, meta.groupFrozenAtWallTime, activeTimeMs, now);
+      delete meta.groupFrozenAtActiveTime;
+      delete meta.groupFrozenAtWallTime;
+      result.released.push(meta.tabId);
+    }
+  }
+  return result;
+}
+
+/**
+ * Carry a group freeze over to a new tabMeta entry (URL re-matching on restart).
+ */
+export function copyGroupFreeze(from, to) {
+  if (!hasGroupFreeze(from)) return;
+  to.groupFrozenAtActiveTime = from.groupFrozenAtActiveTime;
+  to.groupFrozenAtWallTime = from.groupFrozenAtWallTime;
+}
@@ -0,0 +1,100 @@
+import { ERROR_CODES, GROUPING_RULE_ACTION } from '../shared/constants.js';
+import { createLogger } from '../shared/logger.js';
+import { matchesUrlPattern, matchesUrlRegExp } from '../shared/url-patterns.js';
+import {
+  isSpecialGroup, parseGroupTitle, trackExtensionGroup, markExtensionTitleUpdate, markExtensionColorUpdate,
+} from './group-manager.js';
+
+const logger = createLogger('background');
+
+/**
+ * Grouping rules: `settings.groupingRules` is an ordered list of
+ * `{ pattern, regex?, action, title?, color? }`. `pattern` is a URL pattern
+ * (see url-patterns.js), or a regular expression when `regex` is true.
+ *
+ * A 'group' rule puts tabs on matching URLs in the window's group titled
+ * `title`, creating it with `color` if the window has none. An 'exclude' rule
+ * leaves tabs on matching URLs — and tabs opened from them — out of
+ * auto-grouping altogether. The first matching rule wins.
+ *
+ * New tabs are matched in placeNewTab, ahead of the context-tab rules, and
+ * tabs again whenever they navigate.
+ */
+
+function ruleMatches(rule, url) {
+  return rule.regex === true ? matchesUrlRegExp(rule.pattern, url) : matchesUrlPattern(rule.pattern, url);
+}
+
+/**
+ * Return the first rule matching a tab's URL, or an exclude rule matching the
+ * URL of the tab that opened it.
+ *
+ * @param {object[]} rules - settings.groupingRules
+ * @param {string} url
+ * @param {string} [openerUrl]
+ * @returns {object|null}
+ */
+export function findGroupingRule(rules, url, openerUrl) {
+  if (!Array.isArray(rules)) return null;
+  for (const rule of rules) {
+    if (!rule) continue;
+    if (url && ruleMatches(rule, url)) return rule;
+    if (rule.action === GROUPING_RULE_ACTION.EXCLUDE && openerUrl && ruleMatches(rule, openerUrl)) return rule;
+  }
+  return null;
+}
+
+/**
+ * Move a tab into the group of a 'group' rule: the window's user group with
+ * the rule's title (ignoring age suffix and directives), or a new one.
+ *
+ * @param {number} tabId
+ * @param {object} rule
+ * @param {number} windowId
+ * @param {object} tabMeta - The tab's entry is updated in place
+ * @param {object} windowState
+ * @returns {Promise<number|null>} The group ID — unchanged when the tab is
+ *   already in it — or null when grouping failed
+ */
+export async function applyGroupingRule(tabId, rule, windowId, tabMeta, windowState) {
+  const { baseName } = parseGroupTitle(rule.title);
+  const meta = tabMeta[tabId] || tabMeta[String(tabId)];
+  try {
+    const groups = await chrome.tabGroups.query({ windowId });
+    const target = groups.find((group) => !isSpecialGroup(group.id, windowId, windowState)
+      && parseGroupTitle(group.title).baseName.toLowerCase() === baseName.toLowerCase());
+
+    let groupId;
+    if (target) {
+      groupId = target.id;
+      if (meta?.groupId === groupId) return groupId;
+      await chrome.tabs.group({ tabIds: [tabId], groupId });
+    } else {
+      groupId = await chrome.tabs.group({ tabIds: [tabId], createProperties: { windowId } });
+      trackExtensionGroup(groupId);
+      const properties = { title: rule.title };
+      markExtensionTitleUpdate(groupId, rule.title);
+      if (rule.color) {
+        properties.color = rule.color;
+        markExtensionColorUpdate(groupId, rule.color);
+      }
+      await chrome.tabGroups.update(groupId, properties);
+    }
+
+    if (meta) {
+      meta.groupId = groupId;
+      meta.isSpecialGroup = false;
+    }
+    logger.debug('Tab grouped by rule', { tabId, groupId, title: rule.title, created: !target });
+    return groupId;
+  } catch (err) {
+    logger.warn('Failed to group tab by rule', {
+      tabId,
+      windowId,
+      title: rule.title,
+      error: err.message,
+      errorCode: ERROR_CODES.ERR_TAB_GROUP,
+    });
+    return null;
+  }
+}
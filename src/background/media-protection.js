@@ -0,0 +1,92 @@
+import { DEFAULT_MEDIA_FREEZE, MEDIA_SIGNAL } from '../shared/constants.js';
+import { resumeAgingFrom } from './snooze.js';
+
+/**
+ * Media protection: tabs playing audio (or muted by the user) must not age
+ * out from under a podcast or a video call.
+ *
+ * Each evaluation cycle reads live tab properties and freezes the age of every
+ * tab showing an enabled signal — and of every tab in the same user group, so
+ * the group as a whole stays put. While frozen, the age is computed against the
+ * moment the freeze started (`mediaFrozenAtActiveTime`, `mediaFrozenAtWallTime`
+ * on the tabMeta entry); when the signal goes away, refresh times are shifted
+ * forward by the frozen duration and aging resumes where it stopped.
+ *
+ * Chrome does not expose camera/microphone capture through the tabs API, so
+ * calls are caught by their audio.
+ */
+
+/**
+ * Enabled signals present on a live chrome.tabs.Tab.
+ *
+ * @returns {string[]} MEDIA_SIGNAL values
+ */
+export function getMediaSignals(tab, settings) {
+  const signals = [];
+  if (tab?.audible && (settings?.freezeAudibleTabs ?? DEFAULT_MEDIA_FREEZE.AUDIBLE)) {
+    signals.push(MEDIA_SIGNAL.AUDIBLE);
+  }
+  if (tab?.mutedInfo?.muted && (settings?.freezeMutedTabs ?? DEFAULT_MEDIA_FREEZE.MUTED)) {
+    signals.push(MEDIA_SIGNAL.MUTED);
+  }
+  return signals;
+}
+
+export function isMediaProtected(tab, settings) {
+  return getMediaSignals(tab, settings).length > 0;
+}
+
+export function isMediaFrozen(meta) {
+  return Number.isFinite(meta?.mediaFrozenAtActiveTime);
+}
+
+/**
+ * Start or release media freezes to match the live tabs.
+ *
+ * @param {object} tabMeta
+ * @param {object[]} liveTabs - Result of chrome.tabs.query({})
+ * @param {object} settings
+ * @param {number} activeTimeMs
+ * @param {number} [now]
+ * @returns {{frozen: number[], released: number[]}} Tab IDs whose freeze started / ended
+ */
+export function applyMediaFreeze(tabMeta, liveTabs, settings, activeTimeMs, now = Date.now()) {
+  const protectedTabIds = new Set();
+  for (const tab of liveTabs) {
+    if (isMediaProtected(tab, settings)) protectedTabIds.add(tab.id);
+  }
+
+  // A protected member freezes its whole user group
+  const protectedGroupIds = new Set();
+  for (const meta of Object.values(tabMeta)) {
+    if (protectedTabIds.has(meta.tabId) && meta.groupId !== null && !meta.isSpecialGroup) {
+      protectedGroupIds.add(meta.groupId);
+    }
+  }
+
+  const result = { frozen: [], released: [] };
+  for (const meta of Object.values(tabMeta)) {
+    const shouldFreeze = protectedTabIds.has(meta.tabId)
+      || (meta.groupId !== null && !meta.isSpecialGroup && protectedGroupIds.has(meta.groupId));
+    if (shouldFreeze && !isMediaFrozen(meta)) {
+      meta.mediaFrozenAtActiveTime = activeTimeMs;
+      meta.mediaFrozenAtWallTime = now;
+      result.frozen.push(meta.tabId);
+    } else if (!shouldFreeze && isMediaFrozen(meta)) {
+      resumeAgingFrom(meta, meta.mediaFrozenAtActiveTime, meta.mediaFrozenAtWallTime, activeTimeMs, now);
+      delete meta.mediaFrozenAtActiveTime;
+      delete meta.mediaFrozenAtWallTime;
+      result.released.push(meta.tabId);
+    }
+  }
+  return result;
+}
+
+/**
+ * Carry a media freeze over to a new tabMeta entry (URL re-matching on restart).
+ */
+export function copyMediaFreeze(from, to) {
+  if (!isMediaFrozen(from)) return;
+  to.mediaFrozenAtActiveTime = from.mediaFrozenAtActiveTime;
+  to.mediaFrozenAtWallTime = from.mediaFrozenAtWallTime;
+}
@@ -0,0 +1,104 @@
+import { NAVIGATION_KIND, NAVIGATION_RESET_SETTINGS, DEFAULT_NAVIGATION_RESET } from '../shared/constants.js';
+import { findMatchingRule } from '../shared/url-patterns.js';
+
+/**
+ * Navigation reset policy: which main-frame navigations count as using a tab
+ * and reset its age. A navigation is one of NAVIGATION_KIND — to another
+ * origin, to another path, a query-only or hash-only change, a History API
+ * (pushState / replaceState) route change, or a reload — and each kind has a
+ * `settings.resetOn*` toggle (NAVIGATION_RESET_SETTINGS).
+ *
+ * `settings.navigationResetRules` is an ordered list of per-domain overrides
+ * (`{ pattern, resetOn*... }`); the first rule whose pattern matches the new
+ * URL wins, and toggles it does not set fall back to the global ones.
+ *
+ * Only navigations the user can be held responsible for count at all (see
+ * attributeNavigation): a page in a background tab reloading or redirecting
+ * itself is not the user using it.
+ */
+
+/** The webNavigation event a navigation was reported by. */
+export const NAVIGATION_SOURCE = Object.freeze({
+  COMMITTED: 'onCommitted',
+  HISTORY_STATE: 'onHistoryStateUpdated',
+  FRAGMENT: 'onReferenceFragmentUpdated',
+});
+
+function parseUrl(url) {
+  try {
+    return new URL(url);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Tell what kind of navigation took a tab from one URL to another.
+ *
+ * @param {string} previousUrl - URL stored for the tab
+ * @param {string} url - URL navigated to
+ * @param {string} source - NAVIGATION_SOURCE.*
+ * @param {string} [transitionType] - webNavigation transition type (onCommitted)
+ * @returns {string|null} NAVIGATION_KIND.*, or null when a commit did not
+ *   change the URL and is not a reload (e.g. a restored tab loading lazily)
+ */
+export function classifyNavigation(previousUrl, url, source, transitionType) {
+  if (source === NAVIGATION_SOURCE.COMMITTED && transitionType === 'reload') return NAVIGATION_KIND.RELOAD;
+
+  const before = parseUrl(previousUrl);
+  const after = parseUrl(url);
+  const hashOnly = before && after && before.origin === after.origin && before.pathname === after.pathname
+    && before.search === after.search && before.hash !== after.hash;
+  if (source === NAVIGATION_SOURCE.FRAGMENT) return NAVIGATION_KIND.HASH;
+  if (source === NAVIGATION_SOURCE.HISTORY_STATE) return hashOnly ? NAVIGATION_KIND.HASH : NAVIGATION_KIND.PUSH_STATE;
+
+  if (!before || !after || before.origin !== after.origin) {
+    return previousUrl === url ? null : NAVIGATION_KIND.CROSS_ORIGIN;
+  }
+  if (before.pathname !== after.pathname) return NAVIGATION_KIND.PATH;
+  if (before.search !== after.search) return NAVIGATION_KIND.QUERY;
+  return hashOnly ? NAVIGATION_KIND.HASH : null;
+}
+
+/**
+ * Whether a navigation of this kind to `url` resets the tab's age.
+ *
+ * @param {string} kind - NAVIGATION_KIND.*
+ * @param {string} url - URL navigated to, matched against the per-domain rules
+ * @param {object} settings
+ * @returns {boolean}
+ */
+export function resetsAge(kind, url, settings) {
+  const key = NAVIGATION_RESET_SETTINGS[kind];
+  const rule = findMatchingRule(settings?.navigationResetRules, url);
+  if (typeof rule?.[key] === 'boolean') return rule[key];
+  return typeof settings?.[key] === 'boolean' ? settings[key] : DEFAULT_NAVIGATION_RESET[kind];
+}
+
+// Navigations started from the browser UI rather than by the page
+const USER_TRANSITION_TYPES = new Set(['typed', 'auto_bookmark', 'generated', 'keyword', 'keyword_generated']);
+const USER_TRANSITION_QUALIFIERS = new Set(['from_address_bar', 'forward_back']);
+
+/**
+ * Tell whether the user is behind a navigation. Anything in the tab they are
+ * looking at — active in the focused window — is theirs; elsewhere only the
+ * transitions the browser UI starts are (typing or picking a URL, a bookmark,
+ * back / forward). Reloads and redirects a page triggers by itself in the
+ * background, like an auto-refreshing dashboard, are not.
+ *
+ * @param {object} context
+ * @param {boolean} [context.tabActive]
+ * @param {boolean} [context.windowFocused]
+ * @param {string} [context.transitionType] - webNavigation transition type
+ * @param {string[]} [context.transitionQualifiers] - webNavigation transition qualifiers
+ * @returns {string|null} Why it is the user's — 'focusedTab', 'transitionType'
+ *   or 'transitionQualifier' — or null when it is not
+ */
+export function attributeNavigation({ tabActive, windowFocused, transitionType, transitionQualifiers } = {}) {
+  if (tabActive && windowFocused) return 'focusedTab';
+  if (USER_TRANSITION_TYPES.has(transitionType)) return 'transitionType';
+  if ((transitionQualifiers || []).some((qualifier) => USER_TRANSITION_QUALIFIERS.has(qualifier))) {
+    return 'transitionQualifier';
+  }
+  return null;
+}
@@ -0,0 +1,88 @@
+import { DEFAULT_OPENER_TREE } from '../shared/constants.js';
+
+/**
+ * Opener tree: the tabMeta entry of a tab opened from another tab records
+ * that tab as `openerTabId`, so TabCycle knows which tabs were spawned from
+ * which. When a tab closes, the tabs it opened move up to its own opener;
+ * after a restart reconcileStateImpl remaps the IDs to the restored tabs.
+ *
+ * With `settings.refreshKeepsOpenerAlive`, refreshing a tab also refreshes
+ * the tab that opened it, so a research tab stays around while the tabs it
+ * spawned are in use.
+ */
+
+export function isOpenerKeepAliveEnabled(settings) {
+  return settings?.refreshKeepsOpenerAlive ?? DEFAULT_OPENER_TREE.KEEP_OPENER_ALIVE;
+}
+
+function getMeta(tabMeta, tabId) {
+  return tabMeta[tabId] || tabMeta[String(tabId)];
+}
+
+/**
+ * IDs of every tab opened from a tab, directly or further down, nearest first.
+ *
+ * @param {number} tabId
+ * @param {object} tabMeta
+ * @returns {number[]}
+ */
+export function getOpenedTabIds(tabId, tabMeta) {
+  const children = new Map(); // openerTabId → child tabIds
+  for (const meta of Object.values(tabMeta)) {
+    if (meta.openerTabId === undefined) continue;
+    const bucket = children.get(meta.openerTabId) || [];
+    bucket.push(meta.tabId);
+    children.set(meta.openerTabId, bucket);
+  }
+
+  const seen = new Set([tabId]);
+  const opened = [];
+  const queue = [tabId];
+  while (queue.length > 0) {
+    for (const childId of children.get(queue.shift()) || []) {
+      if (seen.has(childId)) continue;
+      seen.add(childId);
+      opened.push(childId);
+      queue.push(childId);
+    }
+  }
+  return opened;
+}
+
+/**
+ * Hand the tabs a closed tab opened over to its own opener, or make them
+ * roots when it had none.
+ *
+ * @param {object} removedMeta - The closed tab's former tabMeta entry
+ * @param {object} tabMeta
+ */
+export function reparentOpenedTabs(removedMeta, tabMeta) {
+  for (const meta of Object.values(tabMeta)) {
+    if (meta.openerTabId !== removedMeta.tabId) continue;
+    if (removedMeta.openerTabId !== undefined && removedMeta.openerTabId !== meta.tabId) {
+      meta.openerTabId = removedMeta.openerTabId;
+    } else {
+      delete meta.openerTabId;
+    }
+  }
+}
+
+/**
+ * Point each entry's opener at the ID its tab has now, dropping openers that
+ * are gone or unknown.
+ *
+ * @param {object} tabMeta
+ * @param {Map<number, number>|null} [tabIdMap] - Old tab ID → new tab ID of
+ *   every tab still open; without one, IDs are taken as unchanged
+ */
+export function remapOpenerTree(tabMeta, tabIdMap = null) {
+  for (const meta of Object.values(tabMeta)) {
+    if (meta.openerTabId === undefined) continue;
+    const openerTabId = tabIdMap ? tabIdMap.get(meta.openerTabId) : meta.openerTabId;
+    if (openerTabId !== undefined && openerTabId !== meta.tabId && getMeta(tabMeta, openerTabId)) {
+      meta.openerTabId = openerTabId;
+    } else {
+      delete meta.openerTabId;
+    }
+  }
+}
@@ -0,0 +1,49 @@
+import { matchesGlob, matchesUrlPattern } from '../shared/url-patterns.js';
+import { isMediaProtected } from './media-protection.js';
+import { isSnoozed } from './snooze.js';
+import { isWindowFrozen, hasWindowFreeze } from './window-profiles.js';
+import { hasGroupFreeze } from './group-policies.js';
+
+/**
+ * "Never close" protection.
+ *
+ * Protected tabs still age, change color and get sorted into zones, but they
+ * never reach GONE and are never removed by gone handling. A tab is protected
+ * when its URL matches `settings.protectedUrlPatterns`; a whole user group is
+ * protected when its base title (age suffix stripped by the caller) matches
+ * `settings.protectedGroupTitles` or when any of its tabs is protected.
+ */
+
+export function isProtectedUrl(url, settings) {
+  const patterns = settings?.protectedUrlPatterns;
+  if (!Array.isArray(patterns) || !url) return false;
+  return patterns.some((pattern) => matchesUrlPattern(pattern, url));
+}
+
+export function isProtectedGroupName(baseName, settings) {
+  const patterns = settings?.protectedGroupTitles;
+  if (!Array.isArray(patterns) || !baseName) return false;
+  return patterns.some((pattern) => matchesGlob(pattern, baseName));
+}
+
+/**
+ * Whether a live tab may be closed before it ages out (duplicate copies, tabs
+ * over the window budget). Tabs in view, pinned, playing media, protected,
+ * snoozed or frozen are left alone.
+ *
+ * @param {object} tab - Live chrome.tabs.Tab
+ * @param {object} meta - Its tabMeta entry
+ * @param {object} settings
+ * @param {object} [windowState]
+ * @param {Set<number>} [protectedGroupIds] - Groups with a protected title (see getProtectedGroupIds)
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+export function canCloseEarly(tab, meta, settings, windowState, protectedGroupIds = new Set(), now = Date.now()) {
+  if (tab.active || tab.pinned || meta.pinned) return false;
+  if (isMediaProtected(tab, settings)) return false;
+  if (isProtectedUrl(meta.url || tab.url, settings)) return false;
+  if (meta.groupId != null && protectedGroupIds.has(meta.groupId)) return false;
+  if (isSnoozed(meta, windowState, now)) return false;
+  return !isWindowFrozen(tab.windowId, windowState) && !hasWindowFreeze(meta) && !hasGroupFreeze(meta);
+}
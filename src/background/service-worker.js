@@ -1,8 +1,17 @@
-import { STORAGE_KEYS, ALARM_NAME, ALARM_PERIOD_MINUTES, DEFAULT_THRESHOLDS, DEFAULT_BOOKMARK_SETTINGS, DEFAULT_AUTO_GROUP_NAMING, DEFAULT_SHOW_GROUP_AGE, DEFAULT_AGING_TOGGLES, DEFAULT_TRANSITION_TOGGLES, DEFAULT_GROUP_NAMES, DEFAULT_AUTO_GROUP, TIME_MODE, STATUS, ERROR_CODES, SPECIAL_GROUP_TYPES } from '../shared/constants.js';
+import { STORAGE_KEYS, ALARM_NAME, ALARM_PERIOD_MINUTES, DEFAULT_THRESHOLDS, DEFAULT_BOOKMARK_SETTINGS, DEFAULT_AUTO_GROUP_NAMING, DEFAULT_SHOW_GROUP_AGE, DEFAULT_AGING_TOGGLES, DEFAULT_TRANSITION_TOGGLES, DEFAULT_ACTIVATION_REFRESH, DEFAULT_OPENER_TREE, NAVIGATION_RESET_SETTINGS, DEFAULT_NAVIGATION_RESET, DEFAULT_IDLE_DETECTION, DEFAULT_MEDIA_FREEZE, DEFAULT_DISCARD, DEFAULT_TAB_BUDGET, DEFAULT_DUPLICATES, DUPLICATE_ACTION, DEFAULT_DRY_RUN, DEFAULT_GONE_WARNING, GONE_WARNING_SNOOZE_MS, CLOSE_REASON, DRY_RUN_ACTION, DEFAULT_GROUP_NAMES, DEFAULT_AUTO_GROUP, DEFAULT_GROUP_SIZE_CAP, DEFAULT_DOMAIN_CLUSTERING, GROUPING_RULE_ACTION, DEFAULT_LIFECYCLE, TIME_MODE, AGING_MODE, STATUS, ERROR_CODES, MESSAGE_TYPES, SNOOZE_TARGET, WINDOW_PROFILE } from '../shared/constants.js';
 import { createLogger } from '../shared/logger.js';
 import { readState, batchWrite } from './state-persistence.js';
-import { createTabEntry, handleNavigation } from './tab-tracker.js';
-import { evaluateAllTabs } from './status-evaluator.js';
+import { validateAgingProfile } from '../shared/schemas.js';
+import {
+  createTabEntry,
+  handleNavigation,
+  recordActivation,
+  startForeground,
+  stopForeground,
+  copyUsageStats,
+  getForegroundMs,
+} from './tab-tracker.js';
+import { evaluateAllTabs, computeFrecencyFactor } from './status-evaluator.js';
 import {
   isSpecialGroup,
   getSpecialGroupType,
@@ -19,13 +28,76 @@ import {
   consumeExpectedExtensionColorUpdate,
   updateGroupTitlesWithAge,
   removeAgeSuffixFromAllGroups,
+  updateGroupPolicy,
+  syncGroupPolicies,
+  getProtectedGroupIds,
+  moveGroupState,
+  hasGroupState,
 } from './group-manager.js';
 import { placeNewTab } from './tab-placer.js';
+import { findGroupingRule, applyGroupingRule } from './grouping-rules.js';
+import { isDomainClusteringEnabled, findDomainClusters, clusterTabs } from './domain-clustering.js';
+import {
+  isOpenerKeepAliveEnabled,
+  getOpenedTabIds,
+  reparentOpenedTabs,
+  remapOpenerTree,
+} from './opener-tree.js';
+import {
+  snoozeTab,
+  unsnoozeTab,
+  snoozeGroup,
+  unsnoozeGroup,
+  getGroupSnooze,
+  releaseExpiredSnoozes,
+  copyTabSnooze,
+} from './snooze.js';
+import { applyMediaFreeze, copyMediaFreeze, isMediaFrozen } from './media-protection.js';
+import {
+  getWindowProfile,
+  setWindowProfile,
+  isWindowFrozen,
+  hasWindowFreeze,
+  applyWindowFreeze,
+  copyWindowFreeze,
+} from './window-profiles.js';
+import { applyGroupFreeze, hasGroupFreeze, copyGroupFreeze } from './group-policies.js';
+import { isDiscardEnabled, findTabsToDiscard, discardTabs } from './tab-discarder.js';
+import {
+  isDuplicateDetectionEnabled,
+  resolveDuplicateAction,
+  findDuplicates,
+  transferFreshestRefresh,
+  closeDuplicates,
+} from './duplicate-detector.js';
+import { isTabBudgetEnabled, resolveTabBudget, findTabsOverBudget, evictTabs } from './tab-budget.js';
+import {
+  isDryRunEnabled,
+  createDryRunReport,
+  recordDryRunTabActions,
+  recordDryRunTransitions,
+} from './dry-run.js';
+import { createClosedEntry, appendClosedEntries, restoreClosedEntry } from './closed-journal.js';
+import { NAVIGATION_SOURCE, classifyNavigation, resetsAge, attributeNavigation } from './navigation-policy.js';
+import {
+  planGoneWarnings,
+  withdrawGoneWarnings,
+  showGoneWarnings,
+  clearGoneWarnings,
+  clearStaleGoneWarnings,
+  groupWarningId,
+  parseWarningId,
+} from './gone-warnings.js';
+import {
+  resolveLifecycle, getStage, setStageGroupName, classicLifecycleStages, migrateSettingsToLifecycle,
+} from '../shared/lifecycle.js';
 import { resolveBookmarkFolder, isBookmarkableUrl, bookmarkTab, bookmarkGroupTabs } from './bookmark-manager.js';
 import {
   initActiveTime,
   recoverActiveTime,
   handleFocusChange,
+  handleIdleStateChange,
+  setPauseOnIdle,
   persistActiveTime,
   getCurrentActiveTime,
   getCachedActiveTimeState,
@@ -42,6 +114,10 @@ const EVALUATION_CYCLE_TIMEOUT_MS = 60_000; // auto-reset guard after 60s
 // Guard: suppress onUpdated groupId handler while placeNewTab is running
 let tabPlacementRunning = false;
 
+// Guard: suppress placement and the onUpdated groupId handler while tabs from
+// the closed-tab journal are reopened; the restore tracks them itself.
+let closedTabRestoreRunning = false;
+
 // Guard: suppress placeNewTab and navigation events during browser startup
 // to avoid interfering with Chrome's session-restore group assignments.
 // Chrome fires onCreated for restored tabs before groupId is set,
@@ -112,8 +188,9 @@ async function _runSortAndUpdate(windowId) {
 
     // Only sort tabs/groups based on aging status when the master toggle is on.
     // When aging is disabled, stale statuses must not drive tab placement or group reordering.
+    // In dry run only the evaluation cycle sorts, into its report.
     const agingOn = settings.agingEnabled !== false;
-    if (agingOn) {
+    if (agingOn && !isDryRunEnabled(settings)) {
       await sortTabsAndGroups(windowId, tabMeta, windowState, undefined, settings);
     }
 
@@ -168,17 +245,40 @@ chrome.runtime.onInstalled.addListener(async (details) => {
       } else {
         const defaultSettings = {
           timeMode: TIME_MODE.ACTIVE,
+          agingMode: AGING_MODE.LINEAR,
           thresholds: {
             greenToYellow: DEFAULT_THRESHOLDS.GREEN_TO_YELLOW,
             yellowToRed: DEFAULT_THRESHOLDS.YELLOW_TO_RED,
             redToGone: DEFAULT_THRESHOLDS.RED_TO_GONE,
           },
+          thresholdRules: [],
+          protectedUrlPatterns: [],
+          protectedGroupTitles: [],
+          quietHours: [],
           // v2 aging toggles
           agingEnabled: DEFAULT_AGING_TOGGLES.AGING_ENABLED,
           tabSortingEnabled: DEFAULT_AGING_TOGGLES.TAB_SORTING_ENABLED,
           tabgroupSortingEnabled: DEFAULT_AGING_TOGGLES.TABGROUP_SORTING_ENABLED,
           tabgroupColoringEnabled: DEFAULT_AGING_TOGGLES.TABGROUP_COLORING_ENABLED,
           showGroupAge: DEFAULT_SHOW_GROUP_AGE,
+          activationRefreshEnabled: DEFAULT_ACTIVATION_REFRESH.ENABLED,
+          activationDwellSeconds: DEFAULT_ACTIVATION_REFRESH.DWELL_SECONDS,
+          refreshKeepsOpenerAlive: DEFAULT_OPENER_TREE.KEEP_OPENER_ALIVE,
+          ...Object.fromEntries(Object.entries(NAVIGATION_RESET_SETTINGS)
+            .map(([kind, key]) => [key, DEFAULT_NAVIGATION_RESET[kind]])),
+          navigationResetRules: [],
+          idleDetectionSeconds: DEFAULT_IDLE_DETECTION.SECONDS,
+          freezeAudibleTabs: DEFAULT_MEDIA_FREEZE.AUDIBLE,
+          freezeMutedTabs: DEFAULT_MEDIA_FREEZE.MUTED,
+          discardEnabled: DEFAULT_DISCARD.ENABLED,
+          discardDelayMinutes: DEFAULT_DISCARD.DELAY_MINUTES,
+          tabBudgetEnabled: DEFAULT_TAB_BUDGET.ENABLED,
+          maxTabsPerWindow: DEFAULT_TAB_BUDGET.MAX_TABS_PER_WINDOW,
+          duplicateDetectionEnabled: DEFAULT_DUPLICATES.ENABLED,
+          duplicateAction: DEFAULT_DUPLICATES.ACTION,
+          duplicateStripHash: DEFAULT_DUPLICATES.STRIP_HASH,
+          duplicateStripTrackingParams: DEFAULT_DUPLICATES.STRIP_TRACKING_PARAMS,
+          dryRunEnabled: DEFAULT_DRY_RUN,
           // v2 transition toggles
           greenToYellowEnabled: DEFAULT_TRANSITION_TOGGLES.GREEN_TO_YELLOW_ENABLED,
           yellowToRedEnabled: DEFAULT_TRANSITION_TOGGLES.YELLOW_TO_RED_ENABLED,
@@ -186,17 +286,30 @@ chrome.runtime.onInstalled.addListener(async (details) => {
           // v2 group names
           yellowGroupName: DEFAULT_GROUP_NAMES.YELLOW_GROUP_NAME,
           redGroupName: DEFAULT_GROUP_NAMES.RED_GROUP_NAME,
+          // v3 lifecycle stages (the classic stages until the user customizes them)
+          customStagesEnabled: DEFAULT_LIFECYCLE.CUSTOM_STAGES_ENABLED,
+          lifecycleStages: classicLifecycleStages(),
           // Bookmark settings
           bookmarkEnabled: DEFAULT_BOOKMARK_SETTINGS.BOOKMARK_ENABLED,
           bookmarkFolderName: DEFAULT_BOOKMARK_SETTINGS.BOOKMARK_FOLDER_NAME,
+          // Notifications before closing
+          goneWarningEnabled: DEFAULT_GONE_WARNING.ENABLED,
+          goneWarningMinutes: DEFAULT_GONE_WARNING.MINUTES,
           // Auto-group settings (independent of aging)
           autoGroupEnabled: DEFAULT_AUTO_GROUP.ENABLED,
+          noOpenerPlacement: DEFAULT_AUTO_GROUP.NO_OPENER_PLACEMENT,
+          groupSizeCapEnabled: DEFAULT_GROUP_SIZE_CAP.ENABLED,
+          maxTabsPerGroup: DEFAULT_GROUP_SIZE_CAP.MAX_TABS_PER_GROUP,
+          domainClusteringEnabled: DEFAULT_DOMAIN_CLUSTERING.ENABLED,
+          domainClusteringMinTabs: DEFAULT_DOMAIN_CLUSTERING.MIN_TABS,
+          domainClusteringScope: DEFAULT_DOMAIN_CLUSTERING.SCOPE,
+          groupingRules: [],
           autoGroupNamingEnabled: DEFAULT_AUTO_GROUP_NAMING.ENABLED,
           autoGroupNamingDelayMinutes: DEFAULT_AUTO_GROUP_NAMING.DELAY_MINUTES,
         };
 
         await batchWrite({
-          [STORAGE_KEYS.SCHEMA_VERSION]: 2,
+          [STORAGE_KEYS.SCHEMA_VERSION]: 3,
           [STORAGE_KEYS.SETTINGS]: defaultSettings,
           [STORAGE_KEYS.TAB_META]: {},
           [STORAGE_KEYS.WINDOW_STATE]: {},
@@ -208,7 +321,7 @@ chrome.runtime.onInstalled.addListener(async (details) => {
       }
     }
 
-    // v1 → v2 migration: add new fields with defaults, preserve existing fields
+    // v1 → v2 → v3 migrations: add new fields with defaults, preserve existing fields
     if (details.reason === 'update') {
       const state = await readState([STORAGE_KEYS.SCHEMA_VERSION, STORAGE_KEYS.SETTINGS]);
       const schemaVersion = state[STORAGE_KEYS.SCHEMA_VERSION];
@@ -233,8 +346,23 @@ chrome.runtime.onInstalled.addListener(async (details) => {
         });
         logger.info('Migrated settings from schema v1 to v2', { fieldsAdded: 10 }, cid);
       }
+
+      // v2 → v3 migration: map the classic settings onto the lifecycle stage list
+      if (schemaVersion === 1 || schemaVersion === 2) {
+        const latest = await readState([STORAGE_KEYS.SETTINGS]);
+        const migrated = migrateSettingsToLifecycle(latest[STORAGE_KEYS.SETTINGS] || {});
+        await batchWrite({
+          [STORAGE_KEYS.SCHEMA_VERSION]: 3,
+          [STORAGE_KEYS.SETTINGS]: migrated,
+        });
+        logger.info('Migrated settings from schema v2 to v3', {
+          stageCount: migrated.lifecycleStages.length,
+        }, cid);
+      }
     }
 
+    await _applyIdleSettings(cid);
+
     await chrome.alarms.create(ALARM_NAME, { periodInMinutes: ALARM_PERIOD_MINUTES });
     logger.info('Alarm created', { name: ALARM_NAME, periodMinutes: ALARM_PERIOD_MINUTES }, cid);
 
@@ -268,6 +396,7 @@ chrome.runtime.onStartup.addListener(async () => {
 
   try {
     await recoverActiveTime();
+    await _applyIdleSettings(cid);
 
     const alarm = await chrome.alarms.get(ALARM_NAME);
     if (!alarm) {
@@ -362,14 +491,27 @@ async function _runEvaluationCycleInner(cid) {
     currentActiveTimeMs: currentActiveTime,
     accumulatedMs: activeTimeState.accumulatedMs,
     focusStartTime: activeTimeState.focusStartTime,
+    agingMode: settings.agingMode || AGING_MODE.LINEAR,
     thresholds: settings.thresholds,
     tabCount: Object.keys(tabMeta).length,
   }, cid);
+  if (settings.agingMode === AGING_MODE.FRECENCY) {
+    const now = Date.now();
+    logger.debug('Frecency diagnostics', {
+      tabs: Object.values(tabMeta).map((m) => ({
+        tabId: m.tabId,
+        activationCount: m.activationCount || 0,
+        foregroundMs: getForegroundMs(m, now),
+        factor: Number(computeFrecencyFactor(m, now).toFixed(3)),
+      })),
+    }, cid);
+  }
 
   // Reconcile groupId: fix stale tabMeta.groupId values by querying Chrome
   let groupIdFixes = 0;
+  let chromeTabs = null;
   try {
-    const chromeTabs = await chrome.tabs.query({});
+    chromeTabs = await chrome.tabs.query({});
     for (const ct of chromeTabs) {
       const meta = tabMeta[ct.id] || tabMeta[String(ct.id)];
       if (!meta) continue;
@@ -388,23 +530,146 @@ async function _runEvaluationCycleInner(cid) {
     logger.warn('Failed to reconcile groupIds', { error: err.message }, cid);
   }
 
-  const transitions = evaluateAllTabs(tabMeta, currentActiveTime, settings);
+  // Derive group policies from title directives ("!slow", "⏸", …)
+  let liveGroups = [];
+  try {
+    liveGroups = await chrome.tabGroups.query({});
+    syncGroupPolicies(liveGroups, windowState);
+  } catch (err) {
+    logger.warn('Failed to read group policies', { error: err.message }, cid);
+  }
+
+  // Freeze the age of every tab in a frozen window; resume tabs that left one
+  const windowFreeze = applyWindowFreeze(tabMeta, windowState, currentActiveTime);
+  if (windowFreeze.frozen.length > 0 || windowFreeze.released.length > 0) {
+    logger.info('Window freeze updated', windowFreeze, cid);
+  }
+  const groupFreeze = applyGroupFreeze(tabMeta, windowState, currentActiveTime);
+  if (groupFreeze.frozen.length > 0 || groupFreeze.released.length > 0) {
+    logger.info('Group freeze updated', groupFreeze, cid);
+  }
+
+  // Freeze the age of tabs playing media (and their groups); resume the rest.
+  // Tabs of frozen windows and groups are already frozen as a whole.
+  if (chromeTabs) {
+    const mediaTabs = chromeTabs.filter((t) => !isWindowFrozen(t.windowId, windowState)
+      && !hasGroupFreeze(tabMeta[t.id] || tabMeta[String(t.id)]));
+    const mediaFreeze = applyMediaFreeze(tabMeta, mediaTabs, settings, currentActiveTime);
+    if (mediaFreeze.frozen.length > 0 || mediaFreeze.released.length > 0) {
+      logger.info('Media freeze updated', mediaFreeze, cid);
+    }
+  }
+
+  // Release expired snoozes before evaluating so those tabs resume aging now
+  const releasedSnoozes = releaseExpiredSnoozes(tabMeta, windowState, currentActiveTime);
+  if (releasedSnoozes.tabs > 0 || releasedSnoozes.groups > 0) {
+    logger.info('Released expired snoozes', releasedSnoozes, cid);
+  }
+
+  const protectedGroupIds = getProtectedGroupIds(liveGroups, settings);
+
+  // In dry run, actions on tabs and groups are recorded instead of performed
+  const dryRunReport = isDryRunEnabled(settings) ? createDryRunReport() : null;
+
+  // Every closure is journaled so it can be undone; tabs closed on their own
+  // out of a user group keep that group in their entry
+  const closedEntries = [];
+  const closedMetas = [];
+  const recordClosed = (reason, tabs, group) => {
+    const { meta } = tabs[0];
+    const userGroup = group
+      ?? (meta.isSpecialGroup ? null : liveGroups.find((g) => g.id === meta.groupId) ?? null);
+    closedEntries.push(createClosedEntry(reason, tabs, userGroup, currentActiveTime, settings));
+    closedMetas.push(...tabs.map((t) => t.meta));
+  };
+
+  // Consolidate tabs open on the same URL before evaluating, so each survivor
+  // is evaluated with the freshest refresh time of its set (tab ages are left
+  // alone in dry run)
+  let goneDuplicateIds = [];
+  if (chromeTabs && isDuplicateDetectionEnabled(settings)) {
+    const duplicateSets = findDuplicates(tabMeta, chromeTabs, settings, windowState, protectedGroupIds);
+    if (duplicateSets.length > 0) {
+      if (!dryRunReport) {
+        for (const set of duplicateSets) transferFreshestRefresh(set, tabMeta);
+      }
+      const duplicateIds = duplicateSets.flatMap((set) => set.duplicateIds);
+      const action = resolveDuplicateAction(settings);
+      let closed = [];
+      if (action === DUPLICATE_ACTION.CLOSE) {
+        const tabs = chromeTabs.filter((t) => duplicateIds.includes(t.id));
+        if (dryRunReport) {
+          recordDryRunTabActions(dryRunReport, tabs, { type: DRY_RUN_ACTION.CLOSE_TAB, reason: 'duplicate' });
+        } else {
+          closed = await closeDuplicates(tabs, tabMeta, recordClosed);
+        }
+      }
+      if (action === DUPLICATE_ACTION.GONE) goneDuplicateIds = duplicateIds;
+      logger.info('Consolidated duplicate tabs', {
+        action,
+        duplicates: duplicateIds.length,
+        closed: closed.length,
+        sets: duplicateSets.map((set) => ({ survivorId: set.survivorId, duplicateIds: set.duplicateIds })),
+      }, cid);
+    }
+  }
+
+  const transitions = evaluateAllTabs(tabMeta, currentActiveTime, settings, windowState, protectedGroupIds);
+  // Fast-tracked duplicates go straight to gone, whatever their age
+  for (const tabId of goneDuplicateIds) {
+    const meta = tabMeta[tabId] || tabMeta[String(tabId)];
+    if (!meta) continue;
+    if (meta.status === STATUS.GONE) {
+      delete transitions[tabId];
+    } else {
+      transitions[tabId] = { oldStatus: meta.status, newStatus: STATUS.GONE };
+    }
+  }
   const transitionCount = Object.keys(transitions).length;
 
   // Apply ALL transitions to tabMeta (including gone — sortTabsAndGroups handles closing)
+  if (dryRunReport) recordDryRunTransitions(dryRunReport, transitions, tabMeta, chromeTabs || []);
   for (const [tabId, t] of Object.entries(transitions)) {
     tabMeta[tabId].status = t.newStatus;
   }
 
+  // Unload tabs that have settled in the last stage to free their memory
+  if (chromeTabs && isDiscardEnabled(settings)) {
+    const due = findTabsToDiscard(tabMeta, chromeTabs, currentActiveTime, settings, windowState);
+    const discarded = dryRunReport
+      ? recordDryRunTabActions(dryRunReport, due, { type: DRY_RUN_ACTION.DISCARD_TAB })
+      : await discardTabs(due, tabMeta);
+    if (discarded.length > 0) {
+      logger.info('Discarded last-stage tabs', { tabIds: discarded }, cid);
+    }
+  }
+
+  // Group ungrouped green tabs that share a site before the windows are sorted
+  if (chromeTabs && isDomainClusteringEnabled(settings)) {
+    const clusters = findDomainClusters(tabMeta, chromeTabs, settings);
+    if (clusters.length > 0) {
+      const groupIds = await clusterTabs(clusters, tabMeta, settings, dryRunReport);
+      logger.info('Clustered ungrouped tabs by site', {
+        groupIds,
+        clusters: clusters.map(({ windowId, site, tabs }) => ({ windowId, site, tabIds: tabs.map((t) => t.id) })),
+      }, cid);
+    }
+  }
+
   // ── Build goneConfig for sortTabsAndGroups ─────────────────────────
   const bookmarkEnabled = typeof settings.bookmarkEnabled === 'boolean'
     ? settings.bookmarkEnabled
     : DEFAULT_BOOKMARK_SETTINGS.BOOKMARK_ENABLED;
   let bookmarkFolderId = null;
 
+  // Windows over their tab budget lose their oldest tabs, whatever their status
+  const overBudget = chromeTabs && isTabBudgetEnabled(settings)
+    ? findTabsOverBudget(tabMeta, chromeTabs, currentActiveTime, settings, windowState, protectedGroupIds)
+    : [];
+
   // Check if any tab has gone status — resolve bookmark folder once
   const hasGoneTabs = Object.values(tabMeta).some((m) => m.status === STATUS.GONE);
-  if (bookmarkEnabled && hasGoneTabs) {
+  if (bookmarkEnabled && !dryRunReport && (hasGoneTabs || overBudget.length > 0)) {
     bookmarkFolderId = await resolveBookmarkFolder(settings);
     logger.debug('Bookmark folder resolved for gone handling', { bookmarkFolderId, bookmarkEnabled }, cid);
   }
@@ -415,8 +680,21 @@ async function _runEvaluationCycleInner(cid) {
     bookmarkTab,
     bookmarkGroupTabs,
     isBookmarkableUrl,
+    recordClosed,
   };
 
+  if (overBudget.length > 0) {
+    const evicted = dryRunReport
+      ? recordDryRunTabActions(dryRunReport, overBudget, {
+        type: DRY_RUN_ACTION.CLOSE_TAB, reason: 'budget', bookmark: bookmarkEnabled,
+      })
+      : await evictTabs(overBudget, tabMeta, goneConfig);
+    logger.info('Evicted tabs over the window tab budget', {
+      budget: resolveTabBudget(settings),
+      tabIds: evicted,
+    }, cid);
+  }
+
   // ── Per-window: dissolve, sort (incl. gone handling), update titles ─
   const allWindows = new Set(Object.values(tabMeta).map((m) => m.windowId));
   const autoNaming = resolveAutoGroupNamingSettings(settings);
@@ -428,7 +706,7 @@ async function _runEvaluationCycleInner(cid) {
     // Unified sort: reads browser state, moves ungrouped tabs to special
     // groups as needed, closes gone tabs/groups, then sorts remaining
     // groups into zone order
-    await sortTabsAndGroups(wid, tabMeta, windowState, goneConfig, settings);
+    await sortTabsAndGroups(wid, tabMeta, windowState, goneConfig, settings, dryRunReport);
 
     await autoNameEligibleGroups(wid, tabMeta, windowState, autoNaming);
 
@@ -444,10 +722,36 @@ async function _runEvaluationCycleInner(cid) {
     }
   }
 
+  // Warn ahead of closures; warnings of tabs closed or refreshed since are cleared
+  const goneWarnings = planGoneWarnings(tabMeta, windowState, currentActiveTime, settings, protectedGroupIds);
+  await showGoneWarnings(goneWarnings, chromeTabs || [], liveGroups);
+  await clearStaleGoneWarnings(tabMeta, windowState);
+  if (goneWarnings.tabs.length > 0 || goneWarnings.groups.length > 0) {
+    logger.info('Gone warnings shown', goneWarnings, cid);
+  }
+
+  // Tabs opened from closed tabs move up the opener tree
+  for (const meta of closedMetas) reparentOpenedTabs(meta, tabMeta);
+  remapOpenerTree(tabMeta);
+
+  let closedJournal = null;
+  if (closedEntries.length > 0) {
+    const journalState = await readState([STORAGE_KEYS.CLOSED_JOURNAL]);
+    closedJournal = appendClosedEntries(journalState[STORAGE_KEYS.CLOSED_JOURNAL], closedEntries);
+  }
+
   await batchWrite({
     [STORAGE_KEYS.TAB_META]: tabMeta,
     [STORAGE_KEYS.WINDOW_STATE]: windowState,
+    ...(dryRunReport && { [STORAGE_KEYS.DRY_RUN_REPORT]: dryRunReport }),
+    ...(closedJournal && { [STORAGE_KEYS.CLOSED_JOURNAL]: closedJournal }),
   });
+  if (dryRunReport) {
+    logger.info('Dry run report recorded', {
+      transitions: dryRunReport.transitions.length,
+      actions: dryRunReport.actions.length,
+    }, cid);
+  }
 
   if (transitionCount > 0) {
     logger.info('Evaluation cycle complete with transitions', {
@@ -472,6 +776,10 @@ chrome.tabs.onCreated.addListener(async (tab) => {
       logger.debug('Skipping pinned tab creation', { tabId: tab.id }, cid);
       return;
     }
+    if (closedTabRestoreRunning) {
+      logger.debug('Closed tabs being restored, skipping tab placement', { tabId: tab.id }, cid);
+      return;
+    }
 
     // During browser startup, Chrome restores the previous session and fires
     // onCreated for each restored tab.  At that point groupId is not yet set,
@@ -537,6 +845,7 @@ chrome.tabs.onRemoved.addListener(async (tabId, removeInfo) => {
     const removedMeta = tabMeta[tabId] || tabMeta[String(tabId)] || null;
     delete tabMeta[tabId];
     delete tabMeta[String(tabId)];
+    if (removedMeta) reparentOpenedTabs(removedMeta, tabMeta);
     await batchWrite({ [STORAGE_KEYS.TAB_META]: tabMeta });
     // Check if removed tab was in a special group and clean up if empty
     const wsState = await readState([STORAGE_KEYS.WINDOW_STATE]);
@@ -572,6 +881,7 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
   if (changeInfo.groupId !== undefined
       && !evaluationCycleRunning
       && !tabPlacementRunning
+      && !closedTabRestoreRunning
       && !sortUpdateRunning
       && !navigationMutationTabs.has(tabId)) {
     try {
@@ -643,18 +953,148 @@ const _lastNavHandled = new Map();
 const RESTORE_NAV_SUPPRESSION_MS = 5000;
 const _restoredFromDiscardAt = new Map();
 
-function _consumeDiscardRestoreMarker(tabId, now) {
+// Every navigation shortly after a restore belongs to the reload (redirects,
+// pushState on load), so the marker holds for the whole suppression window.
+function _isRestoringFromDiscard(tabId, now) {
   const markedAt = _restoredFromDiscardAt.get(tabId);
   if (!markedAt) return false;
   if (now - markedAt > RESTORE_NAV_SUPPRESSION_MS) {
     _restoredFromDiscardAt.delete(tabId);
     return false;
   }
-  _restoredFromDiscardAt.delete(tabId);
   return true;
 }
 
-async function _handleNavigationEvent(tabId, source) {
+/**
+ * Persist a refreshed tabMeta entry and bring the browser in line with it:
+ * a tab leaving a special group is ungrouped into the green zone, its user
+ * group is recolored, and the window is re-sorted. Shared by navigation and
+ * activation refreshes. With refreshKeepsOpenerAlive, the tab that opened
+ * this one is refreshed along with it (its own opener is not).
+ */
+async function _applyRefresh(tabId, existing, updated, tabMeta, windowState, settings, cid, refreshOpener = true) {
+  tabMeta[tabId] = updated;
+  const withdrawnWarnings = withdrawGoneWarnings(updated, windowState);
+
+  // Determine if the tab is in a special group.  Check both stored meta
+  // AND the live Chrome group (the stored flag can be stale).
+  let inSpecialGroup = existing.isSpecialGroup && existing.groupId !== null;
+  let specialGroupId = inSpecialGroup ? existing.groupId : null;
+
+  if (!inSpecialGroup) {
+    // Fallback: query the live Chrome tab to get its current groupId
+    try {
+      const liveTab = await chrome.tabs.get(tabId);
+      const liveGroupId = liveTab.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE
+        ? liveTab.groupId : null;
+      if (liveGroupId !== null && isSpecialGroup(liveGroupId, liveTab.windowId, windowState)) {
+        inSpecialGroup = true;
+        specialGroupId = liveGroupId;
+        // Fix the stale meta
+        updated.groupId = liveGroupId;
+        updated.isSpecialGroup = true;
+      }
+    } catch { /* tab may have been removed */ }
+  }
+
+  // FR-024: If tab was in a special group, ungroup it (a refresh resets to green).
+  // In dry run the ungroup is added to the latest cycle's report instead.
+  if (inSpecialGroup && isDryRunEnabled(settings)) {
+    const state = await readState([STORAGE_KEYS.DRY_RUN_REPORT]);
+    const report = state[STORAGE_KEYS.DRY_RUN_REPORT] || createDryRunReport();
+    let liveTab = { id: tabId, windowId: existing.windowId, url: updated.url };
+    try {
+      liveTab = await chrome.tabs.get(tabId);
+    } catch { /* tab may have been removed */ }
+    recordDryRunTabActions(report, [liveTab], { type: DRY_RUN_ACTION.UNGROUP_TAB });
+    await batchWrite({ [STORAGE_KEYS.DRY_RUN_REPORT]: report });
+    logger.debug('Dry run: recorded ungrouping of refreshed tab in special group', {
+      tabId, specialGroupId, windowId: existing.windowId,
+    }, cid);
+  } else if (inSpecialGroup) {
+    await ungroupTab(tabId);
+    updated.groupId = null;
+    updated.isSpecialGroup = false;
+    tabMeta[tabId] = updated;
+
+    // Move ungrouped tab to the green zone (leftmost position)
+    try {
+      await chrome.tabs.move(tabId, { index: 0 });
+    } catch (moveErr) {
+      logger.warn('Failed to move ungrouped tab to green zone', {
+        tabId,
+        error: moveErr.message,
+      }, cid);
+    }
+
+    // Clean up empty special group (FR-015)
+    const groupType = getSpecialGroupType(specialGroupId, existing.windowId, windowState);
+    if (groupType) {
+      await removeSpecialGroupIfEmpty(existing.windowId, groupType, windowState);
+    }
+
+    logger.debug('Tab navigated out of special group', {
+      tabId, specialGroupId, windowId: existing.windowId,
+    }, cid);
+  }
+
+  // For tabs in user groups: update group color and re-sort immediately.
+  // All aging-driven visual updates (color, sorting) are suppressed when the
+  // master agingEnabled toggle is off, so stale statuses cannot move tabs.
+  // In dry run only the evaluation cycle acts on aging, into its report.
+  const agingOn = settings.agingEnabled !== false && !isDryRunEnabled(settings);
+  const groupId = updated.groupId;
+  if (agingOn && groupId !== null && !updated.isSpecialGroup
+      && !isSpecialGroup(groupId, existing.windowId, windowState)) {
+    if (settings.tabgroupColoringEnabled !== false) {
+      const lifecycle = resolveLifecycle(settings);
+      const stage = getStage(lifecycle, computeGroupStatus(groupId, tabMeta, lifecycle));
+      if (stage) {
+        await updateGroupColor(groupId, stage.color);
+      }
+    }
+  }
+  if (agingOn) {
+    await sortTabsAndGroups(existing.windowId, tabMeta, windowState, undefined, settings);
+  }
+
+  await batchWrite({ [STORAGE_KEYS.TAB_META]: tabMeta, [STORAGE_KEYS.WINDOW_STATE]: windowState });
+  await clearGoneWarnings(withdrawnWarnings);
+
+  const opener = refreshOpener && isOpenerKeepAliveEnabled(settings) && updated.openerTabId !== undefined
+    ? tabMeta[updated.openerTabId] || tabMeta[String(updated.openerTabId)]
+    : null;
+  if (opener && !opener.pinned) {
+    const refreshedOpener = handleNavigation(opener, updated.refreshActiveTime);
+    await _applyRefresh(opener.tabId, opener, refreshedOpener, tabMeta, windowState, settings, cid, false);
+    logger.debug('Opener kept alive by refresh of a tab it opened', { tabId, openerTabId: opener.tabId }, cid);
+  }
+}
+
+/**
+ * Move a navigated tab into the group of the grouping rule its new URL
+ * matches, unless it is pinned or already there. A special group it leaves is
+ * removed once empty.
+ *
+ * @returns {Promise<boolean>} Whether the tab changed groups
+ */
+async function _applyGroupingRuleOnNavigation(tabId, existing, url, tabMeta, windowState, settings, cid) {
+  if (settings.autoGroupEnabled === false || existing.pinned) return false;
+  const rule = findGroupingRule(settings.groupingRules, url);
+  if (rule?.action !== GROUPING_RULE_ACTION.GROUP) return false;
+
+  const previousGroupId = existing.groupId;
+  const specialType = existing.isSpecialGroup
+    ? getSpecialGroupType(previousGroupId, existing.windowId, windowState)
+    : null;
+  const groupId = await applyGroupingRule(tabId, rule, existing.windowId, tabMeta, windowState);
+  if (groupId === null || groupId === previousGroupId) return false;
+  if (specialType) await removeSpecialGroupIfEmpty(existing.windowId, specialType, windowState);
+  logger.debug('Navigated tab moved to its rule group', { tabId, groupId, pattern: rule.pattern }, cid);
+  return true;
+}
+
+async function _handleNavigationEvent(tabId, source, details = {}) {
   // During startup, session-restored tabs "navigate" to their saved URLs.
   // These are not user-initiated navigations and must not reset tab ages.
   if (startupInProgress) {
@@ -672,13 +1112,15 @@ async function _handleNavigationEvent(tabId, source) {
   const cid = logger.correlationId();
   navigationMutationTabs.add(tabId);
   try {
-    if (_consumeDiscardRestoreMarker(tabId, now)) {
+    if (_isRestoringFromDiscard(tabId, now)) {
       logger.debug('Ignoring navigation immediately after discarded-tab restore', { tabId, source }, cid);
       return;
     }
     // Skip navigations caused by Chrome restoring a suspended/discarded tab.
     // The tab was not actively navigated by the user — its age should not reset.
     let navUrl = '';
+    let tabActive = false;
+    let windowFocused = false;
     try {
       const tab = await chrome.tabs.get(tabId);
       if (tab.discarded || tab.status === 'unloaded') {
@@ -686,6 +1128,8 @@ async function _handleNavigationEvent(tabId, source) {
         return;
       }
       navUrl = tab.url || '';
+      tabActive = Boolean(tab.active);
+      if (tabActive) windowFocused = Boolean((await chrome.windows.get(tab.windowId)).focused);
     } catch { /* tab gone — will be caught below */ }
 
     const state = await readState([STORAGE_KEYS.TAB_META, STORAGE_KEYS.WINDOW_STATE, STORAGE_KEYS.SETTINGS]);
@@ -699,86 +1143,44 @@ async function _handleNavigationEvent(tabId, source) {
     }
 
     // Suppress session-restore "navigations": when Chrome lazily loads a
-    // previously frozen tab the URL matches what we already have stored.
-    // This is not a user-initiated navigation and must not reset the age.
-    if (navUrl && existing.url && navUrl === existing.url) {
+    // previously frozen tab the URL matches what we already have stored, so
+    // it is no navigation at all. It must not reset the age.
+    const kind = classifyNavigation(existing.url, navUrl, source, details.transitionType);
+    if (kind === null) {
       logger.debug('Navigation URL matches stored URL, suppressing age reset', { tabId, source, url: navUrl }, cid);
       return;
     }
-
-    const currentActiveTime = await getCurrentActiveTime();
-    const updated = handleNavigation(existing, currentActiveTime, navUrl);
-    tabMeta[tabId] = updated;
-
-    // Determine if the tab is in a special group.  Check both stored meta
-    // AND the live Chrome group (the stored flag can be stale).
-    let inSpecialGroup = existing.isSpecialGroup && existing.groupId !== null;
-    let specialGroupId = inSpecialGroup ? existing.groupId : null;
-
-    if (!inSpecialGroup) {
-      // Fallback: query the live Chrome tab to get its current groupId
-      try {
-        const liveTab = await chrome.tabs.get(tabId);
-        const liveGroupId = liveTab.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE
-          ? liveTab.groupId : null;
-        if (liveGroupId !== null && isSpecialGroup(liveGroupId, liveTab.windowId, windowState)) {
-          inSpecialGroup = true;
-          specialGroupId = liveGroupId;
-          // Fix the stale meta
-          updated.groupId = liveGroupId;
-          updated.isSpecialGroup = true;
-        }
-      } catch { /* tab may have been removed */ }
-    }
-
-    // FR-024: If tab was in a special group, ungroup it (navigating resets to green)
-    if (inSpecialGroup) {
-      await ungroupTab(tabId);
-      updated.groupId = null;
-      updated.isSpecialGroup = false;
-      tabMeta[tabId] = updated;
-
-      // Move ungrouped tab to the green zone (leftmost position)
-      try {
-        await chrome.tabs.move(tabId, { index: 0 });
-      } catch (moveErr) {
-        logger.warn('Failed to move ungrouped tab to green zone', {
-          tabId,
-          error: moveErr.message,
-        }, cid);
-      }
-
-      // Clean up empty special group (FR-015)
-      const groupType = getSpecialGroupType(specialGroupId, existing.windowId, windowState);
-      if (groupType) {
-        await removeSpecialGroupIfEmpty(existing.windowId, groupType, windowState);
+    const regrouped = await _applyGroupingRuleOnNavigation(tabId, existing, navUrl, tabMeta, windowState, settings, cid);
+
+    const resets = resetsAge(kind, navUrl, settings);
+    const attribution = resets ? attributeNavigation({
+      tabActive,
+      windowFocused,
+      transitionType: details.transitionType,
+      transitionQualifiers: details.transitionQualifiers,
+    }) : null;
+    if (!attribution) {
+      // Keep the URL current so the next navigation is told apart from this one
+      if (regrouped || (navUrl && navUrl !== existing.url)) {
+        existing.url = navUrl || existing.url;
+        await batchWrite({ [STORAGE_KEYS.TAB_META]: tabMeta, [STORAGE_KEYS.WINDOW_STATE]: windowState });
       }
-
-      logger.debug('Tab navigated out of special group', {
-        tabId, specialGroupId, windowId: existing.windowId,
-      }, cid);
-    }
-
-    // For tabs in user groups: update group color and re-sort immediately.
-    // All aging-driven visual updates (color, sorting) are suppressed when the
-    // master agingEnabled toggle is off, so stale statuses cannot move tabs.
-    const agingOn = settings.agingEnabled !== false;
-    const groupId = updated.groupId;
-    if (agingOn && groupId !== null && !updated.isSpecialGroup
-        && !isSpecialGroup(groupId, existing.windowId, windowState)) {
-      if (settings.tabgroupColoringEnabled !== false) {
-        const groupStatus = computeGroupStatus(groupId, tabMeta);
-        if (groupStatus) {
-          await updateGroupColor(groupId, groupStatus);
-        }
+      if (regrouped) _scheduleSortAndUpdate(existing.windowId);
+      if (resets) {
+        logger.debug('Navigation not attributable to the user, ignoring', {
+          tabId, source, kind, url: navUrl, tabActive, windowFocused,
+          transitionType: details.transitionType, transitionQualifiers: details.transitionQualifiers,
+        }, cid);
+      } else {
+        logger.debug('Navigation kind does not reset age', { tabId, source, kind, url: navUrl }, cid);
       }
-    }
-    if (agingOn) {
-      await sortTabsAndGroups(existing.windowId, tabMeta, windowState, undefined, settings);
+      return;
     }
 
-    await batchWrite({ [STORAGE_KEYS.TAB_META]: tabMeta, [STORAGE_KEYS.WINDOW_STATE]: windowState });
-    logger.debug('Navigation handled, refresh time reset', { tabId, source }, cid);
+    const currentActiveTime = await getCurrentActiveTime();
+    const updated = handleNavigation(existing, currentActiveTime, navUrl);
+    await _applyRefresh(tabId, existing, updated, tabMeta, windowState, settings, cid);
+    logger.debug('Navigation handled, refresh time reset', { tabId, source, kind, attribution }, cid);
   } catch (err) {
     logger.error('Navigation handler failed', { tabId, source, error: err.message }, cid);
   } finally {
@@ -788,14 +1190,132 @@ async function _handleNavigationEvent(tabId, source) {
 
 chrome.webNavigation.onCommitted.addListener(async (details) => {
   if (details.frameId !== 0) return;
-  await _handleNavigationEvent(details.tabId, 'onCommitted');
+  await _handleNavigationEvent(details.tabId, NAVIGATION_SOURCE.COMMITTED, details);
 });
 
 // Catch SPA navigations (pushState / replaceState) that don't trigger onCommitted.
 // Sites like Reddit, YouTube, Twitter, etc. use the History API for in-page navigation.
 chrome.webNavigation.onHistoryStateUpdated.addListener(async (details) => {
   if (details.frameId !== 0) return;
-  await _handleNavigationEvent(details.tabId, 'onHistoryStateUpdated');
+  await _handleNavigationEvent(details.tabId, NAVIGATION_SOURCE.HISTORY_STATE, details);
+});
+
+// Jumps to an #anchor don't trigger onCommitted either
+chrome.webNavigation.onReferenceFragmentUpdated.addListener(async (details) => {
+  if (details.frameId !== 0) return;
+  await _handleNavigationEvent(details.tabId, NAVIGATION_SOURCE.FRAGMENT, details);
+});
+
+// ─── Tab Activation ──────────────────────────────────────────────────────────
+
+// Optional: looking at a tab counts as a refresh once it has stayed active in
+// a focused window for `activationDwellSeconds`. One pending timer per window,
+// since only one tab per window can be active.
+const _activationTimers = new Map(); // windowId → timeoutId
+
+function _cancelActivationTimers() {
+  for (const timer of _activationTimers.values()) clearTimeout(timer);
+  _activationTimers.clear();
+}
+
+async function _scheduleActivationRefresh(tabId, windowId) {
+  const existingTimer = _activationTimers.get(windowId);
+  if (existingTimer) {
+    clearTimeout(existingTimer);
+    _activationTimers.delete(windowId);
+  }
+  if (startupInProgress) return;
+
+  const state = await readState([STORAGE_KEYS.SETTINGS]);
+  const settings = state[STORAGE_KEYS.SETTINGS] || {};
+  const enabled = settings.activationRefreshEnabled ?? DEFAULT_ACTIVATION_REFRESH.ENABLED;
+  if (!enabled || settings.agingEnabled === false) return;
+  const dwellSeconds = Number.isInteger(settings.activationDwellSeconds) && settings.activationDwellSeconds > 0
+    ? settings.activationDwellSeconds
+    : DEFAULT_ACTIVATION_REFRESH.DWELL_SECONDS;
+
+  _activationTimers.set(windowId, setTimeout(() => {
+    _activationTimers.delete(windowId);
+    _handleActivationDwell(tabId, windowId);
+  }, dwellSeconds * 1000));
+}
+
+async function _handleActivationDwell(tabId, windowId) {
+  if (startupInProgress || navigationMutationTabs.has(tabId)) return;
+  const cid = logger.correlationId();
+  navigationMutationTabs.add(tabId);
+  try {
+    // The tab must still be the active tab of a focused window
+    const [tab, win] = await Promise.all([chrome.tabs.get(tabId), chrome.windows.get(windowId)]);
+    if (!tab.active || tab.windowId !== windowId || !win.focused) {
+      logger.debug('Activation dwell interrupted, no refresh', { tabId, windowId }, cid);
+      return;
+    }
+
+    const state = await readState([STORAGE_KEYS.TAB_META, STORAGE_KEYS.WINDOW_STATE, STORAGE_KEYS.SETTINGS]);
+    const tabMeta = state[STORAGE_KEYS.TAB_META] || {};
+    const windowState = state[STORAGE_KEYS.WINDOW_STATE] || {};
+    const settings = state[STORAGE_KEYS.SETTINGS] || {};
+    const existing = tabMeta[tabId] || tabMeta[String(tabId)];
+    if (!existing || existing.pinned) return;
+
+    const currentActiveTime = await getCurrentActiveTime();
+    const updated = handleNavigation(existing, currentActiveTime);
+    await _applyRefresh(tabId, existing, updated, tabMeta, windowState, settings, cid);
+    logger.debug('Activation dwell reached, refresh time reset', { tabId, windowId }, cid);
+  } catch (err) {
+    logger.debug('Activation refresh skipped', { tabId, windowId, error: err.message }, cid);
+  } finally {
+    navigationMutationTabs.delete(tabId);
+  }
+}
+
+/**
+ * Frecency aging: count activations and accumulate foreground time. At most
+ * one tab is in the foreground — the active tab of the focused window — so
+ * every other open foreground session is closed here.
+ *
+ * @param {number|null} foregroundTabId - Active tab of the focused window, or null
+ * @param {boolean} activated - Whether this is a tab activation (counts a visit)
+ */
+async function _updateForegroundTracking(foregroundTabId, activated, cid) {
+  const state = await readState([STORAGE_KEYS.SETTINGS, STORAGE_KEYS.TAB_META]);
+  const settings = state[STORAGE_KEYS.SETTINGS] || {};
+  if (settings.agingMode !== AGING_MODE.FRECENCY) return;
+  const tabMeta = state[STORAGE_KEYS.TAB_META] || {};
+
+  const now = Date.now();
+  for (const meta of Object.values(tabMeta)) {
+    if (meta.tabId !== foregroundTabId) stopForeground(meta, now);
+  }
+  const meta = foregroundTabId !== null
+    ? tabMeta[foregroundTabId] || tabMeta[String(foregroundTabId)]
+    : null;
+  if (meta) {
+    if (activated) recordActivation(meta);
+    startForeground(meta, now);
+  }
+  await batchWrite({ [STORAGE_KEYS.TAB_META]: tabMeta });
+  logger.debug('Foreground tracking updated', {
+    foregroundTabId,
+    activationCount: meta?.activationCount,
+    foregroundMs: meta?.foregroundMs,
+  }, cid);
+}
+
+chrome.tabs.onActivated.addListener(async (activeInfo) => {
+  const cid = logger.correlationId();
+  try {
+    let focused = false;
+    try {
+      focused = (await chrome.windows.get(activeInfo.windowId)).focused;
+    } catch { /* window closing */ }
+    // Only activations in the focused window are visits by the user
+    if (focused) await _updateForegroundTracking(activeInfo.tabId, true, cid);
+    await _scheduleActivationRefresh(activeInfo.tabId, activeInfo.windowId);
+  } catch (err) {
+    logger.warn('onActivated handler failed', { tabId: activeInfo.tabId, error: err.message }, cid);
+  }
 });
 
 // ─── Window Focus ────────────────────────────────────────────────────────────
@@ -807,12 +1327,64 @@ chrome.windows.onFocusChanged.addListener(async (windowId) => {
     if (updatedState) {
       await persistActiveTime();
     }
+    // Dwell and foreground time only count in the focused window: restart
+    // them for the newly focused window's active tab
+    _cancelActivationTimers();
+    let activeTab = null;
+    if (windowId !== chrome.windows.WINDOW_ID_NONE) {
+      [activeTab] = await chrome.tabs.query({ active: true, windowId });
+    }
+    await _updateForegroundTracking(activeTab?.id ?? null, false, cid);
+    if (activeTab) await _scheduleActivationRefresh(activeTab.id, windowId);
     logger.debug('Window focus changed', { windowId }, cid);
   } catch (err) {
     logger.error('onFocusChanged handler failed', { windowId, error: err.message }, cid);
   }
 });
 
+// ─── Idle State ──────────────────────────────────────────────────────────────
+// Engaged time mode stops the active-time clock while the user is idle or the
+// screen is locked. The idle flag is tracked in every mode so switching to
+// engaged mode mid-idle pauses immediately.
+
+function _idleDetectionSeconds(settings) {
+  const seconds = settings?.idleDetectionSeconds;
+  return Number.isInteger(seconds) && seconds >= DEFAULT_IDLE_DETECTION.MIN_SECONDS
+    ? seconds
+    : DEFAULT_IDLE_DETECTION.SECONDS;
+}
+
+/**
+ * Push the idle settings to chrome.idle and the time accumulator, and resync
+ * the idle flag (it may be stale after a browser restart).
+ */
+async function _applyIdleSettings(cid) {
+  const state = await readState([STORAGE_KEYS.SETTINGS]);
+  const settings = state[STORAGE_KEYS.SETTINGS] || {};
+  const detectionSeconds = _idleDetectionSeconds(settings);
+  const pauseOnIdle = settings.timeMode === TIME_MODE.ENGAGED;
+
+  chrome.idle.setDetectionInterval(detectionSeconds);
+  await setPauseOnIdle(pauseOnIdle);
+  const idleState = await chrome.idle.queryState(detectionSeconds);
+  await handleIdleStateChange(idleState, detectionSeconds * 1000);
+  await persistActiveTime();
+  logger.debug('Idle settings applied', { pauseOnIdle, detectionSeconds, idleState }, cid);
+}
+
+chrome.idle.onStateChanged.addListener(async (idleState) => {
+  const cid = logger.correlationId();
+  try {
+    const state = await readState([STORAGE_KEYS.SETTINGS]);
+    const detectionSeconds = _idleDetectionSeconds(state[STORAGE_KEYS.SETTINGS]);
+    await handleIdleStateChange(idleState, detectionSeconds * 1000);
+    await persistActiveTime();
+    logger.debug('Idle state changed', { idleState }, cid);
+  } catch (err) {
+    logger.error('onStateChanged handler failed', { idleState, error: err.message }, cid);
+  }
+});
+
 // ─── Window Removed ──────────────────────────────────────────────────────────
 
 chrome.windows.onRemoved.addListener(async (windowId) => {
@@ -850,22 +1422,63 @@ chrome.tabs.onDetached.addListener(async (tabId, detachInfo) => {
   logger.debug('Tab detached', { tabId, oldWindowId: detachInfo.oldWindowId }, cid);
 });
 
+/**
+ * Whether a tab attached to another window came with its whole group rather
+ * than being dragged out of it: the group kept its ID, or the tab's old group
+ * is no longer in the old window and the group the tab is in now has no state
+ * yet — a lone tab dropped into an existing group takes none of its own.
+ */
+async function _groupMovedWithTab(oldGroupId, groupId, oldWindowId, newWindowId, windowState) {
+  if (groupId === oldGroupId) return true;
+  try {
+    const oldGroup = await chrome.tabGroups.get(oldGroupId);
+    if (oldGroup.windowId === oldWindowId) return false;
+  } catch { /* the old group closed with its last tab */ }
+  return !hasGroupState(groupId, newWindowId, windowState);
+}
+
 chrome.tabs.onAttached.addListener(async (tabId, attachInfo) => {
   const cid = logger.correlationId();
   try {
-    const state = await readState([STORAGE_KEYS.TAB_META]);
+    const state = await readState([STORAGE_KEYS.TAB_META, STORAGE_KEYS.WINDOW_STATE]);
     const tabMeta = state[STORAGE_KEYS.TAB_META] || {};
+    const windowState = state[STORAGE_KEYS.WINDOW_STATE] || {};
     const meta = tabMeta[tabId] || tabMeta[String(tabId)];
     if (meta) {
-      // Retain refresh times (FR-007), update windowId and clear group
+      // Retain refresh times (FR-007), update windowId and the group the tab
+      // arrived in: a tab moved along with its whole group stays in it
+      const oldWindowId = meta.windowId;
+      const oldGroupId = meta.groupId;
+      let groupId = null;
+      try {
+        const tab = await chrome.tabs.get(tabId);
+        if (tab.groupId !== chrome.tabGroups.TAB_GROUP_ID_NONE) groupId = tab.groupId;
+      } catch { /* tab already gone — treat it as ungrouped */ }
+
+      let groupStateMoved = false;
+      if (groupId !== null && oldGroupId !== null && oldGroupId !== undefined
+        && await _groupMovedWithTab(oldGroupId, groupId, oldWindowId, attachInfo.newWindowId, windowState)) {
+        const oldWs = windowState[oldWindowId] || windowState[String(oldWindowId)];
+        const wasWarned = oldWs?.goneWarnedGroups?.includes(oldGroupId) ?? false;
+        groupStateMoved = moveGroupState(oldGroupId, oldWindowId, attachInfo.newWindowId, windowState, groupId);
+        // The warning names the group in its old window; the next cycle warns
+        // again in the new one if the group is still about to close
+        if (groupStateMoved && wasWarned) await clearGoneWarnings([groupWarningId(oldWindowId, oldGroupId)]);
+      }
       meta.windowId = attachInfo.newWindowId;
-      meta.groupId = null;
-      meta.isSpecialGroup = false;
-      await batchWrite({ [STORAGE_KEYS.TAB_META]: tabMeta });
+      meta.groupId = groupId;
+      meta.isSpecialGroup = isSpecialGroup(groupId, attachInfo.newWindowId, windowState);
+      await batchWrite({
+        [STORAGE_KEYS.TAB_META]: tabMeta,
+        ...(groupStateMoved && { [STORAGE_KEYS.WINDOW_STATE]: windowState }),
+      });
       logger.debug('Tab attached to new window, meta updated', {
         tabId,
         newWindowId: attachInfo.newWindowId,
+        groupId,
+        groupStateMoved,
       }, cid);
+      if (groupStateMoved) _scheduleSortAndUpdate(oldWindowId);
       _scheduleSortAndUpdate(attachInfo.newWindowId);
     }
   } catch (err) {
@@ -883,13 +1496,11 @@ chrome.tabGroups.onRemoved.addListener(async (group) => {
     const ws = windowState[group.windowId] || windowState[String(group.windowId)];
     let changed = false;
     if (ws && ws.specialGroups) {
-      if (ws.specialGroups.yellow === group.id) {
-        ws.specialGroups.yellow = null;
-        changed = true;
-      }
-      if (ws.specialGroups.red === group.id) {
-        ws.specialGroups.red = null;
-        changed = true;
+      for (const [type, groupId] of Object.entries(ws.specialGroups)) {
+        if (groupId === group.id) {
+          ws.specialGroups[type] = null;
+          changed = true;
+        }
       }
     }
     if (ws && ws.groupZones) {
@@ -902,6 +1513,16 @@ chrome.tabGroups.onRemoved.addListener(async (group) => {
       delete ws.groupNaming[String(group.id)];
       changed = true;
     }
+    if (ws && ws.groupSnoozes) {
+      delete ws.groupSnoozes[group.id];
+      delete ws.groupSnoozes[String(group.id)];
+      changed = true;
+    }
+    if (ws && ws.groupPolicies) {
+      delete ws.groupPolicies[group.id];
+      delete ws.groupPolicies[String(group.id)];
+      changed = true;
+    }
     if (changed) {
       await batchWrite({ [STORAGE_KEYS.WINDOW_STATE]: windowState });
       logger.info('Group removed externally, cleaned metadata', { groupId: group.id, windowId: group.windowId }, cid);
@@ -931,11 +1552,9 @@ chrome.tabGroups.onUpdated.addListener(async (group) => {
         // User renamed the special group — persist to settings
         const sgType = getSpecialGroupType(group.id, group.windowId, windowState);
         if (sgType) {
-          const nameKey = sgType === SPECIAL_GROUP_TYPES.YELLOW ? 'yellowGroupName' : 'redGroupName';
           const settingsState = await readState([STORAGE_KEYS.SETTINGS]);
           const currentSettings = settingsState[STORAGE_KEYS.SETTINGS] || {};
-          if (currentSettings[nameKey] !== group.title) {
-            currentSettings[nameKey] = group.title;
+          if (setStageGroupName(currentSettings, sgType, group.title)) {
             await batchWrite({ [STORAGE_KEYS.SETTINGS]: currentSettings });
             logger.info('User renamed special group, persisted to settings', {
               groupId: group.id, type: sgType, newTitle: group.title,
@@ -943,7 +1562,7 @@ chrome.tabGroups.onUpdated.addListener(async (group) => {
           }
         }
       }
-      // Ignore color changes on special groups (color is identity-based)
+      // Ignore color changes on special groups (the color comes from the stage)
       return;
     }
 
@@ -963,6 +1582,8 @@ chrome.tabGroups.onUpdated.addListener(async (group) => {
 
     if (group.title !== undefined) {
       const lockResult = applyUserEditLock(group.windowId, group, windowState, USER_EDIT_LOCK_MS);
+      // Directives take effect on the sort scheduled below
+      updateGroupPolicy(group, windowState);
       await batchWrite({ [STORAGE_KEYS.WINDOW_STATE]: windowState });
       logger.debug('Recorded user group title edit lock', {
         groupId: group.id,
@@ -978,6 +1599,370 @@ chrome.tabGroups.onUpdated.addListener(async (group) => {
   }
 });
 
+// ─── Messages (Popup) ────────────────────────────────────────────────────────
+
+async function _handleGetTabState(message) {
+  const state = await readState([STORAGE_KEYS.TAB_META, STORAGE_KEYS.WINDOW_STATE, STORAGE_KEYS.SETTINGS]);
+  const tabMeta = state[STORAGE_KEYS.TAB_META] || {};
+  const windowState = state[STORAGE_KEYS.WINDOW_STATE] || {};
+  const settings = state[STORAGE_KEYS.SETTINGS] || {};
+  const meta = tabMeta[message.tabId] || tabMeta[String(message.tabId)];
+  if (!meta) return { tracked: false };
+  const groupSnooze = getGroupSnooze(meta.windowId, meta.groupId, windowState);
+  return {
+    tracked: true,
+    status: meta.status,
+    stageName: getStage(resolveLifecycle(settings), meta.status)?.name ?? meta.status,
+    groupId: meta.groupId,
+    isSpecialGroup: meta.isSpecialGroup,
+    tabSnoozeUntil: meta.snoozeUntil ?? null,
+    groupSnoozeUntil: groupSnooze?.snoozeUntil ?? null,
+    activationCount: meta.activationCount || 0,
+    foregroundMs: getForegroundMs(meta),
+    agingFactor: settings.agingMode === AGING_MODE.FRECENCY ? computeFrecencyFactor(meta) : 1,
+    mediaFrozen: isMediaFrozen(meta),
+    windowFrozen: hasWindowFreeze(meta),
+    groupFrozen: hasGroupFreeze(meta),
+    openedTabCount: getOpenedTabIds(meta.tabId, tabMeta).length,
+  };
+}
+
+async function _handleSnoozeMessage(message, cid) {
+  const state = await readState([STORAGE_KEYS.TAB_META, STORAGE_KEYS.WINDOW_STATE]);
+  const tabMeta = state[STORAGE_KEYS.TAB_META] || {};
+  const windowState = state[STORAGE_KEYS.WINDOW_STATE] || {};
+  const meta = tabMeta[message.tabId] || tabMeta[String(message.tabId)];
+  if (!meta) return { ok: false, error: 'Tab is not tracked' };
+
+  const snoozing = message.type === MESSAGE_TYPES.SNOOZE;
+  if (snoozing && (!Number.isFinite(message.until) || message.until <= Date.now())) {
+    return { ok: false, error: 'Snooze time must be in the future' };
+  }
+
+  const currentActiveTime = await getCurrentActiveTime();
+  if (message.target === SNOOZE_TARGET.GROUP) {
+    if (meta.groupId === null || meta.isSpecialGroup) {
+      return { ok: false, error: 'Tab is not in a user group' };
+    }
+    if (snoozing) {
+      snoozeGroup(meta.windowId, meta.groupId, message.until, windowState, currentActiveTime);
+      for (const m of Object.values(tabMeta)) {
+        if (m.groupId === meta.groupId && m.windowId === meta.windowId) m.status = STATUS.GREEN;
+      }
+    } else {
+      unsnoozeGroup(meta.windowId, meta.groupId, tabMeta, windowState, currentActiveTime);
+    }
+  } else if (snoozing) {
+    snoozeTab(meta, message.until, currentActiveTime);
+    meta.status = STATUS.GREEN;
+  } else {
+    unsnoozeTab(meta, currentActiveTime);
+  }
+
+  await batchWrite({
+    [STORAGE_KEYS.TAB_META]: tabMeta,
+    [STORAGE_KEYS.WINDOW_STATE]: windowState,
+  });
+  logger.info(snoozing ? 'Snoozed' : 'Unsnoozed', {
+    target: message.target,
+    tabId: meta.tabId,
+    groupId: meta.groupId,
+    until: message.until,
+  }, cid);
+  _scheduleSortAndUpdate(meta.windowId);
+  return { ok: true };
+}
+
+async function _handleGetWindowProfile(message) {
+  const state = await readState([STORAGE_KEYS.WINDOW_STATE, STORAGE_KEYS.SETTINGS]);
+  const profile = getWindowProfile(message.windowId, state[STORAGE_KEYS.WINDOW_STATE] || {});
+  // Without custom thresholds, offer the global ones as a starting point
+  return {
+    mode: profile?.mode ?? WINDOW_PROFILE.INHERIT,
+    thresholds: profile?.thresholds ?? state[STORAGE_KEYS.SETTINGS]?.thresholds ?? null,
+  };
+}
+
+async function _handleSetWindowProfile(message, cid) {
+  const { windowId, profile } = message;
+  const state = await readState([STORAGE_KEYS.TAB_META, STORAGE_KEYS.WINDOW_STATE, STORAGE_KEYS.SETTINGS]);
+  const validation = validateAgingProfile(profile, 'agingProfile', state[STORAGE_KEYS.SETTINGS]);
+  if (!validation.valid) return { ok: false, error: validation.errors[0] };
+
+  const tabMeta = state[STORAGE_KEYS.TAB_META] || {};
+  const windowState = state[STORAGE_KEYS.WINDOW_STATE] || {};
+  if (!setWindowProfile(windowId, profile, windowState)) {
+    return { ok: false, error: 'Window is not tracked' };
+  }
+  // Freeze or thaw right away so the age shown matches the new profile
+  const activeTime = await getCurrentActiveTime();
+  const windowFreeze = applyWindowFreeze(tabMeta, windowState, activeTime);
+  // Tabs of a "⏸" group in a thawed window stay frozen through their group
+  applyGroupFreeze(tabMeta, windowState, activeTime);
+
+  await batchWrite({
+    [STORAGE_KEYS.TAB_META]: tabMeta,
+    [STORAGE_KEYS.WINDOW_STATE]: windowState,
+  });
+  logger.info('Window aging profile set', {
+    windowId,
+    profile: getWindowProfile(windowId, windowState),
+    frozenTabs: windowFreeze.frozen.length,
+    releasedTabs: windowFreeze.released.length,
+  }, cid);
+  _scheduleSortAndUpdate(windowId);
+  return { ok: true };
+}
+
+async function _handleGetClosedJournal() {
+  const state = await readState([STORAGE_KEYS.CLOSED_JOURNAL]);
+  return { entries: state[STORAGE_KEYS.CLOSED_JOURNAL] || [] };
+}
+
+async function _handleRestoreClosed(message, cid) {
+  const state = await readState([
+    STORAGE_KEYS.TAB_META, STORAGE_KEYS.WINDOW_STATE, STORAGE_KEYS.SETTINGS, STORAGE_KEYS.CLOSED_JOURNAL,
+  ]);
+  const tabMeta = state[STORAGE_KEYS.TAB_META] || {};
+  const windowState = state[STORAGE_KEYS.WINDOW_STATE] || {};
+  const settings = state[STORAGE_KEYS.SETTINGS] || {};
+  const journal = state[STORAGE_KEYS.CLOSED_JOURNAL] || [];
+  const entry = journal.find((e) => e.id === message.entryId);
+  if (!entry) return { ok: false, error: 'Entry is no longer in the journal' };
+
+  const currentActiveTime = await getCurrentActiveTime();
+  let tabIds;
+  closedTabRestoreRunning = true;
+  try {
+    tabIds = await restoreClosedEntry(entry, tabMeta, windowState, currentActiveTime, settings);
+    if (tabIds.length === 0) return { ok: false, error: 'Failed to reopen the tabs' };
+    await batchWrite({
+      [STORAGE_KEYS.TAB_META]: tabMeta,
+      [STORAGE_KEYS.CLOSED_JOURNAL]: journal.filter((e) => e !== entry),
+    });
+  } finally {
+    closedTabRestoreRunning = false;
+  }
+  logger.info('Restored closed tabs', {
+    entryId: entry.id, reason: entry.reason, group: entry.group?.title ?? null, tabIds,
+  }, cid);
+  _scheduleSortAndUpdate(tabMeta[tabIds[0]].windowId);
+  return { ok: true, tabIds };
+}
+
+/**
+ * "Close this tab and everything it opened": close the tab and its whole
+ * subtree in the opener tree, journaled so it can be undone from the popup.
+ * Pinned tabs stay open. The journal gets one entry per window and group, so
+ * each part of the tree reopens where it was.
+ */
+async function _handleCloseTabTree(message, cid) {
+  const state = await readState([STORAGE_KEYS.TAB_META, STORAGE_KEYS.SETTINGS, STORAGE_KEYS.CLOSED_JOURNAL]);
+  const tabMeta = state[STORAGE_KEYS.TAB_META] || {};
+  const settings = state[STORAGE_KEYS.SETTINGS] || {};
+  const meta = tabMeta[message.tabId] || tabMeta[String(message.tabId)];
+  if (!meta) return { ok: false, error: 'Tab is not tracked' };
+
+  const tabIds = [meta.tabId, ...getOpenedTabIds(meta.tabId, tabMeta)];
+  const liveTabs = await chrome.tabs.query({});
+  const treeTabs = tabIds
+    .map((id) => liveTabs.find((t) => t.id === id))
+    .filter((t) => t && !t.pinned);
+  if (treeTabs.length === 0) return { ok: false, error: 'No unpinned tabs to close' };
+  const liveGroups = await chrome.tabGroups.query({});
+
+  // Closures batched by window and group, as sortTabsAndGroups journals a
+  // closed group
+  const batches = new Map();
+  const closed = await evictTabs(treeTabs, tabMeta, {
+    bookmarkEnabled: false,
+    recordClosed: (_reason, tabs) => {
+      for (const closedTab of tabs) {
+        const groupId = closedTab.meta.isSpecialGroup ? null : closedTab.meta.groupId ?? null;
+        const key = `${closedTab.meta.windowId}:${groupId}`;
+        if (!batches.has(key)) batches.set(key, { groupId, tabs: [] });
+        batches.get(key).tabs.push(closedTab);
+      }
+    },
+  });
+  if (batches.size === 0) return { ok: false, error: 'Failed to close the tabs' };
+
+  const currentActiveTime = await getCurrentActiveTime();
+  const entries = [];
+  const windowIds = new Set();
+  for (const { groupId, tabs } of batches.values()) {
+    for (const { meta: closedMeta } of tabs) reparentOpenedTabs(closedMeta, tabMeta);
+    const group = groupId === null ? null : liveGroups.find((g) => g.id === groupId) ?? null;
+    entries.push(createClosedEntry(CLOSE_REASON.TREE, tabs, group, currentActiveTime, settings));
+    windowIds.add(tabs[0].meta.windowId);
+  }
+  await batchWrite({
+    [STORAGE_KEYS.TAB_META]: tabMeta,
+    [STORAGE_KEYS.CLOSED_JOURNAL]: appendClosedEntries(state[STORAGE_KEYS.CLOSED_JOURNAL], entries),
+  });
+  logger.info('Closed tab and the tabs it opened', { tabId: meta.tabId, tabIds: closed }, cid);
+  for (const windowId of windowIds) _scheduleSortAndUpdate(windowId);
+  return { ok: true, tabIds: closed };
+}
+
+chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
+  const cid = logger.correlationId();
+  let handler;
+  switch (message?.type) {
+    case MESSAGE_TYPES.GET_TAB_STATE:
+      handler = _handleGetTabState(message);
+      break;
+    case MESSAGE_TYPES.SNOOZE:
+    case MESSAGE_TYPES.UNSNOOZE:
+      handler = _handleSnoozeMessage(message, cid);
+      break;
+    case MESSAGE_TYPES.GET_WINDOW_PROFILE:
+      handler = _handleGetWindowProfile(message);
+      break;
+    case MESSAGE_TYPES.SET_WINDOW_PROFILE:
+      handler = _handleSetWindowProfile(message, cid);
+      break;
+    case MESSAGE_TYPES.GET_CLOSED_JOURNAL:
+      handler = _handleGetClosedJournal();
+      break;
+    case MESSAGE_TYPES.RESTORE_CLOSED:
+      handler = _handleRestoreClosed(message, cid);
+      break;
+    case MESSAGE_TYPES.CLOSE_TAB_TREE:
+      handler = _handleCloseTabTree(message, cid);
+      break;
+    default:
+      return false;
+  }
+  handler
+    .then(sendResponse)
+    .catch((err) => {
+      logger.error('Message handler failed', { type: message.type, error: err.message }, cid);
+      sendResponse({ ok: false, error: err.message });
+    });
+  return true; // keep the channel open for the async response
+});
+
+// ─── Gone Warnings ───────────────────────────────────────────────────────────
+
+function _warnedMembers(target, tabMeta) {
+  if ('tabId' in target) {
+    const meta = tabMeta[target.tabId] || tabMeta[String(target.tabId)];
+    return meta ? [meta] : [];
+  }
+  return Object.values(tabMeta).filter((m) => m.groupId === target.groupId && m.windowId === target.windowId);
+}
+
+/** "Keep": refresh the warned tab, or every tab of the warned group. */
+async function _keepWarnedTarget(target, cid) {
+  const state = await readState([STORAGE_KEYS.TAB_META, STORAGE_KEYS.WINDOW_STATE, STORAGE_KEYS.SETTINGS]);
+  const tabMeta = state[STORAGE_KEYS.TAB_META] || {};
+  const windowState = state[STORAGE_KEYS.WINDOW_STATE] || {};
+  const settings = state[STORAGE_KEYS.SETTINGS] || {};
+  const members = _warnedMembers(target, tabMeta);
+  if (members.length === 0) return;
+
+  const currentActiveTime = await getCurrentActiveTime();
+  if ('tabId' in target) {
+    const [existing] = members;
+    await _applyRefresh(existing.tabId, existing, handleNavigation(existing, currentActiveTime), tabMeta, windowState, settings, cid);
+  } else {
+    for (const m of members) {
+      tabMeta[m.tabId] = handleNavigation(m, currentActiveTime);
+      withdrawGoneWarnings(tabMeta[m.tabId], windowState);
+    }
+    await batchWrite({ [STORAGE_KEYS.TAB_META]: tabMeta, [STORAGE_KEYS.WINDOW_STATE]: windowState });
+    _scheduleSortAndUpdate(target.windowId);
+  }
+  logger.info('Kept after gone warning', { ...target, tabIds: members.map((m) => m.tabId) }, cid);
+}
+
+/** "Snooze 1 day": snooze the warned tab or group, as from the popup. */
+async function _snoozeWarnedTarget(target, cid) {
+  const state = await readState([STORAGE_KEYS.TAB_META]);
+  const [member] = _warnedMembers(target, state[STORAGE_KEYS.TAB_META] || {});
+  if (!member) return;
+  const result = await _handleSnoozeMessage({
+    type: MESSAGE_TYPES.SNOOZE,
+    target: 'tabId' in target ? SNOOZE_TARGET.TAB : SNOOZE_TARGET.GROUP,
+    tabId: member.tabId,
+    until: Date.now() + GONE_WARNING_SNOOZE_MS,
+  }, cid);
+  if (!result.ok) logger.warn('Failed to snooze after gone warning', { ...target, error: result.error }, cid);
+}
+
+/**
+ * Clicking the warning: close the tab or group now, bookmarked and journaled
+ * like a gone closure so it can be undone from the popup.
+ */
+async function _closeWarnedTarget(target, cid) {
+  const state = await readState([
+    STORAGE_KEYS.TAB_META, STORAGE_KEYS.SETTINGS, STORAGE_KEYS.CLOSED_JOURNAL,
+  ]);
+  const tabMeta = state[STORAGE_KEYS.TAB_META] || {};
+  const settings = state[STORAGE_KEYS.SETTINGS] || {};
+  const tabIds = new Set(_warnedMembers(target, tabMeta).map((m) => m.tabId));
+  if (tabIds.size === 0) return;
+
+  const liveTabs = (await chrome.tabs.query({})).filter((t) => tabIds.has(t.id));
+  let group = null;
+  if ('groupId' in target) {
+    try {
+      group = await chrome.tabGroups.get(target.groupId);
+    } catch { /* group already gone — journal the tabs alone */ }
+  }
+  const bookmarkEnabled = typeof settings.bookmarkEnabled === 'boolean'
+    ? settings.bookmarkEnabled
+    : DEFAULT_BOOKMARK_SETTINGS.BOOKMARK_ENABLED;
+  const bookmarkFolderId = bookmarkEnabled ? await resolveBookmarkFolder(settings) : null;
+
+  const closedTabs = [];
+  const closed = await evictTabs(liveTabs, tabMeta, {
+    bookmarkEnabled,
+    bookmarkFolderId,
+    bookmarkTab,
+    bookmarkGroupTabs,
+    isBookmarkableUrl,
+    recordClosed: (_reason, tabs) => closedTabs.push(...tabs),
+  });
+  if (closedTabs.length === 0) return;
+
+  const currentActiveTime = await getCurrentActiveTime();
+  const entry = createClosedEntry(CLOSE_REASON.GONE, closedTabs, group, currentActiveTime, settings);
+  await batchWrite({
+    [STORAGE_KEYS.TAB_META]: tabMeta,
+    [STORAGE_KEYS.CLOSED_JOURNAL]: appendClosedEntries(state[STORAGE_KEYS.CLOSED_JOURNAL], [entry]),
+  });
+  logger.info('Closed after gone warning', { ...target, tabIds: closed }, cid);
+  _scheduleSortAndUpdate(closedTabs[0].meta.windowId);
+}
+
+// Buttons: 0 = Keep, 1 = Snooze 1 day
+chrome.notifications.onButtonClicked.addListener(async (notificationId, buttonIndex) => {
+  const target = parseWarningId(notificationId);
+  if (!target) return;
+  const cid = logger.correlationId();
+  try {
+    await clearGoneWarnings([notificationId]);
+    if (buttonIndex === 0) await _keepWarnedTarget(target, cid);
+    else await _snoozeWarnedTarget(target, cid);
+  } catch (err) {
+    logger.error('Gone warning action failed', { notificationId, buttonIndex, error: err.message }, cid);
+  }
+});
+
+chrome.notifications.onClicked.addListener(async (notificationId) => {
+  const target = parseWarningId(notificationId);
+  if (!target) return;
+  const cid = logger.correlationId();
+  try {
+    await clearGoneWarnings([notificationId]);
+    await _closeWarnedTarget(target, cid);
+  } catch (err) {
+    logger.error('Gone warning close failed', { notificationId, error: err.message }, cid);
+  }
+});
+
 // ─── Storage Changes ─────────────────────────────────────────────────────────
 
 chrome.storage.onChanged.addListener(async (changes, areaName) => {
@@ -1040,9 +2025,8 @@ chrome.storage.onChanged.addListener(async (changes, areaName) => {
       }
     }
 
-    // T018: Reactive group name update — when yellowGroupName or redGroupName changes
-    if (oldSettings.yellowGroupName !== newSettings.yellowGroupName
-        || oldSettings.redGroupName !== newSettings.redGroupName) {
+    // T018: Reactive group name update — when a stage's group name or color changes
+    if (_specialGroupAppearance(oldSettings) !== _specialGroupAppearance(newSettings)) {
       try {
         await _updateSpecialGroupNames(newSettings, cid);
       } catch (err) {
@@ -1050,6 +2034,15 @@ chrome.storage.onChanged.addListener(async (changes, areaName) => {
       }
     }
 
+    if (oldSettings.timeMode !== newSettings.timeMode
+        || oldSettings.idleDetectionSeconds !== newSettings.idleDetectionSeconds) {
+      try {
+        await _applyIdleSettings(cid);
+      } catch (err) {
+        logger.error('Failed to apply idle settings', { error: err.message }, cid);
+      }
+    }
+
     logger.info('Settings changed, triggering re-evaluation', null, cid);
     try {
       await runEvaluationCycle(cid);
@@ -1087,24 +2080,30 @@ async function _dissolveAllSpecialGroups(cid) {
   }
 }
 
+/** Title and color of every stage's special group, for change detection. */
+function _specialGroupAppearance(settings) {
+  return JSON.stringify(resolveLifecycle(settings).stages.map(({ groupName, color }) => [groupName, color]));
+}
+
 /**
- * T018: Update special group titles when group name settings change.
+ * T018: Update special group titles and colors when the stages change.
  */
 async function _updateSpecialGroupNames(settings, cid) {
   const state = await readState([STORAGE_KEYS.WINDOW_STATE]);
   const windowState = state[STORAGE_KEYS.WINDOW_STATE] || {};
+  const lifecycle = resolveLifecycle(settings);
   let updated = 0;
 
   for (const [windowId, ws] of Object.entries(windowState)) {
-    for (const type of ['yellow', 'red']) {
+    for (const stage of lifecycle.stages.slice(1)) {
+      const type = stage.id;
       const groupId = ws.specialGroups?.[type];
       if (groupId === null || groupId === undefined) continue;
-      const nameKey = type === 'yellow' ? 'yellowGroupName' : 'redGroupName';
-      const newTitle = settings[nameKey] ?? '';
+      const newTitle = stage.groupName;
       try {
-        await chrome.tabGroups.update(groupId, { title: newTitle });
+        await chrome.tabGroups.update(groupId, { title: newTitle, color: stage.color });
         updated++;
-        logger.debug('Updated special group name', { windowId, type, groupId, newTitle }, cid);
+        logger.debug('Updated special group name', { windowId, type, groupId, newTitle, color: stage.color }, cid);
       } catch (err) {
         logger.warn('Failed to update special group name', { windowId, type, groupId, error: err.message }, cid);
       }
@@ -1173,6 +2172,8 @@ async function reconcileStateImpl(cid) {
     // any exist we may need to wait for Chrome's session-restored tabs to
     // finish loading their URLs before URL-based matching will work.
     const isMatchableUrl = (u) => u && u !== '' && u !== 'about:blank' && u !== 'chrome://newtab/';
+    // Discarded and not-yet-loaded tabs may only carry their URL as pendingUrl
+    const liveUrl = (t) => t.url || t.pendingUrl || '';
     const storedUrlCount = Object.values(storedTabMeta)
       .filter((m) => isMatchableUrl(m.url)).length;
 
@@ -1186,7 +2187,7 @@ async function reconcileStateImpl(cid) {
           chrome.windows.getAll(),
         ]);
         const realUrlCount = chromeTabs.filter(
-          (t) => !t.pinned && isMatchableUrl(t.url),
+          (t) => !t.pinned && isMatchableUrl(liveUrl(t)),
         ).length;
         if (realUrlCount >= storedUrlCount) break;
         await new Promise((r) => setTimeout(r, 300));
@@ -1217,6 +2218,8 @@ async function reconcileStateImpl(cid) {
       }
     }
     const consumedOldMetas = new Set();
+    // Old→new tab IDs, to remap the opener tree
+    const tabIdMap = new Map();
     // Track old→new group ID mapping for remapping windowState references
     const oldToNewGroupVotes = new Map(); // oldGroupId → Map(newGroupId → count)
     let urlMatches = 0;
@@ -1235,14 +2238,17 @@ async function reconcileStateImpl(cid) {
         existing.windowId = tab.windowId;
         existing.groupId = liveGroupId;
         existing.pinned = tab.pinned;
-        existing.url = tab.url || existing.url || '';
+        existing.url = liveUrl(tab) || existing.url || '';
+        if (existing.foregroundSince !== undefined) existing.foregroundSince = null;
         reconciledMeta[tab.id] = existing;
         consumedOldMetas.add(existing);
+        tabIdMap.set(tab.id, tab.id);
       } else {
         // Tab not found by ID — try URL-based matching to preserve age
         let matched = null;
-        if (tab.url && tab.url !== 'chrome://newtab/') {
-          const candidates = urlToOldMetas.get(tab.url);
+        const url = liveUrl(tab);
+        if (url && url !== 'chrome://newtab/') {
+          const candidates = urlToOldMetas.get(url);
           if (candidates) {
             for (let i = 0; i < candidates.length; i++) {
               if (!consumedOldMetas.has(candidates[i])) {
@@ -1272,8 +2278,15 @@ async function reconcileStateImpl(cid) {
             groupId: liveGroupId,
             isSpecialGroup: false,
             pinned: false,
-            url: tab.url || '',
+            url,
           };
+          copyTabSnooze(matched, reconciledMeta[tab.id]);
+          copyUsageStats(matched, reconciledMeta[tab.id]);
+          copyMediaFreeze(matched, reconciledMeta[tab.id]);
+          copyWindowFreeze(matched, reconciledMeta[tab.id]);
+          copyGroupFreeze(matched, reconciledMeta[tab.id]);
+          if (matched.openerTabId !== undefined) reconciledMeta[tab.id].openerTabId = matched.openerTabId;
+          tabIdMap.set(matched.tabId, tab.id);
         } else {
           reconciledMeta[tab.id] = {
             tabId: tab.id,
@@ -1284,7 +2297,7 @@ async function reconcileStateImpl(cid) {
             groupId: liveGroupId,
             isSpecialGroup: false,
             pinned: false,
-            url: tab.url || '',
+            url,
           };
         }
       }
@@ -1304,6 +2317,8 @@ async function reconcileStateImpl(cid) {
       if (bestNewGid !== null) groupIdMap.set(oldGid, bestNewGid);
     }
 
+    remapOpenerTree(reconciledMeta, tabIdMap);
+
     if (urlMatches > 0) {
       logger.info('URL-based tab matching preserved ages across restart', {
         urlMatches,
@@ -1355,13 +2370,19 @@ async function reconcileStateImpl(cid) {
         const groupNamingSource = currentState.groupNaming && typeof currentState.groupNaming === 'object'
           ? currentState.groupNaming
           : {};
+        // The live ID of a stored group, or null when it is gone
+        const resolveGroupId = (groupId) => {
+          const numId = Number(groupId);
+          const resolvedId = liveGroupIds.has(numId) ? numId : (groupIdMap.get(numId) ?? null);
+          return resolvedId !== null && liveGroupIds.has(resolvedId) ? resolvedId : null;
+        };
 
         // Remap special group IDs using the old→new mapping.
         // After a restart Chrome assigns new group IDs, so the stored
         // references become stale; the groupIdMap lets us recover them.
         const specialGroups = { yellow: null, red: null };
-        for (const type of ['yellow', 'red']) {
-          const oldId = storedSpecialGroups[type];
+        for (const [type, oldId] of Object.entries(storedSpecialGroups)) {
+          specialGroups[type] = null;
           if (oldId === null) continue;
           const newId = groupIdMap.get(oldId);
           if (newId !== undefined && liveGroupIds.has(newId)) {
@@ -1376,9 +2397,8 @@ async function reconcileStateImpl(cid) {
         // fall back to the old→new mapping so naming metadata survives restarts.
         const groupNaming = {};
         for (const [groupId, metadata] of Object.entries(groupNamingSource)) {
-          const numId = Number(groupId);
-          const resolvedId = liveGroupIds.has(numId) ? numId : (groupIdMap.get(numId) ?? null);
-          if (resolvedId !== null && liveGroupIds.has(resolvedId)) {
+          const resolvedId = resolveGroupId(groupId);
+          if (resolvedId !== null) {
             const now = Date.now();
             const firstUnnamedSeenAt = Number.isFinite(metadata?.firstUnnamedSeenAt) && metadata.firstUnnamedSeenAt > 0
               ? metadata.firstUnnamedSeenAt
@@ -1401,11 +2421,51 @@ async function reconcileStateImpl(cid) {
           }
         }
 
+        // Remap group snoozes the same way so "snooze until Monday" survives restarts
+        const groupSnoozes = {};
+        for (const [groupId, snooze] of Object.entries(currentState.groupSnoozes || {})) {
+          const resolvedId = resolveGroupId(groupId);
+          if (resolvedId !== null) groupSnoozes[resolvedId] = snooze;
+        }
+
+        // Remap group policies (title directives such as !keep or ⏸) so they
+        // keep applying until the next cycle re-reads the titles
+        const groupPolicies = {};
+        for (const [groupId, policy] of Object.entries(currentState.groupPolicies || {})) {
+          const resolvedId = resolveGroupId(groupId);
+          if (resolvedId !== null) groupPolicies[resolvedId] = policy;
+        }
+
         reconciledWindowState[resolvedWid] = {
           specialGroups,
           groupZones,
           groupNaming,
+          groupSnoozes,
         };
+        if (Object.keys(groupPolicies).length > 0) {
+          reconciledWindowState[resolvedWid].groupPolicies = groupPolicies;
+        }
+        // Warned groups stay warned, so a restart does not notify them again
+        const goneWarnedGroups = (Array.isArray(currentState.goneWarnedGroups) ? currentState.goneWarnedGroups : [])
+          .map(resolveGroupId)
+          .filter((id) => id !== null);
+        if (goneWarnedGroups.length > 0) {
+          reconciledWindowState[resolvedWid].goneWarnedGroups = goneWarnedGroups;
+        }
+        // The aging profile belongs to the window, whatever ID Chrome gave it
+        if (currentState.agingProfile) {
+          reconciledWindowState[resolvedWid].agingProfile = currentState.agingProfile;
+        }
+        // Closes held back by quiet hours or a frozen profile stay queued under the new IDs
+        if (currentState.pendingClose) {
+          const pendingClose = {
+            tabs: (currentState.pendingClose.tabs || []).map((id) => tabIdMap.get(id)).filter((id) => id !== undefined),
+            groups: (currentState.pendingClose.groups || []).map(resolveGroupId).filter((id) => id !== null),
+          };
+          if (pendingClose.tabs.length > 0 || pendingClose.groups.length > 0) {
+            reconciledWindowState[resolvedWid].pendingClose = pendingClose;
+          }
+        }
       }
     }
     // Create default state for windows that have tabs but no stored state
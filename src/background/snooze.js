@@ -0,0 +1,129 @@
+/**
+ * Snoozing: "leave this alone until Monday".
+ *
+ * A snoozed tab (or every tab of a snoozed group) is evaluated as green and
+ * kept out of the special groups until `snoozeUntil`. Its age is frozen at the
+ * moment the snooze started: on release, refresh times are shifted forward by
+ * the snoozed duration so aging resumes from where it was.
+ *
+ * Tab snoozes live on the tabMeta entry (`snoozeUntil`, `snoozedAtActiveTime`,
+ * `snoozedAtWallTime`); group snoozes live in `windowState[wid].groupSnoozes`
+ * keyed by group ID with the same three fields.
+ */
+
+function ensureGroupSnoozes(windowId, windowState) {
+  const ws = windowState[windowId] || windowState[String(windowId)];
+  if (!ws) return null;
+  if (!ws.groupSnoozes || typeof ws.groupSnoozes !== 'object') ws.groupSnoozes = {};
+  return ws.groupSnoozes;
+}
+
+export function getGroupSnooze(windowId, groupId, windowState) {
+  if (groupId === null || groupId === undefined) return null;
+  const ws = windowState?.[windowId] || windowState?.[String(windowId)];
+  return ws?.groupSnoozes?.[groupId] || ws?.groupSnoozes?.[String(groupId)] || null;
+}
+
+/**
+ * Whether the tab is currently snoozed, either directly or through its group.
+ */
+export function isSnoozed(meta, windowState, now = Date.now()) {
+  if (Number.isFinite(meta.snoozeUntil) && meta.snoozeUntil > now) return true;
+  const groupSnooze = getGroupSnooze(meta.windowId, meta.groupId, windowState);
+  return Boolean(groupSnooze && groupSnooze.snoozeUntil > now);
+}
+
+/**
+ * Shift refresh times forward by the time spent frozen, so the age at release
+ * equals the age when the freeze started. A tab refreshed mid-freeze is frozen
+ * from its refresh instead. Shared with media freezes (media-protection.js).
+ */
+export function resumeAgingFrom(meta, frozenAtActiveTime, frozenAtWallTime, activeTimeMs, now) {
+  const frozenActiveFrom = Math.max(frozenAtActiveTime, meta.refreshActiveTime);
+  const frozenWallFrom = Math.max(frozenAtWallTime, meta.refreshWallTime);
+  meta.refreshActiveTime += Math.max(0, activeTimeMs - frozenActiveFrom);
+  meta.refreshWallTime += Math.max(0, now - frozenWallFrom);
+}
+
+function resumeAging(meta, snooze, activeTimeMs, now) {
+  resumeAgingFrom(meta, snooze.snoozedAtActiveTime, snooze.snoozedAtWallTime, activeTimeMs, now);
+}
+
+export function snoozeTab(meta, snoozeUntil, activeTimeMs, now = Date.now()) {
+  // Re-snoozing only moves the deadline; the frozen age stays where it was
+  if (!Number.isFinite(meta.snoozeUntil)) {
+    meta.snoozedAtActiveTime = activeTimeMs;
+    meta.snoozedAtWallTime = now;
+  }
+  meta.snoozeUntil = snoozeUntil;
+}
+
+export function unsnoozeTab(meta, activeTimeMs, now = Date.now()) {
+  if (!Number.isFinite(meta.snoozeUntil)) return false;
+  resumeAging(meta, meta, activeTimeMs, now);
+  delete meta.snoozeUntil;
+  delete meta.snoozedAtActiveTime;
+  delete meta.snoozedAtWallTime;
+  return true;
+}
+
+export function snoozeGroup(windowId, groupId, snoozeUntil, windowState, activeTimeMs, now = Date.now()) {
+  const groupSnoozes = ensureGroupSnoozes(windowId, windowState);
+  if (!groupSnoozes) return false;
+  const existing = groupSnoozes[groupId];
+  groupSnoozes[groupId] = {
+    snoozeUntil,
+    snoozedAtActiveTime: existing ? existing.snoozedAtActiveTime : activeTimeMs,
+    snoozedAtWallTime: existing ? existing.snoozedAtWallTime : now,
+  };
+  return true;
+}
+
+export function unsnoozeGroup(windowId, groupId, tabMeta, windowState, activeTimeMs, now = Date.now()) {
+  const snooze = getGroupSnooze(windowId, groupId, windowState);
+  if (!snooze) return false;
+  for (const meta of Object.values(tabMeta)) {
+    if (meta.groupId === groupId && meta.windowId === Number(windowId)) {
+      resumeAging(meta, snooze, activeTimeMs, now);
+    }
+  }
+  const groupSnoozes = ensureGroupSnoozes(windowId, windowState);
+  delete groupSnoozes[groupId];
+  delete groupSnoozes[String(groupId)];
+  return true;
+}
+
+/**
+ * Release every tab and group snooze whose deadline has passed.
+ *
+ * @returns {{tabs: number, groups: number}} Count of released snoozes
+ */
+export function releaseExpiredSnoozes(tabMeta, windowState, activeTimeMs, now = Date.now()) {
+  const released = { tabs: 0, groups: 0 };
+  for (const meta of Object.values(tabMeta)) {
+    if (Number.isFinite(meta.snoozeUntil) && meta.snoozeUntil <= now) {
+      unsnoozeTab(meta, activeTimeMs, now);
+      released.tabs++;
+    }
+  }
+  for (const [windowId, ws] of Object.entries(windowState)) {
+    for (const [groupId, snooze] of Object.entries(ws?.groupSnoozes || {})) {
+      if (snooze.snoozeUntil <= now) {
+        unsnoozeGroup(Number(windowId), Number(groupId), tabMeta, windowState, activeTimeMs, now);
+        released.groups++;
+      }
+    }
+  }
+  return released;
+}
+
+/**
+ * Carry a tab snooze over to a new tabMeta entry (e.g. after URL re-matching
+ * on restart, when Chrome has assigned a new tab ID).
+ */
+export function copyTabSnooze(from, to) {
+  if (!Number.isFinite(from.snoozeUntil)) return;
+  to.snoozeUntil = from.snoozeUntil;
+  to.snoozedAtActiveTime = from.snoozedAtActiveTime;
+  to.snoozedAtWallTime = from.snoozedAtWallTime;
+}
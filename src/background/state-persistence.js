@@ -6,6 +6,8 @@ import {
   validateActiveTime,
   validateTabMeta,
   validateWindowState,
+  validateDryRunReport,
+  validateClosedJournal,
 } from '../shared/schemas.js';
 
 const logger = createLogger('background');
@@ -16,6 +18,8 @@ const VALIDATORS = {
   [STORAGE_KEYS.TAB_META]: validateTabMeta,
   [STORAGE_KEYS.WINDOW_STATE]: validateWindowState,
   [STORAGE_KEYS.BOOKMARK_STATE]: validateBookmarkState,
+  [STORAGE_KEYS.DRY_RUN_REPORT]: validateDryRunReport,
+  [STORAGE_KEYS.CLOSED_JOURNAL]: validateClosedJournal,
 };
 
 export async function readState(keys) {
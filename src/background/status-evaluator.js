@@ -1,7 +1,39 @@
-import { STATUS, TIME_MODE } from '../shared/constants.js';
+import { STATUS, TIME_MODE, AGING_MODE, FRECENCY } from '../shared/constants.js';
+import { findMatchingRule } from '../shared/url-patterns.js';
+import { isWithinQuietHours } from '../shared/quiet-hours.js';
+import { isProtectedUrl } from './protection.js';
+import { isSnoozed } from './snooze.js';
+import { getForegroundMs } from './tab-tracker.js';
+import { isMediaFrozen } from './media-protection.js';
+import { hasWindowFreeze, getWindowThresholds } from './window-profiles.js';
+import { hasGroupFreeze, getTabGroupPolicy } from './group-policies.js';
+import { resolveLifecycle, overrideTransitions, scaleLifecycle, lastStageId } from '../shared/lifecycle.js';
 
 /**
- * Compute the status for a tab given its age and threshold configuration.
+ * Compute the lifecycle stage for a tab given its age.
+ *
+ * A tab advances through the stages in order while each stage is enabled and
+ * its `after` age is reached; a disabled stage blocks every later one,
+ * including gone.
+ *
+ * @param {number} ageMs - The tab's age in milliseconds
+ * @param {object} lifecycle - As returned by resolveLifecycle
+ * @returns {string} A stage id or STATUS.GONE
+ */
+export function computeStage(ageMs, lifecycle) {
+  const [first, ...rest] = lifecycle.stages;
+  let stage = first.id;
+  for (const next of rest) {
+    if (!(next.enabled && ageMs >= next.after)) return stage;
+    stage = next.id;
+  }
+  if (lifecycle.goneEnabled && ageMs >= lifecycle.goneAfter) return STATUS.GONE;
+  return stage;
+}
+
+/**
+ * Compute the classic Green → Yellow → Red status for a tab given its age and
+ * threshold configuration.
  *
  * @param {number} ageMs - The tab's age in milliseconds
  * @param {object} thresholds - Threshold values { greenToYellow, yellowToRed, redToGone }
@@ -12,47 +44,165 @@ import { STATUS, TIME_MODE } from '../shared/constants.js';
  * @returns {string} STATUS.GREEN | STATUS.YELLOW | STATUS.RED | STATUS.GONE
  */
 export function computeStatus(ageMs, thresholds, transitionToggles) {
-  const greenToYellowEnabled = transitionToggles?.greenToYellowEnabled !== false;
-  const yellowToRedEnabled = transitionToggles?.yellowToRedEnabled !== false;
-  const redToGoneEnabled = transitionToggles?.redToGoneEnabled !== false;
-
-  // Each transition must be enabled for the status to advance past that level.
-  // If an earlier transition is disabled, all downstream transitions are also blocked.
-  if (greenToYellowEnabled && ageMs >= thresholds.greenToYellow) {
-    if (yellowToRedEnabled && ageMs >= thresholds.yellowToRed) {
-      if (redToGoneEnabled && ageMs >= thresholds.redToGone) {
-        return STATUS.GONE;
-      }
-      return STATUS.RED;
-    }
-    return STATUS.YELLOW;
-  }
-  return STATUS.GREEN;
+  return computeStage(ageMs, overrideTransitions(resolveLifecycle(), thresholds, transitionToggles));
+}
+
+/**
+ * Frecency factor in [FRECENCY.MIN_FACTOR, 1]: tabs activated often and kept in
+ * the foreground for long get a smaller factor and therefore age more slowly.
+ */
+export function computeFrecencyFactor(tabMeta, now = Date.now()) {
+  const activations = tabMeta.activationCount || 0;
+  const foregroundMinutes = getForegroundMs(tabMeta, now) / 60_000;
+  const boost = FRECENCY.ACTIVATION_WEIGHT * Math.log2(1 + activations)
+    + FRECENCY.FOREGROUND_WEIGHT * Math.log2(1 + foregroundMinutes);
+  return Math.max(FRECENCY.MIN_FACTOR, 1 / (1 + boost));
 }
 
 export function computeAge(tabMeta, activeTimeMs, settings) {
+  // A media-, window- or group-frozen tab ages only up to the moment its freeze started
+  let frozenAtActive = null;
+  let frozenAtWall = null;
+  if (isMediaFrozen(tabMeta)) {
+    frozenAtActive = tabMeta.mediaFrozenAtActiveTime;
+    frozenAtWall = tabMeta.mediaFrozenAtWallTime;
+  } else if (hasWindowFreeze(tabMeta)) {
+    frozenAtActive = tabMeta.windowFrozenAtActiveTime;
+    frozenAtWall = tabMeta.windowFrozenAtWallTime;
+  } else if (hasGroupFreeze(tabMeta)) {
+    frozenAtActive = tabMeta.groupFrozenAtActiveTime;
+    frozenAtWall = tabMeta.groupFrozenAtWallTime;
+  }
   let age;
   if (settings.timeMode === TIME_MODE.WALL_CLOCK) {
-    age = Date.now() - tabMeta.refreshWallTime;
+    age = (frozenAtWall ?? Date.now()) - tabMeta.refreshWallTime;
   } else {
-    age = activeTimeMs - tabMeta.refreshActiveTime;
+    age = (frozenAtActive ?? activeTimeMs) - tabMeta.refreshActiveTime;
+  }
+  if (settings.agingMode === AGING_MODE.FRECENCY) {
+    age *= computeFrecencyFactor(tabMeta);
   }
   return Math.max(0, age);
 }
 
-export function evaluateAllTabs(tabMeta, activeTimeMs, settings) {
+/**
+ * Resolve the thresholds and transition toggles that apply to a single tab.
+ *
+ * `settings.thresholdRules` is an ordered list of per-domain overrides; the
+ * first rule whose pattern matches the tab URL wins. A rule's transition
+ * toggles fall back to the global toggles when not set.
+ *
+ * @param {object} meta - The tab's metadata entry (uses `url`)
+ * @param {object} settings
+ * @returns {{thresholds: object, transitionToggles: object, rule: object|null}}
+ */
+export function resolveTabThresholds(meta, settings) {
+  const rule = findMatchingRule(settings.thresholdRules, meta.url);
+  const pick = (key) => (typeof rule?.[key] === 'boolean' ? rule[key] : settings[key]);
+  return {
+    thresholds: rule ? rule.thresholds : settings.thresholds,
+    transitionToggles: {
+      greenToYellowEnabled: pick('greenToYellowEnabled'),
+      yellowToRedEnabled: pick('yellowToRedEnabled'),
+      redToGoneEnabled: pick('redToGoneEnabled'),
+    },
+    rule,
+  };
+}
+
+/**
+ * Resolve the lifecycle that applies to a single tab: the active lifecycle,
+ * with a matching per-domain rule's thresholds in place of the first two
+ * transitions and the gone transition.
+ *
+ * @param {object} meta
+ * @param {object} settings
+ * @param {object} [lifecycle] - The already resolved active lifecycle
+ * @returns {object}
+ */
+export function resolveTabLifecycle(meta, settings, lifecycle = resolveLifecycle(settings)) {
+  const { thresholds, transitionToggles, rule } = resolveTabThresholds(meta, settings);
+  return rule ? overrideTransitions(lifecycle, thresholds, transitionToggles) : lifecycle;
+}
+
+/**
+ * Resolve the lifecycle a tab actually ages against: its window's custom
+ * thresholds, else its per-domain rule, scaled by its group's "!slow" /
+ * "!fast" directive.
+ *
+ * @param {object} meta
+ * @param {object} settings
+ * @param {object} [windowState]
+ * @param {object} [lifecycle] - The already resolved active lifecycle
+ * @returns {object}
+ */
+export function resolveEffectiveLifecycle(meta, settings, windowState, lifecycle = resolveLifecycle(settings)) {
+  const windowThresholds = getWindowThresholds(meta.windowId, windowState);
+  const tabLifecycle = windowThresholds
+    ? overrideTransitions(lifecycle, windowThresholds, settings)
+    : resolveTabLifecycle(meta, settings, lifecycle);
+  const thresholdFactor = getTabGroupPolicy(meta, windowState)?.thresholdFactor;
+  return thresholdFactor ? scaleLifecycle(tabLifecycle, thresholdFactor) : tabLifecycle;
+}
+
+/**
+ * Queue a tab held back by quiet hours in its window's pendingClose, so
+ * sortTabsAndGroups closes it once they are over. A window without state yet
+ * has nothing to carry over: its tabs turn gone again when quiet hours end.
+ */
+function queuePendingClose(meta, windowState) {
+  const ws = windowState?.[meta.windowId] || windowState?.[String(meta.windowId)];
+  if (!ws) return;
+  if (!ws.pendingClose) ws.pendingClose = { tabs: [], groups: [] };
+  if (!ws.pendingClose.tabs.includes(meta.tabId)) ws.pendingClose.tabs.push(meta.tabId);
+}
+
+/**
+ * Compute status transitions for every tracked tab.
+ *
+ * During `settings.quietHours` tabs due to turn gone stop at the last stage
+ * and are queued in `windowState[wid].pendingClose` instead.
+ *
+ * @param {object} tabMeta
+ * @param {number} activeTimeMs
+ * @param {object} settings
+ * @param {object} [windowState] - Used to honor per-group snoozes and policies and window profiles
+ * @param {Set<number>} [protectedGroupIds] - Groups with a "never close" title
+ * @returns {object} tabId → { oldStatus, newStatus }
+ */
+export function evaluateAllTabs(tabMeta, activeTimeMs, settings, windowState, protectedGroupIds = new Set()) {
   const transitions = {};
+  const now = Date.now();
+  const lifecycle = resolveLifecycle(settings);
+  const holdStage = lastStageId(lifecycle);
+  const closureHeld = isWithinQuietHours(settings?.quietHours);
 
   for (const [tabId, meta] of Object.entries(tabMeta)) {
     if (meta.pinned) continue;
+    // Tabs of a frozen window or group keep their status until it thaws
+    if (hasWindowFreeze(meta) || hasGroupFreeze(meta)) continue;
+
+    // Snoozed tabs (or tabs in a snoozed group) stay in the fresh stage until expiry
+    if (isSnoozed(meta, windowState, now)) {
+      if (meta.status !== STATUS.GREEN) {
+        transitions[tabId] = { oldStatus: meta.status, newStatus: STATUS.GREEN };
+      }
+      continue;
+    }
 
     const age = computeAge(meta, activeTimeMs, settings);
-    const transitionToggles = {
-      greenToYellowEnabled: settings.greenToYellowEnabled,
-      yellowToRedEnabled: settings.yellowToRedEnabled,
-      redToGoneEnabled: settings.redToGoneEnabled,
-    };
-    const newStatus = computeStatus(age, settings.thresholds, transitionToggles);
+    let newStatus = computeStage(age, resolveEffectiveLifecycle(meta, settings, windowState, lifecycle));
+    // Protected and media-frozen tabs, and members of protected groups, keep
+    // coloring and sorting but stop at the last stage
+    if (newStatus === STATUS.GONE && (isProtectedUrl(meta.url, settings) || isMediaFrozen(meta)
+      || (meta.groupId != null && protectedGroupIds.has(meta.groupId)))) {
+      newStatus = holdStage;
+    }
+    // Quiet hours: hold in the last stage and queue for closing later
+    if (newStatus === STATUS.GONE && closureHeld) {
+      newStatus = holdStage;
+      queuePendingClose(meta, windowState);
+    }
 
     if (newStatus !== meta.status) {
       transitions[tabId] = {
@@ -64,3 +214,49 @@ export function evaluateAllTabs(tabMeta, activeTimeMs, settings) {
 
   return transitions;
 }
+
+/**
+ * Time left before a tab turns gone, in milliseconds of the clock it ages
+ * against, or null when it will not turn gone as things stand: pinned,
+ * snoozed, frozen, protected, or with a disabled transition on the way.
+ *
+ * @param {object} meta
+ * @param {number} activeTimeMs
+ * @param {object} settings
+ * @param {object} [windowState]
+ * @param {object} [lifecycle] - The already resolved active lifecycle
+ * @returns {number|null}
+ */
+export function computeTimeUntilGone(meta, activeTimeMs, settings, windowState, lifecycle = resolveLifecycle(settings)) {
+  if (meta.pinned || hasWindowFreeze(meta) || hasGroupFreeze(meta) || isMediaFrozen(meta)) return null;
+  if (isSnoozed(meta, windowState) || isProtectedUrl(meta.url, settings)) return null;
+  const effective = resolveEffectiveLifecycle(meta, settings, windowState, lifecycle);
+  if (!effective.goneEnabled || effective.stages.some((stage) => !stage.enabled)) return null;
+  const remaining = Math.max(0, effective.goneAfter - computeAge(meta, activeTimeMs, settings));
+  // Frecency scales the age, so each remaining unit of age takes longer to pass
+  return settings.agingMode === AGING_MODE.FRECENCY ? remaining / computeFrecencyFactor(meta) : remaining;
+}
+
+/**
+ * Time left before a user group turns gone. Like computeGroupStatus, the
+ * freshest member decides, so this is the longest time left of its members;
+ * null when any member will not turn gone (or there are none).
+ *
+ * @param {number} groupId
+ * @param {object} tabMeta
+ * @param {number} activeTimeMs
+ * @param {object} settings
+ * @param {object} [windowState]
+ * @param {object} [lifecycle]
+ * @returns {number|null}
+ */
+export function computeGroupTimeUntilGone(groupId, tabMeta, activeTimeMs, settings, windowState, lifecycle = resolveLifecycle(settings)) {
+  let longest = null;
+  for (const meta of Object.values(tabMeta)) {
+    if (meta.groupId !== groupId || meta.pinned || meta.isSpecialGroup) continue;
+    const remaining = computeTimeUntilGone(meta, activeTimeMs, settings, windowState, lifecycle);
+    if (remaining === null) return null;
+    longest = Math.max(longest ?? 0, remaining);
+  }
+  return longest;
+}
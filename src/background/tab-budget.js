@@ -0,0 +1,101 @@
+import { DEFAULT_TAB_BUDGET, ERROR_CODES, CLOSE_REASON } from '../shared/constants.js';
+import { createLogger } from '../shared/logger.js';
+import { isWithinQuietHours } from '../shared/quiet-hours.js';
+import { computeAge } from './status-evaluator.js';
+import { canCloseEarly } from './protection.js';
+
+const logger = createLogger('background');
+
+/**
+ * Tab budget: a window may hold at most `settings.maxTabsPerWindow` unpinned
+ * tabs. Each evaluation cycle closes the oldest tabs of a window over budget,
+ * whatever their stage, and bookmarks them like gone tabs (goneConfig).
+ * Tabs the extension may not close early (see canCloseEarly) count towards
+ * the budget but are never evicted. Nothing is evicted during quiet hours.
+ */
+
+export function isTabBudgetEnabled(settings) {
+  return settings?.tabBudgetEnabled ?? DEFAULT_TAB_BUDGET.ENABLED;
+}
+
+export function resolveTabBudget(settings) {
+  const max = settings?.maxTabsPerWindow;
+  return Number.isInteger(max) && max > 0 ? max : DEFAULT_TAB_BUDGET.MAX_TABS_PER_WINDOW;
+}
+
+/**
+ * The tabs to evict, oldest first within each window.
+ *
+ * @param {object} tabMeta
+ * @param {object[]} liveTabs - Result of chrome.tabs.query({})
+ * @param {number} activeTimeMs
+ * @param {object} settings
+ * @param {object} [windowState]
+ * @param {Set<number>} [protectedGroupIds] - Groups with a "never close" title
+ * @param {number} [now]
+ * @returns {object[]} Live tabs
+ */
+export function findTabsOverBudget(tabMeta, liveTabs, activeTimeMs, settings, windowState, protectedGroupIds, now = Date.now()) {
+  if (isWithinQuietHours(settings?.quietHours)) return [];
+  const budget = resolveTabBudget(settings);
+
+  // Only tracked tabs count: entries closed earlier in the cycle are gone
+  const byWindow = new Map();
+  for (const tab of liveTabs) {
+    if (tab.pinned) continue;
+    const meta = tabMeta[tab.id] || tabMeta[String(tab.id)];
+    if (!meta) continue;
+    if (!byWindow.has(tab.windowId)) byWindow.set(tab.windowId, []);
+    byWindow.get(tab.windowId).push({ tab, meta });
+  }
+
+  const evict = [];
+  for (const entries of byWindow.values()) {
+    const excess = entries.length - budget;
+    if (excess <= 0) continue;
+    const oldestFirst = entries
+      .filter(({ tab, meta }) => canCloseEarly(tab, meta, settings, windowState, protectedGroupIds, now))
+      .map(({ tab, meta }) => ({ tab, age: computeAge(meta, activeTimeMs, settings) }))
+      .sort((a, b) => b.age - a.age);
+    evict.push(...oldestFirst.slice(0, excess).map(({ tab }) => tab));
+  }
+  return evict;
+}
+
+/**
+ * Bookmark (per goneConfig) and close the given tabs, dropping their tabMeta
+ * entries. Each closure is passed to goneConfig.recordClosed for the undo
+ * journal.
+ *
+ * @param {object[]} tabs - Live tabs from findTabsOverBudget
+ * @param {object} tabMeta
+ * @param {object} goneConfig - See sortTabsAndGroups
+ * @returns {Promise<number[]>} IDs of the closed tabs
+ */
+export async function evictTabs(tabs, tabMeta, goneConfig) {
+  const closed = [];
+  for (const tab of tabs) {
+    if (goneConfig.bookmarkEnabled && goneConfig.bookmarkFolderId && goneConfig.isBookmarkableUrl(tab.url)) {
+      try {
+        await goneConfig.bookmarkTab(tab, goneConfig.bookmarkFolderId);
+      } catch (err) {
+        logger.warn('Failed to bookmark evicted tab', { tabId: tab.id, error: err.message });
+      }
+    }
+    try {
+      await chrome.tabs.remove(tab.id);
+      const meta = tabMeta[tab.id] || tabMeta[String(tab.id)];
+      if (meta) goneConfig.recordClosed?.(CLOSE_REASON.BUDGET, [{ tab, meta }], null);
+      delete tabMeta[tab.id];
+      delete tabMeta[String(tab.id)];
+      closed.push(tab.id);
+    } catch (err) {
+      logger.warn('Failed to close evicted tab', {
+        tabId: tab.id,
+        error: err.message,
+        errorCode: ERROR_CODES.ERR_TAB_REMOVE,
+      });
+    }
+  }
+  return closed;
+}
@@ -0,0 +1,82 @@
+import { DEFAULT_DISCARD } from '../shared/constants.js';
+import { createLogger } from '../shared/logger.js';
+import { resolveLifecycle, getStage, lastStageId } from '../shared/lifecycle.js';
+import { computeAge, resolveEffectiveLifecycle } from './status-evaluator.js';
+import { isMediaProtected } from './media-protection.js';
+
+const logger = createLogger('background');
+
+/**
+ * Discard before close: tabs that have reached the last stage (red in the
+ * classic lifecycle) are unloaded with chrome.tabs.discard to free their
+ * memory, optionally only once they have spent `settings.discardDelayMinutes`
+ * of tab age there. A discarded tab keeps its place, group and age; Chrome
+ * reloads it when it is opened again, and that reload is not a refresh (see
+ * _handleNavigationEvent in service-worker.js).
+ */
+
+export function isDiscardEnabled(settings) {
+  return settings?.discardEnabled ?? DEFAULT_DISCARD.ENABLED;
+}
+
+/**
+ * Tabs due to be discarded: loaded, in the background, not playing media and
+ * in the last stage for at least the configured delay.
+ *
+ * @param {object} tabMeta
+ * @param {object[]} liveTabs - Result of chrome.tabs.query({})
+ * @param {number} activeTimeMs
+ * @param {object} settings
+ * @param {object} [windowState]
+ * @returns {number[]} Tab IDs
+ */
+export function findTabsToDiscard(tabMeta, liveTabs, activeTimeMs, settings, windowState) {
+  const lifecycle = resolveLifecycle(settings);
+  const lastStage = lastStageId(lifecycle);
+  const delayMs = (settings?.discardDelayMinutes ?? DEFAULT_DISCARD.DELAY_MINUTES) * 60_000;
+
+  const due = [];
+  for (const tab of liveTabs) {
+    if (tab.active || tab.pinned || tab.discarded || tab.status === 'unloaded') continue;
+    if (isMediaProtected(tab, settings)) continue;
+    const meta = tabMeta[tab.id] || tabMeta[String(tab.id)];
+    if (!meta || meta.status !== lastStage) continue;
+    if (delayMs > 0) {
+      const tabLifecycle = resolveEffectiveLifecycle(meta, settings, windowState, lifecycle);
+      const timeInStage = computeAge(meta, activeTimeMs, settings) - getStage(tabLifecycle, lastStage).after;
+      if (timeInStage < delayMs) continue;
+    }
+    due.push(tab.id);
+  }
+  return due;
+}
+
+/**
+ * Discard the given tabs. Chrome versions that replace a tab when discarding
+ * it hand back a new ID; its tabMeta entry is moved over.
+ *
+ * @param {number[]} tabIds
+ * @param {object} tabMeta
+ * @returns {Promise<number[]>} IDs of the discarded tabs
+ */
+export async function discardTabs(tabIds, tabMeta) {
+  const discarded = [];
+  for (const tabId of tabIds) {
+    try {
+      const tab = await chrome.tabs.discard(tabId);
+      // Chrome declines to discard some tabs (e.g. ones that just became active)
+      if (!tab) continue;
+      if (tab.id !== tabId) {
+        const meta = tabMeta[tabId] || tabMeta[String(tabId)];
+        delete tabMeta[tabId];
+        delete tabMeta[String(tabId)];
+        if (meta) tabMeta[tab.id] = { ...meta, tabId: tab.id };
+        logger.debug('Discarded tab was replaced', { oldTabId: tabId, newTabId: tab.id });
+      }
+      discarded.push(tab.id);
+    } catch (err) {
+      logger.debug('Failed to discard tab', { tabId, error: err.message });
+    }
+  }
+  return discarded;
+}
@@ -1,6 +1,12 @@
 import { createLogger } from '../shared/logger.js';
-import { ERROR_CODES } from '../shared/constants.js';
-import { isSpecialGroup, trackExtensionGroup } from './group-manager.js';
+import {
+  ERROR_CODES, DEFAULT_AUTO_GROUP, DEFAULT_GROUP_SIZE_CAP, NO_OPENER_PLACEMENT, GROUPING_RULE_ACTION,
+} from '../shared/constants.js';
+import {
+  isSpecialGroup, parseGroupTitle, trackExtensionGroup, markExtensionTitleUpdate, markExtensionColorUpdate,
+} from './group-manager.js';
+import { resolveLifecycle } from '../shared/lifecycle.js';
+import { findGroupingRule, applyGroupingRule } from './grouping-rules.js';
 
 const logger = createLogger('background');
 
@@ -13,9 +19,16 @@ const logger = createLogger('background');
  * already switched focus to the new tab by the time `onCreated` fires.
  *
  * Rules:
- *   1. Context tab is in a user group → move new tab to right of context tab in that group
- *   2. Context tab is ungrouped & unpinned → group both into a new tab group (color = green)
- *   3. All other cases (pinned, special-group, no context tab) → leftmost position
+ *   0. A grouping rule matches the new tab (see grouping-rules.js) → its group,
+ *      or, for an exclude rule, no placement at all
+ *   1. Context tab is in a user group → move new tab to right of context tab in that group;
+ *      with a group size cap, a full group overflows into a sibling group to its right
+ *   2. Context tab is ungrouped & unpinned → group both into a new tab group (color = first stage)
+ *   3. All other cases (pinned, special-group) → leftmost position
+ *
+ * Tabs without a context tab follow `settings.noOpenerPlacement`: by default
+ * they go leftmost; 'affinity' adds them to the user group whose tabs best
+ * cover their hostname, else leftmost; 'default' leaves them be.
  */
 export async function placeNewTab(newTab, windowId, tabMeta, windowState, settings) {
   // When auto-grouping is disabled, skip the entire placement logic.
@@ -36,10 +49,20 @@ export async function placeNewTab(newTab, windowId, tabMeta, windowState, settin
       }
     }
 
-    // --- Case 3 fallback: no context tab → leftmost ---
+    // --- Case 0: grouping rules come before the context tab ---
+    const rule = newTab.pinned
+      ? null
+      : findGroupingRule(settings?.groupingRules, newTab.pendingUrl || newTab.url, contextTab?.url);
+    if (rule?.action === GROUPING_RULE_ACTION.EXCLUDE) {
+      logger.debug('New tab excluded from auto-grouping by rule', { newTabId: newTab.id, pattern: rule.pattern });
+      return;
+    }
+    if (rule && await applyGroupingRule(newTab.id, rule, windowId, tabMeta, windowState) !== null) {
+      return;
+    }
+
     if (!contextTab) {
-      await chrome.tabs.move(newTab.id, { index: 0 });
-      logger.debug('New tab moved to far left (no context tab)', { newTabId: newTab.id, windowId });
+      await placeTabWithoutContext(newTab, windowId, tabMeta, windowState, settings);
       return;
     }
 
@@ -67,6 +90,10 @@ export async function placeNewTab(newTab, windowId, tabMeta, windowState, settin
 
     // --- Case 1: context tab is in a user group → add new tab to same group, right of context ---
     if (contextGroupId !== null) {
+      const maxTabs = resolveMaxTabsPerGroup(settings);
+      if (maxTabs !== null && await placeInOverflowGroup(newTab, contextGroupId, maxTabs, windowId, tabMeta, windowState)) {
+        return;
+      }
       try {
         await chrome.tabs.group({ tabIds: [newTab.id], groupId: contextGroupId });
         await chrome.tabs.move(newTab.id, { index: contextTab.index + 1 });
@@ -86,12 +113,13 @@ export async function placeNewTab(newTab, windowId, tabMeta, windowState, settin
       return;
     }
 
-    // --- Case 2: context tab is ungrouped & unpinned → group both, set green color ---
+    // --- Case 2: context tab is ungrouped & unpinned → group both, fresh stage color ---
     const groupId = await chrome.tabs.group({
       tabIds: [contextTab.id, newTab.id],
       createProperties: { windowId },
     });
-    await chrome.tabGroups.update(groupId, { title: '', color: 'green' });
+    const { color } = resolveLifecycle(settings).stages[0];
+    await chrome.tabGroups.update(groupId, { title: '', color });
     trackExtensionGroup(groupId);
 
     // Update tab meta for the context tab to reflect the new group
@@ -108,10 +136,11 @@ export async function placeNewTab(newTab, windowId, tabMeta, windowState, settin
       newMeta.isSpecialGroup = false;
     }
 
-    logger.debug('Created new group for context + new tab, color green', {
+    logger.debug('Created new group for context + new tab', {
       newTabId: newTab.id,
       contextTabId: contextTab.id,
       groupId,
+      color,
     });
   } catch (err) {
     logger.error('Failed to place new tab', {
@@ -122,3 +151,180 @@ export async function placeNewTab(newTab, windowId, tabMeta, windowState, settin
     });
   }
 }
+
+/**
+ * The most tabs a group may hold before new tabs opened from it overflow,
+ * or null when groups are not capped.
+ */
+export function resolveMaxTabsPerGroup(settings) {
+  if (!(settings?.groupSizeCapEnabled ?? DEFAULT_GROUP_SIZE_CAP.ENABLED)) return null;
+  const max = settings?.maxTabsPerGroup;
+  return Number.isInteger(max) && max >= 2 ? max : DEFAULT_GROUP_SIZE_CAP.MAX_TABS_PER_GROUP;
+}
+
+// "Research 2" is the second group of "Research", "2" that of an unnamed group
+const OVERFLOW_SUFFIX = /^(?:(.*\S) )?(\d+)$/;
+
+/**
+ * Send a new tab opened from a full group into its overflow sibling: a group
+ * named after it with a numeric suffix ("Research 2", "Research 3", ...), the
+ * first one with room, or a new one placed directly to the right of the full
+ * group. The siblings of an unnamed group are named by the number alone
+ * ("2", "3", ...), so they are not dissolved as unnamed single-tab groups.
+ *
+ * @returns {Promise<boolean>} Whether the tab was placed — false when the
+ *   group still has room or the overflow failed
+ */
+async function placeInOverflowGroup(newTab, groupId, maxTabs, windowId, tabMeta, windowState) {
+  const windowTabs = (await chrome.tabs.query({ windowId })).filter((tab) => tab.id !== newTab.id);
+  const sizes = new Map(); // groupId → tab count, not counting the new tab
+  for (const tab of windowTabs) {
+    if (tab.groupId === chrome.tabGroups.TAB_GROUP_ID_NONE) continue;
+    sizes.set(tab.groupId, (sizes.get(tab.groupId) || 0) + 1);
+  }
+  if ((sizes.get(groupId) || 0) < maxTabs) return false;
+
+  try {
+    const groups = (await chrome.tabGroups.query({ windowId }))
+      .filter((group) => !isSpecialGroup(group.id, windowId, windowState));
+    const fullGroup = groups.find((group) => group.id === groupId);
+    if (!fullGroup) return false;
+    const hasRoom = (group) => (sizes.get(group.id) || 0) < maxTabs;
+    const byName = new Map(groups.map((group) => [parseGroupTitle(group.title).baseName.toLowerCase(), group]));
+
+    let { baseName } = parseGroupTitle(fullGroup.title);
+    const suffixed = baseName.match(OVERFLOW_SUFFIX);
+    if (suffixed && byName.has((suffixed[1] ?? '').toLowerCase())) baseName = suffixed[1] ?? '';
+    const siblingName = (n) => (baseName ? `${baseName} ${n}` : String(n));
+
+    let target = null;
+    let suffix = 2;
+    for (; byName.has(siblingName(suffix).toLowerCase()); suffix++) {
+      const sibling = byName.get(siblingName(suffix).toLowerCase());
+      if (hasRoom(sibling)) {
+        target = sibling;
+        break;
+      }
+    }
+
+    let overflowGroupId;
+    if (target) {
+      overflowGroupId = target.id;
+      await chrome.tabs.group({ tabIds: [newTab.id], groupId: overflowGroupId });
+    } else {
+      overflowGroupId = await chrome.tabs.group({ tabIds: [newTab.id], createProperties: { windowId } });
+      trackExtensionGroup(overflowGroupId);
+      markExtensionTitleUpdate(overflowGroupId, siblingName(suffix));
+      markExtensionColorUpdate(overflowGroupId, fullGroup.color);
+      await chrome.tabGroups.update(overflowGroupId, { title: siblingName(suffix), color: fullGroup.color });
+      const fullIndexes = (await chrome.tabs.query({ groupId })).map((tab) => tab.index);
+      const [placed] = await chrome.tabs.query({ groupId: overflowGroupId });
+      // Moving right, the index counts the group's own tab still in front
+      const index = Math.max(...fullIndexes) + (placed && placed.index < Math.min(...fullIndexes) ? 0 : 1);
+      await chrome.tabGroups.move(overflowGroupId, { index });
+    }
+
+    const newMeta = tabMeta[newTab.id] || tabMeta[String(newTab.id)];
+    if (newMeta) {
+      newMeta.groupId = overflowGroupId;
+      newMeta.isSpecialGroup = false;
+    }
+    logger.debug('New tab overflowed from full group into sibling', {
+      newTabId: newTab.id,
+      groupId,
+      overflowGroupId,
+      created: !target,
+      maxTabs,
+    });
+    return true;
+  } catch (err) {
+    logger.warn('Failed to overflow full group, adding to it instead', {
+      newTabId: newTab.id,
+      groupId,
+      error: err.message,
+      errorCode: ERROR_CODES.ERR_TAB_GROUP,
+    });
+    return false;
+  }
+}
+
+export function resolveNoOpenerPlacement(settings) {
+  const placement = settings?.noOpenerPlacement;
+  return Object.values(NO_OPENER_PLACEMENT).includes(placement) ? placement : DEFAULT_AUTO_GROUP.NO_OPENER_PLACEMENT;
+}
+
+function webHostname(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:' ? parsed.hostname : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Find the user group of the window whose tabs best cover the new tab's
+ * hostname: the largest share of its tabs on that host, then the most of them.
+ *
+ * @returns {Promise<number|null>} Group ID, or null when no group has a tab on the host
+ */
+async function findAffinityGroup(newTab, windowId, windowState) {
+  const hostname = webHostname(newTab.pendingUrl || newTab.url);
+  if (!hostname) return null;
+
+  const counts = new Map(); // groupId → { total, matching }
+  for (const tab of await chrome.tabs.query({ windowId })) {
+    if (tab.id === newTab.id || tab.groupId === chrome.tabGroups.TAB_GROUP_ID_NONE) continue;
+    if (isSpecialGroup(tab.groupId, windowId, windowState)) continue;
+    const count = counts.get(tab.groupId) || { total: 0, matching: 0 };
+    count.total += 1;
+    if (webHostname(tab.pendingUrl || tab.url) === hostname) count.matching += 1;
+    counts.set(tab.groupId, count);
+  }
+
+  let best = null;
+  for (const [groupId, { total, matching }] of counts) {
+    if (matching === 0) continue;
+    const coverage = matching / total;
+    if (!best || coverage > best.coverage || (coverage === best.coverage && matching > best.matching)) {
+      best = { groupId, coverage, matching };
+    }
+  }
+  return best ? best.groupId : null;
+}
+
+async function placeTabWithoutContext(newTab, windowId, tabMeta, windowState, settings) {
+  const placement = resolveNoOpenerPlacement(settings);
+  if (placement === NO_OPENER_PLACEMENT.DEFAULT) {
+    logger.debug('New tab left at its default position (no context tab)', { newTabId: newTab.id, windowId });
+    return;
+  }
+
+  if (placement === NO_OPENER_PLACEMENT.AFFINITY) {
+    const groupId = await findAffinityGroup(newTab, windowId, windowState);
+    if (groupId !== null) {
+      try {
+        await chrome.tabs.group({ tabIds: [newTab.id], groupId });
+        const newMeta = tabMeta[newTab.id] || tabMeta[String(newTab.id)];
+        if (newMeta) {
+          newMeta.groupId = groupId;
+          newMeta.isSpecialGroup = false;
+        }
+        logger.debug('New tab added to group with tabs on its hostname (no context tab)', {
+          newTabId: newTab.id,
+          groupId,
+        });
+        return;
+      } catch (groupErr) {
+        logger.warn('Failed to add to hostname group, moving to far left', {
+          newTabId: newTab.id,
+          groupId,
+          error: groupErr.message,
+        });
+      }
+    }
+  }
+
+  await chrome.tabs.move(newTab.id, { index: 0 });
+  logger.debug('New tab moved to far left (no context tab)', { newTabId: newTab.id, windowId });
+}
@@ -3,7 +3,7 @@ import { STATUS } from '../shared/constants.js';
 const TAB_GROUP_ID_NONE = -1;
 
 export function createTabEntry(tab, activeTimeMs) {
-  return {
+  const entry = {
     tabId: tab.id,
     windowId: tab.windowId,
     refreshActiveTime: activeTimeMs,
@@ -14,6 +14,9 @@ export function createTabEntry(tab, activeTimeMs) {
     pinned: tab.pinned || false,
     url: tab.url || '',
   };
+  // Opener tree (see opener-tree.js)
+  if (Number.isInteger(tab.openerTabId) && tab.openerTabId !== tab.id) entry.openerTabId = tab.openerTabId;
+  return entry;
 }
 
 export function handleNavigation(existingMeta, activeTimeMs, url) {
@@ -42,6 +45,9 @@ export function reconcileTabs(storedMeta, chromeTabs, activeTimeMs) {
         pinned: tab.pinned || false,
         url: tab.url || stored.url || '',
       };
+      // Usage stats survive, but an open foreground session cannot be trusted
+      // across a restart — drop it rather than credit the downtime
+      if (stored.foregroundSince !== undefined) reconciled[tab.id].foregroundSince = null;
     } else {
       reconciled[tab.id] = {
         tabId: tab.id,
@@ -59,3 +65,35 @@ export function reconcileTabs(storedMeta, chromeTabs, activeTimeMs) {
 
   return reconciled;
 }
+
+// ─── Usage Stats (frecency aging) ────────────────────────────────────────────
+
+/** Total foreground time, including a foreground session still in progress. */
+export function getForegroundMs(meta, now = Date.now()) {
+  const stored = meta.foregroundMs || 0;
+  return Number.isFinite(meta.foregroundSince) ? stored + Math.max(0, now - meta.foregroundSince) : stored;
+}
+
+export function recordActivation(meta) {
+  meta.activationCount = (meta.activationCount || 0) + 1;
+}
+
+export function startForeground(meta, now = Date.now()) {
+  if (Number.isFinite(meta.foregroundSince)) return;
+  meta.foregroundSince = now;
+}
+
+export function stopForeground(meta, now = Date.now()) {
+  if (!Number.isFinite(meta.foregroundSince)) return;
+  meta.foregroundMs = getForegroundMs(meta, now);
+  meta.foregroundSince = null;
+}
+
+/**
+ * Carry usage stats over to a new tabMeta entry (URL re-matching after a
+ * restart). Any foreground session in progress ended with the old browser.
+ */
+export function copyUsageStats(from, to) {
+  if (from.activationCount !== undefined) to.activationCount = from.activationCount;
+  if (from.foregroundMs !== undefined) to.foregroundMs = from.foregroundMs;
+}
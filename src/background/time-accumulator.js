@@ -8,9 +8,17 @@ const logger = createLogger('background');
 // of all settings toggles (agingEnabled, etc.). When aging is paused, the clock
 // keeps ticking so that tab ages remain accurate when aging resumes. The age cap
 // (applied on re-enable in service-worker.js) prevents mass tab closure.
+//
+// In engaged time mode (`pauseOnIdle`), the accumulator also stops while
+// chrome.idle reports "idle" or "locked". `windowFocused`, `idle` and
+// `pauseOnIdle` are persisted with the accumulator so the paused/counting state
+// survives service-worker restarts; `focusStartTime` is non-null exactly while
+// time is being counted.
 let cachedActiveTime = null;
 let loadingPromise = null;
 
+const IDLE_STATE_ACTIVE = 'active';
+
 export function createDefaultActiveTime() {
   return {
     accumulatedMs: 0,
@@ -63,27 +71,66 @@ export async function recoverActiveTime() {
   return state;
 }
 
+function isWindowFocused(state) {
+  // Legacy state has no windowFocused flag: counting implied focus
+  return typeof state.windowFocused === 'boolean' ? state.windowFocused : state.focusStartTime !== null;
+}
+
+/**
+ * Start or stop counting to match the focus/idle flags. When stopping,
+ * time up to `countedUntil` (default: now) is added to the accumulator.
+ */
+function updateCounting(now, countedUntil = now) {
+  const state = cachedActiveTime;
+  const shouldCount = isWindowFocused(state) && !(state.pauseOnIdle && state.idle);
+  if (shouldCount && state.focusStartTime === null) {
+    state.focusStartTime = now;
+  } else if (!shouldCount && state.focusStartTime !== null) {
+    const delta = Math.max(state.focusStartTime, countedUntil) - state.focusStartTime;
+    if (delta > 0) {
+      state.accumulatedMs += delta;
+    }
+    state.focusStartTime = null;
+  }
+  state.lastPersistedAt = now;
+}
+
 export async function handleFocusChange(windowId) {
   await ensureActiveTimeLoaded();
 
+  cachedActiveTime.windowFocused = windowId !== chrome.windows.WINDOW_ID_NONE;
+  updateCounting(Date.now());
+  return { ...cachedActiveTime };
+}
+
+/**
+ * Apply a chrome.idle state change ("active", "idle" or "locked").
+ *
+ * chrome.idle reports "idle" only after `detectionIntervalMs` without input,
+ * so that trailing stretch is not counted either.
+ *
+ * @param {string} idleState
+ * @param {number} [detectionIntervalMs=0]
+ */
+export async function handleIdleStateChange(idleState, detectionIntervalMs = 0) {
+  await ensureActiveTimeLoaded();
+
   const now = Date.now();
-  const WINDOW_ID_NONE = chrome.windows.WINDOW_ID_NONE;
-
-  if (windowId === WINDOW_ID_NONE) {
-    if (cachedActiveTime.focusStartTime !== null) {
-      const delta = now - cachedActiveTime.focusStartTime;
-      if (delta > 0) {
-        cachedActiveTime.accumulatedMs += delta;
-      }
-      cachedActiveTime.focusStartTime = null;
-    }
-  } else {
-    if (cachedActiveTime.focusStartTime === null) {
-      cachedActiveTime.focusStartTime = now;
-    }
-  }
+  const idle = idleState !== IDLE_STATE_ACTIVE;
+  const countedUntil = idleState === 'idle' ? now - detectionIntervalMs : now;
+  cachedActiveTime.idle = idle;
+  updateCounting(now, countedUntil);
+  return { ...cachedActiveTime };
+}
+
+/**
+ * Enable or disable pausing on idle (engaged time mode).
+ */
+export async function setPauseOnIdle(enabled) {
+  await ensureActiveTimeLoaded();
 
-  cachedActiveTime.lastPersistedAt = now;
+  cachedActiveTime.pauseOnIdle = enabled;
+  updateCounting(Date.now());
   return { ...cachedActiveTime };
 }
 
@@ -0,0 +1,100 @@
+import { WINDOW_PROFILE } from '../shared/constants.js';
+import { resumeAgingFrom } from './snooze.js';
+import { isMediaFrozen } from './media-protection.js';
+
+/**
+ * Per-window aging profiles: "nothing in my research window ages" and "tabs
+ * in my triage window are gone within the hour".
+ *
+ * The profile lives in `windowState[wid].agingProfile` and is absent for
+ * windows that inherit the global settings. `{ mode: 'frozen' }` stops aging,
+ * status changes and closing for every tab in the window; `{ mode: 'custom',
+ * thresholds }` replaces the first two transition times and the gone time,
+ * taking precedence over per-domain rules.
+ *
+ * A frozen window freezes the age of each of its tabs the way a media freeze
+ * does (`windowFrozenAtActiveTime`, `windowFrozenAtWallTime` on the tabMeta
+ * entry), so tabs dragged in or out freeze or resume on the next cycle. A
+ * media freeze already in place is taken over, so a tab never carries both.
+ */
+
+export function getWindowProfile(windowId, windowState) {
+  const ws = windowState?.[windowId] || windowState?.[String(windowId)];
+  return ws?.agingProfile ?? null;
+}
+
+export function isWindowFrozen(windowId, windowState) {
+  return getWindowProfile(windowId, windowState)?.mode === WINDOW_PROFILE.FROZEN;
+}
+
+/** Custom thresholds of the window, or null when it has none. */
+export function getWindowThresholds(windowId, windowState) {
+  const profile = getWindowProfile(windowId, windowState);
+  return profile?.mode === WINDOW_PROFILE.CUSTOM ? profile.thresholds : null;
+}
+
+export function hasWindowFreeze(meta) {
+  return Number.isFinite(meta?.windowFrozenAtActiveTime);
+}
+
+/**
+ * Assign a profile to a window. Inherit (or no profile) removes it.
+ *
+ * @returns {boolean} false when the window has no state entry
+ */
+export function setWindowProfile(windowId, profile, windowState) {
+  const ws = windowState[windowId] || windowState[String(windowId)];
+  if (!ws) return false;
+  if (profile?.mode === WINDOW_PROFILE.FROZEN) {
+    ws.agingProfile = { mode: WINDOW_PROFILE.FROZEN };
+  } else if (profile?.mode === WINDOW_PROFILE.CUSTOM) {
+    const { greenToYellow, yellowToRed, redToGone } = profile.thresholds;
+    ws.agingProfile = { mode: WINDOW_PROFILE.CUSTOM, thresholds: { greenToYellow, yellowToRed, redToGone } };
+  } else {
+    delete ws.agingProfile;
+  }
+  return true;
+}
+
+/**
+ * Start or release window freezes to match each tab's current window.
+ *
+ * @param {object} tabMeta
+ * @param {object} windowState
+ * @param {number} activeTimeMs
+ * @param {number} [now]
+ * @returns {{frozen: number[], released: number[]}} Tab IDs whose freeze started / ended
+ */
+export function applyWindowFreeze(tabMeta, windowState, activeTimeMs, now = Date.now()) {
+  const result = { frozen: [], released: [] };
+  for (const meta of Object.values(tabMeta)) {
+    const shouldFreeze = isWindowFrozen(meta.windowId, windowState);
+    if (shouldFreeze && !hasWindowFreeze(meta)) {
+      if (isMediaFrozen(meta)) {
+        meta.windowFrozenAtActiveTime = meta.mediaFrozenAtActiveTime;
+        meta.windowFrozenAtWallTime = meta.mediaFrozenAtWallTime;
+        delete meta.mediaFrozenAtActiveTime;
+        delete meta.mediaFrozenAtWallTime;
+      } else {
+        meta.windowFrozenAtActiveTime = activeTimeMs;
+        meta.windowFrozenAtWallTime = now;
+      }
+      result.frozen.push(meta.tabId);
+    } else if (!shouldFreeze && hasWindowFreeze(meta)) {
+      resumeAgingFrom(meta, meta.windowFrozenAtActiveTime, meta.windowFrozenAtWallTime, activeTimeMs, now);
+      delete meta.windowFrozenAtActiveTime;
+      delete meta.windowFrozenAtWallTime;
+      result.released.push(meta.tabId);
+    }
+  }
+  return result;
+}
+
+/**
+ * Carry a window freeze over to a new tabMeta entry (URL re-matching on restart).
+ */
+export function copyWindowFreeze(from, to) {
+  if (!hasWindowFreeze(from)) return;
+  to.windowFrozenAtActiveTime = from.windowFrozenAtActiveTime;
+  to.windowFrozenAtWallTime = from.windowFrozenAtWallTime;
+}
@@ -6,12 +6,34 @@ import {
   DEFAULT_SHOW_GROUP_AGE,
   DEFAULT_AGING_TOGGLES,
   DEFAULT_TRANSITION_TOGGLES,
+  DEFAULT_ACTIVATION_REFRESH,
+  NAVIGATION_KIND,
+  NAVIGATION_RESET_SETTINGS,
+  DEFAULT_NAVIGATION_RESET,
+  DEFAULT_IDLE_DETECTION,
+  DEFAULT_OPENER_TREE,
+  DEFAULT_MEDIA_FREEZE,
+  DEFAULT_DISCARD,
+  DEFAULT_TAB_BUDGET,
+  DEFAULT_GONE_WARNING,
+  DEFAULT_DUPLICATES,
+  DEFAULT_DRY_RUN,
+  DRY_RUN_ACTION,
   DEFAULT_GROUP_NAMES,
   DEFAULT_AUTO_GROUP,
+  DEFAULT_GROUP_SIZE_CAP,
+  DEFAULT_DOMAIN_CLUSTERING,
+  GROUPING_RULE_ACTION,
+  DEFAULT_LIFECYCLE,
+  TAB_GROUP_COLORS,
   TIME_MODE,
+  AGING_MODE,
   ERROR_CODES,
 } from '../shared/constants.js';
 import { createLogger } from '../shared/logger.js';
+import { parseTimeOfDay } from '../shared/quiet-hours.js';
+import { isValidRegExp } from '../shared/url-patterns.js';
+import { classicLifecycleStages } from '../shared/lifecycle.js';
 
 const logger = createLogger('options');
 
@@ -67,27 +89,67 @@ function showSaveStatus(message, isError) {
 const DEPENDENCY_TREE = {
   agingEnabled: {
     children: [
-      'timeMode', 'tabSortingEnabled', 'tabgroupSortingEnabled',
-      'tabgroupColoringEnabled', 'showGroupAge', 'greenToYellowEnabled',
+      'timeMode', 'idleDetectionSeconds', 'tabSortingEnabled', 'tabgroupSortingEnabled',
+      'tabgroupColoringEnabled', 'showGroupAge', 'activationRefreshEnabled', 'refreshKeepsOpenerAlive',
+      'freezeAudibleTabs', 'freezeMutedTabs', 'discardEnabled', 'duplicateDetectionEnabled',
+      'customStagesEnabled', 'greenToYellowEnabled', 'tabBudgetEnabled', 'dryRunEnabled',
     ],
   },
+  customStagesEnabled: {
+    parent: 'agingEnabled',
+    children: ['add-lifecycle-stage'],
+  },
+  activationRefreshEnabled: {
+    parent: 'agingEnabled',
+    children: ['activationDwellSeconds'],
+  },
+  discardEnabled: {
+    parent: 'agingEnabled',
+    children: ['discardDelayMinutes'],
+  },
+  tabBudgetEnabled: {
+    parent: 'agingEnabled',
+    children: ['maxTabsPerWindow'],
+  },
+  duplicateDetectionEnabled: {
+    parent: 'agingEnabled',
+    children: ['duplicateStripHash', 'duplicateStripTrackingParams'],
+  },
+  // Classic stage toggles are hidden and passed through with custom stages
   greenToYellowEnabled: {
     parent: 'agingEnabled',
+    classicStage: true,
     children: ['greenToYellow', 'greenToYellowUnit', 'yellowGroupName', 'yellowToRedEnabled'],
   },
   yellowToRedEnabled: {
     parent: 'greenToYellowEnabled',
+    classicStage: true,
     children: ['yellowToRed', 'yellowToRedUnit', 'redGroupName', 'redToGoneEnabled'],
   },
   redToGoneEnabled: {
     parent: 'yellowToRedEnabled',
-    children: ['redToGone', 'redToGoneUnit', 'bookmarkEnabled'],
+    children: ['redToGone', 'redToGoneUnit', 'bookmarkEnabled', 'goneWarningEnabled'],
+  },
+  goneWarningEnabled: {
+    parent: 'redToGoneEnabled',
+    children: ['goneWarningMinutes'],
   },
   bookmarkEnabled: {
     parent: 'redToGoneEnabled',
     children: ['bookmarkFolderName'],
   },
   // Auto-tab-groups section: independent siblings, no parent
+  autoGroupEnabled: {
+    children: ['groupSizeCapEnabled', 'domainClusteringEnabled'],
+  },
+  groupSizeCapEnabled: {
+    parent: 'autoGroupEnabled',
+    children: ['maxTabsPerGroup'],
+  },
+  domainClusteringEnabled: {
+    parent: 'autoGroupEnabled',
+    children: ['domainClusteringMinTabs'],
+  },
   autoGroupNamingEnabled: {
     children: ['autoGroupNamingDelayMinutes'],
   },
@@ -100,8 +162,8 @@ const DEPENDENCY_TREE = {
 function isEffectivelyEnabled(toggleId) {
   const el = document.getElementById(toggleId);
   if (!el) return true;
-  if (!el.checked) return false;
   const node = DEPENDENCY_TREE[toggleId];
+  if (!el.checked && !(node?.classicStage && customStagesChecked())) return false;
   if (node && node.parent) {
     return isEffectivelyEnabled(node.parent);
   }
@@ -132,7 +194,7 @@ function applyGreyOut() {
         container.classList.add('disabled-group');
       }
       // Disable all inputs/selects within the container
-      const controls = container.querySelectorAll('input, select');
+      const controls = container.querySelectorAll('input, select, textarea');
       for (const ctrl of controls) {
         // Don't override if the control has its own toggle logic handled above
         if (ctrl.id && DEPENDENCY_TREE[ctrl.id]) {
@@ -150,13 +212,582 @@ function applyGreyOut() {
     }
   }
 
-  // Handle radio buttons for timeMode (they use name attribute, not id)
+  // Custom stages replace the classic Green → Yellow → Red controls
+  const custom = customStagesChecked();
+  document.querySelectorAll('.classic-stage-control').forEach((el) => {
+    el.classList.toggle('stage-hidden', custom);
+  });
+  document.getElementById('redToGone-label').textContent =
+    custom ? 'Last stage → Gone (Close)' : 'Red → Gone (Close)';
+
+  // Handle radio buttons for timeMode/agingMode (they use name attribute, not id)
   const agingOn = isEffectivelyEnabled('agingEnabled');
-  document.querySelectorAll('input[name="timeMode"]').forEach((r) => {
+  document.querySelectorAll('input[name="timeMode"], input[name="agingMode"]').forEach((r) => {
     r.disabled = !agingOn;
   });
 }
 
+// ─── Per-domain Threshold Rules ──────────────────────────────────────────────
+
+const RULE_TRANSITIONS = [
+  { key: 'greenToYellow', toggle: 'greenToYellowEnabled', label: 'Green → Yellow' },
+  { key: 'yellowToRed', toggle: 'yellowToRedEnabled', label: 'Yellow → Red' },
+  { key: 'redToGone', toggle: 'redToGoneEnabled', label: 'Red → Gone' },
+];
+
+const DEFAULT_RULE_THRESHOLDS = {
+  greenToYellow: DEFAULT_THRESHOLDS.GREEN_TO_YELLOW,
+  yellowToRed: DEFAULT_THRESHOLDS.YELLOW_TO_RED,
+  redToGone: DEFAULT_THRESHOLDS.RED_TO_GONE,
+};
+
+function createUnitSelect(selectedUnit) {
+  const select = document.createElement('select');
+  for (const unit of Object.keys(UNIT_TO_MS)) {
+    const option = document.createElement('option');
+    option.value = unit;
+    option.textContent = unit;
+    option.selected = unit === selectedUnit;
+    select.appendChild(option);
+  }
+  return select;
+}
+
+function createRowButton(action, text, title) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'icon-btn';
+  button.dataset.action = action;
+  button.textContent = text;
+  button.title = title;
+  return button;
+}
+
+function createThresholdRuleRow(rule) {
+  const row = document.createElement('div');
+  row.className = 'rule-row';
+
+  const header = document.createElement('div');
+  header.className = 'rule-row-header';
+  const pattern = document.createElement('input');
+  pattern.type = 'text';
+  pattern.className = 'rule-pattern';
+  pattern.placeholder = '*.example.com';
+  pattern.value = rule.pattern || '';
+  header.append(
+    pattern,
+    createRowButton('up', '↑', 'Move up'),
+    createRowButton('down', '↓', 'Move down'),
+    createRowButton('remove', '✕', 'Remove rule'),
+  );
+  row.appendChild(header);
+
+  for (const transition of RULE_TRANSITIONS) {
+    const line = document.createElement('div');
+    line.className = 'threshold-row';
+    line.dataset.transition = transition.key;
+
+    const label = document.createElement('label');
+    label.className = 'checkbox-label';
+    const toggle = document.createElement('input');
+    toggle.type = 'checkbox';
+    toggle.className = 'rule-toggle';
+    toggle.checked = rule[transition.toggle] !== false;
+    const text = document.createElement('span');
+    text.textContent = transition.label;
+    label.append(toggle, text);
+
+    const friendly = msToFriendly(rule.thresholds?.[transition.key] || DEFAULT_RULE_THRESHOLDS[transition.key]);
+    const inputWrap = document.createElement('div');
+    inputWrap.className = 'threshold-input';
+    const value = document.createElement('input');
+    value.type = 'number';
+    value.className = 'rule-value';
+    value.min = '1';
+    value.step = '1';
+    value.value = friendly.value;
+    inputWrap.append(value, createUnitSelect(friendly.unit));
+
+    line.append(label, inputWrap);
+    row.appendChild(line);
+  }
+
+  return row;
+}
+
+function renderThresholdRules(rules) {
+  const list = document.getElementById('thresholdRules-list');
+  list.replaceChildren(...(Array.isArray(rules) ? rules : []).map(createThresholdRuleRow));
+}
+
+function handleRuleListClick(event) {
+  const button = event.target.closest('button[data-action]');
+  if (!button) return;
+  const row = button.closest('.rule-row');
+  const list = row.parentElement;
+  if (button.dataset.action === 'remove') {
+    row.remove();
+  } else if (button.dataset.action === 'up' && row.previousElementSibling) {
+    list.insertBefore(row, row.previousElementSibling);
+  } else if (button.dataset.action === 'down' && row.nextElementSibling) {
+    list.insertBefore(row.nextElementSibling, row);
+  }
+}
+
+/**
+ * Read the rule editor back into settings form. Returns `{ rules }` on
+ * success or `{ error }` with the first validation problem found.
+ */
+function collectThresholdRules() {
+  const rules = [];
+  const rows = document.querySelectorAll('#thresholdRules-list .rule-row');
+  for (const [index, row] of [...rows].entries()) {
+    const patternEl = row.querySelector('.rule-pattern');
+    const pattern = patternEl.value.trim();
+    if (!pattern) {
+      patternEl.classList.add('invalid');
+      return { error: `Rule ${index + 1}: pattern cannot be empty` };
+    }
+    const rule = { pattern, thresholds: {} };
+    for (const transition of RULE_TRANSITIONS) {
+      const line = row.querySelector(`[data-transition="${transition.key}"]`);
+      const valueEl = line.querySelector('.rule-value');
+      const value = parseFloat(valueEl.value);
+      if (!value || value <= 0) {
+        valueEl.classList.add('invalid');
+        return { error: `Rule ${index + 1}: ${transition.label} must be a positive number` };
+      }
+      rule.thresholds[transition.key] = friendlyToMs(value, line.querySelector('select').value);
+      rule[transition.toggle] = line.querySelector('.rule-toggle').checked;
+    }
+    if (rule.thresholds.greenToYellow >= rule.thresholds.yellowToRed
+        || rule.thresholds.yellowToRed >= rule.thresholds.redToGone) {
+      return { error: `Rule ${index + 1}: transition times must increase from top to bottom` };
+    }
+    rules.push(rule);
+  }
+  return { rules };
+}
+
+// ─── Navigation Reset Rules ──────────────────────────────────────────────────
+
+const NAVIGATION_RESET_LABELS = {
+  [NAVIGATION_KIND.CROSS_ORIGIN]: 'Another site',
+  [NAVIGATION_KIND.PATH]: 'Another page',
+  [NAVIGATION_KIND.QUERY]: 'Query only',
+  [NAVIGATION_KIND.HASH]: '#anchor only',
+  [NAVIGATION_KIND.PUSH_STATE]: 'In-page route (SPA)',
+  [NAVIGATION_KIND.RELOAD]: 'Reload',
+};
+
+function createNavigationResetRuleRow(rule) {
+  const row = document.createElement('div');
+  row.className = 'rule-row navigation-reset-row';
+
+  const header = document.createElement('div');
+  header.className = 'rule-row-header';
+  const pattern = document.createElement('input');
+  pattern.type = 'text';
+  pattern.className = 'rule-pattern';
+  pattern.placeholder = 'app.example.com';
+  pattern.value = rule.pattern || '';
+  header.append(
+    pattern,
+    createRowButton('up', '↑', 'Move up'),
+    createRowButton('down', '↓', 'Move down'),
+    createRowButton('remove', '✕', 'Remove rule'),
+  );
+  row.appendChild(header);
+
+  const kinds = document.createElement('div');
+  kinds.className = 'weekday-row';
+  for (const [kind, key] of Object.entries(NAVIGATION_RESET_SETTINGS)) {
+    const label = document.createElement('label');
+    label.className = 'checkbox-label';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = 'navigation-reset';
+    checkbox.dataset.key = key;
+    checkbox.checked = typeof rule[key] === 'boolean' ? rule[key] : DEFAULT_NAVIGATION_RESET[kind];
+    const text = document.createElement('span');
+    text.textContent = NAVIGATION_RESET_LABELS[kind];
+    label.append(checkbox, text);
+    kinds.appendChild(label);
+  }
+  row.appendChild(kinds);
+
+  return row;
+}
+
+function renderNavigationResetRules(rules) {
+  const list = document.getElementById('navigationResetRules-list');
+  list.replaceChildren(...(Array.isArray(rules) ? rules : []).map(createNavigationResetRuleRow));
+}
+
+/**
+ * Read the navigation rule editor back into settings form. Returns
+ * `{ rules }` on success or `{ error }` with the first validation problem found.
+ */
+function collectNavigationResetRules() {
+  const rules = [];
+  const rows = document.querySelectorAll('#navigationResetRules-list .navigation-reset-row');
+  for (const [index, row] of [...rows].entries()) {
+    const patternEl = row.querySelector('.rule-pattern');
+    const pattern = patternEl.value.trim();
+    if (!pattern) {
+      patternEl.classList.add('invalid');
+      return { error: `Rule ${index + 1}: pattern cannot be empty` };
+    }
+    const rule = { pattern };
+    for (const checkbox of row.querySelectorAll('.navigation-reset')) {
+      rule[checkbox.dataset.key] = checkbox.checked;
+    }
+    rules.push(rule);
+  }
+  return { rules };
+}
+
+// ─── Grouping Rules ──────────────────────────────────────────────────────────
+
+const GROUPING_ACTION_LABELS = {
+  [GROUPING_RULE_ACTION.GROUP]: 'Put in group',
+  [GROUPING_RULE_ACTION.EXCLUDE]: 'Never auto-group',
+};
+
+function createGroupingRuleRow(rule) {
+  const row = document.createElement('div');
+  row.className = 'rule-row grouping-rule-row';
+
+  const header = document.createElement('div');
+  header.className = 'rule-row-header';
+  const pattern = document.createElement('input');
+  pattern.type = 'text';
+  pattern.className = 'rule-pattern';
+  pattern.placeholder = 'github.com/acme/*';
+  pattern.value = rule.pattern || '';
+  const regexLabel = document.createElement('label');
+  regexLabel.className = 'checkbox-label';
+  const regex = document.createElement('input');
+  regex.type = 'checkbox';
+  regex.className = 'grouping-regex';
+  regex.checked = rule.regex === true;
+  const regexText = document.createElement('span');
+  regexText.textContent = 'Regex';
+  regexLabel.append(regex, regexText);
+  header.append(
+    pattern,
+    regexLabel,
+    createRowButton('up', '↑', 'Move up'),
+    createRowButton('down', '↓', 'Move down'),
+    createRowButton('remove', '✕', 'Remove rule'),
+  );
+  row.appendChild(header);
+
+  const line = document.createElement('div');
+  line.className = 'rule-row-header';
+  const action = document.createElement('select');
+  action.className = 'grouping-action';
+  for (const [value, label] of Object.entries(GROUPING_ACTION_LABELS)) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    option.selected = value === (rule.action || GROUPING_RULE_ACTION.GROUP);
+    action.appendChild(option);
+  }
+  const title = document.createElement('input');
+  title.type = 'text';
+  title.className = 'grouping-title';
+  title.placeholder = 'Group title';
+  title.value = rule.title || '';
+  const color = createColorSelect(rule.color || 'grey');
+  color.className = 'grouping-color';
+  line.append(action, title, color);
+  row.appendChild(line);
+
+  return row;
+}
+
+function renderGroupingRules(rules) {
+  const list = document.getElementById('groupingRules-list');
+  list.replaceChildren(...(Array.isArray(rules) ? rules : []).map(createGroupingRuleRow));
+}
+
+/**
+ * Read the grouping rule editor back into settings form. Returns `{ rules }`
+ * on success or `{ error }` with the first validation problem found.
+ */
+function collectGroupingRules() {
+  const rules = [];
+  const rows = document.querySelectorAll('#groupingRules-list .grouping-rule-row');
+  for (const [index, row] of [...rows].entries()) {
+    const patternEl = row.querySelector('.rule-pattern');
+    const pattern = patternEl.value.trim();
+    const regex = row.querySelector('.grouping-regex').checked;
+    if (!pattern) {
+      patternEl.classList.add('invalid');
+      return { error: `Rule ${index + 1}: pattern cannot be empty` };
+    }
+    if (regex && !isValidRegExp(pattern)) {
+      patternEl.classList.add('invalid');
+      return { error: `Rule ${index + 1}: pattern is not a valid regular expression` };
+    }
+    const rule = { pattern, action: row.querySelector('.grouping-action').value };
+    if (regex) rule.regex = true;
+    if (rule.action === GROUPING_RULE_ACTION.GROUP) {
+      const titleEl = row.querySelector('.grouping-title');
+      rule.title = titleEl.value.trim();
+      if (!rule.title) {
+        titleEl.classList.add('invalid');
+        return { error: `Rule ${index + 1}: group title cannot be empty` };
+      }
+      rule.color = row.querySelector('.grouping-color').value;
+    }
+    rules.push(rule);
+  }
+  return { rules };
+}
+
+// ─── Custom Lifecycle Stages ─────────────────────────────────────────────────
+
+// True while the stage list is just the classic stages, i.e. never customized
+let stagesFollowClassic = true;
+
+function customStagesChecked() {
+  return document.getElementById('customStagesEnabled').checked;
+}
+
+function createColorSelect(selectedColor) {
+  const select = document.createElement('select');
+  select.className = 'stage-color';
+  for (const color of TAB_GROUP_COLORS) {
+    const option = document.createElement('option');
+    option.value = color;
+    option.textContent = color;
+    option.selected = color === selectedColor;
+    select.appendChild(option);
+  }
+  return select;
+}
+
+// The first stage's start time and group name are hidden by CSS: fresh tabs
+// start there and stay ungrouped.
+function createLifecycleStageRow(stage) {
+  const row = document.createElement('div');
+  row.className = 'rule-row stage-row';
+
+  const header = document.createElement('div');
+  header.className = 'rule-row-header';
+  const name = document.createElement('input');
+  name.type = 'text';
+  name.className = 'stage-name';
+  name.placeholder = 'Stage name';
+  name.value = stage.name || '';
+  header.append(
+    name,
+    createColorSelect(stage.color || 'grey'),
+    createRowButton('up', '↑', 'Move up'),
+    createRowButton('down', '↓', 'Move down'),
+    createRowButton('remove', '✕', 'Remove stage'),
+  );
+  row.appendChild(header);
+
+  const afterLine = document.createElement('div');
+  afterLine.className = 'threshold-row stage-after';
+  const afterLabel = document.createElement('label');
+  afterLabel.textContent = 'Starts after';
+  const friendly = msToFriendly(stage.after || DEFAULT_THRESHOLDS.GREEN_TO_YELLOW);
+  const inputWrap = document.createElement('div');
+  inputWrap.className = 'threshold-input';
+  const value = document.createElement('input');
+  value.type = 'number';
+  value.className = 'stage-after-value';
+  value.min = '1';
+  value.step = '1';
+  value.value = friendly.value;
+  inputWrap.append(value, createUnitSelect(friendly.unit));
+  afterLine.append(afterLabel, inputWrap);
+  row.appendChild(afterLine);
+
+  const groupLine = document.createElement('div');
+  groupLine.className = 'threshold-row stage-group';
+  const groupLabel = document.createElement('label');
+  groupLabel.textContent = 'Group name';
+  const groupName = document.createElement('input');
+  groupName.type = 'text';
+  groupName.className = 'stage-group-name';
+  groupName.placeholder = '(empty = no title)';
+  groupName.value = stage.groupName || '';
+  groupLine.append(groupLabel, groupName);
+  row.appendChild(groupLine);
+
+  return row;
+}
+
+function renderLifecycleStages(stages) {
+  const list = document.getElementById('lifecycleStages-list');
+  list.replaceChildren(...stages.map(createLifecycleStageRow));
+}
+
+/** Classic transition settings as currently entered, for seeding the stage list. */
+function classicFormSettings() {
+  const readMs = (id) => {
+    const value = parseFloat(document.getElementById(id).value);
+    return value > 0 ? friendlyToMs(value, document.getElementById(`${id}Unit`).value) : undefined;
+  };
+  return {
+    thresholds: { greenToYellow: readMs('greenToYellow'), yellowToRed: readMs('yellowToRed') },
+    yellowGroupName: document.getElementById('yellowGroupName').value,
+    redGroupName: document.getElementById('redGroupName').value,
+  };
+}
+
+function handleCustomStagesToggle() {
+  if (customStagesChecked() && stagesFollowClassic) {
+    renderLifecycleStages(classicLifecycleStages(classicFormSettings()));
+    stagesFollowClassic = false;
+    applyGreyOut();
+  }
+}
+
+/**
+ * Read the stage editor back into settings form. Returns `{ stages }` on
+ * success or `{ error }` with the first validation problem found. The last
+ * stage must start before `redToGone` only when custom stages are in use.
+ */
+function collectLifecycleStages(redToGone, custom) {
+  const rows = [...document.querySelectorAll('#lifecycleStages-list .stage-row')];
+  if (rows.length === 0 || rows.length > DEFAULT_LIFECYCLE.MAX_STAGES) {
+    return { error: `Use between 1 and ${DEFAULT_LIFECYCLE.MAX_STAGES} stages` };
+  }
+  const stages = [];
+  for (const [index, row] of rows.entries()) {
+    const nameEl = row.querySelector('.stage-name');
+    const name = nameEl.value.trim();
+    if (!name) {
+      nameEl.classList.add('invalid');
+      return { error: `Stage ${index + 1}: name cannot be empty` };
+    }
+    const color = row.querySelector('.stage-color').value;
+    if (index === 0) {
+      stages.push({ name, color });
+      continue;
+    }
+    const valueEl = row.querySelector('.stage-after-value');
+    const value = parseFloat(valueEl.value);
+    if (!value || value <= 0) {
+      valueEl.classList.add('invalid');
+      return { error: `Stage ${index + 1}: start time must be a positive number` };
+    }
+    const after = friendlyToMs(value, row.querySelector('.stage-after select').value);
+    if (after <= (stages[index - 1].after ?? 0)) {
+      valueEl.classList.add('invalid');
+      return { error: `Stage ${index + 1}: must start later than stage ${index}` };
+    }
+    stages.push({ name, color, after, groupName: row.querySelector('.stage-group-name').value });
+  }
+  if (custom && (stages[stages.length - 1].after ?? 0) >= redToGone) {
+    return { error: 'The last stage must start before its tabs are closed (Last stage → Gone)' };
+  }
+  return { stages };
+}
+
+// ─── Never-close Protection Lists ────────────────────────────────────────────
+
+/** Split a one-pattern-per-line textarea value into trimmed, non-empty entries. */
+function parsePatternLines(text) {
+  return text.split('\n').map((line) => line.trim()).filter(Boolean);
+}
+
+// ─── Quiet Hours ─────────────────────────────────────────────────────────────
+
+// Monday-first display order; values are Date#getDay() numbers
+const WEEKDAYS = [
+  { value: 1, label: 'Mon' },
+  { value: 2, label: 'Tue' },
+  { value: 3, label: 'Wed' },
+  { value: 4, label: 'Thu' },
+  { value: 5, label: 'Fri' },
+  { value: 6, label: 'Sat' },
+  { value: 0, label: 'Sun' },
+];
+
+const DEFAULT_QUIET_HOURS_RANGE = { days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00' };
+
+function createTimeInput(className, value) {
+  const input = document.createElement('input');
+  input.type = 'time';
+  input.className = className;
+  input.value = value;
+  return input;
+}
+
+function createQuietHoursRow(range) {
+  const row = document.createElement('div');
+  row.className = 'rule-row quiet-hours-row';
+
+  const header = document.createElement('div');
+  header.className = 'rule-row-header';
+  const to = document.createElement('span');
+  to.textContent = 'to';
+  header.append(
+    createTimeInput('quiet-start', range.start),
+    to,
+    createTimeInput('quiet-end', range.end),
+    createRowButton('remove', '✕', 'Remove time range'),
+  );
+  row.appendChild(header);
+
+  const days = document.createElement('div');
+  days.className = 'weekday-row';
+  for (const day of WEEKDAYS) {
+    const label = document.createElement('label');
+    label.className = 'checkbox-label';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = 'quiet-day';
+    checkbox.value = String(day.value);
+    checkbox.checked = range.days.includes(day.value);
+    const text = document.createElement('span');
+    text.textContent = day.label;
+    label.append(checkbox, text);
+    days.appendChild(label);
+  }
+  row.appendChild(days);
+
+  return row;
+}
+
+function renderQuietHours(ranges) {
+  const list = document.getElementById('quietHours-list');
+  const valid = (Array.isArray(ranges) ? ranges : []).filter((r) => Array.isArray(r?.days));
+  list.replaceChildren(...valid.map(createQuietHoursRow));
+}
+
+/**
+ * Read the quiet-hours editor back into settings form. Returns `{ ranges }`
+ * on success or `{ error }` with the first validation problem found.
+ */
+function collectQuietHours() {
+  const ranges = [];
+  const rows = document.querySelectorAll('#quietHours-list .quiet-hours-row');
+  for (const [index, row] of [...rows].entries()) {
+    const start = row.querySelector('.quiet-start').value;
+    const end = row.querySelector('.quiet-end').value;
+    const days = [...row.querySelectorAll('.quiet-day:checked')].map((el) => Number(el.value));
+    if (parseTimeOfDay(start) === null || parseTimeOfDay(end) === null) {
+      return { error: `Time range ${index + 1}: enter a start and end time` };
+    }
+    if (start === end) {
+      return { error: `Time range ${index + 1}: start and end must differ` };
+    }
+    if (days.length === 0) {
+      return { error: `Time range ${index + 1}: pick at least one day` };
+    }
+    ranges.push({ days, start, end });
+  }
+  return { ranges };
+}
+
 // ─── Bookmark folder rename tracking ─────────────────────────────────────────
 let storedBookmarkFolderId = null;
 let loadedBookmarkFolderName = null;
@@ -172,6 +803,14 @@ async function loadSettings() {
     const timeMode = settings.timeMode || TIME_MODE.ACTIVE;
     const timeModeRadio = document.querySelector(`input[name="timeMode"][value="${timeMode}"]`);
     if (timeModeRadio) timeModeRadio.checked = true;
+    document.getElementById('idleDetectionSeconds').value =
+      (Number.isInteger(settings.idleDetectionSeconds)
+        && settings.idleDetectionSeconds >= DEFAULT_IDLE_DETECTION.MIN_SECONDS)
+        ? settings.idleDetectionSeconds
+        : DEFAULT_IDLE_DETECTION.SECONDS;
+    const agingMode = settings.agingMode || AGING_MODE.LINEAR;
+    const agingModeRadio = document.querySelector(`input[name="agingMode"][value="${agingMode}"]`);
+    if (agingModeRadio) agingModeRadio.checked = true;
 
     // Thresholds
     const thresholds = settings.thresholds || {
@@ -189,6 +828,31 @@ async function loadSettings() {
     document.getElementById('redToGone').value = r2g.value;
     document.getElementById('redToGoneUnit').value = r2g.unit;
 
+    // Lifecycle stages (custom stages start from the classic ones until edited)
+    const classicStages = classicLifecycleStages(settings);
+    const customStagesEnabled = settings.customStagesEnabled ?? DEFAULT_LIFECYCLE.CUSTOM_STAGES_ENABLED;
+    document.getElementById('customStagesEnabled').checked = customStagesEnabled;
+    renderLifecycleStages(Array.isArray(settings.lifecycleStages) && settings.lifecycleStages.length > 0
+      ? settings.lifecycleStages
+      : classicStages);
+    stagesFollowClassic = !customStagesEnabled
+      && (!settings.lifecycleStages || JSON.stringify(settings.lifecycleStages) === JSON.stringify(classicStages));
+
+    // Per-domain threshold overrides
+    renderThresholdRules(settings.thresholdRules);
+    renderNavigationResetRules(settings.navigationResetRules);
+    renderGroupingRules(settings.groupingRules);
+    for (const [kind, key] of Object.entries(NAVIGATION_RESET_SETTINGS)) {
+      document.getElementById(key).checked = settings[key] ?? DEFAULT_NAVIGATION_RESET[kind];
+    }
+    renderQuietHours(settings.quietHours);
+
+    // Never-close protection lists
+    document.getElementById('protectedUrlPatterns').value =
+      (settings.protectedUrlPatterns || []).join('\n');
+    document.getElementById('protectedGroupTitles').value =
+      (settings.protectedGroupTitles || []).join('\n');
+
     // v2 aging toggles
     document.getElementById('agingEnabled').checked =
       settings.agingEnabled ?? DEFAULT_AGING_TOGGLES.AGING_ENABLED;
@@ -200,6 +864,46 @@ async function loadSettings() {
       settings.tabgroupColoringEnabled ?? DEFAULT_AGING_TOGGLES.TABGROUP_COLORING_ENABLED;
     document.getElementById('showGroupAge').checked =
       settings.showGroupAge ?? DEFAULT_SHOW_GROUP_AGE;
+    document.getElementById('activationRefreshEnabled').checked =
+      settings.activationRefreshEnabled ?? DEFAULT_ACTIVATION_REFRESH.ENABLED;
+    document.getElementById('activationDwellSeconds').value =
+      (Number.isInteger(settings.activationDwellSeconds) && settings.activationDwellSeconds > 0)
+        ? settings.activationDwellSeconds
+        : DEFAULT_ACTIVATION_REFRESH.DWELL_SECONDS;
+    document.getElementById('refreshKeepsOpenerAlive').checked =
+      settings.refreshKeepsOpenerAlive ?? DEFAULT_OPENER_TREE.KEEP_OPENER_ALIVE;
+    document.getElementById('freezeAudibleTabs').checked =
+      settings.freezeAudibleTabs ?? DEFAULT_MEDIA_FREEZE.AUDIBLE;
+    document.getElementById('freezeMutedTabs').checked =
+      settings.freezeMutedTabs ?? DEFAULT_MEDIA_FREEZE.MUTED;
+    document.getElementById('discardEnabled').checked =
+      settings.discardEnabled ?? DEFAULT_DISCARD.ENABLED;
+    document.getElementById('discardDelayMinutes').value =
+      (Number.isInteger(settings.discardDelayMinutes) && settings.discardDelayMinutes >= 0)
+        ? settings.discardDelayMinutes
+        : DEFAULT_DISCARD.DELAY_MINUTES;
+    document.getElementById('goneWarningEnabled').checked =
+      settings.goneWarningEnabled ?? DEFAULT_GONE_WARNING.ENABLED;
+    document.getElementById('goneWarningMinutes').value =
+      (Number.isInteger(settings.goneWarningMinutes) && settings.goneWarningMinutes > 0)
+        ? settings.goneWarningMinutes
+        : DEFAULT_GONE_WARNING.MINUTES;
+    document.getElementById('tabBudgetEnabled').checked =
+      settings.tabBudgetEnabled ?? DEFAULT_TAB_BUDGET.ENABLED;
+    document.getElementById('maxTabsPerWindow').value =
+      (Number.isInteger(settings.maxTabsPerWindow) && settings.maxTabsPerWindow > 0)
+        ? settings.maxTabsPerWindow
+        : DEFAULT_TAB_BUDGET.MAX_TABS_PER_WINDOW;
+    document.getElementById('duplicateDetectionEnabled').checked =
+      settings.duplicateDetectionEnabled ?? DEFAULT_DUPLICATES.ENABLED;
+    const duplicateAction = settings.duplicateAction || DEFAULT_DUPLICATES.ACTION;
+    const duplicateActionRadio = document.querySelector(`input[name="duplicateAction"][value="${duplicateAction}"]`);
+    if (duplicateActionRadio) duplicateActionRadio.checked = true;
+    document.getElementById('duplicateStripHash').checked =
+      settings.duplicateStripHash ?? DEFAULT_DUPLICATES.STRIP_HASH;
+    document.getElementById('duplicateStripTrackingParams').checked =
+      settings.duplicateStripTrackingParams ?? DEFAULT_DUPLICATES.STRIP_TRACKING_PARAMS;
+    document.getElementById('dryRunEnabled').checked = settings.dryRunEnabled ?? DEFAULT_DRY_RUN;
 
     // v2 transition toggles
     document.getElementById('greenToYellowEnabled').checked =
@@ -225,6 +929,24 @@ async function loadSettings() {
     // Auto-group settings (independent siblings)
     document.getElementById('autoGroupEnabled').checked =
       settings.autoGroupEnabled ?? DEFAULT_AUTO_GROUP.ENABLED;
+    const noOpenerPlacement = settings.noOpenerPlacement || DEFAULT_AUTO_GROUP.NO_OPENER_PLACEMENT;
+    const noOpenerPlacementRadio = document.querySelector(`input[name="noOpenerPlacement"][value="${noOpenerPlacement}"]`);
+    if (noOpenerPlacementRadio) noOpenerPlacementRadio.checked = true;
+    document.getElementById('groupSizeCapEnabled').checked =
+      settings.groupSizeCapEnabled ?? DEFAULT_GROUP_SIZE_CAP.ENABLED;
+    document.getElementById('maxTabsPerGroup').value =
+      (Number.isInteger(settings.maxTabsPerGroup) && settings.maxTabsPerGroup >= 2)
+        ? settings.maxTabsPerGroup
+        : DEFAULT_GROUP_SIZE_CAP.MAX_TABS_PER_GROUP;
+    document.getElementById('domainClusteringEnabled').checked =
+      settings.domainClusteringEnabled ?? DEFAULT_DOMAIN_CLUSTERING.ENABLED;
+    document.getElementById('domainClusteringMinTabs').value =
+      (Number.isInteger(settings.domainClusteringMinTabs) && settings.domainClusteringMinTabs >= 2)
+        ? settings.domainClusteringMinTabs
+        : DEFAULT_DOMAIN_CLUSTERING.MIN_TABS;
+    const domainClusteringScope = settings.domainClusteringScope || DEFAULT_DOMAIN_CLUSTERING.SCOPE;
+    const domainClusteringScopeRadio = document.querySelector(`input[name="domainClusteringScope"][value="${domainClusteringScope}"]`);
+    if (domainClusteringScopeRadio) domainClusteringScopeRadio.checked = true;
     document.getElementById('autoGroupNamingEnabled').checked =
       settings.autoGroupNamingEnabled ?? DEFAULT_AUTO_GROUP_NAMING.ENABLED;
     document.getElementById('autoGroupNamingDelayMinutes').value =
@@ -247,6 +969,59 @@ async function loadSettings() {
   }
 }
 
+// ─── Dry-Run Report ──────────────────────────────────────────────────────────
+
+function describeTab(entry) {
+  return `tab ${entry.tabId} ${entry.title || entry.url || ''}`.trim();
+}
+
+function describeDryRunAction(action) {
+  switch (action.type) {
+    case DRY_RUN_ACTION.CLOSE_TAB:
+      return `Close ${describeTab(action)} (${action.reason}${action.bookmark ? ', bookmarked' : ''})`;
+    case DRY_RUN_ACTION.CLOSE_GROUP:
+      return `Close group "${action.title}" with ${action.tabIds.length} tab(s)${action.bookmark ? ' (bookmarked)' : ''}`;
+    case DRY_RUN_ACTION.MOVE_TO_SPECIAL_GROUP:
+      return `Move ${describeTab(action)} to the ${action.stage} group`;
+    case DRY_RUN_ACTION.UNGROUP_TAB:
+      return `Ungroup ${describeTab(action)}`;
+    case DRY_RUN_ACTION.REORDER_GROUPS:
+      return `Reorder groups of window ${action.windowId}: ${action.to.join(', ')}`;
+    case DRY_RUN_ACTION.SET_GROUP_COLOR:
+      return `Color group "${action.title}" ${action.color}`;
+    case DRY_RUN_ACTION.DISCARD_TAB:
+      return `Unload ${describeTab(action)}`;
+    case DRY_RUN_ACTION.CREATE_GROUP:
+      return `Group ${action.tabIds.length} tab(s) of ${action.site} as "${action.title}"`;
+    default:
+      return action.type;
+  }
+}
+
+function renderDryRunReport(report) {
+  const el = document.getElementById('dryRunReport');
+  if (!report) {
+    el.textContent = 'No report yet.';
+    return;
+  }
+  const lines = [`Cycle at ${new Date(report.createdAt).toLocaleString()}`];
+  for (const t of report.transitions) {
+    lines.push(`${describeTab(t)}: ${t.from} → ${t.to}`);
+  }
+  lines.push(...report.actions.map(describeDryRunAction));
+  if (lines.length === 1) lines.push('Nothing to do.');
+  el.textContent = lines.join('\n');
+}
+
+async function loadDryRunReport() {
+  try {
+    const result = await chrome.storage.local.get(STORAGE_KEYS.DRY_RUN_REPORT);
+    renderDryRunReport(result[STORAGE_KEYS.DRY_RUN_REPORT]);
+  } catch (err) {
+    logger.warn('Failed to load dry run report', { error: err.message });
+  }
+}
+
 // ─── Settings Save ───────────────────────────────────────────────────────────
 
 async function saveSettings(event) {
@@ -254,6 +1029,7 @@ async function saveSettings(event) {
   clearErrors();
 
   const timeMode = document.querySelector('input[name="timeMode"]:checked')?.value || TIME_MODE.ACTIVE;
+  const agingMode = document.querySelector('input[name="agingMode"]:checked')?.value || AGING_MODE.LINEAR;
 
   // Read threshold values
   const g2yValue = parseFloat(document.getElementById('greenToYellow').value);
@@ -290,12 +1066,43 @@ async function saveSettings(event) {
     showError('yellowToRed', 'Must be greater than Green → Yellow');
     return;
   }
-  if (yellowToRed >= redToGone) {
+  const customStagesEnabled = customStagesChecked();
+  if (!customStagesEnabled && yellowToRed >= redToGone) {
     showError('yellowToRed', 'Must be less than Red → Gone');
     showError('redToGone', 'Must be greater than Yellow → Red');
     return;
   }
 
+  const lifecycleStagesResult = collectLifecycleStages(redToGone, customStagesEnabled);
+  if (lifecycleStagesResult.error) {
+    document.getElementById('lifecycleStages-error').textContent = lifecycleStagesResult.error;
+    return;
+  }
+
+  const thresholdRulesResult = collectThresholdRules();
+  if (thresholdRulesResult.error) {
+    document.getElementById('thresholdRules-error').textContent = thresholdRulesResult.error;
+    return;
+  }
+
+  const navigationResetRulesResult = collectNavigationResetRules();
+  if (navigationResetRulesResult.error) {
+    document.getElementById('navigationResetRules-error').textContent = navigationResetRulesResult.error;
+    return;
+  }
+
+  const groupingRulesResult = collectGroupingRules();
+  if (groupingRulesResult.error) {
+    document.getElementById('groupingRules-error').textContent = groupingRulesResult.error;
+    return;
+  }
+
+  const quietHoursResult = collectQuietHours();
+  if (quietHoursResult.error) {
+    document.getElementById('quietHours-error').textContent = quietHoursResult.error;
+    return;
+  }
+
   // Auto-naming delay validation
   let autoGroupNamingDelayMinutes = Number.parseInt(
     document.getElementById('autoGroupNamingDelayMinutes').value, 10
@@ -309,6 +1116,96 @@ async function saveSettings(event) {
     autoGroupNamingDelayMinutes = DEFAULT_AUTO_GROUP_NAMING.DELAY_MINUTES;
   }
 
+  // Activation dwell validation
+  let activationDwellSeconds = Number.parseInt(
+    document.getElementById('activationDwellSeconds').value, 10
+  );
+  const activationRefreshEnabled = document.getElementById('activationRefreshEnabled').checked;
+  if (!Number.isInteger(activationDwellSeconds) || activationDwellSeconds <= 0) {
+    if (activationRefreshEnabled) {
+      showError('activationDwellSeconds', 'Must be a positive whole number');
+      return;
+    }
+    activationDwellSeconds = DEFAULT_ACTIVATION_REFRESH.DWELL_SECONDS;
+  }
+
+  // Discard delay validation
+  let discardDelayMinutes = Number.parseInt(
+    document.getElementById('discardDelayMinutes').value, 10
+  );
+  const discardEnabled = document.getElementById('discardEnabled').checked;
+  if (!Number.isInteger(discardDelayMinutes) || discardDelayMinutes < 0) {
+    if (discardEnabled) {
+      showError('discardDelayMinutes', 'Must be a whole number of minutes');
+      return;
+    }
+    discardDelayMinutes = DEFAULT_DISCARD.DELAY_MINUTES;
+  }
+
+  // Gone warning validation
+  let goneWarningMinutes = Number.parseInt(
+    document.getElementById('goneWarningMinutes').value, 10
+  );
+  const goneWarningEnabled = document.getElementById('goneWarningEnabled').checked;
+  if (!Number.isInteger(goneWarningMinutes) || goneWarningMinutes <= 0) {
+    if (goneWarningEnabled) {
+      showError('goneWarningMinutes', 'Must be a positive whole number of minutes');
+      return;
+    }
+    goneWarningMinutes = DEFAULT_GONE_WARNING.MINUTES;
+  }
+
+  // Tab budget validation
+  let maxTabsPerWindow = Number.parseInt(
+    document.getElementById('maxTabsPerWindow').value, 10
+  );
+  const tabBudgetEnabled = document.getElementById('tabBudgetEnabled').checked;
+  if (!Number.isInteger(maxTabsPerWindow) || maxTabsPerWindow <= 0) {
+    if (tabBudgetEnabled) {
+      showError('maxTabsPerWindow', 'Must be a positive whole number');
+      return;
+    }
+    maxTabsPerWindow = DEFAULT_TAB_BUDGET.MAX_TABS_PER_WINDOW;
+  }
+
+  // Group size cap validation
+  let maxTabsPerGroup = Number.parseInt(
+    document.getElementById('maxTabsPerGroup').value, 10
+  );
+  const groupSizeCapEnabled = document.getElementById('groupSizeCapEnabled').checked;
+  if (!Number.isInteger(maxTabsPerGroup) || maxTabsPerGroup < 2) {
+    if (groupSizeCapEnabled) {
+      showError('maxTabsPerGroup', 'Must be a whole number of at least 2');
+      return;
+    }
+    maxTabsPerGroup = DEFAULT_GROUP_SIZE_CAP.MAX_TABS_PER_GROUP;
+  }
+
+  // Domain clustering validation
+  let domainClusteringMinTabs = Number.parseInt(
+    document.getElementById('domainClusteringMinTabs').value, 10
+  );
+  const domainClusteringEnabled = document.getElementById('domainClusteringEnabled').checked;
+  if (!Number.isInteger(domainClusteringMinTabs) || domainClusteringMinTabs < 2) {
+    if (domainClusteringEnabled) {
+      showError('domainClusteringMinTabs', 'Must be a whole number of at least 2');
+      return;
+    }
+    domainClusteringMinTabs = DEFAULT_DOMAIN_CLUSTERING.MIN_TABS;
+  }
+
+  // Idle detection validation (only enforced when engaged time is selected)
+  let idleDetectionSeconds = Number.parseInt(
+    document.getElementById('idleDetectionSeconds').value, 10
+  );
+  if (!Number.isInteger(idleDetectionSeconds) || idleDetectionSeconds < DEFAULT_IDLE_DETECTION.MIN_SECONDS) {
+    if (timeMode === TIME_MODE.ENGAGED) {
+      showError('idleDetectionSeconds', `Must be a whole number of at least ${DEFAULT_IDLE_DETECTION.MIN_SECONDS}`);
+      return;
+    }
+    idleDetectionSeconds = DEFAULT_IDLE_DETECTION.SECONDS;
+  }
+
   // Bookmark folder name validation
   const bookmarkFolderName = document.getElementById('bookmarkFolderName').value.trim();
   if (!bookmarkFolderName) {
@@ -337,28 +1234,69 @@ async function saveSettings(event) {
   // Collect ALL field values (including disabled/greyed-out fields)
   const settings = {
     timeMode,
+    idleDetectionSeconds,
+    agingMode,
     thresholds: { greenToYellow, yellowToRed, redToGone },
+    thresholdRules: thresholdRulesResult.rules,
+    ...Object.fromEntries(Object.values(NAVIGATION_RESET_SETTINGS)
+      .map((key) => [key, document.getElementById(key).checked])),
+    navigationResetRules: navigationResetRulesResult.rules,
+    protectedUrlPatterns: parsePatternLines(document.getElementById('protectedUrlPatterns').value),
+    protectedGroupTitles: parsePatternLines(document.getElementById('protectedGroupTitles').value),
+    quietHours: quietHoursResult.ranges,
     // Aging toggles
     agingEnabled: document.getElementById('agingEnabled').checked,
     tabSortingEnabled: document.getElementById('tabSortingEnabled').checked,
     tabgroupSortingEnabled: document.getElementById('tabgroupSortingEnabled').checked,
     tabgroupColoringEnabled: document.getElementById('tabgroupColoringEnabled').checked,
     showGroupAge: document.getElementById('showGroupAge').checked,
+    activationRefreshEnabled,
+    activationDwellSeconds,
+    refreshKeepsOpenerAlive: document.getElementById('refreshKeepsOpenerAlive').checked,
+    freezeAudibleTabs: document.getElementById('freezeAudibleTabs').checked,
+    freezeMutedTabs: document.getElementById('freezeMutedTabs').checked,
+    discardEnabled,
+    discardDelayMinutes,
+    tabBudgetEnabled,
+    maxTabsPerWindow,
+    duplicateDetectionEnabled: document.getElementById('duplicateDetectionEnabled').checked,
+    duplicateAction: document.querySelector('input[name="duplicateAction"]:checked')?.value || DEFAULT_DUPLICATES.ACTION,
+    duplicateStripHash: document.getElementById('duplicateStripHash').checked,
+    duplicateStripTrackingParams: document.getElementById('duplicateStripTrackingParams').checked,
+    dryRunEnabled: document.getElementById('dryRunEnabled').checked,
     // Transition toggles
     greenToYellowEnabled: document.getElementById('greenToYellowEnabled').checked,
     yellowToRedEnabled: document.getElementById('yellowToRedEnabled').checked,
     redToGoneEnabled: document.getElementById('redToGoneEnabled').checked,
+    // Lifecycle stages
+    customStagesEnabled,
+    lifecycleStages: lifecycleStagesResult.stages,
     // Group names
     yellowGroupName: document.getElementById('yellowGroupName').value,
     redGroupName: document.getElementById('redGroupName').value,
     // Bookmark
     bookmarkEnabled: document.getElementById('bookmarkEnabled').checked,
     bookmarkFolderName,
+    goneWarningEnabled,
+    goneWarningMinutes,
     // Auto-group (independent siblings)
     autoGroupEnabled: document.getElementById('autoGroupEnabled').checked,
+    noOpenerPlacement: document.querySelector('input[name="noOpenerPlacement"]:checked')?.value
+      || DEFAULT_AUTO_GROUP.NO_OPENER_PLACEMENT,
+    groupSizeCapEnabled,
+    maxTabsPerGroup,
+    domainClusteringEnabled,
+    domainClusteringMinTabs,
+    domainClusteringScope: document.querySelector('input[name="domainClusteringScope"]:checked')?.value
+      || DEFAULT_DOMAIN_CLUSTERING.SCOPE,
+    groupingRules: groupingRulesResult.rules,
     autoGroupNamingEnabled,
     autoGroupNamingDelayMinutes,
   };
+  // Keep an untouched stage list in step with the classic settings it mirrors
+  if (!customStagesEnabled && stagesFollowClassic) {
+    settings.lifecycleStages = classicLifecycleStages(settings);
+  }
 
   try {
     await chrome.storage.local.set({ [STORAGE_KEYS.SETTINGS]: settings });
@@ -374,7 +1312,39 @@ async function saveSettings(event) {
 // ─── Event Listeners ─────────────────────────────────────────────────────────
 
 document.addEventListener('DOMContentLoaded', loadSettings);
+document.addEventListener('DOMContentLoaded', loadDryRunReport);
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes[STORAGE_KEYS.DRY_RUN_REPORT]) {
+    renderDryRunReport(changes[STORAGE_KEYS.DRY_RUN_REPORT].newValue);
+  }
+});
 document.getElementById('settings-form').addEventListener('submit', saveSettings);
+document.getElementById('thresholdRules-list').addEventListener('click', handleRuleListClick);
+document.getElementById('add-threshold-rule').addEventListener('click', () => {
+  document.getElementById('thresholdRules-list').appendChild(createThresholdRuleRow({}));
+  applyGreyOut();
+});
+document.getElementById('navigationResetRules-list').addEventListener('click', handleRuleListClick);
+document.getElementById('add-navigation-reset-rule').addEventListener('click', () => {
+  document.getElementById('navigationResetRules-list').appendChild(createNavigationResetRuleRow({}));
+  applyGreyOut();
+});
+document.getElementById('groupingRules-list').addEventListener('click', handleRuleListClick);
+document.getElementById('add-grouping-rule').addEventListener('click', () => {
+  document.getElementById('groupingRules-list').appendChild(createGroupingRuleRow({}));
+  applyGreyOut();
+});
+document.getElementById('lifecycleStages-list').addEventListener('click', handleRuleListClick);
+document.getElementById('add-lifecycle-stage').addEventListener('click', () => {
+  document.getElementById('lifecycleStages-list').appendChild(createLifecycleStageRow({ color: 'grey' }));
+  applyGreyOut();
+});
+document.getElementById('customStagesEnabled').addEventListener('change', handleCustomStagesToggle);
+document.getElementById('quietHours-list').addEventListener('click', handleRuleListClick);
+document.getElementById('add-quiet-hours').addEventListener('click', () => {
+  document.getElementById('quietHours-list').appendChild(createQuietHoursRow(DEFAULT_QUIET_HOURS_RANGE));
+  applyGreyOut();
+});
 
 // Wire up all toggle checkboxes that participate in grey-out
 const toggleIds = Object.keys(DEPENDENCY_TREE);
@@ -0,0 +1,308 @@
+import { MESSAGE_TYPES, SNOOZE_TARGET, WINDOW_PROFILE } from '../shared/constants.js';
+import { createLogger } from '../shared/logger.js';
+
+const logger = createLogger('popup');
+
+const MORNING_HOUR = 9;
+const HOUR_MS = 60 * 60 * 1000;
+const CLOSED_ENTRIES_SHOWN = 5;
+
+let activeTab = null;
+let tabState = null;
+
+// Custom window thresholds: settings key → input ID
+const WINDOW_THRESHOLD_INPUTS = {
+  greenToYellow: 'windowGreenToYellow',
+  yellowToRed: 'windowYellowToRed',
+  redToGone: 'windowRedToGone',
+};
+
+const WINDOW_PROFILE_HINTS = {
+  [WINDOW_PROFILE.INHERIT]: 'Tabs in this window follow your settings.',
+  [WINDOW_PROFILE.FROZEN]: 'Nothing in this window ages or closes.',
+  [WINDOW_PROFILE.CUSTOM]: 'Transition times for this window only, ahead of per-domain overrides.',
+};
+
+// ─── Snooze Presets ──────────────────────────────────────────────────────────
+
+/** Next occurrence of 09:00 that is at least `daysAhead` days from now. */
+function morningInDays(daysAhead) {
+  const d = new Date();
+  d.setDate(d.getDate() + daysAhead);
+  d.setHours(MORNING_HOUR, 0, 0, 0);
+  return d.getTime();
+}
+
+function presetToTimestamp(preset) {
+  switch (preset) {
+    case 'hour':
+      return Date.now() + HOUR_MS;
+    case 'tomorrow':
+      return morningInDays(1);
+    case 'monday': {
+      const daysUntilMonday = ((8 - new Date().getDay()) % 7) || 7;
+      return morningInDays(daysUntilMonday);
+    }
+    default:
+      return null;
+  }
+}
+
+function formatDuration(ms) {
+  const minutes = Math.floor(ms / 60_000);
+  if (minutes < 60) return `${minutes}m`;
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+function formatUntil(timestamp) {
+  return new Date(timestamp).toLocaleString(undefined, {
+    weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit',
+  });
+}
+
+// ─── Rendering ───────────────────────────────────────────────────────────────
+
+function selectedTarget() {
+  return document.querySelector('input[name="snoozeTarget"]:checked').value;
+}
+
+function pausedNote(state) {
+  if (state.windowFrozen) return ' · aging paused (window)';
+  if (state.groupFrozen) return ' · aging paused (group)';
+  if (state.mediaFrozen) return ' · aging paused (media)';
+  return '';
+}
+
+function render() {
+  const status = document.getElementById('snooze-status');
+  const controls = document.getElementById('snooze-controls');
+  if (!tabState?.tracked) {
+    status.textContent = 'This tab is not tracked by TabCycle.';
+    controls.hidden = true;
+    document.getElementById('tree-section').hidden = true;
+    return;
+  }
+  controls.hidden = false;
+
+  const opened = tabState.openedTabCount || 0;
+  document.getElementById('tree-section').hidden = opened === 0;
+  document.getElementById('tree-hint').textContent =
+    `This tab opened ${opened} ${opened === 1 ? 'tab' : 'tabs'} that ${opened === 1 ? 'is' : 'are'} still open.`;
+  document.getElementById('close-tree').textContent =
+    `Close this tab and the ${opened === 1 ? 'tab' : `${opened} tabs`} it opened`;
+
+  const inUserGroup = tabState.groupId !== null && !tabState.isSpecialGroup;
+  const groupRadio = document.getElementById('snoozeTargetGroup');
+  groupRadio.disabled = !inUserGroup;
+  if (!inUserGroup && groupRadio.checked) {
+    document.querySelector('input[name="snoozeTarget"][value="tab"]').checked = true;
+  }
+
+  const until = selectedTarget() === SNOOZE_TARGET.GROUP
+    ? tabState.groupSnoozeUntil
+    : tabState.tabSnoozeUntil;
+  status.textContent = until
+    ? `Snoozed until ${formatUntil(until)}`
+    : `Status: ${tabState.stageName}${pausedNote(tabState)}`;
+  document.getElementById('unsnooze').hidden = !until;
+
+  // Frecency stats (factor < 1 only in frecency aging mode)
+  const usage = document.getElementById('usage-section');
+  usage.hidden = tabState.agingFactor === 1 && !tabState.activationCount;
+  document.getElementById('usage-stats').textContent =
+    `Visited ${tabState.activationCount}× · ${formatDuration(tabState.foregroundMs)} in view`
+    + ` · ages at ${Math.round(tabState.agingFactor * 100)}% speed`;
+}
+
+async function refreshState() {
+  tabState = await chrome.runtime.sendMessage({
+    type: MESSAGE_TYPES.GET_TAB_STATE,
+    tabId: activeTab.id,
+  });
+  render();
+}
+
+function selectedWindowProfile() {
+  return document.querySelector('input[name="windowProfile"]:checked').value;
+}
+
+function renderWindowProfile() {
+  const mode = selectedWindowProfile();
+  document.getElementById('window-hint').textContent = WINDOW_PROFILE_HINTS[mode];
+  document.getElementById('window-thresholds').hidden = mode !== WINDOW_PROFILE.CUSTOM;
+}
+
+async function loadWindowProfile() {
+  const profile = await chrome.runtime.sendMessage({
+    type: MESSAGE_TYPES.GET_WINDOW_PROFILE,
+    windowId: activeTab.windowId,
+  });
+  document.querySelector(`input[name="windowProfile"][value="${profile.mode}"]`).checked = true;
+  for (const [key, id] of Object.entries(WINDOW_THRESHOLD_INPUTS)) {
+    const ms = profile.thresholds?.[key];
+    document.getElementById(id).value = Number.isFinite(ms) ? Number((ms / HOUR_MS).toFixed(2)) : '';
+  }
+  document.getElementById('window-section').hidden = false;
+  renderWindowProfile();
+}
+
+function closedEntryLabel(entry) {
+  const when = new Date(entry.closedAt).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+  const what = entry.group
+    ? `${entry.group.title || 'Unnamed group'} (${entry.tabs.length} tabs)`
+    : entry.tabs[0].title || entry.tabs[0].url;
+  return `${when} · ${what}`;
+}
+
+function renderClosedJournal(entries) {
+  const list = document.getElementById('closed-list');
+  list.replaceChildren();
+  for (const entry of entries.slice(0, CLOSED_ENTRIES_SHOWN)) {
+    const row = document.createElement('li');
+    row.className = 'closed-row';
+    const label = document.createElement('span');
+    label.className = 'closed-label';
+    label.textContent = closedEntryLabel(entry);
+    label.title = entry.tabs.map((t) => t.url).join('\n');
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'secondary-btn';
+    button.dataset.entryId = entry.id;
+    button.textContent = 'Restore';
+    row.append(label, button);
+    list.appendChild(row);
+  }
+  document.getElementById('closed-section').hidden = entries.length === 0;
+}
+
+async function loadClosedJournal() {
+  const { entries } = await chrome.runtime.sendMessage({ type: MESSAGE_TYPES.GET_CLOSED_JOURNAL });
+  renderClosedJournal(entries);
+}
+
+// ─── Actions ─────────────────────────────────────────────────────────────────
+
+async function sendSnooze(type, until) {
+  const errorEl = document.getElementById('snooze-error');
+  errorEl.textContent = '';
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type,
+      target: selectedTarget(),
+      tabId: activeTab.id,
+      until,
+    });
+    if (!response?.ok) {
+      errorEl.textContent = response?.error || 'Snooze failed';
+      return;
+    }
+    await refreshState();
+  } catch (err) {
+    logger.error('Snooze request failed', { error: err.message });
+    errorEl.textContent = 'Snooze failed';
+  }
+}
+
+function handlePresetClick(event) {
+  const preset = event.target.closest('[data-preset]')?.dataset.preset;
+  if (!preset) return;
+  sendSnooze(MESSAGE_TYPES.SNOOZE, presetToTimestamp(preset));
+}
+
+function handleCustomSnooze() {
+  const value = document.getElementById('snoozeUntil').value;
+  const until = value ? new Date(value).getTime() : NaN;
+  if (!Number.isFinite(until) || until <= Date.now()) {
+    document.getElementById('snooze-error').textContent = 'Pick a time in the future';
+    return;
+  }
+  sendSnooze(MESSAGE_TYPES.SNOOZE, until);
+}
+
+async function applyWindowProfile() {
+  const errorEl = document.getElementById('window-error');
+  errorEl.textContent = '';
+  const profile = { mode: selectedWindowProfile() };
+  if (profile.mode === WINDOW_PROFILE.CUSTOM) {
+    profile.thresholds = {};
+    for (const [key, id] of Object.entries(WINDOW_THRESHOLD_INPUTS)) {
+      profile.thresholds[key] = Math.round(parseFloat(document.getElementById(id).value) * HOUR_MS);
+    }
+  }
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: MESSAGE_TYPES.SET_WINDOW_PROFILE,
+      windowId: activeTab.windowId,
+      profile,
+    });
+    if (!response?.ok) {
+      errorEl.textContent = response?.error || 'Failed to update window';
+      return;
+    }
+    await refreshState();
+  } catch (err) {
+    logger.error('Window profile request failed', { error: err.message });
+    errorEl.textContent = 'Failed to update window';
+  }
+}
+
+async function closeTabTree() {
+  const errorEl = document.getElementById('tree-error');
+  errorEl.textContent = '';
+  try {
+    const response = await chrome.runtime.sendMessage({ type: MESSAGE_TYPES.CLOSE_TAB_TREE, tabId: activeTab.id });
+    if (!response?.ok) {
+      errorEl.textContent = response?.error || 'Failed to close the tabs';
+      return;
+    }
+    window.close();
+  } catch (err) {
+    logger.error('Close tab tree request failed', { error: err.message });
+    errorEl.textContent = 'Failed to close the tabs';
+  }
+}
+
+async function handleRestoreClick(event) {
+  const entryId = event.target.closest('[data-entry-id]')?.dataset.entryId;
+  if (!entryId) return;
+  const errorEl = document.getElementById('closed-error');
+  errorEl.textContent = '';
+  try {
+    const response = await chrome.runtime.sendMessage({ type: MESSAGE_TYPES.RESTORE_CLOSED, entryId });
+    if (!response?.ok) {
+      errorEl.textContent = response?.error || 'Restore failed';
+      return;
+    }
+    await loadClosedJournal();
+  } catch (err) {
+    logger.error('Restore request failed', { error: err.message });
+    errorEl.textContent = 'Restore failed';
+  }
+}
+
+// ─── Init ────────────────────────────────────────────────────────────────────
+
+async function init() {
+  try {
+    [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!activeTab) return;
+    await Promise.all([refreshState(), loadWindowProfile(), loadClosedJournal()]);
+  } catch (err) {
+    logger.error('Failed to load popup state', { error: err.message });
+    document.getElementById('snooze-status').textContent = 'Failed to load tab state';
+  }
+}
+
+document.addEventListener('DOMContentLoaded', init);
+document.querySelector('.preset-row').addEventListener('click', handlePresetClick);
+document.getElementById('snooze-custom').addEventListener('click', handleCustomSnooze);
+document.getElementById('unsnooze').addEventListener('click', () => sendSnooze(MESSAGE_TYPES.UNSNOOZE));
+for (const radio of document.querySelectorAll('input[name="snoozeTarget"]')) {
+  radio.addEventListener('change', render);
+}
+for (const radio of document.querySelectorAll('input[name="windowProfile"]')) {
+  radio.addEventListener('change', renderWindowProfile);
+}
+document.getElementById('close-tree').addEventListener('click', closeTabTree);
+document.getElementById('window-apply').addEventListener('click', applyWindowProfile);
+document.getElementById('closed-list').addEventListener('click', handleRestoreClick);
@@ -18,6 +18,8 @@ export const STORAGE_KEYS = Object.freeze({
   TAB_META: 'v1_tabMeta',
   WINDOW_STATE: 'v1_windowState',
   BOOKMARK_STATE: 'v1_bookmarkState',
+  DRY_RUN_REPORT: 'v1_dryRunReport',
+  CLOSED_JOURNAL: 'v1_closedJournal',
 });
 
 export const ALARM_NAME = 'tabcycle-eval';
@@ -35,6 +37,31 @@ export const DEFAULT_AUTO_GROUP_NAMING = Object.freeze({
 
 export const DEFAULT_SHOW_GROUP_AGE = false;
 
+export const DEFAULT_DRY_RUN = false;
+
+// Entries kept in the "recently closed by TabCycle" journal, newest first
+export const CLOSED_JOURNAL_MAX_ENTRIES = 50;
+
+// Why TabCycle closed the tabs of a journal entry
+export const CLOSE_REASON = Object.freeze({
+  GONE: 'gone',
+  BUDGET: 'budget',
+  TREE: 'tree', // "close this tab and everything it opened" from the popup
+  DUPLICATE: 'duplicate', // a copy closed by duplicate detection
+});
+
+// Actions recorded in a dry-run report instead of being performed
+export const DRY_RUN_ACTION = Object.freeze({
+  CLOSE_TAB: 'closeTab',
+  CLOSE_GROUP: 'closeGroup',
+  MOVE_TO_SPECIAL_GROUP: 'moveToSpecialGroup',
+  UNGROUP_TAB: 'ungroupTab',
+  REORDER_GROUPS: 'reorderGroups',
+  SET_GROUP_COLOR: 'setGroupColor',
+  DISCARD_TAB: 'discardTab',
+  CREATE_GROUP: 'createGroup',
+});
+
 export const DEFAULT_AGING_TOGGLES = Object.freeze({
   AGING_ENABLED: true,
   TAB_SORTING_ENABLED: true,
@@ -42,12 +69,113 @@ export const DEFAULT_AGING_TOGGLES = Object.freeze({
   TABGROUP_COLORING_ENABLED: true,
 });
 
+export const DEFAULT_ACTIVATION_REFRESH = Object.freeze({
+  ENABLED: false,
+  DWELL_SECONDS: 10,
+});
+
+// Kinds of main-frame navigation, told apart by navigation-policy.js
+export const NAVIGATION_KIND = Object.freeze({
+  CROSS_ORIGIN: 'crossOrigin',
+  PATH: 'path',
+  QUERY: 'query',
+  HASH: 'hash',
+  PUSH_STATE: 'pushState',
+  RELOAD: 'reload',
+});
+
+// Setting (global, or on a navigationResetRules entry) deciding whether a kind
+// of navigation resets the tab's age
+export const NAVIGATION_RESET_SETTINGS = Object.freeze({
+  [NAVIGATION_KIND.CROSS_ORIGIN]: 'resetOnCrossOrigin',
+  [NAVIGATION_KIND.PATH]: 'resetOnPathChange',
+  [NAVIGATION_KIND.QUERY]: 'resetOnQueryChange',
+  [NAVIGATION_KIND.HASH]: 'resetOnHashChange',
+  [NAVIGATION_KIND.PUSH_STATE]: 'resetOnPushState',
+  [NAVIGATION_KIND.RELOAD]: 'resetOnReload',
+});
+
+export const DEFAULT_NAVIGATION_RESET = Object.freeze({
+  [NAVIGATION_KIND.CROSS_ORIGIN]: true,
+  [NAVIGATION_KIND.PATH]: true,
+  [NAVIGATION_KIND.QUERY]: true,
+  [NAVIGATION_KIND.HASH]: false,
+  [NAVIGATION_KIND.PUSH_STATE]: true,
+  [NAVIGATION_KIND.RELOAD]: false,
+});
+
+// Live tab signals that freeze a tab's age (and its group's) while present
+export const DEFAULT_MEDIA_FREEZE = Object.freeze({
+  AUDIBLE: true, // playing sound, including muted playback
+  MUTED: false, // muted by the user or an extension
+});
+
+// Refreshing a tab's opener along with the tab it opened
+export const DEFAULT_OPENER_TREE = Object.freeze({
+  KEEP_OPENER_ALIVE: false,
+});
+
+// Unloading tabs in the last stage (red) with chrome.tabs.discard before they close
+export const DEFAULT_DISCARD = Object.freeze({
+  ENABLED: false,
+  DELAY_MINUTES: 0, // of tab age spent in the last stage
+});
+
+// Closing the oldest tabs of a window holding more unpinned tabs than the budget
+export const DEFAULT_TAB_BUDGET = Object.freeze({
+  ENABLED: false,
+  MAX_TABS_PER_WINDOW: 100,
+});
+
+// Notifying shortly before a tab or group is closed as gone
+export const DEFAULT_GONE_WARNING = Object.freeze({
+  ENABLED: false,
+  MINUTES: 10, // before the gone transition
+});
+
+// "Snooze 1 day" button of a gone warning
+export const GONE_WARNING_SNOOZE_MS = 24 * 60 * 60 * 1000;
+
+// Consolidating tabs open on the same (normalized) URL
+export const DEFAULT_DUPLICATES = Object.freeze({
+  ENABLED: false,
+  ACTION: 'gone',
+  STRIP_HASH: true,
+  STRIP_TRACKING_PARAMS: true,
+});
+
+export const DUPLICATE_ACTION = Object.freeze({
+  GONE: 'gone', // fast-track older copies to gone (bookmarked and closed like any gone tab)
+  CLOSE: 'close', // close older copies right away
+});
+
+// Query parameters dropped by the tracking-param normalization; "utm_*" is a prefix
+export const TRACKING_PARAMS = Object.freeze([
+  'utm_*', 'fbclid', 'gclid', 'dclid', 'gbraid', 'wbraid', 'msclkid', 'yclid',
+  'mc_cid', 'mc_eid', 'igshid', '_ga', '_gl', 'ref_src',
+]);
+
+export const MEDIA_SIGNAL = Object.freeze({
+  AUDIBLE: 'audible',
+  MUTED: 'muted',
+});
+
 export const DEFAULT_TRANSITION_TOGGLES = Object.freeze({
   GREEN_TO_YELLOW_ENABLED: true,
   YELLOW_TO_RED_ENABLED: true,
   RED_TO_GONE_ENABLED: true,
 });
 
+// chrome.tabGroups.Color values
+export const TAB_GROUP_COLORS = Object.freeze([
+  'grey', 'blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange',
+]);
+
+export const DEFAULT_LIFECYCLE = Object.freeze({
+  CUSTOM_STAGES_ENABLED: false,
+  MAX_STAGES: 8,
+});
+
 export const DEFAULT_GROUP_NAMES = Object.freeze({
   YELLOW_GROUP_NAME: '',
   RED_GROUP_NAME: '',
@@ -55,6 +183,39 @@ export const DEFAULT_GROUP_NAMES = Object.freeze({
 
 export const DEFAULT_AUTO_GROUP = Object.freeze({
   ENABLED: true,
+  NO_OPENER_PLACEMENT: 'leftmost',
+});
+
+// Capping the tabs of a group that new tabs join from their context tab
+export const DEFAULT_GROUP_SIZE_CAP = Object.freeze({
+  ENABLED: false,
+  MAX_TABS_PER_GROUP: 15,
+});
+
+// Grouping ungrouped green tabs that share a site
+export const DEFAULT_DOMAIN_CLUSTERING = Object.freeze({
+  ENABLED: false,
+  MIN_TABS: 3,
+  SCOPE: 'hostname',
+});
+
+// What counts as the same site when clustering
+export const DOMAIN_CLUSTER_SCOPE = Object.freeze({
+  HOSTNAME: 'hostname', // docs.example.com and www.example.com apart
+  DOMAIN: 'domain', // both under example.com
+});
+
+// Where a tab opened without an opener (omnibox, bookmark, another app) goes
+export const NO_OPENER_PLACEMENT = Object.freeze({
+  AFFINITY: 'affinity', // into the user group with most tabs on its hostname, else leftmost
+  LEFTMOST: 'leftmost',
+  DEFAULT: 'default', // wherever Chrome put it
+});
+
+// What a grouping rule (settings.groupingRules) does with tabs on matching URLs
+export const GROUPING_RULE_ACTION = Object.freeze({
+  GROUP: 'group', // put them in the window's group of the rule's title, created if need be
+  EXCLUDE: 'exclude', // leave them, and tabs opened from them, out of auto-grouping
 });
 
 export const BOOKMARK_BLOCKED_URLS = Object.freeze([
@@ -67,6 +228,26 @@ export const BOOKMARK_BLOCKED_URLS = Object.freeze([
 export const TIME_MODE = Object.freeze({
   ACTIVE: 'active',
   WALL_CLOCK: 'wallclock',
+  // Active time that also pauses while the user is idle or the screen is locked
+  ENGAGED: 'engaged',
+});
+
+export const DEFAULT_IDLE_DETECTION = Object.freeze({
+  SECONDS: 60,
+  MIN_SECONDS: 15, // chrome.idle.setDetectionInterval minimum
+});
+
+export const AGING_MODE = Object.freeze({
+  LINEAR: 'linear',
+  FRECENCY: 'frecency',
+});
+
+// Frecency: age is scaled by 1 / (1 + w_a·log2(1 + activations) + w_f·log2(1 + foreground minutes)),
+// clamped so a tab never ages slower than MIN_FACTOR × real time.
+export const FRECENCY = Object.freeze({
+  ACTIVATION_WEIGHT: 0.25,
+  FOREGROUND_WEIGHT: 0.25,
+  MIN_FACTOR: 0.25,
 });
 
 export const ERROR_CODES = Object.freeze({
@@ -76,7 +257,9 @@ export const ERROR_CODES = Object.freeze({
   ERR_GROUP_MOVE: 'ERR_GROUP_MOVE',
   ERR_TAB_MOVE: 'ERR_TAB_MOVE',
   ERR_TAB_REMOVE: 'ERR_TAB_REMOVE',
+  ERR_TAB_CREATE: 'ERR_TAB_CREATE',
   ERR_TAB_GROUP: 'ERR_TAB_GROUP',
+  ERR_NOTIFICATION: 'ERR_NOTIFICATION',
   ERR_ALARM_CREATE: 'ERR_ALARM_CREATE',
   ERR_SCHEMA_VALIDATION: 'ERR_SCHEMA_VALIDATION',
   ERR_RECOVERY: 'ERR_RECOVERY',
@@ -85,6 +268,37 @@ export const ERROR_CODES = Object.freeze({
   ERR_BOOKMARK_RENAME: 'ERR_BOOKMARK_RENAME',
 });
 
+export const MESSAGE_TYPES = Object.freeze({
+  GET_TAB_STATE: 'getTabState',
+  SNOOZE: 'snooze',
+  UNSNOOZE: 'unsnooze',
+  GET_WINDOW_PROFILE: 'getWindowProfile',
+  SET_WINDOW_PROFILE: 'setWindowProfile',
+  GET_CLOSED_JOURNAL: 'getClosedJournal',
+  RESTORE_CLOSED: 'restoreClosed',
+  CLOSE_TAB_TREE: 'closeTabTree',
+});
+
+// Per-window aging profile modes; 'inherit' is stored as no profile at all
+export const WINDOW_PROFILE = Object.freeze({
+  INHERIT: 'inherit',
+  FROZEN: 'frozen',
+  CUSTOM: 'custom',
+});
+
+// Directives recognized at the end of a group title, e.g. "Research !slow (3h)"
+export const GROUP_DIRECTIVES = Object.freeze({
+  '!keep': Object.freeze({ keepPosition: true }),
+  '!slow': Object.freeze({ thresholdFactor: 2 }),
+  '!fast': Object.freeze({ thresholdFactor: 0.5 }),
+  '⏸': Object.freeze({ frozen: true }),
+});
+
+export const SNOOZE_TARGET = Object.freeze({
+  TAB: 'tab',
+  GROUP: 'group',
+});
+
 export const SPECIAL_GROUP_TYPES = Object.freeze({
   YELLOW: 'yellow',
   RED: 'red',
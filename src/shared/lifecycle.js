@@ -0,0 +1,180 @@
+import { STATUS, DEFAULT_THRESHOLDS, DEFAULT_LIFECYCLE } from './constants.js';
+
+/**
+ * Lifecycle: the ordered, visible stages a tab passes through before it is
+ * gone. The classic lifecycle is Green → Yellow → Red, configured by the
+ * `thresholds`, transition toggles and special group names. With
+ * `settings.customStagesEnabled` the user's `settings.lifecycleStages` list
+ * replaces it; each entry is `{ name, color, after, groupName }` where `after`
+ * is the age (ms) at which a tab enters the stage (ignored for the first).
+ * In both cases the last stage turns gone after `thresholds.redToGone`.
+ *
+ * Stage ids are positional: the first three are 'green', 'yellow' and 'red',
+ * later ones 'stage-3', 'stage-4', …. Stored statuses, group zones and
+ * special group references stay valid whichever lifecycle is active, and the
+ * fresh stage is always STATUS.GREEN.
+ */
+
+const CLASSIC_STAGE_IDS = [STATUS.GREEN, STATUS.YELLOW, STATUS.RED];
+const EXTRA_STAGE_ID_RE = /^stage-([3-9]|[1-9]\d+)$/;
+
+// Classic settings keys of the transition into the stage at each index
+const CLASSIC_TRANSITIONS = [
+  null,
+  { threshold: 'greenToYellow', toggle: 'greenToYellowEnabled', groupName: 'yellowGroupName' },
+  { threshold: 'yellowToRed', toggle: 'yellowToRedEnabled', groupName: 'redGroupName' },
+];
+
+export function stageId(index) {
+  return CLASSIC_STAGE_IDS[index] ?? `stage-${index}`;
+}
+
+/**
+ * Position of a stage id in any lifecycle, or -1 for 'gone' and unknown ids.
+ */
+export function stageIndex(id) {
+  const classic = CLASSIC_STAGE_IDS.indexOf(id);
+  if (classic !== -1) return classic;
+  const match = typeof id === 'string' ? EXTRA_STAGE_ID_RE.exec(id) : null;
+  return match ? Number(match[1]) : -1;
+}
+
+export function isStageId(id) {
+  return stageIndex(id) !== -1;
+}
+
+export function isCustomLifecycle(settings) {
+  return settings?.customStagesEnabled === true
+    && Array.isArray(settings.lifecycleStages)
+    && settings.lifecycleStages.length > 0;
+}
+
+/**
+ * Map the classic Green → Yellow → Red settings onto a stage list. Seeds the
+ * custom stage editor so switching to custom stages starts from what the
+ * user already has.
+ */
+export function classicLifecycleStages(settings = {}) {
+  const thresholds = settings.thresholds ?? {};
+  return [
+    { name: 'Green', color: 'green' },
+    {
+      name: 'Yellow',
+      color: 'yellow',
+      after: thresholds.greenToYellow ?? DEFAULT_THRESHOLDS.GREEN_TO_YELLOW,
+      groupName: settings.yellowGroupName ?? '',
+    },
+    {
+      name: 'Red',
+      color: 'red',
+      after: thresholds.yellowToRed ?? DEFAULT_THRESHOLDS.YELLOW_TO_RED,
+      groupName: settings.redGroupName ?? '',
+    },
+  ];
+}
+
+/**
+ * Schema v2 → v3: store the classic stages as the stage list and leave custom
+ * stages off, so behavior is unchanged until the user switches.
+ */
+export function migrateSettingsToLifecycle(settings) {
+  return {
+    ...settings,
+    customStagesEnabled: settings.customStagesEnabled ?? DEFAULT_LIFECYCLE.CUSTOM_STAGES_ENABLED,
+    lifecycleStages: settings.lifecycleStages ?? classicLifecycleStages(settings),
+  };
+}
+
+/**
+ * Resolve the active lifecycle.
+ *
+ * @param {object} [settings]
+ * @returns {{stages: Array<{id: string, name: string, color: string, after: number,
+ *   enabled: boolean, groupName: string}>, goneAfter: number, goneEnabled: boolean}}
+ */
+export function resolveLifecycle(settings = {}) {
+  const custom = isCustomLifecycle(settings);
+  const source = custom ? settings.lifecycleStages : classicLifecycleStages(settings);
+  const stages = source.map((stage, i) => ({
+    id: stageId(i),
+    name: stage.name || stageId(i),
+    color: stage.color,
+    after: i === 0 ? 0 : stage.after,
+    enabled: i === 0 || custom || settings[CLASSIC_TRANSITIONS[i].toggle] !== false,
+    groupName: stage.groupName ?? '',
+  }));
+  return {
+    stages,
+    goneAfter: settings.thresholds?.redToGone ?? DEFAULT_THRESHOLDS.RED_TO_GONE,
+    goneEnabled: settings.redToGoneEnabled !== false,
+  };
+}
+
+/**
+ * Replace the first two transitions and the gone transition with classic
+ * thresholds and toggles, as set by a per-domain threshold rule or a window
+ * profile. Later stages keep their own timing, but start no later than the
+ * new gone time, so a shorter one still closes tabs in time.
+ */
+export function overrideTransitions(lifecycle, thresholds, toggles) {
+  const stages = lifecycle.stages.map((stage, i) => {
+    const keys = CLASSIC_TRANSITIONS[i];
+    if (!keys) return { ...stage, after: Math.min(stage.after, thresholds.redToGone) };
+    return { ...stage, after: thresholds[keys.threshold], enabled: toggles?.[keys.toggle] !== false };
+  });
+  return {
+    stages,
+    goneAfter: thresholds.redToGone,
+    goneEnabled: toggles?.redToGoneEnabled !== false,
+  };
+}
+
+/**
+ * Multiply every transition time, as set by a group's "!slow" / "!fast"
+ * title directive.
+ */
+export function scaleLifecycle(lifecycle, factor) {
+  return {
+    ...lifecycle,
+    stages: lifecycle.stages.map((stage) => ({ ...stage, after: stage.after * factor })),
+    goneAfter: lifecycle.goneAfter * factor,
+  };
+}
+
+export function getStage(lifecycle, id) {
+  return lifecycle.stages[stageIndex(id)] ?? null;
+}
+
+/** Stage in which tabs that must not close are held instead of going gone. */
+export function lastStageId(lifecycle) {
+  return lifecycle.stages[lifecycle.stages.length - 1].id;
+}
+
+/**
+ * Sort rank of a status: the stage position, with gone after every stage.
+ * Statuses of stages that no longer exist rank as the last stage.
+ */
+export function stageRank(lifecycle, status) {
+  if (status === STATUS.GONE) return lifecycle.stages.length;
+  const index = stageIndex(status);
+  return index === -1 || index >= lifecycle.stages.length ? lifecycle.stages.length - 1 : index;
+}
+
+/**
+ * Store a special group's new title as its stage's group name. Returns false
+ * when nothing changed.
+ */
+export function setStageGroupName(settings, id, title) {
+  const index = stageIndex(id);
+  if (index < 1) return false;
+  if (isCustomLifecycle(settings)) {
+    const stage = settings.lifecycleStages[index];
+    if (!stage || stage.groupName === title) return false;
+    stage.groupName = title;
+    return true;
+  }
+  const key = CLASSIC_TRANSITIONS[index]?.groupName;
+  if (!key || settings[key] === title) return false;
+  settings[key] = title;
+  return true;
+}
@@ -0,0 +1,46 @@
+/**
+ * Quiet hours: weekly time ranges during which gone tabs and groups are not
+ * closed.
+ *
+ * A range is `{ days, start, end }` where `days` lists weekdays
+ * (0 = Sunday … 6 = Saturday) and `start`/`end` are local "HH:MM" times.
+ * A range whose end is before its start runs past midnight into the next
+ * day; `days` names the day it starts on.
+ */
+
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * Parse "HH:MM" into minutes after midnight, or null when malformed.
+ */
+export function parseTimeOfDay(text) {
+  const match = typeof text === 'string' ? TIME_OF_DAY_PATTERN.exec(text) : null;
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+export function isValidWeekday(day) {
+  return Number.isInteger(day) && day >= 0 && day <= 6;
+}
+
+function rangeCovers(range, day, minutes) {
+  const start = parseTimeOfDay(range?.start);
+  const end = parseTimeOfDay(range?.end);
+  if (start === null || end === null || start === end || !Array.isArray(range.days)) return false;
+
+  if (start < end) {
+    return range.days.includes(day) && minutes >= start && minutes < end;
+  }
+  // Overnight: the tail after midnight belongs to the previous day's range
+  const previousDay = (day + 6) % 7;
+  return (range.days.includes(day) && minutes >= start)
+    || (range.days.includes(previousDay) && minutes < end);
+}
+
+/**
+ * Whether `date` (local time) falls inside any of the quiet-hour ranges.
+ */
+export function isWithinQuietHours(quietHours, date = new Date()) {
+  if (!Array.isArray(quietHours) || quietHours.length === 0) return false;
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  return quietHours.some((range) => rangeCovers(range, date.getDay(), minutes));
+}
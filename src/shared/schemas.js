@@ -1,32 +1,218 @@
-import { STATUS, TIME_MODE } from './constants.js';
+import {
+  STATUS, TIME_MODE, AGING_MODE, DEFAULT_IDLE_DETECTION, TAB_GROUP_COLORS, DEFAULT_LIFECYCLE, WINDOW_PROFILE,
+  DUPLICATE_ACTION, NO_OPENER_PLACEMENT, DOMAIN_CLUSTER_SCOPE, DRY_RUN_ACTION, CLOSE_REASON, CLOSED_JOURNAL_MAX_ENTRIES,
+  NAVIGATION_RESET_SETTINGS, GROUPING_RULE_ACTION,
+} from './constants.js';
+import { isValidUrlPattern, isValidRegExp } from './url-patterns.js';
+import { parseTimeOfDay, isValidWeekday } from './quiet-hours.js';
+import { isStageId } from './lifecycle.js';
 
-export function validateSettings(obj) {
-  const errors = [];
-  if (!obj || typeof obj !== 'object') {
-    return { valid: false, errors: ['Settings must be a non-null object'] };
+const TRANSITION_TOGGLE_FIELDS = ['greenToYellowEnabled', 'yellowToRedEnabled', 'redToGoneEnabled'];
+const NAVIGATION_RESET_FIELDS = Object.values(NAVIGATION_RESET_SETTINGS);
+
+function validateThresholds(thresholds, prefix, errors, checkGoneOrder = true) {
+  if (!thresholds || typeof thresholds !== 'object') {
+    errors.push(`${prefix} must be a non-null object`);
+    return;
   }
-  if (obj.timeMode !== TIME_MODE.ACTIVE && obj.timeMode !== TIME_MODE.WALL_CLOCK) {
-    errors.push(`timeMode must be "${TIME_MODE.ACTIVE}" or "${TIME_MODE.WALL_CLOCK}", got "${obj.timeMode}"`);
+  const { greenToYellow, yellowToRed, redToGone } = thresholds;
+  if (typeof greenToYellow !== 'number' || greenToYellow <= 0) {
+    errors.push(`${prefix}.greenToYellow must be a positive number`);
   }
-  if (!obj.thresholds || typeof obj.thresholds !== 'object') {
-    errors.push('thresholds must be a non-null object');
-  } else {
-    const { greenToYellow, yellowToRed, redToGone } = obj.thresholds;
-    if (typeof greenToYellow !== 'number' || greenToYellow <= 0) {
-      errors.push('thresholds.greenToYellow must be a positive number');
+  if (typeof yellowToRed !== 'number' || yellowToRed <= 0) {
+    errors.push(`${prefix}.yellowToRed must be a positive number`);
+  }
+  if (typeof redToGone !== 'number' || redToGone <= 0) {
+    errors.push(`${prefix}.redToGone must be a positive number`);
+  }
+  if (typeof greenToYellow === 'number' && typeof yellowToRed === 'number' && greenToYellow >= yellowToRed) {
+    errors.push(`${prefix}.greenToYellow must be less than ${prefix}.yellowToRed`);
+  }
+  if (checkGoneOrder && typeof yellowToRed === 'number' && typeof redToGone === 'number'
+    && yellowToRed >= redToGone) {
+    errors.push(`${prefix}.yellowToRed must be less than ${prefix}.redToGone`);
+  }
+}
+
+/**
+ * With custom stages, a rule's or window profile's thresholds replace the
+ * first two transitions (see overrideTransitions); the stage after them must
+ * still come later.
+ */
+function validateStageOverride(thresholds, prefix, settings, errors) {
+  if (settings?.customStagesEnabled !== true || !Array.isArray(settings.lifecycleStages)) return;
+  const nextAfter = settings.lifecycleStages[3]?.after;
+  if (typeof nextAfter === 'number' && typeof thresholds?.yellowToRed === 'number'
+    && thresholds.yellowToRed >= nextAfter) {
+    errors.push(`${prefix}.yellowToRed must be less than lifecycleStages[3].after`);
+  }
+}
+
+function validateThresholdRules(rules, errors, settings) {
+  if (!Array.isArray(rules)) {
+    errors.push('thresholdRules must be an array');
+    return;
+  }
+  rules.forEach((rule, i) => {
+    const prefix = `thresholdRules[${i}]`;
+    if (!rule || typeof rule !== 'object') {
+      errors.push(`${prefix} must be a non-null object`);
+      return;
+    }
+    if (!isValidUrlPattern(rule.pattern)) {
+      errors.push(`${prefix}.pattern must be a non-empty string`);
+    }
+    validateThresholds(rule.thresholds, `${prefix}.thresholds`, errors);
+    validateStageOverride(rule.thresholds, `${prefix}.thresholds`, settings, errors);
+    for (const field of TRANSITION_TOGGLE_FIELDS) {
+      if (rule[field] !== undefined && typeof rule[field] !== 'boolean') {
+        errors.push(`${prefix}.${field} must be a boolean`);
+      }
+    }
+  });
+}
+
+function validateNavigationResetRules(rules, errors) {
+  if (!Array.isArray(rules)) {
+    errors.push('navigationResetRules must be an array');
+    return;
+  }
+  rules.forEach((rule, i) => {
+    const prefix = `navigationResetRules[${i}]`;
+    if (!rule || typeof rule !== 'object') {
+      errors.push(`${prefix} must be a non-null object`);
+      return;
+    }
+    if (!isValidUrlPattern(rule.pattern)) {
+      errors.push(`${prefix}.pattern must be a non-empty string`);
+    }
+    for (const field of NAVIGATION_RESET_FIELDS) {
+      if (rule[field] !== undefined && typeof rule[field] !== 'boolean') {
+        errors.push(`${prefix}.${field} must be a boolean`);
+      }
+    }
+  });
+}
+
+function validateGroupingRules(rules, errors) {
+  if (!Array.isArray(rules)) {
+    errors.push('groupingRules must be an array');
+    return;
+  }
+  rules.forEach((rule, i) => {
+    const prefix = `groupingRules[${i}]`;
+    if (!rule || typeof rule !== 'object') {
+      errors.push(`${prefix} must be a non-null object`);
+      return;
+    }
+    if (rule.regex !== undefined && typeof rule.regex !== 'boolean') {
+      errors.push(`${prefix}.regex must be a boolean`);
+    }
+    if (rule.regex === true) {
+      if (!isValidRegExp(rule.pattern)) errors.push(`${prefix}.pattern must be a valid regular expression`);
+    } else if (!isValidUrlPattern(rule.pattern)) {
+      errors.push(`${prefix}.pattern must be a non-empty string`);
+    }
+    if (!Object.values(GROUPING_RULE_ACTION).includes(rule.action)) {
+      errors.push(`${prefix}.action must be one of: ${Object.values(GROUPING_RULE_ACTION).join(', ')}`);
+    }
+    if (rule.action === GROUPING_RULE_ACTION.GROUP
+        && (typeof rule.title !== 'string' || rule.title.trim().length === 0)) {
+      errors.push(`${prefix}.title must be a non-empty string`);
+    }
+    if (rule.color !== undefined && !TAB_GROUP_COLORS.includes(rule.color)) {
+      errors.push(`${prefix}.color must be one of: ${TAB_GROUP_COLORS.join(', ')}`);
+    }
+  });
+}
+
+function validateQuietHours(ranges, errors) {
+  if (!Array.isArray(ranges)) {
+    errors.push('quietHours must be an array');
+    return;
+  }
+  ranges.forEach((range, i) => {
+    const prefix = `quietHours[${i}]`;
+    if (!range || typeof range !== 'object') {
+      errors.push(`${prefix} must be a non-null object`);
+      return;
+    }
+    if (!Array.isArray(range.days) || range.days.length === 0 || !range.days.every(isValidWeekday)) {
+      errors.push(`${prefix}.days must be a non-empty array of weekdays (0-6)`);
     }
-    if (typeof yellowToRed !== 'number' || yellowToRed <= 0) {
-      errors.push('thresholds.yellowToRed must be a positive number');
+    const start = parseTimeOfDay(range.start);
+    const end = parseTimeOfDay(range.end);
+    if (start === null) errors.push(`${prefix}.start must be a time in HH:MM format`);
+    if (end === null) errors.push(`${prefix}.end must be a time in HH:MM format`);
+    if (start !== null && start === end) {
+      errors.push(`${prefix}.start and ${prefix}.end must differ`);
     }
-    if (typeof redToGone !== 'number' || redToGone <= 0) {
-      errors.push('thresholds.redToGone must be a positive number');
+  });
+}
+
+/**
+ * Custom lifecycle stages: each entry enters at a later age than the one
+ * before it (the first stage has no `after`), and the last one before gone.
+ */
+function validateLifecycleStages(stages, redToGone, errors) {
+  if (!Array.isArray(stages) || stages.length === 0 || stages.length > DEFAULT_LIFECYCLE.MAX_STAGES) {
+    errors.push(`lifecycleStages must be an array of 1 to ${DEFAULT_LIFECYCLE.MAX_STAGES} stages`);
+    return;
+  }
+  let previousAfter = 0;
+  stages.forEach((stage, i) => {
+    const prefix = `lifecycleStages[${i}]`;
+    if (!stage || typeof stage !== 'object') {
+      errors.push(`${prefix} must be a non-null object`);
+      return;
+    }
+    if (typeof stage.name !== 'string' || stage.name.trim().length === 0) {
+      errors.push(`${prefix}.name must be a non-empty string`);
+    }
+    if (!TAB_GROUP_COLORS.includes(stage.color)) {
+      errors.push(`${prefix}.color must be one of: ${TAB_GROUP_COLORS.join(', ')}`);
     }
-    if (typeof greenToYellow === 'number' && typeof yellowToRed === 'number' && greenToYellow >= yellowToRed) {
-      errors.push('thresholds.greenToYellow must be less than thresholds.yellowToRed');
+    if (stage.groupName !== undefined && typeof stage.groupName !== 'string') {
+      errors.push(`${prefix}.groupName must be a string`);
     }
-    if (typeof yellowToRed === 'number' && typeof redToGone === 'number' && yellowToRed >= redToGone) {
-      errors.push('thresholds.yellowToRed must be less than thresholds.redToGone');
+    if (i === 0) return;
+    if (typeof stage.after !== 'number' || stage.after <= 0) {
+      errors.push(`${prefix}.after must be a positive number`);
+    } else if (stage.after <= previousAfter) {
+      errors.push(`${prefix}.after must be greater than lifecycleStages[${i - 1}].after`);
+    } else {
+      previousAfter = stage.after;
+    }
+  });
+  if (typeof redToGone === 'number' && previousAfter >= redToGone) {
+    errors.push('The last of lifecycleStages must start before thresholds.redToGone');
+  }
+}
+
+function validatePatternList(list, field, errors) {
+  if (!Array.isArray(list)) {
+    errors.push(`${field} must be an array`);
+    return;
+  }
+  list.forEach((pattern, i) => {
+    if (!isValidUrlPattern(pattern)) {
+      errors.push(`${field}[${i}] must be a non-empty string`);
     }
+  });
+}
+
+export function validateSettings(obj) {
+  const errors = [];
+  if (!obj || typeof obj !== 'object') {
+    return { valid: false, errors: ['Settings must be a non-null object'] };
+  }
+  if (!Object.values(TIME_MODE).includes(obj.timeMode)) {
+    errors.push(`timeMode must be one of: ${Object.values(TIME_MODE).join(', ')}, got "${obj.timeMode}"`);
+  }
+  // With custom stages the last stage, not yellowToRed, must precede redToGone
+  validateThresholds(obj.thresholds, 'thresholds', errors, obj.customStagesEnabled !== true);
+  if (obj.agingMode !== undefined && !Object.values(AGING_MODE).includes(obj.agingMode)) {
+    errors.push(`agingMode must be one of: ${Object.values(AGING_MODE).join(', ')}`);
   }
   if (obj.bookmarkEnabled !== undefined && typeof obj.bookmarkEnabled !== 'boolean') {
     errors.push('bookmarkEnabled must be a boolean');
@@ -44,6 +230,50 @@ export function validateSettings(obj) {
       errors.push('autoGroupNamingDelayMinutes must be a positive whole number');
     }
   }
+  if (obj.activationDwellSeconds !== undefined) {
+    if (!Number.isInteger(obj.activationDwellSeconds) || obj.activationDwellSeconds <= 0) {
+      errors.push('activationDwellSeconds must be a positive whole number');
+    }
+  }
+  if (obj.discardDelayMinutes !== undefined) {
+    if (!Number.isInteger(obj.discardDelayMinutes) || obj.discardDelayMinutes < 0) {
+      errors.push('discardDelayMinutes must be a non-negative whole number');
+    }
+  }
+  if (obj.maxTabsPerWindow !== undefined) {
+    if (!Number.isInteger(obj.maxTabsPerWindow) || obj.maxTabsPerWindow <= 0) {
+      errors.push('maxTabsPerWindow must be a positive whole number');
+    }
+  }
+  if (obj.goneWarningMinutes !== undefined) {
+    if (!Number.isInteger(obj.goneWarningMinutes) || obj.goneWarningMinutes <= 0) {
+      errors.push('goneWarningMinutes must be a positive whole number');
+    }
+  }
+  if (obj.duplicateAction !== undefined && !Object.values(DUPLICATE_ACTION).includes(obj.duplicateAction)) {
+    errors.push(`duplicateAction must be one of: ${Object.values(DUPLICATE_ACTION).join(', ')}`);
+  }
+  if (obj.maxTabsPerGroup !== undefined) {
+    if (!Number.isInteger(obj.maxTabsPerGroup) || obj.maxTabsPerGroup < 2) {
+      errors.push('maxTabsPerGroup must be a whole number of at least 2');
+    }
+  }
+  if (obj.domainClusteringMinTabs !== undefined) {
+    if (!Number.isInteger(obj.domainClusteringMinTabs) || obj.domainClusteringMinTabs < 2) {
+      errors.push('domainClusteringMinTabs must be a whole number of at least 2');
+    }
+  }
+  if (obj.domainClusteringScope !== undefined && !Object.values(DOMAIN_CLUSTER_SCOPE).includes(obj.domainClusteringScope)) {
+    errors.push(`domainClusteringScope must be one of: ${Object.values(DOMAIN_CLUSTER_SCOPE).join(', ')}`);
+  }
+  if (obj.noOpenerPlacement !== undefined && !Object.values(NO_OPENER_PLACEMENT).includes(obj.noOpenerPlacement)) {
+    errors.push(`noOpenerPlacement must be one of: ${Object.values(NO_OPENER_PLACEMENT).join(', ')}`);
+  }
+  if (obj.idleDetectionSeconds !== undefined) {
+    if (!Number.isInteger(obj.idleDetectionSeconds) || obj.idleDetectionSeconds < DEFAULT_IDLE_DETECTION.MIN_SECONDS) {
+      errors.push(`idleDetectionSeconds must be a whole number of at least ${DEFAULT_IDLE_DETECTION.MIN_SECONDS}`);
+    }
+  }
 
   // v2 toggle fields — all must be strict booleans when present
   const booleanFields = [
@@ -55,6 +285,21 @@ export function validateSettings(obj) {
     'yellowToRedEnabled',
     'redToGoneEnabled',
     'autoGroupEnabled',
+    'groupSizeCapEnabled',
+    'domainClusteringEnabled',
+    'activationRefreshEnabled',
+    'refreshKeepsOpenerAlive',
+    'freezeAudibleTabs',
+    'freezeMutedTabs',
+    'discardEnabled',
+    'tabBudgetEnabled',
+    'duplicateDetectionEnabled',
+    'duplicateStripHash',
+    'duplicateStripTrackingParams',
+    'dryRunEnabled',
+    'goneWarningEnabled',
+    'customStagesEnabled',
+    ...NAVIGATION_RESET_FIELDS,
   ];
   for (const field of booleanFields) {
     if (obj[field] !== undefined && typeof obj[field] !== 'boolean') {
@@ -62,6 +307,29 @@ export function validateSettings(obj) {
     }
   }
 
+  if (obj.thresholdRules !== undefined) {
+    validateThresholdRules(obj.thresholdRules, errors, obj);
+  }
+  if (obj.navigationResetRules !== undefined) {
+    validateNavigationResetRules(obj.navigationResetRules, errors);
+  }
+  if (obj.groupingRules !== undefined) {
+    validateGroupingRules(obj.groupingRules, errors);
+  }
+  for (const field of ['protectedUrlPatterns', 'protectedGroupTitles']) {
+    if (obj[field] !== undefined) {
+      validatePatternList(obj[field], field, errors);
+    }
+  }
+  if (obj.quietHours !== undefined) {
+    validateQuietHours(obj.quietHours, errors);
+  }
+  if (obj.lifecycleStages !== undefined) {
+    // Only an active custom lifecycle has to fit before the gone threshold
+    const redToGone = obj.customStagesEnabled === true ? obj.thresholds?.redToGone : undefined;
+    validateLifecycleStages(obj.lifecycleStages, redToGone, errors);
+  }
+
   // v2 group name fields — must be strings (empty string is valid)
   if (obj.yellowGroupName !== undefined && typeof obj.yellowGroupName !== 'string') {
     errors.push('yellowGroupName must be a string');
@@ -84,6 +352,73 @@ export function validateBookmarkState(obj) {
   return { valid: errors.length === 0, errors };
 }
 
+export function validateDryRunReport(obj) {
+  const errors = [];
+  if (!obj || typeof obj !== 'object') {
+    return { valid: false, errors: ['DryRunReport must be a non-null object'] };
+  }
+  if (typeof obj.createdAt !== 'number' || obj.createdAt <= 0) {
+    errors.push('createdAt must be a positive number (timestamp)');
+  }
+  if (!Array.isArray(obj.transitions)) {
+    errors.push('transitions must be an array');
+  } else {
+    obj.transitions.forEach((t, i) => {
+      if (!t || typeof t !== 'object' || !Number.isInteger(t.tabId)) {
+        errors.push(`transitions[${i}].tabId must be an integer`);
+      }
+    });
+  }
+  if (!Array.isArray(obj.actions)) {
+    errors.push('actions must be an array');
+  } else {
+    const types = Object.values(DRY_RUN_ACTION);
+    obj.actions.forEach((action, i) => {
+      if (!action || typeof action !== 'object' || !types.includes(action.type)) {
+        errors.push(`actions[${i}].type must be one of: ${types.join(', ')}`);
+      }
+    });
+  }
+  return { valid: errors.length === 0, errors };
+}
+
+export function validateClosedJournal(arr) {
+  const errors = [];
+  if (!Array.isArray(arr)) {
+    return { valid: false, errors: ['ClosedJournal must be an array'] };
+  }
+  if (arr.length > CLOSED_JOURNAL_MAX_ENTRIES) {
+    errors.push(`ClosedJournal must have at most ${CLOSED_JOURNAL_MAX_ENTRIES} entries`);
+  }
+  const reasons = Object.values(CLOSE_REASON);
+  arr.forEach((entry, i) => {
+    const prefix = `closedJournal[${i}]`;
+    if (!entry || typeof entry !== 'object') {
+      errors.push(`${prefix} must be an object`);
+      return;
+    }
+    if (typeof entry.id !== 'string' || entry.id.length === 0) {
+      errors.push(`${prefix}.id must be a non-empty string`);
+    }
+    if (typeof entry.closedAt !== 'number' || entry.closedAt <= 0) {
+      errors.push(`${prefix}.closedAt must be a positive number (timestamp)`);
+    }
+    if (!reasons.includes(entry.reason)) {
+      errors.push(`${prefix}.reason must be one of: ${reasons.join(', ')}`);
+    }
+    if (entry.group !== null && (typeof entry.group?.title !== 'string'
+        || !TAB_GROUP_COLORS.includes(entry.group.color))) {
+      errors.push(`${prefix}.group must be null or { title, color }`);
+    }
+    if (!Array.isArray(entry.tabs) || entry.tabs.length === 0) {
+      errors.push(`${prefix}.tabs must be a non-empty array`);
+    } else if (entry.tabs.some((t) => typeof t?.url !== 'string' || typeof t.ageMs !== 'number')) {
+      errors.push(`${prefix}.tabs must have a url and an ageMs each`);
+    }
+  });
+  return { valid: errors.length === 0, errors };
+}
+
 export function validateActiveTime(obj) {
   const errors = [];
   if (!obj || typeof obj !== 'object') {
@@ -98,9 +433,30 @@ export function validateActiveTime(obj) {
   if (typeof obj.lastPersistedAt !== 'number' || obj.lastPersistedAt <= 0) {
     errors.push('lastPersistedAt must be a positive number (timestamp)');
   }
+  for (const field of ['windowFocused', 'idle', 'pauseOnIdle']) {
+    if (obj[field] !== undefined && typeof obj[field] !== 'boolean') {
+      errors.push(`${field} must be a boolean`);
+    }
+  }
   return { valid: errors.length === 0, errors };
 }
 
+/**
+ * Validate the snooze fields shared by tabMeta entries and group snoozes.
+ * `snoozeUntil` is optional on tabMeta; when set, the snapshot fields are required.
+ */
+function validateSnoozeFields(entry, prefix, errors) {
+  if (!Number.isFinite(entry.snoozeUntil) || entry.snoozeUntil <= 0) {
+    errors.push(`${prefix}.snoozeUntil must be a positive number`);
+  }
+  if (!Number.isFinite(entry.snoozedAtActiveTime) || entry.snoozedAtActiveTime < 0) {
+    errors.push(`${prefix}.snoozedAtActiveTime must be a non-negative number`);
+  }
+  if (!Number.isFinite(entry.snoozedAtWallTime) || entry.snoozedAtWallTime < 0) {
+    errors.push(`${prefix}.snoozedAtWallTime must be a non-negative number`);
+  }
+}
+
 export function validateTabMeta(obj) {
   const errors = [];
   if (!obj || typeof obj !== 'object') {
@@ -124,9 +480,8 @@ export function validateTabMeta(obj) {
     if (typeof entry.refreshWallTime !== 'number' || entry.refreshWallTime < 0) {
       errors.push(`${prefix}.refreshWallTime must be a non-negative number`);
     }
-    const validStatuses = [STATUS.GREEN, STATUS.YELLOW, STATUS.RED, STATUS.GONE];
-    if (!validStatuses.includes(entry.status)) {
-      errors.push(`${prefix}.status must be one of: ${validStatuses.join(', ')}`);
+    if (entry.status !== STATUS.GONE && !isStageId(entry.status)) {
+      errors.push(`${prefix}.status must be a lifecycle stage id or "${STATUS.GONE}"`);
     }
     if (entry.groupId !== null && (typeof entry.groupId !== 'number')) {
       errors.push(`${prefix}.groupId must be null or a number`);
@@ -137,6 +492,67 @@ export function validateTabMeta(obj) {
     if (typeof entry.pinned !== 'boolean') {
       errors.push(`${prefix}.pinned must be a boolean`);
     }
+    if (entry.snoozeUntil !== undefined) {
+      validateSnoozeFields(entry, prefix, errors);
+    }
+    if (entry.activationCount !== undefined
+        && (!Number.isInteger(entry.activationCount) || entry.activationCount < 0)) {
+      errors.push(`${prefix}.activationCount must be a non-negative integer`);
+    }
+    if (entry.foregroundMs !== undefined
+        && (!Number.isFinite(entry.foregroundMs) || entry.foregroundMs < 0)) {
+      errors.push(`${prefix}.foregroundMs must be a non-negative number`);
+    }
+    if (entry.foregroundSince !== undefined && entry.foregroundSince !== null
+        && (!Number.isFinite(entry.foregroundSince) || entry.foregroundSince <= 0)) {
+      errors.push(`${prefix}.foregroundSince must be null or a positive number`);
+    }
+    if (entry.goneWarned !== undefined && typeof entry.goneWarned !== 'boolean') {
+      errors.push(`${prefix}.goneWarned must be a boolean`);
+    }
+    if (entry.openerTabId !== undefined && !Number.isInteger(entry.openerTabId)) {
+      errors.push(`${prefix}.openerTabId must be an integer`);
+    }
+    if (entry.mediaFrozenAtActiveTime !== undefined) {
+      for (const field of ['mediaFrozenAtActiveTime', 'mediaFrozenAtWallTime']) {
+        if (!Number.isFinite(entry[field]) || entry[field] < 0) {
+          errors.push(`${prefix}.${field} must be a non-negative number`);
+        }
+      }
+    }
+    if (entry.windowFrozenAtActiveTime !== undefined) {
+      for (const field of ['windowFrozenAtActiveTime', 'windowFrozenAtWallTime']) {
+        if (!Number.isFinite(entry[field]) || entry[field] < 0) {
+          errors.push(`${prefix}.${field} must be a non-negative number`);
+        }
+      }
+    }
+    if (entry.groupFrozenAtActiveTime !== undefined) {
+      for (const field of ['groupFrozenAtActiveTime', 'groupFrozenAtWallTime']) {
+        if (!Number.isFinite(entry[field]) || entry[field] < 0) {
+          errors.push(`${prefix}.${field} must be a non-negative number`);
+        }
+      }
+    }
+  }
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Validate a per-window aging profile (`windowState[wid].agingProfile`).
+ * Inherit is accepted here so a requested profile can be checked before it is stored.
+ * With `settings`, custom thresholds are also checked against custom stages.
+ */
+export function validateAgingProfile(profile, prefix = 'agingProfile', settings) {
+  const errors = [];
+  if (!profile || typeof profile !== 'object') {
+    return { valid: false, errors: [`${prefix} must be a non-null object`] };
+  }
+  if (!Object.values(WINDOW_PROFILE).includes(profile.mode)) {
+    errors.push(`${prefix}.mode must be one of: ${Object.values(WINDOW_PROFILE).join(', ')}`);
+  } else if (profile.mode === WINDOW_PROFILE.CUSTOM) {
+    validateThresholds(profile.thresholds, `${prefix}.thresholds`, errors);
+    validateStageOverride(profile.thresholds, `${prefix}.thresholds`, settings, errors);
   }
   return { valid: errors.length === 0, errors };
 }
@@ -155,20 +571,21 @@ export function validateWindowState(obj) {
     if (!state.specialGroups || typeof state.specialGroups !== 'object') {
       errors.push(`${prefix}.specialGroups must be a non-null object`);
     } else {
-      if (state.specialGroups.yellow !== null && typeof state.specialGroups.yellow !== 'number') {
-        errors.push(`${prefix}.specialGroups.yellow must be null or a number`);
-      }
-      if (state.specialGroups.red !== null && typeof state.specialGroups.red !== 'number') {
-        errors.push(`${prefix}.specialGroups.red must be null or a number`);
+      // Keyed by the id of every stage after the first
+      for (const [type, groupId] of Object.entries(state.specialGroups)) {
+        if (type === STATUS.GREEN || !isStageId(type)) {
+          errors.push(`${prefix}.specialGroups.${type} is not a special group stage`);
+        } else if (groupId !== null && typeof groupId !== 'number') {
+          errors.push(`${prefix}.specialGroups.${type} must be null or a number`);
+        }
       }
     }
     if (!state.groupZones || typeof state.groupZones !== 'object') {
       errors.push(`${prefix}.groupZones must be a non-null object`);
     } else {
-      const validZones = [STATUS.GREEN, STATUS.YELLOW, STATUS.RED, STATUS.GONE];
       for (const [groupId, zone] of Object.entries(state.groupZones)) {
-        if (!validZones.includes(zone)) {
-          errors.push(`${prefix}.groupZones[${groupId}] must be one of: ${validZones.join(', ')}`);
+        if (zone !== STATUS.GONE && !isStageId(zone)) {
+          errors.push(`${prefix}.groupZones[${groupId}] must be a lifecycle stage id or "${STATUS.GONE}"`);
         }
       }
     }
@@ -206,6 +623,66 @@ export function validateWindowState(obj) {
         }
       }
     }
+
+    if (state.groupSnoozes !== undefined) {
+      if (!state.groupSnoozes || typeof state.groupSnoozes !== 'object') {
+        errors.push(`${prefix}.groupSnoozes must be an object when present`);
+      } else {
+        for (const [groupId, entry] of Object.entries(state.groupSnoozes)) {
+          const entryPrefix = `${prefix}.groupSnoozes[${groupId}]`;
+          if (!entry || typeof entry !== 'object') {
+            errors.push(`${entryPrefix} must be a non-null object`);
+            continue;
+          }
+          validateSnoozeFields(entry, entryPrefix, errors);
+        }
+      }
+    }
+
+    if (state.groupPolicies !== undefined) {
+      if (!state.groupPolicies || typeof state.groupPolicies !== 'object') {
+        errors.push(`${prefix}.groupPolicies must be an object when present`);
+      } else {
+        for (const [groupId, policy] of Object.entries(state.groupPolicies)) {
+          const entryPrefix = `${prefix}.groupPolicies[${groupId}]`;
+          if (!policy || typeof policy !== 'object') {
+            errors.push(`${entryPrefix} must be a non-null object`);
+            continue;
+          }
+          for (const flag of ['frozen', 'keepPosition']) {
+            if (policy[flag] !== undefined && typeof policy[flag] !== 'boolean') {
+              errors.push(`${entryPrefix}.${flag} must be a boolean`);
+            }
+          }
+          if (policy.thresholdFactor !== undefined
+              && (!Number.isFinite(policy.thresholdFactor) || policy.thresholdFactor <= 0)) {
+            errors.push(`${entryPrefix}.thresholdFactor must be a positive number`);
+          }
+        }
+      }
+    }
+
+    if (state.goneWarnedGroups !== undefined
+        && (!Array.isArray(state.goneWarnedGroups) || !state.goneWarnedGroups.every(Number.isInteger))) {
+      errors.push(`${prefix}.goneWarnedGroups must be an array of group ids`);
+    }
+
+    if (state.agingProfile !== undefined) {
+      errors.push(...validateAgingProfile(state.agingProfile, `${prefix}.agingProfile`).errors);
+    }
+
+    if (state.pendingClose !== undefined) {
+      const pending = state.pendingClose;
+      if (!pending || typeof pending !== 'object') {
+        errors.push(`${prefix}.pendingClose must be an object when present`);
+      } else {
+        for (const field of ['tabs', 'groups']) {
+          if (!Array.isArray(pending[field]) || !pending[field].every(Number.isInteger)) {
+            errors.push(`${prefix}.pendingClose.${field} must be an array of IDs`);
+          }
+        }
+      }
+    }
   }
   return { valid: errors.length === 0, errors };
 }
@@ -0,0 +1,98 @@
+/**
+ * URL pattern matching shared by rule lists in settings.
+ *
+ * A pattern is either:
+ *   - a hostname glob without "/" (e.g. "jira.example.com", "*.atlassian.net"),
+ *     matched against the URL's hostname, or
+ *   - a URL glob containing "/" (e.g. "github.com/acme/*", "https://news.*"),
+ *     matched against the full URL — or the URL without its scheme when the
+ *     pattern does not name one.
+ *
+ * `*` matches any run of characters. Matching is case-insensitive.
+ *
+ * Rule lists that allow it also take regular expressions, tested
+ * case-insensitively against the full URL.
+ */
+
+const globCache = new Map(); // pattern → RegExp
+const regExpCache = new Map(); // source → RegExp
+
+function escapeRegExp(text) {
+  return text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function globToRegExp(glob) {
+  let re = globCache.get(glob);
+  if (!re) {
+    re = new RegExp(`^${glob.split('*').map(escapeRegExp).join('.*')}$`, 'i');
+    globCache.set(glob, re);
+  }
+  return re;
+}
+
+/**
+ * Case-insensitive `*` glob match against arbitrary text (e.g. group titles).
+ */
+export function matchesGlob(pattern, text) {
+  if (!isValidUrlPattern(pattern) || typeof text !== 'string') return false;
+  return globToRegExp(pattern.trim()).test(text.trim());
+}
+
+export function isValidUrlPattern(pattern) {
+  return typeof pattern === 'string' && pattern.trim().length > 0;
+}
+
+export function isValidRegExp(source) {
+  if (typeof source !== 'string' || source.length === 0) return false;
+  try {
+    new RegExp(source);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function matchesUrlRegExp(source, url) {
+  if (!isValidRegExp(source) || !url) return false;
+  let re = regExpCache.get(source);
+  if (!re) {
+    re = new RegExp(source, 'i');
+    regExpCache.set(source, re);
+  }
+  return re.test(url);
+}
+
+export function matchesUrlPattern(pattern, url) {
+  if (!isValidUrlPattern(pattern) || !url) return false;
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return false;
+  }
+
+  const glob = pattern.trim();
+  if (!glob.includes('/')) {
+    return globToRegExp(glob).test(parsed.hostname);
+  }
+  if (glob.includes('://')) {
+    return globToRegExp(glob).test(url);
+  }
+  const schemeless = url.slice(parsed.protocol.length).replace(/^\/\//, '');
+  return globToRegExp(glob).test(schemeless);
+}
+
+/**
+ * Return the first rule in an ordered list whose `pattern` matches the URL.
+ *
+ * @param {Array<{pattern: string}>} rules
+ * @param {string} url
+ * @returns {object|null}
+ */
+export function findMatchingRule(rules, url) {
+  if (!Array.isArray(rules) || !url) return null;
+  for (const rule of rules) {
+    if (rule && matchesUrlPattern(rule.pattern, url)) return rule;
+  }
+  return null;
+}
@@ -0,0 +1,73 @@
+import { jest } from '@jest/globals';
+import { STORAGE_KEYS } from '../../src/shared/constants.js';
+import { store, listeners, loadServiceWorker } from './service-worker-harness.js';
+
+describe('activation refresh integration', () => {
+  const tabId = 9;
+
+  function seedTab() {
+    store[STORAGE_KEYS.TAB_META] = {
+      [tabId]: {
+        tabId,
+        windowId: 1,
+        refreshActiveTime: 1000,
+        refreshWallTime: 12345,
+        status: 'red',
+        groupId: null,
+        isSpecialGroup: false,
+        pinned: false,
+        url: 'https://example.com/',
+      },
+    };
+    store[STORAGE_KEYS.WINDOW_STATE] = {};
+    globalThis.chrome.tabs.get.mockResolvedValue({
+      id: tabId, windowId: 1, groupId: -1, active: true, url: 'https://example.com/',
+    });
+  }
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('resets tab age after the tab stays active for the dwell time', async () => {
+    await loadServiceWorker();
+    jest.useFakeTimers();
+    store[STORAGE_KEYS.SETTINGS] = { activationRefreshEnabled: true, activationDwellSeconds: 5 };
+    seedTab();
+
+    await listeners.tabsOnActivated({ tabId, windowId: 1 });
+    await jest.advanceTimersByTimeAsync(4000);
+    expect(store[STORAGE_KEYS.TAB_META][tabId].status).toBe('red');
+
+    await jest.advanceTimersByTimeAsync(1000);
+    const updated = store[STORAGE_KEYS.TAB_META][tabId];
+    expect(updated.status).toBe('green');
+    expect(updated.refreshActiveTime).toBe(5000);
+  });
+
+  it('does not refresh when another tab is activated before the dwell time', async () => {
+    await loadServiceWorker();
+    jest.useFakeTimers();
+    store[STORAGE_KEYS.SETTINGS] = { activationRefreshEnabled: true, activationDwellSeconds: 5 };
+    seedTab();
+
+    await listeners.tabsOnActivated({ tabId, windowId: 1 });
+    await jest.advanceTimersByTimeAsync(2000);
+    await listeners.tabsOnActivated({ tabId: 99, windowId: 1 });
+    await jest.advanceTimersByTimeAsync(10000);
+
+    expect(store[STORAGE_KEYS.TAB_META][tabId].status).toBe('red');
+  });
+
+  it('does nothing when activation refresh is disabled', async () => {
+    await loadServiceWorker();
+    jest.useFakeTimers();
+    store[STORAGE_KEYS.SETTINGS] = {};
+    seedTab();
+
+    await listeners.tabsOnActivated({ tabId, windowId: 1 });
+    await jest.advanceTimersByTimeAsync(60000);
+
+    expect(store[STORAGE_KEYS.TAB_META][tabId].status).toBe('red');
+  });
+});
@@ -0,0 +1,67 @@
+import { jest } from '@jest/globals';
+import { STORAGE_KEYS } from '../../src/shared/constants.js';
+import { store, listeners, loadServiceWorker } from './service-worker-harness.js';
+
+describe('closed-tab journal integration', () => {
+  async function sendMessage(message) {
+    return new Promise((resolve) => {
+      listeners.runtimeOnMessage(message, {}, resolve);
+    });
+  }
+
+  it('journals tabs evicted over budget and restores them with their age', async () => {
+    await loadServiceWorker();
+    store[STORAGE_KEYS.SETTINGS] = {
+      timeMode: 'active',
+      thresholds: { greenToYellow: 3500, yellowToRed: 120_000, redToGone: 180_000 },
+      tabBudgetEnabled: true,
+      maxTabsPerWindow: 2,
+      bookmarkEnabled: false,
+    };
+    const tabMeta = {};
+    const liveTabs = [];
+    [3000, 1000, 2000].forEach((refreshActiveTime, i) => {
+      const id = i + 1;
+      tabMeta[id] = {
+        tabId: id, windowId: 1, refreshActiveTime, refreshWallTime: 12345,
+        status: 'green', groupId: null, isSpecialGroup: false, pinned: false, url: `https://example.com/${id}`,
+      };
+      liveTabs.push({ id, windowId: 1, groupId: -1, index: i, url: `https://example.com/${id}`, title: `Tab ${id}` });
+    });
+    store[STORAGE_KEYS.TAB_META] = tabMeta;
+    store[STORAGE_KEYS.WINDOW_STATE] = {};
+    globalThis.chrome.tabs.query.mockResolvedValue(liveTabs);
+
+    await listeners.alarmsOnAlarm({ name: 'tabcycle-eval' });
+
+    const journal = store[STORAGE_KEYS.CLOSED_JOURNAL];
+    expect(journal).toEqual([expect.objectContaining({
+      reason: 'budget',
+      windowId: 1,
+      group: null,
+      tabs: [{ url: 'https://example.com/2', title: 'Tab 2', index: 1, ageMs: 4000 }],
+    })]);
+    expect(await sendMessage({ type: 'getClosedJournal' })).toEqual({ entries: journal });
+
+    globalThis.chrome.tabs.create = jest.fn(async (props) => {
+      const tab = { id: 20, windowId: props.windowId, index: props.index, url: '', groupId: -1, pinned: false };
+      await listeners.tabsOnCreated(tab);
+      return tab;
+    });
+    jest.useFakeTimers();
+    const response = await sendMessage({ type: 'restoreClosed', entryId: journal[0].id });
+    await jest.runOnlyPendingTimersAsync(); // the debounced re-sort of the window
+    jest.useRealTimers();
+
+    expect(response).toEqual({ ok: true, tabIds: [20] });
+    expect(globalThis.chrome.tabs.create).toHaveBeenCalledWith({
+      windowId: 1, url: 'https://example.com/2', active: false, index: 1,
+    });
+    expect(store[STORAGE_KEYS.TAB_META][20]).toMatchObject({
+      url: 'https://example.com/2', refreshActiveTime: 1000, status: 'yellow',
+    });
+    expect(store[STORAGE_KEYS.CLOSED_JOURNAL]).toEqual([]);
+    expect(await sendMessage({ type: 'restoreClosed', entryId: journal[0].id }))
+      .toEqual({ ok: false, error: 'Entry is no longer in the journal' });
+  });
+});
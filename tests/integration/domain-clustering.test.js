@@ -0,0 +1,64 @@
+import { STORAGE_KEYS } from '../../src/shared/constants.js';
+import { store, listeners, loadServiceWorker } from './service-worker-harness.js';
+
+describe('domain clustering integration', () => {
+  function seedTabs(settings = {}) {
+    store[STORAGE_KEYS.SETTINGS] = {
+      timeMode: 'active',
+      thresholds: { greenToYellow: 60_000, yellowToRed: 120_000, redToGone: 180_000 },
+      domainClusteringEnabled: true,
+      domainClusteringMinTabs: 2,
+      ...settings,
+    };
+    const tabMeta = {};
+    const liveTabs = [];
+    ['https://docs.example.com/a', 'https://other.org/', 'https://docs.example.com/b'].forEach((url, i) => {
+      const id = i + 1;
+      tabMeta[id] = {
+        tabId: id, windowId: 1, refreshActiveTime: 4000, refreshWallTime: 12345,
+        status: 'green', groupId: null, isSpecialGroup: false, pinned: false, url,
+      };
+      liveTabs.push({ id, windowId: 1, groupId: -1, index: i, url, title: `Page ${id}` });
+    });
+    store[STORAGE_KEYS.TAB_META] = tabMeta;
+    store[STORAGE_KEYS.WINDOW_STATE] = {};
+    globalThis.chrome.tabs.query.mockResolvedValue(liveTabs);
+    globalThis.chrome.tabs.group.mockResolvedValue(40);
+  }
+
+  it('groups ungrouped green tabs of a site during the evaluation cycle', async () => {
+    await loadServiceWorker();
+    seedTabs();
+
+    await listeners.alarmsOnAlarm({ name: 'tabcycle-eval' });
+
+    expect(globalThis.chrome.tabs.group).toHaveBeenCalledWith({ tabIds: [1, 3], createProperties: { windowId: 1 } });
+    expect(globalThis.chrome.tabGroups.update).toHaveBeenCalledWith(40, { title: 'Docs', color: 'green' });
+    const stored = store[STORAGE_KEYS.TAB_META];
+    expect([stored[1].groupId, stored[2].groupId, stored[3].groupId]).toEqual([40, null, 40]);
+  });
+
+  it('does not take the title and color of a cluster group for a user edit', async () => {
+    await loadServiceWorker();
+    seedTabs();
+    const { applyUserEditLock } = await import('../../src/background/group-manager.js');
+
+    await listeners.alarmsOnAlarm({ name: 'tabcycle-eval' });
+    await listeners.tabGroupsOnUpdated({ id: 40, windowId: 1, title: 'Docs', color: 'green' });
+
+    expect(applyUserEditLock).not.toHaveBeenCalled();
+  });
+
+  it('records the groups it would create in a dry run', async () => {
+    await loadServiceWorker();
+    seedTabs({ dryRunEnabled: true });
+
+    await listeners.alarmsOnAlarm({ name: 'tabcycle-eval' });
+
+    expect(globalThis.chrome.tabs.group).not.toHaveBeenCalled();
+    expect(store[STORAGE_KEYS.DRY_RUN_REPORT].actions).toContainEqual({
+      type: 'createGroup', windowId: 1, site: 'docs.example.com', title: 'Docs', tabIds: [1, 3],
+    });
+    expect(store[STORAGE_KEYS.TAB_META][1].groupId).toBeNull();
+  });
+});
@@ -0,0 +1,109 @@
+import { STORAGE_KEYS } from '../../src/shared/constants.js';
+import { store, listeners, loadServiceWorker } from './service-worker-harness.js';
+
+describe('dry run integration', () => {
+  it('records the cycle in a report instead of closing tabs', async () => {
+    await loadServiceWorker();
+    store[STORAGE_KEYS.SETTINGS] = {
+      timeMode: 'active',
+      thresholds: { greenToYellow: 3500, yellowToRed: 120_000, redToGone: 180_000 },
+      tabBudgetEnabled: true,
+      maxTabsPerWindow: 2,
+      bookmarkEnabled: true,
+      dryRunEnabled: true,
+    };
+    const tabMeta = {};
+    const liveTabs = [];
+    [3000, 1000, 2000].forEach((refreshActiveTime, i) => {
+      const id = i + 1;
+      tabMeta[id] = {
+        tabId: id, windowId: 1, refreshActiveTime, refreshWallTime: 12345,
+        status: 'green', groupId: null, isSpecialGroup: false, pinned: false, url: `https://example.com/${id}`,
+      };
+      liveTabs.push({ id, windowId: 1, groupId: -1, url: `https://example.com/${id}`, title: `Tab ${id}` });
+    });
+    store[STORAGE_KEYS.TAB_META] = tabMeta;
+    store[STORAGE_KEYS.WINDOW_STATE] = {};
+    globalThis.chrome.tabs.query.mockResolvedValue(liveTabs);
+
+    await listeners.alarmsOnAlarm({ name: 'tabcycle-eval' });
+
+    const report = store[STORAGE_KEYS.DRY_RUN_REPORT];
+    expect(report.transitions).toEqual([
+      { tabId: 2, windowId: 1, url: 'https://example.com/2', title: 'Tab 2', from: 'green', to: 'yellow' },
+    ]);
+    expect(report.actions).toEqual([{
+      type: 'closeTab', reason: 'budget', bookmark: true,
+      tabId: 2, windowId: 1, url: 'https://example.com/2', title: 'Tab 2',
+    }]);
+    expect(globalThis.chrome.tabs.remove).not.toHaveBeenCalled();
+    const { sortTabsAndGroups } = await import('../../src/background/group-manager.js');
+    expect(sortTabsAndGroups).toHaveBeenCalledWith(1, expect.any(Object), expect.any(Object),
+      expect.objectContaining({ bookmarkFolderId: null }), expect.any(Object), expect.objectContaining({ actions: report.actions }));
+    expect(store[STORAGE_KEYS.TAB_META][2].status).toBe('yellow');
+    expect(Object.keys(store[STORAGE_KEYS.TAB_META])).toEqual(['1', '2', '3']);
+  });
+
+  it('records the ungrouping of a refreshed tab in a special group instead of moving it', async () => {
+    await loadServiceWorker();
+    store[STORAGE_KEYS.SETTINGS] = { timeMode: 'active', dryRunEnabled: true };
+    store[STORAGE_KEYS.TAB_META] = {
+      7: {
+        tabId: 7, windowId: 1, refreshActiveTime: 1000, refreshWallTime: 12345,
+        status: 'red', groupId: 50, isSpecialGroup: true, pinned: false, url: 'https://example.com/',
+      },
+    };
+    store[STORAGE_KEYS.WINDOW_STATE] = { 1: { specialGroups: { red: 50 }, groupZones: {} } };
+    store[STORAGE_KEYS.DRY_RUN_REPORT] = { createdAt: 1, transitions: [], actions: [] };
+    const liveTab = {
+      id: 7, windowId: 1, groupId: 50, active: true, discarded: false, status: 'complete',
+      url: 'https://example.com/next', title: 'Next',
+    };
+    globalThis.chrome.tabs.get.mockResolvedValue(liveTab);
+
+    await listeners.webNavigationOnCommitted({ tabId: 7, frameId: 0, transitionType: 'link' });
+
+    const { ungroupTab } = await import('../../src/background/group-manager.js');
+    expect(ungroupTab).not.toHaveBeenCalled();
+    expect(globalThis.chrome.tabs.move).not.toHaveBeenCalled();
+    expect(store[STORAGE_KEYS.DRY_RUN_REPORT].actions).toEqual([{
+      type: 'ungroupTab', tabId: 7, windowId: 1, url: 'https://example.com/next', title: 'Next',
+    }]);
+    expect(store[STORAGE_KEYS.TAB_META][7]).toMatchObject({ status: 'green', groupId: 50, isSpecialGroup: true });
+  });
+
+  it('leaves the ages of duplicate tabs alone', async () => {
+    await loadServiceWorker();
+    const url = 'https://example.com/article';
+    store[STORAGE_KEYS.SETTINGS] = {
+      timeMode: 'active',
+      thresholds: { greenToYellow: 60_000, yellowToRed: 120_000, redToGone: 180_000 },
+      duplicateDetectionEnabled: true,
+      duplicateAction: 'close',
+      dryRunEnabled: true,
+    };
+    store[STORAGE_KEYS.TAB_META] = {
+      3: {
+        tabId: 3, windowId: 1, refreshActiveTime: 4000, refreshWallTime: 20000,
+        status: 'green', groupId: null, isSpecialGroup: false, pinned: false, url,
+      },
+      8: {
+        tabId: 8, windowId: 1, refreshActiveTime: 0, refreshWallTime: 10000,
+        status: 'green', groupId: null, isSpecialGroup: false, pinned: false, url,
+      },
+    };
+    store[STORAGE_KEYS.WINDOW_STATE] = {};
+    globalThis.chrome.tabs.query.mockResolvedValue([
+      { id: 3, windowId: 1, groupId: -1, url, title: 'Copy' },
+      { id: 8, windowId: 1, groupId: -1, url, title: 'Original' },
+    ]);
+
+    await listeners.alarmsOnAlarm({ name: 'tabcycle-eval' });
+
+    expect(store[STORAGE_KEYS.DRY_RUN_REPORT].actions).toContainEqual({
+      type: 'closeTab', reason: 'duplicate', tabId: 3, windowId: 1, url, title: 'Copy',
+    });
+    expect(globalThis.chrome.tabs.remove).not.toHaveBeenCalled();
+    expect(store[STORAGE_KEYS.TAB_META][8]).toMatchObject({ refreshActiveTime: 0, refreshWallTime: 10000 });
+  });
+});
@@ -0,0 +1,59 @@
+import { STORAGE_KEYS } from '../../src/shared/constants.js';
+import { store, listeners, loadServiceWorker } from './service-worker-harness.js';
+
+describe('duplicate consolidation integration', () => {
+  const url = 'https://example.com/article';
+
+  function seedDuplicates(settings) {
+    store[STORAGE_KEYS.SETTINGS] = {
+      timeMode: 'active',
+      thresholds: { greenToYellow: 60_000, yellowToRed: 120_000, redToGone: 180_000 },
+      duplicateDetectionEnabled: true,
+      ...settings,
+    };
+    store[STORAGE_KEYS.TAB_META] = {
+      3: {
+        tabId: 3, windowId: 1, refreshActiveTime: 4000, refreshWallTime: 20000,
+        status: 'green', groupId: null, isSpecialGroup: false, pinned: false, url,
+      },
+      8: {
+        tabId: 8, windowId: 1, refreshActiveTime: 0, refreshWallTime: 10000,
+        status: 'green', groupId: null, isSpecialGroup: false, pinned: false, url: `${url}#comments`,
+      },
+    };
+    store[STORAGE_KEYS.WINDOW_STATE] = {};
+    globalThis.chrome.tabs.query.mockResolvedValue([
+      { id: 3, windowId: 1, groupId: -1, url },
+      { id: 8, windowId: 1, groupId: -1, url: `${url}#comments` },
+    ]);
+  }
+
+  it('fast-tracks the older copy to gone and keeps the freshest refresh', async () => {
+    await loadServiceWorker();
+    seedDuplicates({});
+
+    await listeners.alarmsOnAlarm({ name: 'tabcycle-eval' });
+
+    const tabMeta = store[STORAGE_KEYS.TAB_META];
+    expect(tabMeta[3].status).toBe('gone');
+    expect(tabMeta[8]).toMatchObject({ refreshActiveTime: 4000, refreshWallTime: 20000 });
+    expect(globalThis.chrome.tabs.remove).not.toHaveBeenCalled();
+  });
+
+  it('closes the older copy right away when configured to', async () => {
+    await loadServiceWorker();
+    seedDuplicates({ duplicateAction: 'close' });
+
+    await listeners.alarmsOnAlarm({ name: 'tabcycle-eval' });
+
+    expect(globalThis.chrome.tabs.remove).toHaveBeenCalledWith(3);
+    expect(store[STORAGE_KEYS.TAB_META][3]).toBeUndefined();
+    expect(store[STORAGE_KEYS.TAB_META][8].refreshActiveTime).toBe(4000);
+    expect(store[STORAGE_KEYS.CLOSED_JOURNAL]).toEqual([expect.objectContaining({
+      reason: 'duplicate',
+      windowId: 1,
+      group: null,
+      tabs: [expect.objectContaining({ url })],
+    })]);
+  });
+});
@@ -0,0 +1,87 @@
+import { jest } from '@jest/globals';
+import { STORAGE_KEYS } from '../../src/shared/constants.js';
+import { store, listeners, loadServiceWorker } from './service-worker-harness.js';
+
+describe('gone warning integration', () => {
+  const warningId = 'gone-warning:tab:1';
+
+  async function seedWarnedTab() {
+    await loadServiceWorker();
+    store[STORAGE_KEYS.SETTINGS] = {
+      timeMode: 'active',
+      thresholds: { greenToYellow: 10_000, yellowToRed: 20_000, redToGone: 61_000 },
+      bookmarkEnabled: false,
+      goneWarningEnabled: true,
+      goneWarningMinutes: 1,
+    };
+    store[STORAGE_KEYS.TAB_META] = {
+      1: {
+        tabId: 1, windowId: 1, refreshActiveTime: 0, refreshWallTime: 12345,
+        status: 'red', groupId: null, isSpecialGroup: false, pinned: false, url: 'https://example.com/1',
+      },
+      2: {
+        tabId: 2, windowId: 1, refreshActiveTime: 5000, refreshWallTime: 12345,
+        status: 'green', groupId: null, isSpecialGroup: false, pinned: false, url: 'https://example.com/2',
+      },
+    };
+    store[STORAGE_KEYS.WINDOW_STATE] = {};
+    globalThis.chrome.tabs.query.mockResolvedValue([
+      { id: 1, windowId: 1, groupId: -1, index: 0, url: 'https://example.com/1', title: 'Old' },
+      { id: 2, windowId: 1, groupId: -1, index: 1, url: 'https://example.com/2', title: 'New' },
+    ]);
+    await listeners.alarmsOnAlarm({ name: 'tabcycle-eval' });
+  }
+
+  async function settle(action) {
+    jest.useFakeTimers();
+    await action();
+    await jest.runOnlyPendingTimersAsync(); // the debounced re-sort of the window
+    jest.useRealTimers();
+  }
+
+  it('warns once for a tab about to turn gone', async () => {
+    await seedWarnedTab();
+
+    expect(globalThis.chrome.notifications.create).toHaveBeenCalledTimes(1);
+    expect(globalThis.chrome.notifications.create).toHaveBeenCalledWith(warningId, expect.objectContaining({
+      message: '"Old" will close in about a minute.',
+    }));
+    expect(store[STORAGE_KEYS.TAB_META][1].goneWarned).toBe(true);
+
+    await listeners.alarmsOnAlarm({ name: 'tabcycle-eval' });
+    expect(globalThis.chrome.notifications.create).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps the tab from the first button', async () => {
+    await seedWarnedTab();
+
+    await listeners.notificationsOnButtonClicked(warningId, 0);
+
+    expect(globalThis.chrome.notifications.clear).toHaveBeenCalledWith(warningId);
+    expect(store[STORAGE_KEYS.TAB_META][1]).toMatchObject({ refreshActiveTime: 5000, status: 'green' });
+    expect(store[STORAGE_KEYS.TAB_META][1].goneWarned).toBeUndefined();
+  });
+
+  it('snoozes the tab for a day from the second button', async () => {
+    await seedWarnedTab();
+
+    await settle(() => listeners.notificationsOnButtonClicked(warningId, 1));
+
+    const { snoozeUntil } = store[STORAGE_KEYS.TAB_META][1];
+    expect(snoozeUntil).toBeGreaterThan(Date.now() + 23 * 60 * 60 * 1000);
+    expect(store[STORAGE_KEYS.TAB_META][1].status).toBe('green');
+  });
+
+  it('closes and journals the tab when the notification is clicked', async () => {
+    await seedWarnedTab();
+
+    await settle(() => listeners.notificationsOnClicked(warningId));
+
+    expect(globalThis.chrome.tabs.remove).toHaveBeenCalledWith(1);
+    expect(store[STORAGE_KEYS.TAB_META][1]).toBeUndefined();
+    expect(store[STORAGE_KEYS.CLOSED_JOURNAL]).toEqual([expect.objectContaining({
+      reason: 'gone',
+      tabs: [{ url: 'https://example.com/1', title: 'Old', index: 0, ageMs: 5000 }],
+    })]);
+  });
+});
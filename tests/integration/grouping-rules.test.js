@@ -0,0 +1,78 @@
+import { jest } from '@jest/globals';
+import { STORAGE_KEYS } from '../../src/shared/constants.js';
+import { store, listeners, loadServiceWorker } from './service-worker-harness.js';
+
+describe('grouping rules integration', () => {
+  function seedTab(settings) {
+    store[STORAGE_KEYS.SETTINGS] = {
+      timeMode: 'active',
+      groupingRules: [{ pattern: 'github.com/acme/*', action: 'group', title: 'Acme', color: 'purple' }],
+      ...settings,
+    };
+    store[STORAGE_KEYS.TAB_META] = {
+      11: {
+        tabId: 11, windowId: 1, refreshActiveTime: 1000, refreshWallTime: 12345,
+        status: 'red', groupId: null, isSpecialGroup: false, pinned: false, url: 'https://example.com/a',
+      },
+    };
+    store[STORAGE_KEYS.WINDOW_STATE] = { 1: { specialGroups: {}, groupZones: {} } };
+    globalThis.chrome.tabs.get.mockResolvedValue({
+      id: 11, windowId: 1, groupId: -1, active: false, discarded: false, status: 'complete',
+      url: 'https://github.com/acme/api',
+    });
+  }
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('moves a tab navigating to a matching URL into the rule group', async () => {
+    await loadServiceWorker();
+    jest.useFakeTimers();
+    seedTab({});
+    globalThis.chrome.tabGroups.query.mockResolvedValue([{ id: 30, windowId: 1, title: 'Acme' }]);
+
+    await listeners.webNavigationOnCommitted({ tabId: 11, frameId: 0, transitionType: 'link' });
+    await jest.runOnlyPendingTimersAsync();
+
+    expect(globalThis.chrome.tabs.group).toHaveBeenCalledWith({ tabIds: [11], groupId: 30 });
+    // A background navigation still moves the tab, without resetting its age
+    expect(store[STORAGE_KEYS.TAB_META][11]).toMatchObject({
+      groupId: 30, status: 'red', url: 'https://github.com/acme/api',
+    });
+  });
+
+  it('creates the rule group when the window has none', async () => {
+    await loadServiceWorker();
+    seedTab({});
+    globalThis.chrome.tabs.group.mockResolvedValue(40);
+
+    await listeners.webNavigationOnCommitted({ tabId: 11, frameId: 0, transitionType: 'typed' });
+
+    expect(globalThis.chrome.tabs.group).toHaveBeenCalledWith({ tabIds: [11], createProperties: { windowId: 1 } });
+    expect(globalThis.chrome.tabGroups.update).toHaveBeenCalledWith(40, { title: 'Acme', color: 'purple' });
+    expect(store[STORAGE_KEYS.TAB_META][11]).toMatchObject({ groupId: 40, status: 'green' });
+  });
+
+  it('does not take the title and color of a rule group it created for a user edit', async () => {
+    await loadServiceWorker();
+    seedTab({});
+    globalThis.chrome.tabs.group.mockResolvedValue(40);
+    const { applyUserEditLock } = await import('../../src/background/group-manager.js');
+
+    await listeners.webNavigationOnCommitted({ tabId: 11, frameId: 0, transitionType: 'typed' });
+    await listeners.tabGroupsOnUpdated({ id: 40, windowId: 1, title: 'Acme', color: 'purple' });
+
+    expect(applyUserEditLock).not.toHaveBeenCalled();
+  });
+
+  it('leaves tabs alone when auto-grouping is off', async () => {
+    await loadServiceWorker();
+    seedTab({ autoGroupEnabled: false });
+
+    await listeners.webNavigationOnCommitted({ tabId: 11, frameId: 0, transitionType: 'typed' });
+
+    expect(globalThis.chrome.tabs.group).not.toHaveBeenCalled();
+    expect(store[STORAGE_KEYS.TAB_META][11].groupId).toBeNull();
+  });
+});
@@ -0,0 +1,51 @@
+import { STORAGE_KEYS } from '../../src/shared/constants.js';
+import { store, listeners, loadServiceWorker } from './service-worker-harness.js';
+
+describe('navigation attribution integration', () => {
+  function seedTabs(settings) {
+    store[STORAGE_KEYS.SETTINGS] = { timeMode: 'active', ...settings };
+    store[STORAGE_KEYS.TAB_META] = {};
+    for (const [tabId, url] of [[11, 'https://example.com/a'], [12, 'https://app.example.com/inbox']]) {
+      store[STORAGE_KEYS.TAB_META][tabId] = {
+        tabId, windowId: 1, refreshActiveTime: 1000, refreshWallTime: 12345,
+        status: 'red', groupId: null, isSpecialGroup: false, pinned: false, url,
+      };
+    }
+    store[STORAGE_KEYS.WINDOW_STATE] = {};
+  }
+
+  function navigateTo(url, active = true) {
+    globalThis.chrome.tabs.get.mockResolvedValue({
+      id: 0, windowId: 1, groupId: -1, active, discarded: false, status: 'complete', url,
+    });
+  }
+
+  it('ignores background tabs reloading or redirecting themselves', async () => {
+    await loadServiceWorker();
+    seedTabs({ resetOnReload: true });
+
+    navigateTo('https://example.com/a', false);
+    await listeners.webNavigationOnCommitted({ tabId: 11, frameId: 0, transitionType: 'reload' });
+    navigateTo('https://app.example.com/login', false);
+    await listeners.webNavigationOnCommitted({
+      tabId: 12, frameId: 0, transitionType: 'link', transitionQualifiers: ['client_redirect'],
+    });
+
+    expect(store[STORAGE_KEYS.TAB_META][11].status).toBe('red');
+    expect(store[STORAGE_KEYS.TAB_META][12]).toMatchObject({ status: 'red', url: 'https://app.example.com/login' });
+  });
+
+  it('ignores navigations in the active tab of an unfocused window unless the browser UI started them', async () => {
+    await loadServiceWorker();
+    seedTabs({});
+    globalThis.chrome.windows.get.mockResolvedValue({ id: 1, focused: false });
+
+    navigateTo('https://example.com/b');
+    await listeners.webNavigationOnHistoryStateUpdated({ tabId: 11, frameId: 0, transitionType: 'link' });
+    navigateTo('https://other.org/');
+    await listeners.webNavigationOnCommitted({ tabId: 12, frameId: 0, transitionType: 'typed' });
+
+    expect(store[STORAGE_KEYS.TAB_META][11].status).toBe('red');
+    expect(store[STORAGE_KEYS.TAB_META][12].status).toBe('green');
+  });
+});
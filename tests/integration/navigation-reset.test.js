@@ -0,0 +1,60 @@
+import { STORAGE_KEYS } from '../../src/shared/constants.js';
+import { store, listeners, loadServiceWorker } from './service-worker-harness.js';
+
+describe('navigation reset policy integration', () => {
+  function seedTabs(settings) {
+    store[STORAGE_KEYS.SETTINGS] = { timeMode: 'active', ...settings };
+    store[STORAGE_KEYS.TAB_META] = {};
+    for (const [tabId, url] of [[11, 'https://example.com/a'], [12, 'https://app.example.com/inbox']]) {
+      store[STORAGE_KEYS.TAB_META][tabId] = {
+        tabId, windowId: 1, refreshActiveTime: 1000, refreshWallTime: 12345,
+        status: 'red', groupId: null, isSpecialGroup: false, pinned: false, url,
+      };
+    }
+    store[STORAGE_KEYS.WINDOW_STATE] = {};
+  }
+
+  function navigateTo(url, active = true) {
+    globalThis.chrome.tabs.get.mockResolvedValue({
+      id: 0, windowId: 1, groupId: -1, active, discarded: false, status: 'complete', url,
+    });
+  }
+
+  it('ignores hash-only changes by default, but keeps the URL current', async () => {
+    await loadServiceWorker();
+    seedTabs({});
+
+    navigateTo('https://example.com/a#comments');
+    await listeners.webNavigationOnReferenceFragmentUpdated({ tabId: 11, frameId: 0 });
+
+    expect(store[STORAGE_KEYS.TAB_META][11]).toMatchObject({
+      status: 'red', refreshActiveTime: 1000, url: 'https://example.com/a#comments',
+    });
+  });
+
+  it('applies the first matching per-domain rule to pushState navigations', async () => {
+    await loadServiceWorker();
+    seedTabs({ navigationResetRules: [{ pattern: 'app.example.com', resetOnPushState: false }] });
+
+    navigateTo('https://app.example.com/sent');
+    await listeners.webNavigationOnHistoryStateUpdated({ tabId: 12, frameId: 0 });
+    navigateTo('https://example.com/b');
+    await listeners.webNavigationOnHistoryStateUpdated({ tabId: 11, frameId: 0 });
+
+    expect(store[STORAGE_KEYS.TAB_META][12].status).toBe('red');
+    expect(store[STORAGE_KEYS.TAB_META][11]).toMatchObject({ status: 'green', refreshActiveTime: 5000 });
+  });
+
+  it('counts reloads only when configured to', async () => {
+    await loadServiceWorker();
+    seedTabs({});
+    navigateTo('https://example.com/a');
+    await listeners.webNavigationOnCommitted({ tabId: 11, frameId: 0, transitionType: 'reload' });
+    expect(store[STORAGE_KEYS.TAB_META][11].status).toBe('red');
+
+    seedTabs({ resetOnReload: true });
+    navigateTo('https://app.example.com/inbox');
+    await listeners.webNavigationOnCommitted({ tabId: 12, frameId: 0, transitionType: 'reload' });
+    expect(store[STORAGE_KEYS.TAB_META][12].status).toBe('green');
+  });
+});
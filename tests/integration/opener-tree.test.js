@@ -0,0 +1,116 @@
+import { jest } from '@jest/globals';
+import { STORAGE_KEYS } from '../../src/shared/constants.js';
+import { store, listeners, loadServiceWorker } from './service-worker-harness.js';
+
+describe('opener tree integration', () => {
+  function entry(tabId, extra = {}) {
+    return {
+      tabId, windowId: 1, refreshActiveTime: 1000, refreshWallTime: 12345, status: 'red',
+      groupId: null, isSpecialGroup: false, pinned: false, url: `https://example.com/${tabId}`, ...extra,
+    };
+  }
+
+  function seedTree(settings = {}) {
+    store[STORAGE_KEYS.SETTINGS] = { bookmarkEnabled: false, ...settings };
+    store[STORAGE_KEYS.TAB_META] = {
+      1: entry(1),
+      2: entry(2, { openerTabId: 1 }),
+      3: entry(3, { openerTabId: 2 }),
+      4: entry(4),
+    };
+    store[STORAGE_KEYS.WINDOW_STATE] = {};
+  }
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('refreshes the opener along with the tab it opened when enabled', async () => {
+    await loadServiceWorker();
+    jest.useFakeTimers();
+    seedTree({ activationRefreshEnabled: true, activationDwellSeconds: 5, refreshKeepsOpenerAlive: true });
+    globalThis.chrome.tabs.get.mockResolvedValue({ id: 3, windowId: 1, groupId: -1, active: true, url: 'https://example.com/3' });
+
+    await listeners.tabsOnActivated({ tabId: 3, windowId: 1 });
+    await jest.advanceTimersByTimeAsync(5000);
+
+    const tabMeta = store[STORAGE_KEYS.TAB_META];
+    expect(tabMeta[3].status).toBe('green');
+    expect(tabMeta[2]).toMatchObject({ status: 'green', refreshActiveTime: 5000 });
+    expect(tabMeta[1].status).toBe('red'); // only the direct opener
+  });
+
+  it('leaves the opener alone by default', async () => {
+    await loadServiceWorker();
+    jest.useFakeTimers();
+    seedTree({ activationRefreshEnabled: true, activationDwellSeconds: 5 });
+    globalThis.chrome.tabs.get.mockResolvedValue({ id: 3, windowId: 1, groupId: -1, active: true, url: 'https://example.com/3' });
+
+    await listeners.tabsOnActivated({ tabId: 3, windowId: 1 });
+    await jest.advanceTimersByTimeAsync(5000);
+
+    expect(store[STORAGE_KEYS.TAB_META][2].status).toBe('red');
+  });
+
+  it('closes a tab with every tab it opened and journals them', async () => {
+    await loadServiceWorker();
+    seedTree();
+    globalThis.chrome.tabs.query.mockResolvedValue([1, 2, 3, 4].map((id) => ({
+      id, windowId: 1, groupId: -1, index: id - 1, url: `https://example.com/${id}`, title: `Tab ${id}`,
+    })));
+
+    const state = await new Promise((resolve) => {
+      listeners.runtimeOnMessage({ type: 'getTabState', tabId: 1 }, {}, resolve);
+    });
+    expect(state.openedTabCount).toBe(2);
+
+    jest.useFakeTimers();
+    const response = await new Promise((resolve) => {
+      listeners.runtimeOnMessage({ type: 'closeTabTree', tabId: 1 }, {}, resolve);
+    });
+    await jest.runOnlyPendingTimersAsync(); // the debounced re-sort of the window
+
+    expect(response).toEqual({ ok: true, tabIds: [1, 2, 3] });
+    expect(globalThis.chrome.tabs.remove).toHaveBeenCalledTimes(3);
+    expect(Object.keys(store[STORAGE_KEYS.TAB_META])).toEqual(['4']);
+    expect(store[STORAGE_KEYS.CLOSED_JOURNAL]).toEqual([expect.objectContaining({
+      reason: 'tree',
+      tabs: [1, 2, 3].map((id) => expect.objectContaining({ url: `https://example.com/${id}` })),
+    })]);
+  });
+
+  it('leaves pinned tabs open and journals the tree per window and group', async () => {
+    await loadServiceWorker();
+    seedTree();
+    const tabMeta = store[STORAGE_KEYS.TAB_META];
+    tabMeta[2] = entry(2, { openerTabId: 1, groupId: 50 });
+    tabMeta[3] = entry(3, { openerTabId: 2, windowId: 2 });
+    tabMeta[5] = entry(5, { openerTabId: 1, pinned: true });
+    globalThis.chrome.tabs.query.mockResolvedValue([
+      { id: 1, windowId: 1, groupId: -1, index: 1, url: 'https://example.com/1' },
+      { id: 2, windowId: 1, groupId: 50, index: 2, url: 'https://example.com/2' },
+      { id: 3, windowId: 2, groupId: -1, index: 0, url: 'https://example.com/3' },
+      { id: 5, windowId: 1, groupId: -1, index: 0, url: 'https://example.com/5', pinned: true },
+    ]);
+    globalThis.chrome.tabGroups.query.mockResolvedValue([{ id: 50, windowId: 1, title: 'Research', color: 'blue' }]);
+
+    jest.useFakeTimers();
+    const response = await new Promise((resolve) => {
+      listeners.runtimeOnMessage({ type: 'closeTabTree', tabId: 1 }, {}, resolve);
+    });
+    await jest.runOnlyPendingTimersAsync();
+
+    expect(response).toEqual({ ok: true, tabIds: [1, 2, 3] });
+    expect(globalThis.chrome.tabs.remove).not.toHaveBeenCalledWith(5);
+    expect(store[STORAGE_KEYS.TAB_META][5]).toBeDefined();
+    expect(store[STORAGE_KEYS.CLOSED_JOURNAL]).toEqual([
+      expect.objectContaining({ windowId: 2, group: null, tabs: [expect.objectContaining({ url: 'https://example.com/3' })] }),
+      expect.objectContaining({
+        windowId: 1,
+        group: { title: 'Research', color: 'blue' },
+        tabs: [expect.objectContaining({ url: 'https://example.com/2' })],
+      }),
+      expect.objectContaining({ windowId: 1, group: null, tabs: [expect.objectContaining({ url: 'https://example.com/1' })] }),
+    ]);
+  });
+});
@@ -0,0 +1,60 @@
+import { STORAGE_KEYS } from '../../src/shared/constants.js';
+import { store, listeners, loadServiceWorker } from './service-worker-harness.js';
+
+describe('restart reconciliation integration', () => {
+  // Chrome restores tab 1 as tab 101 and group 30 as group 70, in window 9;
+  // tab 2 and group 31 do not come back
+  function seedRestart(windowState, settings = {}) {
+    store[STORAGE_KEYS.SETTINGS] = { timeMode: 'active', ...settings };
+    store[STORAGE_KEYS.TAB_META] = {
+      1: {
+        tabId: 1, windowId: 1, refreshActiveTime: 1000, refreshWallTime: 12345,
+        status: 'red', groupId: 30, isSpecialGroup: false, pinned: false, url: 'https://example.com/a',
+      },
+      2: {
+        tabId: 2, windowId: 1, refreshActiveTime: 1000, refreshWallTime: 12345,
+        status: 'red', groupId: null, isSpecialGroup: false, pinned: false, url: 'about:blank',
+      },
+    };
+    store[STORAGE_KEYS.WINDOW_STATE] = {
+      1: { specialGroups: { yellow: null, red: null }, groupZones: {}, groupNaming: {}, ...windowState },
+    };
+    globalThis.chrome.tabs.query.mockResolvedValue([
+      { id: 101, windowId: 9, groupId: 70, pinned: false, index: 0, url: 'https://example.com/a' },
+    ]);
+    globalThis.chrome.windows.getAll.mockResolvedValue([{ id: 9 }]);
+  }
+
+  it('keeps the closes held back before the restart under the new tab and group IDs', async () => {
+    await loadServiceWorker();
+    seedRestart({ pendingClose: { tabs: [1, 2], groups: [30, 31] } });
+
+    await listeners.runtimeOnStartup();
+
+    expect(store[STORAGE_KEYS.WINDOW_STATE][9].pendingClose).toEqual({ tabs: [101], groups: [70] });
+  });
+
+  it('keeps the policies of groups under their new IDs', async () => {
+    await loadServiceWorker();
+    seedRestart({ groupPolicies: { 30: { frozen: true }, 31: { protected: true } } });
+
+    await listeners.runtimeOnStartup();
+
+    expect(store[STORAGE_KEYS.WINDOW_STATE][9].groupPolicies).toEqual({ 70: { frozen: true } });
+  });
+
+  it('keeps gone-warned groups warned under their new IDs', async () => {
+    await loadServiceWorker();
+    seedRestart({ goneWarnedGroups: [30, 31] }, {
+      thresholds: { greenToYellow: 10_000, yellowToRed: 20_000, redToGone: 61_000 },
+      goneWarningEnabled: true,
+      goneWarningMinutes: 1,
+    });
+
+    await listeners.runtimeOnStartup();
+
+    // Group 70 is still due but not notified a second time
+    expect(store[STORAGE_KEYS.WINDOW_STATE][9].goneWarnedGroups).toEqual([70]);
+    expect(globalThis.chrome.notifications.create).not.toHaveBeenCalled();
+  });
+});
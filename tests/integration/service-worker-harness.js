@@ -0,0 +1,189 @@
+/**
+ * Service worker integration harness
+ *
+ * Loads a fresh copy of the service worker against an in-memory chrome mock
+ * and records the listeners it registers in `listeners` (e.g.
+ * `listeners.tabsOnUpdated`), so tests can fire browser events at it and
+ * inspect `store`, the mocked chrome.storage.local. group-manager.js,
+ * time-accumulator.js (active time is always 5000) and tab-placer.js are
+ * mocked.
+ *
+ * Usage:
+ *   import { store, listeners, loadServiceWorker } from './service-worker-harness.js';
+ *   await loadServiceWorker();
+ */
+
+import { jest } from '@jest/globals';
+
+export const store = {};
+export const listeners = {};
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function makeEvent(name) {
+  return {
+    addListener: jest.fn((fn) => {
+      listeners[name] = fn;
+    }),
+  };
+}
+
+export async function loadServiceWorker() {
+  jest.resetModules();
+  jest.clearAllMocks();
+  for (const key of Object.keys(store)) delete store[key];
+  for (const key of Object.keys(listeners)) delete listeners[key];
+
+  globalThis.self = {}; // fresh per load: the worker defines non-configurable test hooks on self
+  globalThis.chrome = {
+    storage: {
+      local: {
+        get: jest.fn(async (keys) => {
+          if (typeof keys === 'string') {
+            return store[keys] === undefined ? {} : { [keys]: clone(store[keys]) };
+          }
+          if (Array.isArray(keys)) {
+            const result = {};
+            for (const key of keys) {
+              if (store[key] !== undefined) result[key] = clone(store[key]);
+            }
+            return result;
+          }
+          const result = {};
+          for (const [key, defaultValue] of Object.entries(keys || {})) {
+            result[key] = store[key] === undefined ? defaultValue : clone(store[key]);
+          }
+          return result;
+        }),
+        set: jest.fn(async (data) => {
+          for (const [key, value] of Object.entries(data || {})) {
+            store[key] = clone(value);
+          }
+        }),
+        remove: jest.fn(async (keys) => {
+          const toRemove = Array.isArray(keys) ? keys : [keys];
+          for (const key of toRemove) delete store[key];
+        }),
+      },
+      onChanged: makeEvent('storageOnChanged'),
+    },
+    runtime: {
+      onInstalled: makeEvent('runtimeOnInstalled'),
+      onStartup: makeEvent('runtimeOnStartup'),
+      onMessage: makeEvent('runtimeOnMessage'),
+      getURL: jest.fn((path) => `chrome-extension://tabcycle/${path}`),
+    },
+    alarms: {
+      create: jest.fn(async () => {}),
+      get: jest.fn(async () => null),
+      onAlarm: makeEvent('alarmsOnAlarm'),
+    },
+    windows: {
+      WINDOW_ID_NONE: -1,
+      onFocusChanged: makeEvent('windowsOnFocusChanged'),
+      onRemoved: makeEvent('windowsOnRemoved'),
+      getAll: jest.fn(async () => []),
+      get: jest.fn(async (id) => ({ id, focused: true })),
+    },
+    tabs: {
+      onCreated: makeEvent('tabsOnCreated'),
+      onRemoved: makeEvent('tabsOnRemoved'),
+      onUpdated: makeEvent('tabsOnUpdated'),
+      onMoved: makeEvent('tabsOnMoved'),
+      onDetached: makeEvent('tabsOnDetached'),
+      onAttached: makeEvent('tabsOnAttached'),
+      onActivated: makeEvent('tabsOnActivated'),
+      get: jest.fn(async () => ({ id: 0, windowId: 1, groupId: -1, discarded: false, status: 'complete' })),
+      query: jest.fn(async () => []),
+      move: jest.fn(async () => {}),
+      group: jest.fn(async () => 1),
+      remove: jest.fn(async () => {}),
+      ungroup: jest.fn(async () => {}),
+      update: jest.fn(async () => {}),
+      discard: jest.fn(async () => {}),
+    },
+    tabGroups: {
+      TAB_GROUP_ID_NONE: -1,
+      onRemoved: makeEvent('tabGroupsOnRemoved'),
+      onUpdated: makeEvent('tabGroupsOnUpdated'),
+      query: jest.fn(async () => []),
+      update: jest.fn(async () => {}),
+      move: jest.fn(async () => {}),
+      get: jest.fn(async () => ({ id: 1, windowId: 1 })),
+    },
+    idle: {
+      onStateChanged: makeEvent('idleOnStateChanged'),
+      setDetectionInterval: jest.fn(),
+      queryState: jest.fn(async () => 'active'),
+    },
+    webNavigation: {
+      onCommitted: makeEvent('webNavigationOnCommitted'),
+      onHistoryStateUpdated: makeEvent('webNavigationOnHistoryStateUpdated'),
+      onReferenceFragmentUpdated: makeEvent('webNavigationOnReferenceFragmentUpdated'),
+    },
+    notifications: {
+      create: jest.fn(async (id) => id),
+      clear: jest.fn(async () => true),
+      getAll: jest.fn(async () => ({})),
+      onButtonClicked: makeEvent('notificationsOnButtonClicked'),
+      onClicked: makeEvent('notificationsOnClicked'),
+    },
+  };
+
+  // Extension title/color writes pair up with tabGroups.onUpdated as in group-manager.js
+  const expectedTitles = new Map();
+  const expectedColors = new Map();
+  await jest.unstable_mockModule('../../src/background/group-manager.js', () => ({
+    isSpecialGroup: jest.fn(() => false),
+    getSpecialGroupType: jest.fn(() => null),
+    removeSpecialGroupIfEmpty: jest.fn(async () => {}),
+    ungroupTab: jest.fn(async () => {}),
+    computeGroupStatus: jest.fn(() => null),
+    updateGroupColor: jest.fn(async () => {}),
+    sortTabsAndGroups: jest.fn(async () => {}),
+    dissolveUnnamedSingleTabGroups: jest.fn(async () => ({ dissolved: 0 })),
+    dissolveSpecialGroups: jest.fn(async () => ({ dissolved: 0 })),
+    autoNameEligibleGroups: jest.fn(async () => ({ named: 0, skipped: 0, attempted: 0 })),
+    applyUserEditLock: jest.fn(() => ({ locked: true, userEditLockUntil: Date.now() + 15000 })),
+    markExtensionTitleUpdate: jest.fn((groupId, title) => expectedTitles.set(groupId, title)),
+    markExtensionColorUpdate: jest.fn((groupId, color) => expectedColors.set(groupId, color)),
+    consumeExpectedExtensionTitleUpdate: jest.fn((groupId, title) => (
+      expectedTitles.get(groupId) === title && expectedTitles.delete(groupId)
+    )),
+    consumeExpectedExtensionColorUpdate: jest.fn((groupId, color) => (
+      expectedColors.get(groupId) === color && expectedColors.delete(groupId)
+    )),
+    stripAgeSuffix: jest.fn((title) => title),
+    formatAge: jest.fn(() => ''),
+    computeGroupAge: jest.fn(() => 0),
+    updateGroupTitlesWithAge: jest.fn(async () => {}),
+    removeAgeSuffixFromAllGroups: jest.fn(async () => {}),
+    updateGroupPolicy: jest.fn(),
+    syncGroupPolicies: jest.fn(),
+    getProtectedGroupIds: jest.fn(() => new Set()),
+    parseGroupTitle: jest.fn((title) => ({ baseName: title, ageSuffix: '', directives: [] })),
+    composeGroupTitle: jest.fn((baseName) => baseName),
+    trackExtensionGroup: jest.fn(),
+    moveGroupState: jest.fn(() => true),
+    hasGroupState: jest.fn(() => false),
+  }));
+
+  await jest.unstable_mockModule('../../src/background/time-accumulator.js', () => ({
+    initActiveTime: jest.fn(async () => {}),
+    recoverActiveTime: jest.fn(async () => {}),
+    handleFocusChange: jest.fn(async () => null),
+    handleIdleStateChange: jest.fn(async () => null),
+    setPauseOnIdle: jest.fn(async () => null),
+    persistActiveTime: jest.fn(async () => {}),
+    getCurrentActiveTime: jest.fn(async () => 5000),
+    getCachedActiveTimeState: jest.fn(async () => ({ accumulatedMs: 5000, focusStartTime: null })),
+  }));
+
+  await jest.unstable_mockModule('../../src/background/tab-placer.js', () => ({
+    placeNewTab: jest.fn(async () => {}),
+  }));
+
+  await import('../../src/background/service-worker.js');
+}
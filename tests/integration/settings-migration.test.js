@@ -41,6 +41,10 @@ const {
   DEFAULT_SHOW_GROUP_AGE,
   TIME_MODE,
 } = await import('../../src/shared/constants.js');
+const {
+  migrateSettingsToLifecycle,
+  resolveLifecycle,
+} = await import('../../src/shared/lifecycle.js');
 
 // Helper: build a minimal v1 settings object (pre-migration)
 function buildV1Settings(overrides = {}) {
@@ -364,4 +368,53 @@ describe('settings-migration integration', () => {
       }
     });
   });
+
+  describe('v2 → v3 migration (lifecycle stages)', () => {
+    it('should map the classic settings onto three stages with custom stages off', async () => {
+      const v2Settings = buildV2Defaults();
+      v2Settings.yellowGroupName = 'Aging';
+      v2Settings.thresholds.yellowToRed = 10 * 60 * 60 * 1000;
+      await batchWrite({
+        [STORAGE_KEYS.SCHEMA_VERSION]: 2,
+        [STORAGE_KEYS.SETTINGS]: v2Settings,
+      });
+
+      const state = await readState([STORAGE_KEYS.SETTINGS]);
+      const migrated = migrateSettingsToLifecycle(state[STORAGE_KEYS.SETTINGS]);
+      await batchWrite({
+        [STORAGE_KEYS.SCHEMA_VERSION]: 3,
+        [STORAGE_KEYS.SETTINGS]: migrated,
+      });
+
+      const after = await readState([STORAGE_KEYS.SETTINGS]);
+      const settings = after[STORAGE_KEYS.SETTINGS];
+      expect(settings.customStagesEnabled).toBe(false);
+      expect(settings.lifecycleStages).toEqual([
+        { name: 'Green', color: 'green' },
+        { name: 'Yellow', color: 'yellow', after: DEFAULT_THRESHOLDS.GREEN_TO_YELLOW, groupName: 'Aging' },
+        { name: 'Red', color: 'red', after: 10 * 60 * 60 * 1000, groupName: '' },
+      ]);
+      // All v2 fields preserved
+      expect(settings.yellowGroupName).toBe('Aging');
+      expect(settings.agingEnabled).toBe(true);
+    });
+
+    it('should resolve the same lifecycle before and after migration', () => {
+      const v2Settings = buildV2Defaults();
+      v2Settings.yellowToRedEnabled = false;
+      v2Settings.redGroupName = 'Old';
+
+      expect(resolveLifecycle(migrateSettingsToLifecycle(v2Settings))).toEqual(resolveLifecycle(v2Settings));
+    });
+
+    it('should keep an existing stage list and custom stages flag', () => {
+      const stages = [{ name: 'Fresh', color: 'blue' }, { name: 'Stale', color: 'grey', after: 1000 }];
+      const migrated = migrateSettingsToLifecycle({
+        ...buildV2Defaults(), customStagesEnabled: true, lifecycleStages: stages,
+      });
+
+      expect(migrated.customStagesEnabled).toBe(true);
+      expect(migrated.lifecycleStages).toBe(stages);
+    });
+  });
 });
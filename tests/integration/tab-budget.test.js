@@ -0,0 +1,34 @@
+import { STORAGE_KEYS } from '../../src/shared/constants.js';
+import { store, listeners, loadServiceWorker } from './service-worker-harness.js';
+
+describe('tab budget integration', () => {
+  it('closes the oldest tabs of a window over budget', async () => {
+    await loadServiceWorker();
+    store[STORAGE_KEYS.SETTINGS] = {
+      timeMode: 'active',
+      thresholds: { greenToYellow: 60_000, yellowToRed: 120_000, redToGone: 180_000 },
+      tabBudgetEnabled: true,
+      maxTabsPerWindow: 2,
+      bookmarkEnabled: false,
+    };
+    const tabMeta = {};
+    const liveTabs = [];
+    [3000, 1000, 2000].forEach((refreshActiveTime, i) => {
+      const id = i + 1;
+      tabMeta[id] = {
+        tabId: id, windowId: 1, refreshActiveTime, refreshWallTime: 12345,
+        status: 'green', groupId: null, isSpecialGroup: false, pinned: false, url: `https://example.com/${id}`,
+      };
+      liveTabs.push({ id, windowId: 1, groupId: -1, url: `https://example.com/${id}` });
+    });
+    store[STORAGE_KEYS.TAB_META] = tabMeta;
+    store[STORAGE_KEYS.WINDOW_STATE] = {};
+    globalThis.chrome.tabs.query.mockResolvedValue(liveTabs);
+
+    await listeners.alarmsOnAlarm({ name: 'tabcycle-eval' });
+
+    expect(globalThis.chrome.tabs.remove).toHaveBeenCalledTimes(1);
+    expect(globalThis.chrome.tabs.remove).toHaveBeenCalledWith(2);
+    expect(Object.keys(store[STORAGE_KEYS.TAB_META])).toEqual(['1', '3']);
+  });
+});
@@ -0,0 +1,109 @@
+import { jest } from '@jest/globals';
+import { STORAGE_KEYS } from '../../src/shared/constants.js';
+import { store, listeners, loadServiceWorker } from './service-worker-harness.js';
+
+describe('window move integration', () => {
+  function seedGroupedTab() {
+    store[STORAGE_KEYS.TAB_META] = {
+      5: {
+        tabId: 5, windowId: 1, refreshActiveTime: 1000, refreshWallTime: 12345,
+        status: 'green', groupId: 30, isSpecialGroup: false, pinned: false, url: 'https://example.com/',
+      },
+    };
+    store[STORAGE_KEYS.WINDOW_STATE] = { 1: { specialGroups: {}, groupZones: { 30: 'green' } } };
+  }
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('keeps a tab moved with its group in the group and moves the group state', async () => {
+    await loadServiceWorker();
+    jest.useFakeTimers();
+    seedGroupedTab();
+    globalThis.chrome.tabs.get.mockResolvedValue({ id: 5, windowId: 2, groupId: 30 });
+    const { moveGroupState } = await import('../../src/background/group-manager.js');
+
+    await listeners.tabsOnAttached(5, { newWindowId: 2, newPosition: 0 });
+    await jest.runOnlyPendingTimersAsync(); // the debounced re-sort of both windows
+
+    expect(moveGroupState).toHaveBeenCalledWith(30, 1, 2, expect.any(Object), 30);
+    expect(store[STORAGE_KEYS.TAB_META][5]).toMatchObject({ windowId: 2, groupId: 30, isSpecialGroup: false });
+  });
+
+  it('clears the gone warning of a group moved to another window', async () => {
+    await loadServiceWorker();
+    jest.useFakeTimers();
+    seedGroupedTab();
+    store[STORAGE_KEYS.WINDOW_STATE][1].goneWarnedGroups = [30];
+    globalThis.chrome.tabs.get.mockResolvedValue({ id: 5, windowId: 2, groupId: 30 });
+
+    await listeners.tabsOnAttached(5, { newWindowId: 2, newPosition: 0 });
+    await jest.runOnlyPendingTimersAsync();
+
+    expect(globalThis.chrome.notifications.clear).toHaveBeenCalledWith('gone-warning:group:1:30');
+  });
+
+  it('clears the group of a tab dragged out of it into another window', async () => {
+    await loadServiceWorker();
+    jest.useFakeTimers();
+    seedGroupedTab();
+    globalThis.chrome.tabs.get.mockResolvedValue({ id: 5, windowId: 2, groupId: -1 });
+    const { moveGroupState } = await import('../../src/background/group-manager.js');
+
+    await listeners.tabsOnAttached(5, { newWindowId: 2, newPosition: 0 });
+    await jest.runOnlyPendingTimersAsync();
+
+    expect(moveGroupState).not.toHaveBeenCalled();
+    expect(store[STORAGE_KEYS.TAB_META][5]).toMatchObject({ windowId: 2, groupId: null });
+  });
+
+  it('leaves the state of a group a tab was dragged out of into another group', async () => {
+    await loadServiceWorker();
+    jest.useFakeTimers();
+    seedGroupedTab();
+    globalThis.chrome.tabs.get.mockResolvedValue({ id: 5, windowId: 2, groupId: 41 });
+    globalThis.chrome.tabGroups.get.mockResolvedValue({ id: 30, windowId: 1 });
+    const { moveGroupState } = await import('../../src/background/group-manager.js');
+
+    await listeners.tabsOnAttached(5, { newWindowId: 2, newPosition: 0 });
+    await jest.runOnlyPendingTimersAsync();
+
+    expect(moveGroupState).not.toHaveBeenCalled();
+    expect(store[STORAGE_KEYS.TAB_META][5]).toMatchObject({ windowId: 2, groupId: 41 });
+  });
+
+  it('leaves the state of an existing group a lone tab was dropped into', async () => {
+    await loadServiceWorker();
+    jest.useFakeTimers();
+    seedGroupedTab();
+    store[STORAGE_KEYS.WINDOW_STATE][2] = { specialGroups: {}, groupZones: { 41: 'yellow' } };
+    globalThis.chrome.tabs.get.mockResolvedValue({ id: 5, windowId: 2, groupId: 41 });
+    // The tab's old group closed with its only tab
+    globalThis.chrome.tabGroups.get.mockRejectedValue(new Error('No group with id: 30.'));
+    const { moveGroupState, hasGroupState } = await import('../../src/background/group-manager.js');
+    hasGroupState.mockReturnValue(true);
+
+    await listeners.tabsOnAttached(5, { newWindowId: 2, newPosition: 0 });
+    await jest.runOnlyPendingTimersAsync();
+
+    expect(hasGroupState).toHaveBeenCalledWith(41, 2, expect.any(Object));
+    expect(moveGroupState).not.toHaveBeenCalled();
+    expect(store[STORAGE_KEYS.WINDOW_STATE][2].groupZones).toEqual({ 41: 'yellow' });
+    expect(store[STORAGE_KEYS.TAB_META][5]).toMatchObject({ windowId: 2, groupId: 41 });
+  });
+
+  it('moves the state of a group recreated under a new ID in the new window', async () => {
+    await loadServiceWorker();
+    jest.useFakeTimers();
+    seedGroupedTab();
+    globalThis.chrome.tabs.get.mockResolvedValue({ id: 5, windowId: 2, groupId: 42 });
+    globalThis.chrome.tabGroups.get.mockRejectedValue(new Error('No group with id: 30.'));
+    const { moveGroupState } = await import('../../src/background/group-manager.js');
+
+    await listeners.tabsOnAttached(5, { newWindowId: 2, newPosition: 0 });
+    await jest.runOnlyPendingTimersAsync();
+
+    expect(moveGroupState).toHaveBeenCalledWith(30, 1, 2, expect.any(Object), 42);
+  });
+});
@@ -0,0 +1,160 @@
+import { jest } from '@jest/globals';
+
+globalThis.chrome = {
+  windows: {
+    get: jest.fn(async (windowId) => ({ id: windowId })),
+  },
+  tabs: {
+    create: jest.fn(),
+    group: jest.fn(async () => 70),
+  },
+  tabGroups: {
+    TAB_GROUP_ID_NONE: -1,
+    query: jest.fn(async () => []),
+    update: jest.fn(async () => {}),
+  },
+};
+
+const {
+  createClosedEntry,
+  appendClosedEntries,
+  restoredAge,
+  restoreClosedEntry,
+} = await import('../../src/background/closed-journal.js');
+const { CLOSED_JOURNAL_MAX_ENTRIES } = await import('../../src/shared/constants.js');
+const { resolveLifecycle } = await import('../../src/shared/lifecycle.js');
+
+describe('closed-journal', () => {
+  const settings = {
+    timeMode: 'active',
+    thresholds: { greenToYellow: 1000, yellowToRed: 2000, redToGone: 3000 },
+  };
+
+  function meta(tabId, refreshActiveTime, extra = {}) {
+    return {
+      tabId, windowId: 1, refreshActiveTime, refreshWallTime: 1000, status: 'gone',
+      groupId: null, isSpecialGroup: false, pinned: false, url: `https://example.com/${tabId}`, ...extra,
+    };
+  }
+
+  let nextTabId;
+  beforeEach(() => {
+    jest.clearAllMocks();
+    nextTabId = 100;
+    chrome.tabs.create.mockImplementation(async ({ windowId, index }) => ({
+      id: nextTabId++, windowId: windowId ?? 9, url: '', index, groupId: -1, pinned: false,
+    }));
+  });
+
+  describe('createClosedEntry', () => {
+    it('should record the tabs with their age at close', () => {
+      const tabs = [
+        { tab: { id: 4, url: 'https://example.com/4', title: 'Four', index: 2 }, meta: meta(4, 500) },
+        { tab: { id: 5, index: 3 }, meta: meta(5, 1500) },
+      ];
+      const group = { id: 7, title: 'Research !slow (3h)', color: 'red' };
+
+      expect(createClosedEntry('gone', tabs, group, 4000, settings, 1234)).toEqual({
+        id: '1234-4',
+        closedAt: 1234,
+        reason: 'gone',
+        windowId: 1,
+        group: { title: 'Research !slow', color: 'red' },
+        tabs: [
+          { url: 'https://example.com/4', title: 'Four', index: 2, ageMs: 3500 },
+          { url: 'https://example.com/5', title: '', index: 3, ageMs: 2500 },
+        ],
+      });
+    });
+
+    it('should record the time since refresh, not the frecency-scaled age', () => {
+      const frecent = meta(4, 500, { activationCount: 15, foregroundMs: 600_000 });
+      const tabs = [{ tab: { id: 4, index: 0 }, meta: frecent }];
+
+      expect(createClosedEntry('budget', tabs, null, 4000, { ...settings, agingMode: 'frecency' }, 1234)
+        .tabs[0].ageMs).toBe(3500);
+      expect(createClosedEntry('budget', tabs, null, 4000, { ...settings, timeMode: 'wallclock' }, 9000)
+        .tabs[0].ageMs).toBe(8000);
+    });
+  });
+
+  it('should keep the newest entries first, up to the bound', () => {
+    const journal = Array.from({ length: CLOSED_JOURNAL_MAX_ENTRIES }, (_, i) => ({ id: `old-${i}` }));
+    const updated = appendClosedEntries(journal, [{ id: 'a' }, { id: 'b' }]);
+
+    expect(updated).toHaveLength(CLOSED_JOURNAL_MAX_ENTRIES);
+    expect(updated.slice(0, 3).map((e) => e.id)).toEqual(['b', 'a', 'old-0']);
+    expect(appendClosedEntries(undefined, [{ id: 'a' }])).toEqual([{ id: 'a' }]);
+  });
+
+  it('should hold restored ages at the start of the last stage', () => {
+    const lifecycle = resolveLifecycle(settings);
+    expect(restoredAge(1500, lifecycle)).toBe(1500);
+    expect(restoredAge(3500, lifecycle)).toBe(2000);
+  });
+
+  describe('restoreClosedEntry', () => {
+    it('should reopen a tab at its position with its age', async () => {
+      const tabMeta = {};
+      const entry = {
+        id: 'x', closedAt: 1, reason: 'budget', windowId: 1, group: null,
+        tabs: [{ url: 'https://example.com/4', title: 'Four', index: 2, ageMs: 1500 }],
+      };
+
+      expect(await restoreClosedEntry(entry, tabMeta, {}, 10_000, settings, 50_000)).toEqual([100]);
+      expect(chrome.tabs.create).toHaveBeenCalledWith({
+        windowId: 1, url: 'https://example.com/4', active: false, index: 2,
+      });
+      expect(chrome.tabs.group).not.toHaveBeenCalled();
+      expect(tabMeta[100]).toMatchObject({
+        tabId: 100, windowId: 1, url: 'https://example.com/4', groupId: null,
+        refreshActiveTime: 8500, refreshWallTime: 48_500, status: 'yellow',
+      });
+    });
+
+    it('should reopen a group with its title and color, held in the last stage', async () => {
+      const tabMeta = {};
+      const entry = {
+        id: 'x', closedAt: 1, reason: 'gone', windowId: 1, group: { title: 'Research', color: 'red' },
+        tabs: [
+          { url: 'https://example.com/b', title: 'B', index: 5, ageMs: 9000 },
+          { url: 'https://example.com/a', title: 'A', index: 4, ageMs: 9000 },
+        ],
+      };
+
+      expect(await restoreClosedEntry(entry, tabMeta, {}, 10_000, settings)).toEqual([100, 101]);
+      expect(chrome.tabs.create.mock.calls.map(([props]) => props.url))
+        .toEqual(['https://example.com/a', 'https://example.com/b']);
+      expect(chrome.tabs.group).toHaveBeenCalledWith({ tabIds: [100, 101], createProperties: { windowId: 1 } });
+      expect(chrome.tabGroups.update).toHaveBeenCalledWith(70, { title: 'Research', color: 'red' });
+      expect(tabMeta[100]).toMatchObject({ groupId: 70, status: 'red', refreshActiveTime: 8000 });
+    });
+
+    it('should rejoin a group with the same title that is still open', async () => {
+      chrome.tabGroups.query.mockResolvedValueOnce([{ id: 30, title: 'Research (2h)', color: 'green' }]);
+      const tabMeta = {};
+      const entry = {
+        id: 'x', closedAt: 1, reason: 'budget', windowId: 1, group: { title: 'Research', color: 'red' },
+        tabs: [{ url: 'https://example.com/a', title: 'A', index: 4, ageMs: 0 }],
+      };
+
+      await restoreClosedEntry(entry, tabMeta, {}, 10_000, settings);
+      expect(chrome.tabs.group).toHaveBeenCalledWith({ tabIds: [100], groupId: 30 });
+      expect(chrome.tabGroups.update).not.toHaveBeenCalled();
+      expect(tabMeta[100].groupId).toBe(30);
+    });
+
+    it('should reopen in the current window when the old one is closed', async () => {
+      chrome.windows.get.mockRejectedValueOnce(new Error('No window with id: 1'));
+      const tabMeta = {};
+      const entry = {
+        id: 'x', closedAt: 1, reason: 'gone', windowId: 1, group: null,
+        tabs: [{ url: 'https://example.com/a', title: 'A', index: 4, ageMs: 0 }],
+      };
+
+      await restoreClosedEntry(entry, tabMeta, {}, 10_000, settings);
+      expect(chrome.tabs.create).toHaveBeenCalledWith({ windowId: undefined, url: 'https://example.com/a', active: false });
+      expect(tabMeta[100].windowId).toBe(9);
+    });
+  });
+});
@@ -0,0 +1,146 @@
+import { jest } from '@jest/globals';
+
+globalThis.chrome = {
+  tabs: {
+    group: jest.fn(async () => 300),
+  },
+  tabGroups: {
+    TAB_GROUP_ID_NONE: -1,
+    update: jest.fn(async () => {}),
+  },
+};
+
+const {
+  isDomainClusteringEnabled,
+  resolveClusterMinTabs,
+  resolveClusterScope,
+  registrableDomain,
+  findDomainClusters,
+  clusterTabs,
+} = await import('../../src/background/domain-clustering.js');
+const {
+  isExtensionCreatedGroup, consumeExpectedExtensionTitleUpdate, consumeExpectedExtensionColorUpdate,
+} = await import('../../src/background/group-manager.js');
+
+describe('domain-clustering', () => {
+  function tab(id, url, extra = {}) {
+    return { id, windowId: 1, groupId: -1, pinned: false, index: id, url, title: `Page ${id}`, ...extra };
+  }
+
+  function metaFor(tabs, status = 'green') {
+    return Object.fromEntries(tabs.map((t) => [t.id, {
+      tabId: t.id, windowId: t.windowId, status, groupId: null, isSpecialGroup: false, pinned: false, url: t.url,
+    }]));
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should be off by default and cluster three tabs per hostname', () => {
+    expect(isDomainClusteringEnabled({})).toBe(false);
+    expect(isDomainClusteringEnabled({ domainClusteringEnabled: true })).toBe(true);
+    expect(isDomainClusteringEnabled({ domainClusteringEnabled: true, autoGroupEnabled: false })).toBe(false);
+    expect(resolveClusterMinTabs({})).toBe(3);
+    expect(resolveClusterMinTabs({ domainClusteringMinTabs: 1 })).toBe(3);
+    expect(resolveClusterScope({ domainClusteringScope: 'domain' })).toBe('domain');
+    expect(resolveClusterScope({ domainClusteringScope: 'path' })).toBe('hostname');
+  });
+
+  it('should find the registrable domain of a hostname', () => {
+    expect(registrableDomain('docs.example.com')).toBe('example.com');
+    expect(registrableDomain('news.bbc.co.uk')).toBe('bbc.co.uk');
+    expect(registrableDomain('example.com')).toBe('example.com');
+    expect(registrableDomain('192.168.0.1')).toBe('192.168.0.1');
+    expect(registrableDomain('localhost')).toBe('localhost');
+  });
+
+  describe('findDomainClusters', () => {
+    const settings = { domainClusteringEnabled: true, domainClusteringMinTabs: 2 };
+
+    it('should cluster ungrouped green tabs of a hostname per window', () => {
+      const tabs = [
+        tab(1, 'https://docs.example.com/a'),
+        tab(2, 'https://other.org/'),
+        tab(3, 'https://docs.example.com/b'),
+        tab(4, 'https://mail.example.com/'),
+        tab(5, 'https://docs.example.com/c', { windowId: 2 }),
+      ];
+
+      const clusters = findDomainClusters(metaFor(tabs), tabs, settings);
+
+      expect(clusters).toEqual([{ windowId: 1, site: 'docs.example.com', tabs: [tabs[0], tabs[2]] }]);
+    });
+
+    it('should cluster by registrable domain when asked to', () => {
+      const tabs = [tab(1, 'https://docs.example.com/'), tab(2, 'https://www.example.com/')];
+      const clusters = findDomainClusters(metaFor(tabs), tabs, { ...settings, domainClusteringScope: 'domain' });
+      expect(clusters.map((c) => c.site)).toEqual(['example.com']);
+    });
+
+    it('should leave grouped, pinned, aged and excluded tabs alone', () => {
+      const tabs = [
+        tab(1, 'https://example.com/1'),
+        tab(2, 'https://example.com/2', { groupId: 7 }),
+        tab(3, 'https://example.com/3', { pinned: true }),
+        tab(4, 'https://example.com/4'),
+        tab(5, 'https://mail.example.org/1'),
+        tab(6, 'https://mail.example.org/2'),
+        tab(7, 'chrome://settings/'),
+        tab(8, 'chrome://extensions/'),
+      ];
+      const tabMeta = metaFor(tabs);
+      tabMeta[4].status = 'yellow';
+
+      const clusters = findDomainClusters(tabMeta, tabs, {
+        ...settings,
+        groupingRules: [{ pattern: 'mail.example.org', action: 'exclude' }],
+      });
+
+      expect(clusters).toEqual([]);
+    });
+  });
+
+  it('should put each cluster in a named, first-stage-colored group', async () => {
+    const tabs = [
+      tab(1, 'https://docs.example.com/a', { title: 'Billing API reference' }),
+      tab(3, 'https://docs.example.com/b', { title: 'Billing API guide' }),
+    ];
+    const tabMeta = metaFor(tabs);
+
+    const created = await clusterTabs([{ windowId: 1, site: 'docs.example.com', tabs }], tabMeta, {});
+
+    expect(created).toEqual([300]);
+    expect(chrome.tabs.group).toHaveBeenCalledWith({ tabIds: [1, 3], createProperties: { windowId: 1 } });
+    expect(chrome.tabGroups.update).toHaveBeenCalledWith(300, { title: 'Docs', color: 'green' });
+    expect(tabMeta[1]).toMatchObject({ groupId: 300, isSpecialGroup: false });
+    expect(isExtensionCreatedGroup(300)).toBe(true);
+    // The resulting tabGroups.onUpdated is recognised as the extension's own write
+    expect(consumeExpectedExtensionTitleUpdate(300, 'Docs')).toBe(true);
+    expect(consumeExpectedExtensionColorUpdate(300, 'green')).toBe(true);
+  });
+
+  it('should only record the groups in a dry run', async () => {
+    const tabs = [tab(1, 'https://docs.example.com/a'), tab(3, 'https://docs.example.com/b')];
+    const tabMeta = metaFor(tabs);
+    const report = { createdAt: 0, transitions: [], actions: [] };
+
+    const created = await clusterTabs([{ windowId: 1, site: 'docs.example.com', tabs }], tabMeta, {}, report);
+
+    expect(created).toEqual([]);
+    expect(chrome.tabs.group).not.toHaveBeenCalled();
+    expect(report.actions).toEqual([{
+      type: 'createGroup', windowId: 1, site: 'docs.example.com', title: expect.any(String), tabIds: [1, 3],
+    }]);
+    expect(tabMeta[1].groupId).toBeNull();
+  });
+
+  it('should skip a cluster it fails to group', async () => {
+    chrome.tabs.group.mockRejectedValueOnce(new Error('Tabs cannot be edited right now'));
+    const tabs = [tab(1, 'https://example.com/1'), tab(2, 'https://example.com/2')];
+    const tabMeta = metaFor(tabs);
+
+    expect(await clusterTabs([{ windowId: 1, site: 'example.com', tabs }], tabMeta, {})).toEqual([]);
+    expect(tabMeta[1].groupId).toBeNull();
+  });
+});
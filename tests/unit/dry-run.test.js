@@ -0,0 +1,47 @@
+import {
+  isDryRunEnabled,
+  createDryRunReport,
+  recordDryRunAction,
+  recordDryRunTabActions,
+  recordDryRunTransitions,
+} from '../../src/background/dry-run.js';
+
+describe('dry-run', () => {
+  it('should be off by default', () => {
+    expect(isDryRunEnabled({})).toBe(false);
+    expect(isDryRunEnabled({ dryRunEnabled: true })).toBe(true);
+  });
+
+  it('should record actions only into a report', () => {
+    const report = createDryRunReport(1000);
+    expect(report).toEqual({ createdAt: 1000, transitions: [], actions: [] });
+
+    expect(recordDryRunAction(null, { type: 'discardTab' })).toBe(false);
+    expect(recordDryRunAction(report, { type: 'discardTab', tabId: 1 })).toBe(true);
+    expect(report.actions).toEqual([{ type: 'discardTab', tabId: 1 }]);
+  });
+
+  it('should record an action per tab', () => {
+    const report = createDryRunReport(1000);
+    const tabs = [
+      { id: 1, windowId: 1, url: 'https://a.com', title: 'A' },
+      { id: 2, windowId: 2 },
+    ];
+
+    expect(recordDryRunTabActions(report, tabs, { type: 'closeTab', reason: 'duplicate' })).toEqual([1, 2]);
+    expect(report.actions).toEqual([
+      { type: 'closeTab', reason: 'duplicate', tabId: 1, windowId: 1, url: 'https://a.com', title: 'A' },
+      { type: 'closeTab', reason: 'duplicate', tabId: 2, windowId: 2, url: '', title: '' },
+    ]);
+  });
+
+  it('should record transitions with the tab they belong to', () => {
+    const report = createDryRunReport(1000);
+    const tabMeta = { 3: { tabId: 3, windowId: 1, url: 'https://a.com' } };
+    recordDryRunTransitions(report, { 3: { oldStatus: 'red', newStatus: 'gone' } }, tabMeta, [{ id: 3, title: 'A' }]);
+
+    expect(report.transitions).toEqual([
+      { tabId: 3, windowId: 1, url: 'https://a.com', title: 'A', from: 'red', to: 'gone' },
+    ]);
+  });
+});
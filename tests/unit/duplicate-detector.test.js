@@ -0,0 +1,139 @@
+import { jest } from '@jest/globals';
+
+globalThis.chrome = {
+  tabs: {
+    remove: jest.fn(async () => {}),
+  },
+};
+
+const {
+  isDuplicateDetectionEnabled,
+  resolveDuplicateAction,
+  normalizeUrl,
+  findDuplicates,
+  transferFreshestRefresh,
+  closeDuplicates,
+} = await import('../../src/background/duplicate-detector.js');
+
+describe('duplicate-detector', () => {
+  function meta(tabId, url, refreshActiveTime = 0, extra = {}) {
+    return {
+      tabId, windowId: 1, refreshActiveTime, refreshWallTime: 1000 + refreshActiveTime,
+      status: 'green', groupId: null, isSpecialGroup: false, pinned: false, url, ...extra,
+    };
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should be off by default and age out copies unless told to close them', () => {
+    expect(isDuplicateDetectionEnabled({})).toBe(false);
+    expect(resolveDuplicateAction({})).toBe('gone');
+    expect(resolveDuplicateAction({ duplicateAction: 'close' })).toBe('close');
+  });
+
+  it('should age out instead of closing during quiet hours', () => {
+    const days = [0, 1, 2, 3, 4, 5, 6];
+    const allDay = [{ days, start: '00:00', end: '12:00' }, { days, start: '12:00', end: '00:00' }];
+    expect(resolveDuplicateAction({ duplicateAction: 'close', quietHours: allDay })).toBe('gone');
+  });
+
+  describe('normalizeUrl', () => {
+    it('should strip the hash and tracking parameters by default', () => {
+      expect(normalizeUrl('https://Example.com/a?id=1&utm_source=x&fbclid=y#top'))
+        .toBe('https://example.com/a?id=1');
+      expect(normalizeUrl('https://example.com/a?utm_medium=mail')).toBe('https://example.com/a');
+    });
+
+    it('should keep what the settings say to keep', () => {
+      const settings = { duplicateStripHash: false, duplicateStripTrackingParams: false };
+      expect(normalizeUrl('https://example.com/a?utm_source=x#top', settings))
+        .toBe('https://example.com/a?utm_source=x#top');
+    });
+
+    it('should ignore non-web and invalid URLs', () => {
+      expect(normalizeUrl('chrome://newtab/')).toBeNull();
+      expect(normalizeUrl('')).toBeNull();
+    });
+  });
+
+  describe('findDuplicates', () => {
+    it('should keep the newest copy and list the older ones', () => {
+      const tabMeta = {
+        1: meta(1, 'https://example.com/a'),
+        4: meta(4, 'https://example.com/a#b'),
+        6: meta(6, 'https://example.com/a?utm_source=x'),
+        7: meta(7, 'https://example.com/other'),
+      };
+      const liveTabs = Object.values(tabMeta).map((m) => ({ id: m.tabId, windowId: 1, url: m.url }));
+
+      expect(findDuplicates(tabMeta, liveTabs, {})).toEqual([
+        { url: 'https://example.com/a', survivorId: 6, duplicateIds: [1, 4] },
+      ]);
+    });
+
+    it('should keep the active copy', () => {
+      const tabMeta = { 1: meta(1, 'https://example.com/'), 2: meta(2, 'https://example.com/') };
+      const liveTabs = [
+        { id: 1, windowId: 1, url: 'https://example.com/', active: true },
+        { id: 2, windowId: 1, url: 'https://example.com/' },
+      ];
+      expect(findDuplicates(tabMeta, liveTabs, {})).toEqual([
+        { url: 'https://example.com/', survivorId: 1, duplicateIds: [2] },
+      ]);
+    });
+
+    it('should leave copies it may not close', () => {
+      const url = 'https://example.com/';
+      const tabMeta = {
+        1: meta(1, url),
+        2: meta(2, url, 0, { snoozeUntil: Date.now() + 60_000 }),
+        3: meta(3, url, 0, { groupId: 30 }),
+        4: meta(4, url),
+        5: meta(5, url),
+      };
+      const liveTabs = [
+        { id: 1, windowId: 1, url, active: true },
+        { id: 2, windowId: 1, url },
+        { id: 3, windowId: 1, url, groupId: 30 },
+        { id: 4, windowId: 1, url, audible: true },
+        { id: 5, windowId: 1, url },
+      ];
+      expect(findDuplicates(tabMeta, liveTabs, {}, {}, new Set([30]))).toEqual([
+        { url, survivorId: 1, duplicateIds: [5] },
+      ]);
+    });
+
+    it('should skip sets without copies to consolidate', () => {
+      const url = 'https://example.com/';
+      const tabMeta = { 1: meta(1, url), 2: meta(2, url) };
+      const liveTabs = [{ id: 1, windowId: 1, url, pinned: true }, { id: 2, windowId: 1, url }];
+      expect(findDuplicates(tabMeta, liveTabs, {})).toEqual([]);
+    });
+  });
+
+  it('should give the survivor the freshest refresh time', () => {
+    const tabMeta = {
+      1: meta(1, 'https://example.com/', 900),
+      2: meta(2, 'https://example.com/', 100),
+    };
+    expect(transferFreshestRefresh({ survivorId: 2, duplicateIds: [1] }, tabMeta)).toBe(true);
+    expect(tabMeta[2]).toMatchObject({ refreshActiveTime: 900, refreshWallTime: 1900 });
+    expect(transferFreshestRefresh({ survivorId: 2, duplicateIds: [1] }, tabMeta)).toBe(false);
+  });
+
+  it('should close copies and drop their entries', async () => {
+    chrome.tabs.remove.mockRejectedValueOnce(new Error('No tab with id: 1'));
+    const tabMeta = { 1: meta(1, 'https://example.com/'), 2: meta(2, 'https://example.com/') };
+
+    const recordClosed = jest.fn();
+    const tabs = [{ id: 1, url: 'https://example.com/' }, { id: 2, url: 'https://example.com/' }];
+    const closedMeta = tabMeta[2];
+
+    expect(await closeDuplicates(tabs, tabMeta, recordClosed)).toEqual([2]);
+    expect(Object.keys(tabMeta)).toEqual(['1']);
+    expect(recordClosed).toHaveBeenCalledTimes(1);
+    expect(recordClosed).toHaveBeenCalledWith('duplicate', [{ tab: tabs[1], meta: closedMeta }], null);
+  });
+});
@@ -0,0 +1,150 @@
+import { jest } from '@jest/globals';
+
+globalThis.chrome = {
+  runtime: {
+    getURL: jest.fn((path) => `chrome-extension://tabcycle/${path}`),
+  },
+  notifications: {
+    create: jest.fn(async (id) => id),
+    clear: jest.fn(async () => true),
+    getAll: jest.fn(async () => ({})),
+  },
+};
+
+const {
+  isGoneWarningEnabled,
+  resolveGoneWarningMs,
+  tabWarningId,
+  groupWarningId,
+  parseWarningId,
+  planGoneWarnings,
+  withdrawGoneWarnings,
+  showGoneWarnings,
+  clearStaleGoneWarnings,
+} = await import('../../src/background/gone-warnings.js');
+
+describe('gone-warnings', () => {
+  const settings = {
+    timeMode: 'active',
+    thresholds: { greenToYellow: 60_000, yellowToRed: 120_000, redToGone: 600_000 },
+    goneWarningEnabled: true,
+    goneWarningMinutes: 2,
+  };
+
+  function meta(tabId, refreshActiveTime, extra = {}) {
+    return {
+      tabId, windowId: 1, refreshActiveTime, refreshWallTime: 0, status: 'red',
+      groupId: null, isSpecialGroup: false, pinned: false, url: `https://example.com/${tabId}`, ...extra,
+    };
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should be off by default and warn ten minutes ahead', () => {
+    expect(isGoneWarningEnabled({})).toBe(false);
+    expect(resolveGoneWarningMs({})).toBe(600_000);
+    expect(resolveGoneWarningMs(settings)).toBe(120_000);
+  });
+
+  it('should round-trip notification ids', () => {
+    expect(parseWarningId(tabWarningId(7))).toEqual({ tabId: 7 });
+    expect(parseWarningId(groupWarningId(1, 30))).toEqual({ windowId: 1, groupId: 30 });
+    expect(parseWarningId('something-else:tab:7')).toBeNull();
+    expect(parseWarningId('gone-warning:tab:x')).toBeNull();
+  });
+
+  describe('planGoneWarnings', () => {
+    it('should warn tabs within the warning window once', () => {
+      const tabMeta = { 1: meta(1, 0), 2: meta(2, 200_000), 3: meta(3, 0, { isSpecialGroup: true, groupId: 9 }) };
+
+      const plan = planGoneWarnings(tabMeta, {}, 500_000, settings);
+      expect(plan.tabs).toEqual([
+        { tabId: 1, windowId: 1, remainingMs: 100_000 },
+        { tabId: 3, windowId: 1, remainingMs: 100_000 },
+      ]);
+      expect(tabMeta[1].goneWarned).toBe(true);
+      expect(tabMeta[2].goneWarned).toBeUndefined();
+
+      expect(planGoneWarnings(tabMeta, {}, 510_000, settings).tabs).toEqual([]);
+    });
+
+    it('should drop the flag once the tab is no longer due', () => {
+      const tabMeta = { 1: meta(1, 0, { goneWarned: true, snoozeUntil: Date.now() + 60_000 }) };
+      planGoneWarnings(tabMeta, {}, 500_000, settings);
+      expect(tabMeta[1].goneWarned).toBeUndefined();
+    });
+
+    it('should warn nothing when disabled, in a dry run or during quiet hours', () => {
+      const days = [0, 1, 2, 3, 4, 5, 6];
+      const quietHours = [{ days, start: '00:00', end: '12:00' }, { days, start: '12:00', end: '00:00' }];
+      for (const extra of [{ goneWarningEnabled: false }, { dryRunEnabled: true }, { quietHours }]) {
+        const tabMeta = { 1: meta(1, 0, { goneWarned: true }) };
+        expect(planGoneWarnings(tabMeta, {}, 500_000, { ...settings, ...extra }).tabs).toEqual([]);
+        expect(tabMeta[1].goneWarned).toBeUndefined();
+      }
+    });
+
+    it('should warn a user group when its freshest member is due', () => {
+      const tabMeta = {
+        1: meta(1, 0, { groupId: 30 }),
+        2: meta(2, 10_000, { groupId: 30 }),
+        3: meta(3, 0, { groupId: 40 }),
+        4: meta(4, 300_000, { groupId: 40 }),
+      };
+      const windowState = { 1: { specialGroups: {}, groupZones: {} } };
+
+      const plan = planGoneWarnings(tabMeta, windowState, 550_000, settings);
+      expect(plan).toEqual({ tabs: [], groups: [{ windowId: 1, groupId: 30, remainingMs: 60_000 }] });
+      expect(windowState[1].goneWarnedGroups).toEqual([30]);
+      expect(planGoneWarnings(tabMeta, windowState, 560_000, settings).groups).toEqual([]);
+
+      tabMeta[2].refreshActiveTime = 560_000;
+      planGoneWarnings(tabMeta, windowState, 570_000, settings);
+      expect(windowState[1].goneWarnedGroups).toBeUndefined();
+    });
+
+    it('should leave protected groups alone', () => {
+      const tabMeta = { 1: meta(1, 0, { groupId: 30 }) };
+      const windowState = { 1: { specialGroups: {}, groupZones: {} } };
+      expect(planGoneWarnings(tabMeta, windowState, 500_000, settings, new Set([30])).groups).toEqual([]);
+    });
+  });
+
+  it('should withdraw the warnings of a refreshed tab and its group', () => {
+    const windowState = { 1: { specialGroups: {}, groupZones: {}, goneWarnedGroups: [30, 40] } };
+    const refreshed = meta(1, 500_000, { groupId: 30, goneWarned: true });
+
+    expect(withdrawGoneWarnings(refreshed, windowState)).toEqual([tabWarningId(1), groupWarningId(1, 30)]);
+    expect(refreshed.goneWarned).toBeUndefined();
+    expect(windowState[1].goneWarnedGroups).toEqual([40]);
+  });
+
+  it('should show a notification with keep and snooze buttons', async () => {
+    await showGoneWarnings(
+      { tabs: [{ tabId: 1, windowId: 1, remainingMs: 90_000 }], groups: [{ windowId: 1, groupId: 30, remainingMs: 30_000 }] },
+      [{ id: 1, title: 'Docs' }, { id: 2, groupId: 30 }],
+      [{ id: 30, title: 'Research (3d)' }],
+    );
+
+    expect(chrome.notifications.create).toHaveBeenCalledWith('gone-warning:tab:1', expect.objectContaining({
+      title: 'Tab closing soon',
+      message: '"Docs" will close in about 2 minutes.',
+      buttons: [{ title: 'Keep' }, { title: 'Snooze 1 day' }],
+    }));
+    expect(chrome.notifications.create).toHaveBeenCalledWith('gone-warning:group:1:30', expect.objectContaining({
+      message: '"Research" (1 tab) will close in about a minute.',
+    }));
+  });
+
+  it('should clear warnings whose target is no longer flagged', async () => {
+    chrome.notifications.getAll.mockResolvedValueOnce({
+      [tabWarningId(1)]: true, [tabWarningId(2)]: true, [groupWarningId(1, 30)]: true, other: true,
+    });
+    const tabMeta = { 1: meta(1, 0, { goneWarned: true }) };
+
+    expect(await clearStaleGoneWarnings(tabMeta, {})).toEqual([tabWarningId(2), groupWarningId(1, 30)]);
+    expect(chrome.notifications.clear).toHaveBeenCalledTimes(2);
+  });
+});
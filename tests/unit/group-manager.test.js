@@ -67,6 +67,14 @@ const {
   consumeExpectedExtensionColorUpdate,
   trackExtensionGroup,
   untrackExtensionGroup,
+  updateGroupTitlesWithAge,
+  removeAgeSuffixFromAllGroups,
+  updateGroupPolicy,
+  syncGroupPolicies,
+  getProtectedGroupIds,
+  moveGroupState,
+  hasGroupState,
+  isExtensionCreatedGroup,
 } = await import('../../src/background/group-manager.js');
 
 describe('group-manager', () => {
@@ -641,16 +649,16 @@ describe('group-manager', () => {
 
   describe('group title parsing and composition', () => {
     it('should parse base name and age suffix from titled groups', () => {
-      expect(parseGroupTitle('News (23m)')).toEqual({ baseName: 'News', ageSuffix: '(23m)' });
+      expect(parseGroupTitle('News (23m)')).toEqual({ baseName: 'News', ageSuffix: '(23m)', directives: [] });
     });
 
     it('should treat age-only title as empty base name', () => {
-      expect(parseGroupTitle('(5m)')).toEqual({ baseName: '', ageSuffix: '(5m)' });
+      expect(parseGroupTitle('(5m)')).toEqual({ baseName: '', ageSuffix: '(5m)', directives: [] });
       expect(isBaseGroupNameEmpty('(5m)')).toBe(true);
     });
 
     it('should keep non-age titles intact', () => {
-      expect(parseGroupTitle('Project Alpha')).toEqual({ baseName: 'Project Alpha', ageSuffix: '' });
+      expect(parseGroupTitle('Project Alpha')).toEqual({ baseName: 'Project Alpha', ageSuffix: '', directives: [] });
       expect(isBaseGroupNameEmpty('Project Alpha')).toBe(false);
     });
 
@@ -667,6 +675,203 @@ describe('group-manager', () => {
       expect(rebuilt).toBe(original);
       expect(stripAgeSuffix(rebuilt)).toBe('Engineering');
     });
+
+    it('should parse trailing directives around the age suffix', () => {
+      expect(parseGroupTitle('Research !slow (3h)')).toEqual({
+        baseName: 'Research', ageSuffix: '(3h)', directives: ['!slow'],
+      });
+      expect(parseGroupTitle('Inbox (3h) ⏸️')).toEqual({
+        baseName: 'Inbox', ageSuffix: '(3h)', directives: ['⏸'],
+      });
+      expect(parseGroupTitle('Ops !keep !fast')).toEqual({
+        baseName: 'Ops', ageSuffix: '', directives: ['!keep', '!fast'],
+      });
+    });
+
+    it('should not treat directives as a base name', () => {
+      expect(parseGroupTitle('!keep')).toEqual({ baseName: '', ageSuffix: '', directives: ['!keep'] });
+      expect(isBaseGroupNameEmpty('⏸ (5m)')).toBe(true);
+      expect(stripAgeSuffix('Research !slow (3h)')).toBe('Research');
+    });
+
+    it('should leave unknown and embedded directives in the base name', () => {
+      expect(parseGroupTitle('Sale !now').baseName).toBe('Sale !now');
+      expect(parseGroupTitle('!keep notes').baseName).toBe('!keep notes');
+    });
+
+    it('should compose directives between base name and age suffix', () => {
+      expect(composeGroupTitle('Research', '(3h)', ['!slow'])).toBe('Research !slow (3h)');
+      expect(composeGroupTitle('', '', ['⏸'])).toBe('⏸');
+      const parsed = parseGroupTitle('Ops !keep (1d)');
+      expect(composeGroupTitle(parsed.baseName, parsed.ageSuffix, parsed.directives)).toBe('Ops !keep (1d)');
+    });
+  });
+
+  describe('group title directives', () => {
+    it('should keep directives when updating the age suffix', async () => {
+      mockGroups.push({ id: 40, windowId: 1, title: 'Research !slow (1m)', color: 'green' });
+      const now = Date.now();
+      const tabMeta = {
+        1: {
+          tabId: 1, windowId: 1, groupId: 40, pinned: false, isSpecialGroup: false,
+          refreshActiveTime: 0, refreshWallTime: now,
+        },
+      };
+      const windowState = { 1: { specialGroups: { yellow: null, red: null }, groupZones: {} } };
+
+      await updateGroupTitlesWithAge(1, tabMeta, windowState, 3 * 60 * 60 * 1000, { timeMode: 'active' });
+
+      expect(mockGroups.find((g) => g.id === 40).title).toBe('Research !slow (3h)');
+    });
+
+    it('should keep directives when removing the age suffix', async () => {
+      mockGroups.push({ id: 41, windowId: 1, title: 'Inbox ⏸ (2h)', color: 'green' });
+      const windowState = { 1: { specialGroups: { yellow: null, red: null }, groupZones: {} } };
+
+      await removeAgeSuffixFromAllGroups(1, windowState);
+
+      expect(mockGroups.find((g) => g.id === 41).title).toBe('Inbox ⏸');
+    });
+
+    it('should auto-name a group titled only with a directive and keep the directive', async () => {
+      const now = Date.now();
+      mockGroups.push({ id: 42, windowId: 1, title: '!keep', color: 'green' });
+      mockTabs.push(
+        { id: 121, windowId: 1, groupId: 42, title: 'React Hooks Guide', url: 'https://react.dev/reference', pinned: false },
+      );
+      const windowState = {
+        1: {
+          specialGroups: { yellow: null, red: null },
+          groupZones: {},
+          groupNaming: {
+            42: { firstUnnamedSeenAt: now - 10 * 60 * 1000, lastAutoNamedAt: null, lastCandidate: null, userEditLockUntil: 0 },
+          },
+        },
+      };
+
+      const summary = await autoNameEligibleGroups(1, {}, windowState, { enabled: true, delayMinutes: 5, nowMs: now });
+
+      expect(summary.named).toBe(1);
+      const { baseName, directives } = parseGroupTitle(mockGroups.find((g) => g.id === 42).title);
+      expect(baseName.length).toBeGreaterThan(0);
+      expect(directives).toEqual(['!keep']);
+    });
+
+    it('should not dissolve a single-tab group titled only with a directive', async () => {
+      mockGroups.push({ id: 43, windowId: 1, title: '⏸' });
+      mockTabs.push({ id: 131, windowId: 1, groupId: 43 });
+      trackExtensionGroup(43);
+      const tabMeta = { 131: { tabId: 131, windowId: 1, groupId: 43, isSpecialGroup: false } };
+      const windowState = { 1: { specialGroups: { yellow: null, red: null }, groupZones: {} } };
+
+      await dissolveUnnamedSingleTabGroups(1, tabMeta, windowState);
+
+      expect(chrome.tabs.ungroup).not.toHaveBeenCalled();
+      untrackExtensionGroup(43);
+    });
+
+    it('should record and drop group policies from titles', () => {
+      const windowState = {
+        1: { specialGroups: { yellow: null, red: 60 }, groupZones: {} },
+      };
+
+      syncGroupPolicies([
+        { id: 5, windowId: 1, title: 'Research !slow' },
+        { id: 6, windowId: 1, title: 'Inbox ⏸ !fast !slow' },
+        { id: 7, windowId: 1, title: 'Plain' },
+        { id: 60, windowId: 1, title: 'Red !keep' },
+        { id: 8, windowId: 9, title: 'Elsewhere !keep' },
+      ], windowState);
+
+      expect(windowState[1].groupPolicies).toEqual({
+        5: { thresholdFactor: 2 },
+        6: { frozen: true },
+      });
+
+      updateGroupPolicy({ id: 5, windowId: 1, title: 'Research' }, windowState);
+      updateGroupPolicy({ id: 6, windowId: 1, title: 'Inbox' }, windowState);
+      expect(windowState[1]).not.toHaveProperty('groupPolicies');
+    });
+  });
+
+  describe('getProtectedGroupIds', () => {
+    it('should match protected titles without their age suffix and directives', () => {
+      const settings = { protectedGroupTitles: ['Reference'] };
+      const ids = getProtectedGroupIds([
+        { id: 1, title: 'Reference (3h)' },
+        { id: 2, title: 'Reference !slow' },
+        { id: 3, title: 'News' },
+        { id: 4 },
+      ], settings);
+      expect([...ids]).toEqual([1, 2]);
+    });
+  });
+
+  describe('moveGroupState', () => {
+    function windowState() {
+      return {
+        1: {
+          specialGroups: { yellow: 50, red: null },
+          groupZones: { 30: 'green' },
+          groupNaming: { 30: { firstUnnamedSeenAt: 1000, lastAutoNamedAt: null, lastCandidate: null, userEditLockUntil: 0 } },
+          groupPolicies: { 30: { frozen: true } },
+          groupSnoozes: { 30: { until: 5000 } },
+          goneWarnedGroups: [30],
+        },
+        2: { specialGroups: { yellow: null, red: null }, groupZones: { 40: 'yellow' }, groupNaming: {} },
+      };
+    }
+
+    it('should move the state of a group to the window it was moved to', () => {
+      const state = windowState();
+
+      expect(moveGroupState(30, 1, 2, state)).toBe(true);
+
+      expect(state[2].groupZones).toEqual({ 30: 'green', 40: 'yellow' });
+      expect(state[2].groupNaming[30]).toMatchObject({ firstUnnamedSeenAt: 1000 });
+      expect(state[2].groupPolicies).toEqual({ 30: { frozen: true } });
+      expect(state[2].groupSnoozes).toEqual({ 30: { until: 5000 } });
+      expect(state[2].goneWarnedGroups).toBeUndefined();
+      expect(state[1]).toMatchObject({ groupZones: {}, groupNaming: {}, groupPolicies: {}, groupSnoozes: {} });
+      expect(state[1].goneWarnedGroups).toBeUndefined();
+
+      expect(moveGroupState(30, 1, 2, state)).toBe(false);
+    });
+
+    it('should move state and the extension-created flag to a recreated group', () => {
+      const state = windowState();
+      trackExtensionGroup(30);
+
+      moveGroupState(30, 1, 3, state, 31);
+
+      expect(state[3].groupZones).toEqual({ 31: 'green' });
+      expect(isExtensionCreatedGroup(31)).toBe(true);
+      expect(isExtensionCreatedGroup(30)).toBe(false);
+      untrackExtensionGroup(31);
+    });
+
+    it('should hand a special group its slot in the new window when free', () => {
+      const state = windowState();
+      moveGroupState(50, 1, 2, state);
+      expect(state[1].specialGroups.yellow).toBeNull();
+      expect(state[2].specialGroups.yellow).toBe(50);
+
+      state[1].specialGroups.yellow = 60;
+      state[2].specialGroups.yellow = 70;
+      moveGroupState(60, 1, 2, state);
+      expect(state[1].specialGroups.yellow).toBeNull();
+      expect(state[2].specialGroups.yellow).toBe(70);
+    });
+
+    it('should tell whether a window holds state for a group', () => {
+      const state = windowState();
+
+      expect(hasGroupState(30, 1, state)).toBe(true);
+      expect(hasGroupState(50, 1, state)).toBe(true); // special group slot
+      expect(hasGroupState(40, 2, state)).toBe(true);
+      expect(hasGroupState(30, 2, state)).toBe(false);
+      expect(hasGroupState(30, 3, state)).toBe(false);
+    });
   });
 
   // ─── v2: dissolveSpecialGroups ─────────────────────────────────────────────
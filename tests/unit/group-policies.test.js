@@ -0,0 +1,106 @@
+import {
+  isGroupDirective,
+  policyFromDirectives,
+  getGroupPolicy,
+  getTabGroupPolicy,
+  hasGroupFreeze,
+  applyGroupFreeze,
+  copyGroupFreeze,
+} from '../../src/background/group-policies.js';
+
+describe('group-policies', () => {
+  const NOW = 1_000_000;
+
+  function makeMeta(overrides = {}) {
+    return {
+      tabId: 1, windowId: 1, refreshActiveTime: 1000, refreshWallTime: NOW - 5000,
+      status: 'yellow', groupId: 5, isSpecialGroup: false, pinned: false, ...overrides,
+    };
+  }
+
+  function makeWindowState(groupPolicies) {
+    return { 1: { specialGroups: { yellow: null, red: null }, groupZones: {}, groupPolicies } };
+  }
+
+  describe('policyFromDirectives', () => {
+    it('should recognize the known directives only', () => {
+      expect(isGroupDirective('!keep')).toBe(true);
+      expect(isGroupDirective('⏸')).toBe(true);
+      expect(isGroupDirective('!now')).toBe(false);
+      expect(isGroupDirective('toString')).toBe(false);
+    });
+
+    it('should map each directive to its policy', () => {
+      expect(policyFromDirectives(['!keep'])).toEqual({ keepPosition: true });
+      expect(policyFromDirectives(['!slow'])).toEqual({ thresholdFactor: 2 });
+      expect(policyFromDirectives(['!fast'])).toEqual({ thresholdFactor: 0.5 });
+      expect(policyFromDirectives(['⏸'])).toEqual({ frozen: true });
+    });
+
+    it('should combine directives and multiply factors', () => {
+      expect(policyFromDirectives(['⏸', '!keep', '!slow'])).toEqual({
+        frozen: true, keepPosition: true, thresholdFactor: 2,
+      });
+      expect(policyFromDirectives(['!slow', '!fast'])).toBeNull();
+      expect(policyFromDirectives([])).toBeNull();
+    });
+  });
+
+  describe('getTabGroupPolicy', () => {
+    it('should look up the policy of the tab\'s user group', () => {
+      const windowState = makeWindowState({ 5: { frozen: true } });
+      expect(getGroupPolicy(1, 5, windowState)).toEqual({ frozen: true });
+      expect(getTabGroupPolicy(makeMeta(), windowState)).toEqual({ frozen: true });
+      expect(getTabGroupPolicy(makeMeta({ groupId: null }), windowState)).toBeNull();
+      expect(getTabGroupPolicy(makeMeta({ isSpecialGroup: true }), windowState)).toBeNull();
+    });
+  });
+
+  describe('applyGroupFreeze', () => {
+    it('should freeze tabs of a frozen group and resume them from the same age', () => {
+      const windowState = makeWindowState({ 5: { frozen: true } });
+      const tabMeta = { 1: makeMeta(), 2: makeMeta({ tabId: 2, groupId: 6 }) };
+
+      const started = applyGroupFreeze(tabMeta, windowState, 4000, NOW);
+      expect(started.frozen).toEqual([1]);
+      expect(hasGroupFreeze(tabMeta[2])).toBe(false);
+
+      // 6s of active time and 10s of wall time pass while frozen
+      delete windowState[1].groupPolicies;
+      const ended = applyGroupFreeze(tabMeta, windowState, 10_000, NOW + 10_000);
+      expect(ended.released).toEqual([1]);
+      expect(10_000 - tabMeta[1].refreshActiveTime).toBe(3000);
+      expect(NOW + 10_000 - tabMeta[1].refreshWallTime).toBe(5000);
+    });
+
+    it('should take over a running media freeze', () => {
+      const windowState = makeWindowState({ 5: { frozen: true } });
+      const tabMeta = { 1: makeMeta({ mediaFrozenAtActiveTime: 2000, mediaFrozenAtWallTime: NOW - 3000 }) };
+
+      applyGroupFreeze(tabMeta, windowState, 4000, NOW);
+      expect(tabMeta[1].groupFrozenAtActiveTime).toBe(2000);
+      expect(tabMeta[1].groupFrozenAtWallTime).toBe(NOW - 3000);
+      expect(tabMeta[1]).not.toHaveProperty('mediaFrozenAtActiveTime');
+    });
+
+    it('should leave tabs of a frozen window to the window freeze', () => {
+      const windowState = makeWindowState({ 5: { frozen: true } });
+      const tabMeta = { 1: makeMeta({ windowFrozenAtActiveTime: 2000, windowFrozenAtWallTime: NOW }) };
+
+      expect(applyGroupFreeze(tabMeta, windowState, 4000, NOW).frozen).toEqual([]);
+      expect(hasGroupFreeze(tabMeta[1])).toBe(false);
+    });
+  });
+
+  describe('copyGroupFreeze', () => {
+    it('should copy a running freeze only', () => {
+      const target = makeMeta({ tabId: 2 });
+      copyGroupFreeze(makeMeta(), target);
+      expect(hasGroupFreeze(target)).toBe(false);
+
+      copyGroupFreeze(makeMeta({ groupFrozenAtActiveTime: 10, groupFrozenAtWallTime: NOW }), target);
+      expect(target.groupFrozenAtActiveTime).toBe(10);
+      expect(target.groupFrozenAtWallTime).toBe(NOW);
+    });
+  });
+});
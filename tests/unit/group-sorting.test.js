@@ -88,6 +88,17 @@ describe('group-sorting', () => {
       };
       expect(computeGroupStatus(5, tabMeta)).toBe('red');
     });
+
+    it('should never report a group with a media-frozen member as gone', () => {
+      const tabMeta = {
+        1: { tabId: 1, groupId: 5, status: 'gone', isSpecialGroup: false, pinned: false },
+        2: {
+          tabId: 2, groupId: 5, status: 'gone', isSpecialGroup: false, pinned: false,
+          mediaFrozenAtActiveTime: 100, mediaFrozenAtWallTime: 100,
+        },
+      };
+      expect(computeGroupStatus(5, tabMeta)).toBe('red');
+    });
   });
 
   describe('updateGroupColor', () => {
@@ -219,6 +230,35 @@ describe('group-sorting', () => {
       expect(moveCalls[2]).toEqual([1, { index: -1 }]); // red
     });
 
+    it('should keep a "!keep" group in its slot while sorting the others', async () => {
+      const groups = [
+        { id: 1, windowId: 1, title: 'A', color: 'red' },
+        { id: 5, windowId: 1, title: 'Pinned work !keep', color: 'red' },
+        { id: 2, windowId: 1, title: 'B', color: 'green' },
+      ];
+      const tabs = [
+        { id: 10, windowId: 1, groupId: 1, pinned: false },
+        { id: 50, windowId: 1, groupId: 5, pinned: false },
+        { id: 20, windowId: 1, groupId: 2, pinned: false },
+      ];
+      mockBrowserState(tabs, groups);
+
+      const tabMeta = {
+        10: { tabId: 10, windowId: 1, groupId: 1, status: 'red', isSpecialGroup: false, pinned: false },
+        50: { tabId: 50, windowId: 1, groupId: 5, status: 'red', isSpecialGroup: false, pinned: false },
+        20: { tabId: 20, windowId: 1, groupId: 2, status: 'green', isSpecialGroup: false, pinned: false },
+      };
+
+      const windowState = {
+        1: { specialGroups: { yellow: null, red: null }, groupZones: {}, groupPolicies: { 5: { keepPosition: true } } },
+      };
+
+      await sortTabsAndGroups(1, tabMeta, windowState);
+
+      expect(chrome.tabGroups.move.mock.calls.map(([id]) => id)).toEqual([2, 5, 1]);
+      expect(windowState[1].groupZones[5]).toBe('red');
+    });
+
     // ── Intra-zone stability ─────────────────────────────────────────
 
     it('should NOT move groups when all are in the same zone (all green)', async () => {
@@ -1433,6 +1473,27 @@ describe('group-sorting', () => {
       expect(windowState[1].groupZones[5]).toBeUndefined();
     });
 
+    it('should journal closed gone tabs and groups', async () => {
+      const groups = [{ id: 5, windowId: 1, title: 'OldGroup', color: 'red' }];
+      const tabs = [
+        { id: 10, windowId: 1, groupId: 5, pinned: false, url: 'https://a.com', title: 'A', index: 0 },
+        { id: 30, windowId: 1, groupId: -1, pinned: false, url: 'https://c.com', title: 'C', index: 1 },
+      ];
+      mockBrowserState(tabs, groups);
+      const tabMeta = {
+        10: { tabId: 10, windowId: 1, groupId: 5, status: 'gone', isSpecialGroup: false, pinned: false },
+        30: { tabId: 30, windowId: 1, groupId: null, status: 'gone', isSpecialGroup: false, pinned: false },
+      };
+      const windowState = { 1: { specialGroups: { yellow: null, red: null }, groupZones: { 5: 'red' } } };
+      const expected = { 10: tabMeta[10], 30: tabMeta[30] };
+      const gc = makeGoneConfig({ bookmarkEnabled: false, recordClosed: jest.fn() });
+
+      await sortTabsAndGroups(1, tabMeta, windowState, gc);
+
+      expect(gc.recordClosed).toHaveBeenCalledWith('gone', [{ tab: tabs[1], meta: expected[30] }], null);
+      expect(gc.recordClosed).toHaveBeenCalledWith('gone', [{ tab: tabs[0], meta: expected[10] }], groups[0]);
+    });
+
     it('should NOT close a group when only some tabs are gone but group is refreshed', async () => {
       // Tab 10 is gone individually, but tab 20 was refreshed (green).
       // computeGroupStatus returns 'green' → group is NOT gone.
@@ -1527,6 +1588,245 @@ describe('group-sorting', () => {
       expect(gc.bookmarkTab).not.toHaveBeenCalled();
       expect(chrome.tabs.remove).toHaveBeenCalledWith(10);
     });
+
+    it('should hold a protected gone ungrouped tab in the red zone instead of closing it', async () => {
+      const tabs = [
+        { id: 10, windowId: 1, groupId: -1, pinned: false, url: 'https://mail.example.com/inbox', title: 'Mail' },
+      ];
+      mockBrowserState(tabs, []);
+      chrome.tabs.group.mockResolvedValue(60);
+
+      const tabMeta = {
+        10: {
+          tabId: 10, windowId: 1, groupId: null, status: 'gone', isSpecialGroup: false, pinned: false,
+          url: 'https://mail.example.com/inbox',
+        },
+      };
+      const windowState = {
+        1: { specialGroups: { yellow: null, red: null }, groupZones: {} },
+      };
+
+      const gc = makeGoneConfig();
+      const settings = { protectedUrlPatterns: ['mail.example.com'] };
+      const result = await sortTabsAndGroups(1, tabMeta, windowState, gc, settings);
+
+      expect(result.goneTabsClosed).toBe(0);
+      expect(chrome.tabs.remove).not.toHaveBeenCalled();
+      expect(gc.bookmarkTab).not.toHaveBeenCalled();
+      expect(tabMeta[10].status).toBe('red');
+      expect(tabMeta[10].isSpecialGroup).toBe(true);
+    });
+
+    it('should not close a gone group whose title matches a protected group title', async () => {
+      const groups = [
+        { id: 5, windowId: 1, title: 'Reference (3d)', color: 'red' },
+      ];
+      const tabs = [
+        { id: 10, windowId: 1, groupId: 5, pinned: false, url: 'https://a.com', title: 'A' },
+      ];
+      mockBrowserState(tabs, groups);
+
+      const tabMeta = {
+        10: { tabId: 10, windowId: 1, groupId: 5, status: 'gone', isSpecialGroup: false, pinned: false },
+      };
+      const windowState = {
+        1: { specialGroups: { yellow: null, red: null }, groupZones: { 5: 'red' } },
+      };
+
+      const gc = makeGoneConfig();
+      const settings = { protectedGroupTitles: ['Ref*'] };
+      const result = await sortTabsAndGroups(1, tabMeta, windowState, gc, settings);
+
+      expect(result.goneGroupsClosed).toBe(0);
+      expect(chrome.tabs.remove).not.toHaveBeenCalled();
+      expect(gc.bookmarkGroupTabs).not.toHaveBeenCalled();
+      expect(tabMeta[10].status).toBe('red');
+      expect(windowState[1].groupZones[5]).toBe('red');
+    });
+
+    it('should not close a gone group containing a protected tab', async () => {
+      const groups = [
+        { id: 5, windowId: 1, title: 'Work', color: 'red' },
+      ];
+      const tabs = [
+        { id: 10, windowId: 1, groupId: 5, pinned: false, url: 'https://a.com', title: 'A' },
+        { id: 20, windowId: 1, groupId: 5, pinned: false, url: 'https://jira.acme.io/1', title: 'J' },
+      ];
+      mockBrowserState(tabs, groups);
+
+      const tabMeta = {
+        10: { tabId: 10, windowId: 1, groupId: 5, status: 'gone', isSpecialGroup: false, pinned: false, url: 'https://a.com' },
+        20: { tabId: 20, windowId: 1, groupId: 5, status: 'gone', isSpecialGroup: false, pinned: false, url: 'https://jira.acme.io/1' },
+      };
+      const windowState = {
+        1: { specialGroups: { yellow: null, red: null }, groupZones: { 5: 'red' } },
+      };
+
+      const result = await sortTabsAndGroups(1, tabMeta, windowState, makeGoneConfig(), {
+        protectedUrlPatterns: ['*.acme.io'],
+      });
+
+      expect(result.goneGroupsClosed).toBe(0);
+      expect(chrome.tabs.remove).not.toHaveBeenCalled();
+      expect(tabMeta[10]).toBeDefined();
+    });
+
+    it('should hold a gone tab that is playing audio in the red zone', async () => {
+      const tabs = [
+        { id: 10, windowId: 1, groupId: -1, pinned: false, audible: true, url: 'https://pod.example', title: 'Pod' },
+      ];
+      mockBrowserState(tabs, []);
+      chrome.tabs.group.mockResolvedValue(60);
+
+      const tabMeta = {
+        10: { tabId: 10, windowId: 1, groupId: null, status: 'gone', isSpecialGroup: false, pinned: false },
+      };
+      const windowState = {
+        1: { specialGroups: { yellow: null, red: null }, groupZones: {} },
+      };
+
+      const result = await sortTabsAndGroups(1, tabMeta, windowState, makeGoneConfig(), {});
+
+      expect(result.goneTabsClosed).toBe(0);
+      expect(chrome.tabs.remove).not.toHaveBeenCalled();
+      expect(tabMeta[10].status).toBe('red');
+    });
+
+    describe('quiet hours', () => {
+      // Monday 10:00 local time; only Date is faked so async mocks keep working
+      const MONDAY_10AM = new Date(2026, 0, 5, 10, 0);
+      const QUIET_SETTINGS = { quietHours: [{ days: [1], start: '09:00', end: '17:00' }] };
+
+      beforeEach(() => {
+        jest.useFakeTimers({
+          now: MONDAY_10AM,
+          doNotFake: ['setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'setImmediate', 'nextTick', 'queueMicrotask'],
+        });
+      });
+
+      afterEach(() => {
+        jest.useRealTimers();
+      });
+
+      it('should hold a gone ungrouped tab in the red zone and queue it', async () => {
+        const tabs = [
+          { id: 10, windowId: 1, groupId: -1, pinned: false, url: 'https://a.com', title: 'A' },
+        ];
+        mockBrowserState(tabs, []);
+        chrome.tabs.group.mockResolvedValue(60);
+
+        const tabMeta = {
+          10: { tabId: 10, windowId: 1, groupId: null, status: 'gone', isSpecialGroup: false, pinned: false },
+        };
+        const windowState = {
+          1: { specialGroups: { yellow: null, red: null }, groupZones: {} },
+        };
+
+        const result = await sortTabsAndGroups(1, tabMeta, windowState, makeGoneConfig(), QUIET_SETTINGS);
+
+        expect(result.goneTabsClosed).toBe(0);
+        expect(chrome.tabs.remove).not.toHaveBeenCalled();
+        expect(tabMeta[10].status).toBe('red');
+        expect(windowState[1].pendingClose).toEqual({ tabs: [10], groups: [] });
+      });
+
+      it('should hold a gone group in the red zone and queue it', async () => {
+        const groups = [{ id: 5, windowId: 1, title: 'Work', color: 'red' }];
+        const tabs = [
+          { id: 10, windowId: 1, groupId: 5, pinned: false, url: 'https://a.com', title: 'A' },
+        ];
+        mockBrowserState(tabs, groups);
+
+        const tabMeta = {
+          10: { tabId: 10, windowId: 1, groupId: 5, status: 'gone', isSpecialGroup: false, pinned: false },
+        };
+        const windowState = {
+          1: { specialGroups: { yellow: null, red: null }, groupZones: { 5: 'red' } },
+        };
+
+        const gc = makeGoneConfig();
+        const result = await sortTabsAndGroups(1, tabMeta, windowState, gc, QUIET_SETTINGS);
+
+        expect(result.goneGroupsClosed).toBe(0);
+        expect(gc.bookmarkGroupTabs).not.toHaveBeenCalled();
+        expect(tabMeta[10].status).toBe('red');
+        expect(windowState[1].groupZones[5]).toBe('red');
+        expect(windowState[1].pendingClose).toEqual({ tabs: [], groups: [5] });
+      });
+
+      it('should keep tabs queued earlier in quiet hours queued', async () => {
+        const tabs = [
+          { id: 10, windowId: 1, groupId: -1, pinned: false, url: 'https://a.com', title: 'A' },
+          { id: 20, windowId: 1, groupId: -1, pinned: false, url: 'https://b.com', title: 'B' },
+        ];
+        mockBrowserState(tabs, []);
+        chrome.tabs.group.mockResolvedValue(60);
+
+        const tabMeta = {
+          10: { tabId: 10, windowId: 1, groupId: null, status: 'red', isSpecialGroup: false, pinned: false },
+          20: { tabId: 20, windowId: 1, groupId: null, status: 'gone', isSpecialGroup: false, pinned: false },
+        };
+        const windowState = {
+          1: { specialGroups: { yellow: null, red: null }, groupZones: {}, pendingClose: { tabs: [10], groups: [] } },
+        };
+
+        await sortTabsAndGroups(1, tabMeta, windowState, makeGoneConfig(), QUIET_SETTINGS);
+
+        expect(chrome.tabs.remove).not.toHaveBeenCalled();
+        expect(windowState[1].pendingClose).toEqual({ tabs: [10, 20], groups: [] });
+      });
+
+      it('should close queued tabs once quiet hours are over', async () => {
+        const tabs = [
+          { id: 10, windowId: 1, groupId: 60, pinned: false, url: 'https://a.com', title: 'A' },
+          { id: 20, windowId: 1, groupId: -1, pinned: false, url: 'https://b.com', title: 'B' },
+        ];
+        mockBrowserState(tabs, [{ id: 60, windowId: 1, title: 'Red', color: 'red' }]);
+
+        const tabMeta = {
+          10: { tabId: 10, windowId: 1, groupId: 60, status: 'red', isSpecialGroup: true, pinned: false },
+          // Refreshed during quiet hours: no longer red, must stay open
+          20: { tabId: 20, windowId: 1, groupId: null, status: 'green', isSpecialGroup: false, pinned: false },
+        };
+        const windowState = {
+          1: {
+            specialGroups: { yellow: null, red: 60 },
+            groupZones: {},
+            pendingClose: { tabs: [10, 20], groups: [] },
+          },
+        };
+
+        const result = await sortTabsAndGroups(1, tabMeta, windowState, makeGoneConfig(), {
+          quietHours: [{ days: [1], start: '06:00', end: '09:00' }],
+        });
+
+        expect(result.goneTabsClosed).toBe(1);
+        expect(chrome.tabs.remove).toHaveBeenCalledWith(10);
+        expect(chrome.tabs.remove).not.toHaveBeenCalledWith(20);
+        expect(windowState[1].pendingClose).toBeUndefined();
+      });
+    });
+
+    it('should hold gone tabs in a frozen window and queue them', async () => {
+      const tabs = [
+        { id: 10, windowId: 1, groupId: -1, pinned: false, url: 'https://a.com', title: 'A' },
+      ];
+      mockBrowserState(tabs, []);
+      chrome.tabs.group.mockResolvedValue(60);
+
+      const tabMeta = {
+        10: { tabId: 10, windowId: 1, groupId: null, status: 'gone', isSpecialGroup: false, pinned: false },
+      };
+      const windowState = {
+        1: { specialGroups: { yellow: null, red: null }, groupZones: {}, agingProfile: { mode: 'frozen' } },
+      };
+
+      const result = await sortTabsAndGroups(1, tabMeta, windowState, makeGoneConfig(), {});
+
+      expect(result.goneTabsClosed).toBe(0);
+      expect(chrome.tabs.remove).not.toHaveBeenCalled();
+      expect(windowState[1].pendingClose).toEqual({ tabs: [10], groups: [] });
+    });
   });
 
   // ─── v2: Split sorting gate tests ──────────────────────────────────────────
@@ -1714,4 +2014,125 @@ describe('group-sorting', () => {
       expect(result.groupsMoved).toBeGreaterThan(0);
     });
   });
+
+  describe('sortTabsAndGroups – custom lifecycle stages', () => {
+    const settings = {
+      tabgroupColoringEnabled: true,
+      customStagesEnabled: true,
+      lifecycleStages: [
+        { name: 'Fresh', color: 'blue' },
+        { name: 'Warm', color: 'cyan', after: 1000 },
+        { name: 'Cooling', color: 'orange', after: 2000 },
+        { name: 'Cold', color: 'grey', after: 3000, groupName: 'Cold' },
+      ],
+    };
+
+    it('should move a tab into a special group for a fourth stage', async () => {
+      const tabs = [{ id: 10, windowId: 1, groupId: -1, pinned: false }];
+      mockBrowserState(tabs, []);
+      chrome.tabs.group.mockResolvedValueOnce(100);
+
+      const tabMeta = {
+        10: { tabId: 10, windowId: 1, groupId: null, status: 'stage-3', isSpecialGroup: false, pinned: false },
+      };
+      const windowState = {
+        1: { specialGroups: { yellow: null, red: null }, groupZones: {} },
+      };
+
+      const result = await sortTabsAndGroups(1, tabMeta, windowState, undefined, settings);
+
+      expect(result.tabsMoved).toBe(1);
+      expect(windowState[1].specialGroups['stage-3']).toBe(100);
+      expect(chrome.tabGroups.update).toHaveBeenCalledWith(100, expect.objectContaining({ title: 'Cold', color: 'grey' }));
+      expect(tabMeta[10]).toMatchObject({ groupId: 100, isSpecialGroup: true });
+    });
+
+    it('should sort and color user groups by stage position', async () => {
+      const groups = [
+        { id: 1, windowId: 1, title: 'A', color: 'blue' },
+        { id: 2, windowId: 1, title: 'B', color: 'blue' },
+      ];
+      const tabs = [
+        { id: 10, windowId: 1, groupId: 1, pinned: false },
+        { id: 20, windowId: 1, groupId: 2, pinned: false },
+      ];
+      mockBrowserState(tabs, groups);
+
+      const tabMeta = {
+        10: { tabId: 10, windowId: 1, groupId: 1, status: 'stage-3', isSpecialGroup: false, pinned: false },
+        20: { tabId: 20, windowId: 1, groupId: 2, status: 'red', isSpecialGroup: false, pinned: false },
+      };
+      const windowState = {
+        1: { specialGroups: { yellow: null, red: null }, groupZones: {} },
+      };
+
+      const result = await sortTabsAndGroups(1, tabMeta, windowState, undefined, settings);
+
+      expect(result.groupsMoved).toBeGreaterThan(0);
+      expect(windowState[1].groupZones).toEqual({ 1: 'stage-3', 2: 'red' });
+      expect(chrome.tabGroups.update).toHaveBeenCalledWith(1, { color: 'grey' });
+      expect(chrome.tabGroups.update).toHaveBeenCalledWith(2, { color: 'orange' });
+    });
+  });
+
+  describe('sortTabsAndGroups – dry run', () => {
+    it('should record what it would do instead of doing it', async () => {
+      const groups = [
+        { id: 5, windowId: 1, title: 'Old', color: 'red' },
+        { id: 6, windowId: 1, title: 'B', color: 'green' },
+        { id: 7, windowId: 1, title: 'C', color: 'green' },
+      ];
+      const tabs = [
+        { id: 10, windowId: 1, groupId: -1, pinned: false, url: 'https://a.com', title: 'A' },
+        { id: 11, windowId: 1, groupId: -1, pinned: false, url: 'https://b.com', title: 'B' },
+        { id: 20, windowId: 1, groupId: 5, pinned: false, url: 'https://c.com', title: 'C' },
+        { id: 30, windowId: 1, groupId: 6, pinned: false, url: 'https://d.com', title: 'D' },
+        { id: 40, windowId: 1, groupId: 7, pinned: false, url: 'https://e.com', title: 'E' },
+      ];
+      mockBrowserState(tabs, groups);
+
+      const meta = (tabId, groupId, status) => ({
+        tabId, windowId: 1, groupId, status, isSpecialGroup: false, pinned: false,
+      });
+      const tabMeta = {
+        10: meta(10, null, 'gone'),
+        11: meta(11, null, 'yellow'),
+        20: meta(20, 5, 'gone'),
+        30: meta(30, 6, 'yellow'),
+        40: meta(40, 7, 'green'),
+      };
+      const windowState = {
+        1: { specialGroups: { yellow: null, red: null }, groupZones: { 5: 'red', 6: 'green', 7: 'green' } },
+      };
+      const goneConfig = {
+        bookmarkEnabled: true,
+        bookmarkFolderId: null,
+        bookmarkTab: jest.fn(),
+        bookmarkGroupTabs: jest.fn(),
+        isBookmarkableUrl: () => true,
+      };
+      const report = { createdAt: 1, transitions: [], actions: [] };
+
+      const result = await sortTabsAndGroups(1, tabMeta, windowState, goneConfig, {}, report);
+
+      expect(report.actions).toEqual(expect.arrayContaining([
+        expect.objectContaining({ type: 'closeTab', tabId: 10, reason: 'gone', bookmark: true }),
+        expect.objectContaining({ type: 'moveToSpecialGroup', tabId: 11, stage: 'yellow' }),
+        expect.objectContaining({ type: 'closeGroup', groupId: 5, title: 'Old', tabIds: [20] }),
+        expect.objectContaining({ type: 'setGroupColor', groupId: 6, color: 'yellow' }),
+        expect.objectContaining({ type: 'reorderGroups', windowId: 1 }),
+      ]));
+      expect(report.actions.some((a) => a.type === 'setGroupColor' && a.groupId === 7)).toBe(false);
+      expect(chrome.tabs.remove).not.toHaveBeenCalled();
+      expect(chrome.tabs.group).not.toHaveBeenCalled();
+      expect(chrome.tabGroups.move).not.toHaveBeenCalled();
+      expect(chrome.tabGroups.update).not.toHaveBeenCalled();
+      expect(goneConfig.bookmarkTab).not.toHaveBeenCalled();
+      expect(goneConfig.bookmarkGroupTabs).not.toHaveBeenCalled();
+      expect(tabMeta[10]).toBeDefined();
+      expect(tabMeta[20]).toBeDefined();
+      expect(tabMeta[11].groupId).toBeNull();
+      expect(result).toMatchObject({ tabsMoved: 0, goneTabsClosed: 0, goneGroupsClosed: 0 });
+    });
+  });
 });
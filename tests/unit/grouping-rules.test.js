@@ -0,0 +1,97 @@
+import { jest } from '@jest/globals';
+
+globalThis.chrome = {
+  tabs: {
+    group: jest.fn(async (opts) => opts.groupId || 40),
+  },
+  tabGroups: {
+    query: jest.fn(async () => []),
+    update: jest.fn(async () => {}),
+  },
+};
+
+const { findGroupingRule, applyGroupingRule } = await import('../../src/background/grouping-rules.js');
+const {
+  isExtensionCreatedGroup, consumeExpectedExtensionTitleUpdate, consumeExpectedExtensionColorUpdate,
+} = await import('../../src/background/group-manager.js');
+
+describe('grouping-rules', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('findGroupingRule', () => {
+    const rules = [
+      { pattern: 'mail.example.com', action: 'exclude' },
+      { pattern: '^https://[^/]+\\.atlassian\\.net/browse/', regex: true, action: 'group', title: 'Tickets' },
+      { pattern: '*.example.com', action: 'group', title: 'Example' },
+    ];
+
+    it('should return the first rule matching the URL', () => {
+      expect(findGroupingRule(rules, 'https://mail.example.com/inbox')).toBe(rules[0]);
+      expect(findGroupingRule(rules, 'https://docs.example.com/')).toBe(rules[2]);
+      expect(findGroupingRule(rules, 'https://other.org/')).toBeNull();
+      expect(findGroupingRule(undefined, 'https://docs.example.com/')).toBeNull();
+    });
+
+    it('should match regular expressions case-insensitively against the full URL', () => {
+      expect(findGroupingRule(rules, 'https://ACME.atlassian.net/browse/OPS-1')).toBe(rules[1]);
+      expect(findGroupingRule(rules, 'https://acme.atlassian.net/wiki/')).toBeNull();
+    });
+
+    it('should apply exclude rules to the URL of the opener too', () => {
+      expect(findGroupingRule(rules, 'https://other.org/', 'https://mail.example.com/inbox')).toBe(rules[0]);
+      expect(findGroupingRule(rules, 'https://other.org/', 'https://docs.example.com/')).toBeNull();
+    });
+  });
+
+  describe('applyGroupingRule', () => {
+    const rule = { pattern: '*.example.com', action: 'group', title: 'Example', color: 'cyan' };
+    const windowState = { 1: { specialGroups: { yellow: 50, red: null }, groupZones: {} } };
+
+    function meta() {
+      return { 20: { tabId: 20, windowId: 1, groupId: 50, isSpecialGroup: true } };
+    }
+
+    it('should reuse the user group of the rule title', async () => {
+      chrome.tabGroups.query.mockResolvedValueOnce([
+        { id: 50, title: 'Example' }, // special group of the same name
+        { id: 30, title: 'example ⏸ (3h)' },
+      ]);
+      const tabMeta = meta();
+
+      expect(await applyGroupingRule(20, rule, 1, tabMeta, windowState)).toBe(30);
+      expect(chrome.tabs.group).toHaveBeenCalledWith({ tabIds: [20], groupId: 30 });
+      expect(chrome.tabGroups.update).not.toHaveBeenCalled();
+      expect(tabMeta[20]).toMatchObject({ groupId: 30, isSpecialGroup: false });
+    });
+
+    it('should create the group with the rule title and color', async () => {
+      const tabMeta = meta();
+
+      expect(await applyGroupingRule(20, rule, 1, tabMeta, windowState)).toBe(40);
+      expect(chrome.tabs.group).toHaveBeenCalledWith({ tabIds: [20], createProperties: { windowId: 1 } });
+      expect(chrome.tabGroups.update).toHaveBeenCalledWith(40, { title: 'Example', color: 'cyan' });
+      expect(isExtensionCreatedGroup(40)).toBe(true);
+      // The resulting tabGroups.onUpdated is recognised as the extension's own write
+      expect(consumeExpectedExtensionTitleUpdate(40, 'Example')).toBe(true);
+      expect(consumeExpectedExtensionColorUpdate(40, 'cyan')).toBe(true);
+    });
+
+    it('should not regroup a tab already in the group', async () => {
+      chrome.tabGroups.query.mockResolvedValueOnce([{ id: 30, title: 'Example' }]);
+      const tabMeta = { 20: { tabId: 20, windowId: 1, groupId: 30, isSpecialGroup: false } };
+
+      expect(await applyGroupingRule(20, rule, 1, tabMeta, windowState)).toBe(30);
+      expect(chrome.tabs.group).not.toHaveBeenCalled();
+    });
+
+    it('should return null when grouping fails', async () => {
+      chrome.tabs.group.mockRejectedValueOnce(new Error('No tab with id: 20'));
+      const tabMeta = meta();
+
+      expect(await applyGroupingRule(20, rule, 1, tabMeta, windowState)).toBeNull();
+      expect(tabMeta[20].groupId).toBe(50);
+    });
+  });
+});
@@ -0,0 +1,177 @@
+const {
+  stageId,
+  stageIndex,
+  isStageId,
+  classicLifecycleStages,
+  resolveLifecycle,
+  overrideTransitions,
+  scaleLifecycle,
+  getStage,
+  lastStageId,
+  stageRank,
+  setStageGroupName,
+} = await import('../../src/shared/lifecycle.js');
+const { DEFAULT_THRESHOLDS } = await import('../../src/shared/constants.js');
+
+const HOUR = 60 * 60 * 1000;
+
+const customSettings = (overrides = {}) => ({
+  thresholds: { greenToYellow: 4 * HOUR, yellowToRed: 8 * HOUR, redToGone: 24 * HOUR },
+  customStagesEnabled: true,
+  lifecycleStages: [
+    { name: 'Fresh', color: 'blue' },
+    { name: 'Warm', color: 'cyan', after: HOUR, groupName: 'Warm' },
+    { name: 'Cooling', color: 'orange', after: 2 * HOUR, groupName: '' },
+    { name: 'Cold', color: 'grey', after: 6 * HOUR, groupName: 'Cold' },
+  ],
+  ...overrides,
+});
+
+describe('lifecycle', () => {
+  describe('stage ids', () => {
+    it('should keep the classic ids for the first three stages', () => {
+      expect([0, 1, 2, 3, 7].map(stageId)).toEqual(['green', 'yellow', 'red', 'stage-3', 'stage-7']);
+    });
+
+    it('should map ids back to positions', () => {
+      expect(stageIndex('green')).toBe(0);
+      expect(stageIndex('red')).toBe(2);
+      expect(stageIndex('stage-3')).toBe(3);
+      expect(stageIndex('stage-12')).toBe(12);
+    });
+
+    it('should not treat gone or malformed ids as stages', () => {
+      for (const id of ['gone', 'stage-1', 'stage-03', 'blue', null, 3]) {
+        expect(isStageId(id)).toBe(false);
+      }
+    });
+  });
+
+  describe('resolveLifecycle', () => {
+    it('should resolve the classic lifecycle from legacy settings', () => {
+      const lifecycle = resolveLifecycle({
+        thresholds: { greenToYellow: HOUR, yellowToRed: 2 * HOUR, redToGone: 3 * HOUR },
+        yellowToRedEnabled: false,
+        yellowGroupName: 'Later',
+      });
+
+      expect(lifecycle.stages.map((s) => [s.id, s.color, s.after, s.enabled, s.groupName])).toEqual([
+        ['green', 'green', 0, true, ''],
+        ['yellow', 'yellow', HOUR, true, 'Later'],
+        ['red', 'red', 2 * HOUR, false, ''],
+      ]);
+      expect(lifecycle.goneAfter).toBe(3 * HOUR);
+      expect(lifecycle.goneEnabled).toBe(true);
+    });
+
+    it('should fall back to default thresholds without settings', () => {
+      const lifecycle = resolveLifecycle();
+      expect(lifecycle.stages[1].after).toBe(DEFAULT_THRESHOLDS.GREEN_TO_YELLOW);
+      expect(lifecycle.goneAfter).toBe(DEFAULT_THRESHOLDS.RED_TO_GONE);
+    });
+
+    it('should use the custom stage list when enabled', () => {
+      const lifecycle = resolveLifecycle(customSettings({ greenToYellowEnabled: false }));
+
+      expect(lifecycle.stages.map((s) => s.id)).toEqual(['green', 'yellow', 'red', 'stage-3']);
+      expect(lifecycle.stages.map((s) => s.color)).toEqual(['blue', 'cyan', 'orange', 'grey']);
+      // Classic toggles do not apply to custom stages
+      expect(lifecycle.stages.every((s) => s.enabled)).toBe(true);
+      expect(lastStageId(lifecycle)).toBe('stage-3');
+    });
+
+    it('should ignore a stored stage list while custom stages are off', () => {
+      const lifecycle = resolveLifecycle(customSettings({ customStagesEnabled: false }));
+      expect(lifecycle.stages).toHaveLength(3);
+      expect(lifecycle.stages[1].after).toBe(4 * HOUR);
+    });
+  });
+
+  describe('overrideTransitions', () => {
+    it('should replace the first two transitions and gone, keeping later stages', () => {
+      const lifecycle = overrideTransitions(
+        resolveLifecycle(customSettings()),
+        { greenToYellow: 10, yellowToRed: 20, redToGone: 12 * HOUR },
+        { yellowToRedEnabled: false },
+      );
+
+      expect(lifecycle.stages.map((s) => [s.after, s.enabled])).toEqual([
+        [0, true], [10, true], [20, false], [6 * HOUR, true],
+      ]);
+      expect(lifecycle.goneAfter).toBe(12 * HOUR);
+    });
+
+    it('should start later stages no later than the new gone time', () => {
+      const lifecycle = overrideTransitions(
+        resolveLifecycle(customSettings()),
+        { greenToYellow: 10, yellowToRed: 20, redToGone: 30 },
+      );
+
+      expect(lifecycle.stages.map((s) => s.after)).toEqual([0, 10, 20, 30]);
+      expect(lifecycle.goneAfter).toBe(30);
+    });
+  });
+
+  describe('scaleLifecycle', () => {
+    it('should multiply every transition time and keep the rest', () => {
+      const lifecycle = scaleLifecycle(resolveLifecycle(customSettings()), 2);
+      expect(lifecycle.stages.map((s) => s.after)).toEqual([0, 2 * HOUR, 4 * HOUR, 12 * HOUR]);
+      expect(lifecycle.stages[3].name).toBe('Cold');
+      expect(lifecycle.goneAfter).toBe(48 * HOUR);
+      expect(lifecycle.goneEnabled).toBe(true);
+    });
+  });
+
+  describe('stageRank', () => {
+    const lifecycle = resolveLifecycle(customSettings());
+
+    it('should rank stages by position and gone last', () => {
+      expect(stageRank(lifecycle, 'green')).toBe(0);
+      expect(stageRank(lifecycle, 'stage-3')).toBe(3);
+      expect(stageRank(lifecycle, 'gone')).toBe(4);
+    });
+
+    it('should rank statuses of removed stages as the last stage', () => {
+      expect(stageRank(resolveLifecycle(), 'stage-3')).toBe(2);
+      expect(stageRank(resolveLifecycle(), 'bogus')).toBe(2);
+    });
+
+    it('should return null for stages outside the lifecycle', () => {
+      expect(getStage(resolveLifecycle(), 'stage-3')).toBeNull();
+      expect(getStage(lifecycle, 'stage-3').name).toBe('Cold');
+    });
+  });
+
+  describe('classicLifecycleStages', () => {
+    it('should carry over thresholds and group names', () => {
+      expect(classicLifecycleStages({
+        thresholds: { greenToYellow: HOUR, yellowToRed: 2 * HOUR },
+        redGroupName: 'Old',
+      })).toEqual([
+        { name: 'Green', color: 'green' },
+        { name: 'Yellow', color: 'yellow', after: HOUR, groupName: '' },
+        { name: 'Red', color: 'red', after: 2 * HOUR, groupName: 'Old' },
+      ]);
+    });
+  });
+
+  describe('setStageGroupName', () => {
+    it('should write classic group names to the legacy keys', () => {
+      const settings = { redGroupName: '' };
+      expect(setStageGroupName(settings, 'red', 'Old')).toBe(true);
+      expect(settings.redGroupName).toBe('Old');
+      expect(setStageGroupName(settings, 'red', 'Old')).toBe(false);
+    });
+
+    it('should write custom group names to the stage', () => {
+      const settings = customSettings();
+      expect(setStageGroupName(settings, 'stage-3', 'Freezer')).toBe(true);
+      expect(settings.lifecycleStages[3].groupName).toBe('Freezer');
+    });
+
+    it('should ignore the fresh stage and unknown stages', () => {
+      expect(setStageGroupName({}, 'green', 'x')).toBe(false);
+      expect(setStageGroupName({}, 'stage-3', 'x')).toBe(false);
+    });
+  });
+});
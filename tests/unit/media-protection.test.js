@@ -0,0 +1,92 @@
+import {
+  getMediaSignals,
+  isMediaProtected,
+  isMediaFrozen,
+  applyMediaFreeze,
+  copyMediaFreeze,
+} from '../../src/background/media-protection.js';
+
+describe('media-protection', () => {
+  const NOW = 1_000_000;
+
+  function makeMeta(overrides = {}) {
+    return {
+      tabId: 1, windowId: 1, refreshActiveTime: 1000, refreshWallTime: NOW - 5000,
+      status: 'yellow', groupId: null, isSpecialGroup: false, pinned: false, ...overrides,
+    };
+  }
+
+  describe('getMediaSignals', () => {
+    it('should report audible tabs by default', () => {
+      expect(getMediaSignals({ audible: true }, {})).toEqual(['audible']);
+      expect(isMediaProtected({ audible: false }, {})).toBe(false);
+    });
+
+    it('should report muted tabs only when enabled', () => {
+      const tab = { audible: false, mutedInfo: { muted: true } };
+      expect(isMediaProtected(tab, {})).toBe(false);
+      expect(getMediaSignals(tab, { freezeMutedTabs: true })).toEqual(['muted']);
+    });
+
+    it('should honor a disabled audible signal', () => {
+      expect(isMediaProtected({ audible: true }, { freezeAudibleTabs: false })).toBe(false);
+    });
+  });
+
+  describe('applyMediaFreeze', () => {
+    it('should freeze an audible tab and resume it from the same age', () => {
+      const tabMeta = { 1: makeMeta() };
+
+      const started = applyMediaFreeze(tabMeta, [{ id: 1, audible: true }], {}, 4000, NOW);
+      expect(started.frozen).toEqual([1]);
+      expect(isMediaFrozen(tabMeta[1])).toBe(true);
+
+      // 6s of active time and 10s of wall time pass while playing
+      const ended = applyMediaFreeze(tabMeta, [{ id: 1, audible: false }], {}, 10_000, NOW + 10_000);
+      expect(ended.released).toEqual([1]);
+      expect(isMediaFrozen(tabMeta[1])).toBe(false);
+      expect(10_000 - tabMeta[1].refreshActiveTime).toBe(3000);
+      expect(NOW + 10_000 - tabMeta[1].refreshWallTime).toBe(5000);
+    });
+
+    it('should not restart a freeze that is already running', () => {
+      const tabMeta = { 1: makeMeta() };
+      applyMediaFreeze(tabMeta, [{ id: 1, audible: true }], {}, 4000, NOW);
+      const again = applyMediaFreeze(tabMeta, [{ id: 1, audible: true }], {}, 8000, NOW + 4000);
+      expect(again.frozen).toEqual([]);
+      expect(tabMeta[1].mediaFrozenAtActiveTime).toBe(4000);
+    });
+
+    it('should freeze every tab of a user group with a protected member', () => {
+      const tabMeta = {
+        1: makeMeta({ tabId: 1, groupId: 5 }),
+        2: makeMeta({ tabId: 2, groupId: 5 }),
+        3: makeMeta({ tabId: 3, groupId: 6 }),
+      };
+      const result = applyMediaFreeze(tabMeta, [{ id: 1, audible: true }, { id: 2 }, { id: 3 }], {}, 4000, NOW);
+      expect(result.frozen.sort()).toEqual([1, 2]);
+      expect(isMediaFrozen(tabMeta[3])).toBe(false);
+    });
+
+    it('should not spread a freeze through special groups', () => {
+      const tabMeta = {
+        1: makeMeta({ tabId: 1, groupId: 60, isSpecialGroup: true }),
+        2: makeMeta({ tabId: 2, groupId: 60, isSpecialGroup: true }),
+      };
+      const result = applyMediaFreeze(tabMeta, [{ id: 1, audible: true }, { id: 2 }], {}, 4000, NOW);
+      expect(result.frozen).toEqual([1]);
+    });
+  });
+
+  describe('copyMediaFreeze', () => {
+    it('should copy a running freeze only', () => {
+      const target = makeMeta({ tabId: 2 });
+      copyMediaFreeze(makeMeta(), target);
+      expect(isMediaFrozen(target)).toBe(false);
+
+      copyMediaFreeze(makeMeta({ mediaFrozenAtActiveTime: 10, mediaFrozenAtWallTime: NOW }), target);
+      expect(target.mediaFrozenAtActiveTime).toBe(10);
+      expect(target.mediaFrozenAtWallTime).toBe(NOW);
+    });
+  });
+});
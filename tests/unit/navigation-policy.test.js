@@ -0,0 +1,88 @@
+const {
+  NAVIGATION_SOURCE,
+  classifyNavigation,
+  resetsAge,
+  attributeNavigation,
+} = await import('../../src/background/navigation-policy.js');
+
+describe('navigation-policy', () => {
+  describe('classifyNavigation', () => {
+    const commit = (from, to, transitionType = 'link') => classifyNavigation(from, to, NAVIGATION_SOURCE.COMMITTED, transitionType);
+
+    it('should tell committed navigations apart by what changed', () => {
+      expect(commit('https://example.com/a', 'https://other.org/a')).toBe('crossOrigin');
+      expect(commit('http://example.com/a', 'https://example.com/a')).toBe('crossOrigin');
+      expect(commit('https://example.com/a', 'https://example.com/b')).toBe('path');
+      expect(commit('https://example.com/a?p=1', 'https://example.com/a?p=2#top')).toBe('query');
+      expect(commit('https://example.com/a', 'https://example.com/a#top')).toBe('hash');
+    });
+
+    it('should treat loads from no or an unknown URL as cross-origin', () => {
+      expect(commit('', 'https://example.com/')).toBe('crossOrigin');
+      expect(commit('chrome://newtab/', 'https://example.com/')).toBe('crossOrigin');
+    });
+
+    it('should classify reloads by transition type', () => {
+      expect(commit('https://example.com/a', 'https://example.com/a', 'reload')).toBe('reload');
+      expect(commit('https://example.com/a', 'https://example.com/a')).toBeNull();
+    });
+
+    it('should classify History API and fragment events', () => {
+      expect(classifyNavigation('https://example.com/a', 'https://example.com/b', NAVIGATION_SOURCE.HISTORY_STATE))
+        .toBe('pushState');
+      expect(classifyNavigation('https://example.com/a', 'https://example.com/a#x', NAVIGATION_SOURCE.HISTORY_STATE))
+        .toBe('hash');
+      expect(classifyNavigation('https://example.com/a', 'https://example.com/a#x', NAVIGATION_SOURCE.FRAGMENT))
+        .toBe('hash');
+    });
+  });
+
+  describe('resetsAge', () => {
+    it('should reset on every kind but hash changes and reloads by default', () => {
+      for (const kind of ['crossOrigin', 'path', 'query', 'pushState']) {
+        expect(resetsAge(kind, 'https://example.com/', {})).toBe(true);
+      }
+      expect(resetsAge('hash', 'https://example.com/', {})).toBe(false);
+      expect(resetsAge('reload', 'https://example.com/', {})).toBe(false);
+    });
+
+    it('should follow the global toggles', () => {
+      const settings = { resetOnHashChange: true, resetOnReload: true };
+      expect(resetsAge('hash', 'https://example.com/', settings)).toBe(true);
+      expect(resetsAge('reload', 'https://example.com/', settings)).toBe(true);
+    });
+
+    it('should let the first matching rule override the global toggles', () => {
+      const settings = {
+        resetOnPushState: false,
+        navigationResetRules: [
+          { pattern: '*.example.com', resetOnPushState: true },
+          { pattern: 'app.example.com', resetOnPushState: false, resetOnQueryChange: false },
+        ],
+      };
+      expect(resetsAge('pushState', 'https://app.example.com/', settings)).toBe(true);
+      expect(resetsAge('query', 'https://app.example.com/', settings)).toBe(true);
+      expect(resetsAge('pushState', 'https://other.org/', settings)).toBe(false);
+    });
+  });
+
+  describe('attributeNavigation', () => {
+    it('should put anything in the tab being looked at down to the user', () => {
+      expect(attributeNavigation({ tabActive: true, windowFocused: true, transitionType: 'reload' })).toBe('focusedTab');
+    });
+
+    it('should ignore pages navigating themselves in the background', () => {
+      expect(attributeNavigation({ tabActive: false, windowFocused: true, transitionType: 'reload' })).toBeNull();
+      expect(attributeNavigation({ tabActive: true, windowFocused: false, transitionType: 'link' })).toBeNull();
+      expect(attributeNavigation({ transitionType: 'link', transitionQualifiers: ['client_redirect'] })).toBeNull();
+      expect(attributeNavigation({})).toBeNull();
+    });
+
+    it('should recognise navigations started from the browser UI', () => {
+      expect(attributeNavigation({ transitionType: 'typed' })).toBe('transitionType');
+      expect(attributeNavigation({ transitionType: 'auto_bookmark' })).toBe('transitionType');
+      expect(attributeNavigation({ transitionType: 'link', transitionQualifiers: ['forward_back'] }))
+        .toBe('transitionQualifier');
+    });
+  });
+});
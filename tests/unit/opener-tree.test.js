@@ -0,0 +1,68 @@
+const {
+  isOpenerKeepAliveEnabled,
+  getOpenedTabIds,
+  reparentOpenedTabs,
+  remapOpenerTree,
+} = await import('../../src/background/opener-tree.js');
+
+describe('opener-tree', () => {
+  function meta(tabId, openerTabId) {
+    const entry = { tabId, windowId: 1, url: `https://example.com/${tabId}` };
+    if (openerTabId !== undefined) entry.openerTabId = openerTabId;
+    return entry;
+  }
+
+  it('should leave the opener alone on refresh by default', () => {
+    expect(isOpenerKeepAliveEnabled({})).toBe(false);
+    expect(isOpenerKeepAliveEnabled({ refreshKeepsOpenerAlive: true })).toBe(true);
+  });
+
+  describe('getOpenedTabIds', () => {
+    it('should return every descendant, nearest first', () => {
+      const tabMeta = { 1: meta(1), 2: meta(2, 1), 3: meta(3, 2), 4: meta(4, 1), 5: meta(5) };
+      expect(getOpenedTabIds(1, tabMeta)).toEqual([2, 4, 3]);
+      expect(getOpenedTabIds(3, tabMeta)).toEqual([]);
+    });
+
+    it('should not loop on a cycle', () => {
+      const tabMeta = { 1: meta(1, 2), 2: meta(2, 1) };
+      expect(getOpenedTabIds(1, tabMeta)).toEqual([2]);
+    });
+  });
+
+  describe('reparentOpenedTabs', () => {
+    it('should hand the children of a closed tab to its opener', () => {
+      const removed = meta(2, 1);
+      const tabMeta = { 1: meta(1), 3: meta(3, 2), 4: meta(4, 1) };
+      reparentOpenedTabs(removed, tabMeta);
+      expect(tabMeta[3].openerTabId).toBe(1);
+      expect(tabMeta[4].openerTabId).toBe(1);
+    });
+
+    it('should make the children of a root tab roots', () => {
+      const tabMeta = { 3: meta(3, 2) };
+      reparentOpenedTabs(meta(2), tabMeta);
+      expect(tabMeta[3]).not.toHaveProperty('openerTabId');
+    });
+  });
+
+  describe('remapOpenerTree', () => {
+    it('should point openers at the new tab IDs', () => {
+      const tabMeta = { 11: meta(11), 12: meta(12, 1), 13: meta(13, 2) };
+      remapOpenerTree(tabMeta, new Map([[1, 11], [2, 12]]));
+      expect(tabMeta[12].openerTabId).toBe(11);
+      expect(tabMeta[13].openerTabId).toBe(12);
+    });
+
+    it('should drop openers that are gone, untracked or the tab itself', () => {
+      const tabMeta = { 1: meta(1, 7), 2: meta(2, 2), 3: meta(3, 1) };
+      remapOpenerTree(tabMeta);
+      expect(tabMeta[1]).not.toHaveProperty('openerTabId');
+      expect(tabMeta[2]).not.toHaveProperty('openerTabId');
+      expect(tabMeta[3].openerTabId).toBe(1);
+
+      remapOpenerTree(tabMeta, new Map([[3, 3]]));
+      expect(tabMeta[3]).not.toHaveProperty('openerTabId');
+    });
+  });
+});
@@ -0,0 +1,57 @@
+import { isProtectedUrl, isProtectedGroupName, canCloseEarly } from '../../src/background/protection.js';
+
+describe('protection', () => {
+  describe('isProtectedUrl', () => {
+    const settings = { protectedUrlPatterns: ['mail.google.com', 'github.com/acme/*'] };
+
+    it('should match hostname and URL globs', () => {
+      expect(isProtectedUrl('https://mail.google.com/mail/u/0', settings)).toBe(true);
+      expect(isProtectedUrl('https://github.com/acme/repo', settings)).toBe(true);
+      expect(isProtectedUrl('https://github.com/other/repo', settings)).toBe(false);
+    });
+
+    it('should be false without patterns or URL', () => {
+      expect(isProtectedUrl('https://mail.google.com/', {})).toBe(false);
+      expect(isProtectedUrl(undefined, settings)).toBe(false);
+      expect(isProtectedUrl('https://mail.google.com/', undefined)).toBe(false);
+    });
+  });
+
+  describe('isProtectedGroupName', () => {
+    const settings = { protectedGroupTitles: ['Reference', 'Project *'] };
+
+    it('should match titles case-insensitively with globs', () => {
+      expect(isProtectedGroupName('reference', settings)).toBe(true);
+      expect(isProtectedGroupName('Project Apollo', settings)).toBe(true);
+      expect(isProtectedGroupName('References', settings)).toBe(false);
+    });
+
+    it('should be false for empty titles', () => {
+      expect(isProtectedGroupName('', settings)).toBe(false);
+      expect(isProtectedGroupName(undefined, settings)).toBe(false);
+    });
+  });
+
+  describe('canCloseEarly', () => {
+    const meta = { tabId: 1, windowId: 1, groupId: null, pinned: false, url: 'https://example.com/' };
+    const tab = { id: 1, windowId: 1, url: 'https://example.com/' };
+
+    it('should allow plain background tabs', () => {
+      expect(canCloseEarly(tab, meta, {})).toBe(true);
+    });
+
+    it('should leave tabs in view, pinned or playing', () => {
+      expect(canCloseEarly({ ...tab, active: true }, meta, {})).toBe(false);
+      expect(canCloseEarly({ ...tab, pinned: true }, meta, {})).toBe(false);
+      expect(canCloseEarly({ ...tab, audible: true }, meta, {})).toBe(false);
+    });
+
+    it('should leave protected, snoozed and frozen tabs', () => {
+      expect(canCloseEarly(tab, meta, { protectedUrlPatterns: ['example.com'] })).toBe(false);
+      expect(canCloseEarly(tab, { ...meta, groupId: 5 }, {}, {}, new Set([5]))).toBe(false);
+      expect(canCloseEarly(tab, { ...meta, snoozeUntil: Date.now() + 60_000 }, {})).toBe(false);
+      expect(canCloseEarly(tab, meta, {}, { 1: { agingProfile: { mode: 'frozen' } } })).toBe(false);
+      expect(canCloseEarly(tab, { ...meta, groupFrozenAtActiveTime: 0, groupFrozenAtWallTime: 0 }, {})).toBe(false);
+    });
+  });
+});
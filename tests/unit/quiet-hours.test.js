@@ -0,0 +1,72 @@
+const {
+  parseTimeOfDay,
+  isValidWeekday,
+  isWithinQuietHours,
+} = await import('../../src/shared/quiet-hours.js');
+
+// 2026-01-05 is a Monday
+const at = (day, hours, minutes = 0) => new Date(2026, 0, 4 + day, hours, minutes);
+
+describe('quiet-hours', () => {
+  describe('parseTimeOfDay', () => {
+    it('should parse HH:MM into minutes after midnight', () => {
+      expect(parseTimeOfDay('00:00')).toBe(0);
+      expect(parseTimeOfDay('09:30')).toBe(570);
+      expect(parseTimeOfDay('23:59')).toBe(1439);
+    });
+
+    it('should reject malformed times', () => {
+      expect(parseTimeOfDay('24:00')).toBeNull();
+      expect(parseTimeOfDay('9:30')).toBeNull();
+      expect(parseTimeOfDay(930)).toBeNull();
+    });
+  });
+
+  describe('isValidWeekday', () => {
+    it('should accept 0-6 only', () => {
+      expect(isValidWeekday(0)).toBe(true);
+      expect(isValidWeekday(6)).toBe(true);
+      expect(isValidWeekday(7)).toBe(false);
+      expect(isValidWeekday('1')).toBe(false);
+    });
+  });
+
+  describe('isWithinQuietHours', () => {
+    const workdays = [{ days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00' }];
+
+    it('should be false without ranges', () => {
+      expect(isWithinQuietHours([], at(1, 10))).toBe(false);
+      expect(isWithinQuietHours(undefined, at(1, 10))).toBe(false);
+    });
+
+    it('should match same-day ranges with an exclusive end', () => {
+      expect(isWithinQuietHours(workdays, at(1, 9))).toBe(true);
+      expect(isWithinQuietHours(workdays, at(1, 16, 59))).toBe(true);
+      expect(isWithinQuietHours(workdays, at(1, 17))).toBe(false);
+      expect(isWithinQuietHours(workdays, at(1, 8, 59))).toBe(false);
+    });
+
+    it('should only match the listed days', () => {
+      expect(isWithinQuietHours(workdays, at(6, 10))).toBe(false);
+      expect(isWithinQuietHours(workdays, at(7, 10))).toBe(false);
+    });
+
+    it('should carry overnight ranges into the next day', () => {
+      const friNight = [{ days: [5], start: '22:00', end: '06:00' }];
+      expect(isWithinQuietHours(friNight, at(5, 23))).toBe(true);
+      expect(isWithinQuietHours(friNight, at(6, 5, 59))).toBe(true);
+      expect(isWithinQuietHours(friNight, at(6, 6))).toBe(false);
+      expect(isWithinQuietHours(friNight, at(5, 5))).toBe(false);
+    });
+
+    it('should wrap from Saturday night into Sunday morning', () => {
+      const satNight = [{ days: [6], start: '23:00', end: '02:00' }];
+      expect(isWithinQuietHours(satNight, at(7, 1))).toBe(true);
+    });
+
+    it('should ignore malformed ranges', () => {
+      expect(isWithinQuietHours([{ days: [1], start: 'nine', end: '17:00' }], at(1, 10))).toBe(false);
+      expect(isWithinQuietHours([null], at(1, 10))).toBe(false);
+    });
+  });
+});
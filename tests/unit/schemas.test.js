@@ -4,6 +4,9 @@ import {
   validateActiveTime,
   validateTabMeta,
   validateWindowState,
+  validateAgingProfile,
+  validateDryRunReport,
+  validateClosedJournal,
 } from '../../src/shared/schemas.js';
 
 describe('validateSettings', () => {
@@ -277,6 +280,358 @@ describe('validateSettings', () => {
   });
 });
 
+describe('validateSettings thresholdRules', () => {
+  const base = {
+    timeMode: 'active',
+    thresholds: { greenToYellow: 100, yellowToRed: 200, redToGone: 300 },
+  };
+  const rule = {
+    pattern: '*.example.com',
+    thresholds: { greenToYellow: 10, yellowToRed: 20, redToGone: 30 },
+    redToGoneEnabled: false,
+  };
+
+  it('should pass for a valid ordered rule list', () => {
+    expect(validateSettings({ ...base, thresholdRules: [rule] }).valid).toBe(true);
+    expect(validateSettings({ ...base, thresholdRules: [] }).valid).toBe(true);
+  });
+
+  it('should fail when thresholdRules is not an array', () => {
+    const result = validateSettings({ ...base, thresholdRules: {} });
+    expect(result.valid).toBe(false);
+    expect(result.errors).toContain('thresholdRules must be an array');
+  });
+
+  it('should fail for an empty pattern', () => {
+    const result = validateSettings({ ...base, thresholdRules: [{ ...rule, pattern: ' ' }] });
+    expect(result.errors).toContain('thresholdRules[0].pattern must be a non-empty string');
+  });
+
+  it('should enforce threshold ordering per rule', () => {
+    const result = validateSettings({
+      ...base,
+      thresholdRules: [rule, { ...rule, thresholds: { greenToYellow: 10, yellowToRed: 40, redToGone: 30 } }],
+    });
+    expect(result.valid).toBe(false);
+    expect(result.errors).toContain(
+      'thresholdRules[1].thresholds.yellowToRed must be less than thresholdRules[1].thresholds.redToGone',
+    );
+  });
+
+  it('should keep a rule from moving a transition past a later custom stage', () => {
+    const custom = {
+      ...base,
+      customStagesEnabled: true,
+      lifecycleStages: [
+        { name: 'Fresh', color: 'blue' },
+        { name: 'Warm', color: 'cyan', after: 50 },
+        { name: 'Cooling', color: 'orange', after: 100 },
+        { name: 'Cold', color: 'grey', after: 150 },
+      ],
+    };
+    expect(validateSettings({ ...custom, thresholdRules: [rule] }).valid).toBe(true);
+    const result = validateSettings({
+      ...custom,
+      thresholdRules: [{ ...rule, thresholds: { greenToYellow: 100, yellowToRed: 150, redToGone: 250 } }],
+    });
+    expect(result.valid).toBe(false);
+    expect(result.errors).toContain('thresholdRules[0].thresholds.yellowToRed must be less than lifecycleStages[3].after');
+  });
+
+  it('should fail for non-boolean rule toggles', () => {
+    const result = validateSettings({ ...base, thresholdRules: [{ ...rule, greenToYellowEnabled: 'yes' }] });
+    expect(result.errors).toContain('thresholdRules[0].greenToYellowEnabled must be a boolean');
+  });
+});
+
+describe('validateSettings activation refresh', () => {
+  const base = {
+    timeMode: 'active',
+    thresholds: { greenToYellow: 100, yellowToRed: 200, redToGone: 300 },
+  };
+
+  it('should pass for valid activation settings', () => {
+    const result = validateSettings({ ...base, activationRefreshEnabled: true, activationDwellSeconds: 10 });
+    expect(result.valid).toBe(true);
+  });
+
+  it('should fail for a non-positive dwell time', () => {
+    const result = validateSettings({ ...base, activationDwellSeconds: 0 });
+    expect(result.errors).toContain('activationDwellSeconds must be a positive whole number');
+  });
+
+  it('should fail for a non-boolean toggle', () => {
+    const result = validateSettings({ ...base, activationRefreshEnabled: 'yes' });
+    expect(result.errors).toContain('activationRefreshEnabled must be a boolean');
+    expect(validateSettings({ ...base, refreshKeepsOpenerAlive: 1 }).errors)
+      .toContain('refreshKeepsOpenerAlive must be a boolean');
+  });
+
+  it('should validate the tab budget settings', () => {
+    expect(validateSettings({ ...base, tabBudgetEnabled: true, maxTabsPerWindow: 50 }).valid).toBe(true);
+    expect(validateSettings({ ...base, maxTabsPerWindow: 0 }).errors)
+      .toContain('maxTabsPerWindow must be a positive whole number');
+    expect(validateSettings({ ...base, tabBudgetEnabled: 1 }).errors)
+      .toContain('tabBudgetEnabled must be a boolean');
+  });
+
+  it('should validate the duplicate settings', () => {
+    expect(validateSettings({
+      ...base,
+      duplicateDetectionEnabled: true,
+      duplicateAction: 'close',
+      duplicateStripHash: false,
+      duplicateStripTrackingParams: true,
+    }).valid).toBe(true);
+    expect(validateSettings({ ...base, duplicateAction: 'merge' }).errors)
+      .toContain('duplicateAction must be one of: gone, close');
+    expect(validateSettings({ ...base, duplicateStripHash: 'no' }).errors)
+      .toContain('duplicateStripHash must be a boolean');
+  });
+
+  it('should validate the placement of tabs opened without an opener', () => {
+    for (const noOpenerPlacement of ['affinity', 'leftmost', 'default']) {
+      expect(validateSettings({ ...base, noOpenerPlacement }).valid).toBe(true);
+    }
+    expect(validateSettings({ ...base, noOpenerPlacement: 'rightmost' }).errors)
+      .toContain('noOpenerPlacement must be one of: affinity, leftmost, default');
+  });
+
+  it('should validate the group size cap', () => {
+    expect(validateSettings({ ...base, groupSizeCapEnabled: true, maxTabsPerGroup: 2 }).valid).toBe(true);
+    expect(validateSettings({ ...base, maxTabsPerGroup: 1 }).errors)
+      .toContain('maxTabsPerGroup must be a whole number of at least 2');
+  });
+
+  it('should validate domain clustering', () => {
+    expect(validateSettings({
+      ...base, domainClusteringEnabled: true, domainClusteringMinTabs: 3, domainClusteringScope: 'domain',
+    }).valid).toBe(true);
+    const result = validateSettings({ ...base, domainClusteringMinTabs: 1, domainClusteringScope: 'path' });
+    expect(result.errors).toContain('domainClusteringMinTabs must be a whole number of at least 2');
+    expect(result.errors).toContain('domainClusteringScope must be one of: hostname, domain');
+  });
+
+  it('should validate grouping rules', () => {
+    expect(validateSettings({
+      ...base,
+      groupingRules: [
+        { pattern: 'github.com/acme/*', action: 'group', title: 'Acme', color: 'purple' },
+        { pattern: '^https://mail\\.', regex: true, action: 'exclude' },
+      ],
+    }).valid).toBe(true);
+
+    const { errors } = validateSettings({
+      ...base,
+      groupingRules: [
+        { pattern: '(unclosed', regex: true, action: 'group', title: 'X' },
+        { pattern: 'example.com', action: 'move' },
+        { pattern: 'example.com', action: 'group', title: ' ', color: 'black' },
+      ],
+    });
+    expect(errors).toEqual(expect.arrayContaining([
+      'groupingRules[0].pattern must be a valid regular expression',
+      'groupingRules[1].action must be one of: group, exclude',
+      'groupingRules[2].title must be a non-empty string',
+      expect.stringContaining('groupingRules[2].color must be one of: grey'),
+    ]));
+  });
+
+  it('should validate the gone warning settings', () => {
+    expect(validateSettings({ ...base, goneWarningEnabled: true, goneWarningMinutes: 5 }).valid).toBe(true);
+    expect(validateSettings({ ...base, goneWarningMinutes: 0 }).errors)
+      .toContain('goneWarningMinutes must be a positive whole number');
+    expect(validateSettings({ ...base, goneWarningEnabled: 'yes' }).errors)
+      .toContain('goneWarningEnabled must be a boolean');
+  });
+
+  it('should validate the navigation reset settings', () => {
+    expect(validateSettings({
+      ...base,
+      resetOnHashChange: false,
+      navigationResetRules: [{ pattern: 'app.example.com', resetOnPushState: false }],
+    }).valid).toBe(true);
+    expect(validateSettings({ ...base, resetOnReload: 'no' }).errors)
+      .toContain('resetOnReload must be a boolean');
+    expect(validateSettings({ ...base, navigationResetRules: [{ pattern: '', resetOnQueryChange: 1 }] }).errors)
+      .toEqual([
+        'navigationResetRules[0].pattern must be a non-empty string',
+        'navigationResetRules[0].resetOnQueryChange must be a boolean',
+      ]);
+  });
+
+  it('should validate the dry-run toggle', () => {
+    expect(validateSettings({ ...base, dryRunEnabled: true }).valid).toBe(true);
+    expect(validateSettings({ ...base, dryRunEnabled: 'on' }).errors)
+      .toContain('dryRunEnabled must be a boolean');
+  });
+
+  it('should validate the discard settings', () => {
+    expect(validateSettings({ ...base, discardEnabled: true, discardDelayMinutes: 0 }).valid).toBe(true);
+    expect(validateSettings({ ...base, discardEnabled: 'yes' }).errors)
+      .toContain('discardEnabled must be a boolean');
+    expect(validateSettings({ ...base, discardDelayMinutes: -5 }).errors)
+      .toContain('discardDelayMinutes must be a non-negative whole number');
+  });
+
+  it('should validate agingMode', () => {
+    expect(validateSettings({ ...base, agingMode: 'frecency' }).valid).toBe(true);
+    expect(validateSettings({ ...base, agingMode: 'fast' }).errors)
+      .toContain('agingMode must be one of: linear, frecency');
+  });
+});
+
+describe('validateSettings quiet hours', () => {
+  const base = {
+    timeMode: 'active',
+    thresholds: { greenToYellow: 100, yellowToRed: 200, redToGone: 300 },
+  };
+
+  it('should accept valid ranges, including overnight ones', () => {
+    const result = validateSettings({
+      ...base,
+      quietHours: [
+        { days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00' },
+        { days: [5], start: '22:00', end: '06:00' },
+      ],
+    });
+    expect(result.valid).toBe(true);
+  });
+
+  it('should reject a non-array', () => {
+    expect(validateSettings({ ...base, quietHours: {} }).errors).toContain('quietHours must be an array');
+  });
+
+  it('should reject invalid days and times', () => {
+    const result = validateSettings({
+      ...base,
+      quietHours: [{ days: [7], start: '9:00', end: '25:00' }, { days: [1], start: '10:00', end: '10:00' }],
+    });
+    expect(result.errors).toEqual(expect.arrayContaining([
+      'quietHours[0].days must be a non-empty array of weekdays (0-6)',
+      'quietHours[0].start must be a time in HH:MM format',
+      'quietHours[0].end must be a time in HH:MM format',
+      'quietHours[1].start and quietHours[1].end must differ',
+    ]));
+  });
+});
+
+describe('validateSettings lifecycle stages', () => {
+  const base = {
+    timeMode: 'active',
+    thresholds: { greenToYellow: 100, yellowToRed: 200, redToGone: 300 },
+  };
+  const stages = [
+    { name: 'Fresh', color: 'blue' },
+    { name: 'Warm', color: 'cyan', after: 50, groupName: '' },
+    { name: 'Cooling', color: 'orange', after: 150 },
+    { name: 'Cold', color: 'grey', after: 250, groupName: 'Cold' },
+  ];
+
+  it('should accept a custom stage list', () => {
+    expect(validateSettings({ ...base, customStagesEnabled: true, lifecycleStages: stages }).valid).toBe(true);
+  });
+
+  it('should reject bad names, colors and non-increasing start times', () => {
+    const result = validateSettings({
+      ...base,
+      lifecycleStages: [
+        { name: '', color: 'blue' },
+        { name: 'Warm', color: 'teal', after: 50 },
+        { name: 'Cooling', color: 'orange', after: 50 },
+      ],
+    });
+    expect(result.errors).toEqual(expect.arrayContaining([
+      'lifecycleStages[0].name must be a non-empty string',
+      'lifecycleStages[1].color must be one of: grey, blue, red, yellow, green, pink, purple, cyan, orange',
+      'lifecycleStages[2].after must be greater than lifecycleStages[1].after',
+    ]));
+  });
+
+  it('should reject an empty stage list', () => {
+    expect(validateSettings({ ...base, lifecycleStages: [] }).errors)
+      .toContain('lifecycleStages must be an array of 1 to 8 stages');
+  });
+
+  it('should only check the last stage against redToGone when custom stages are on', () => {
+    const late = [...stages.slice(0, 3), { name: 'Cold', color: 'grey', after: 400 }];
+    expect(validateSettings({ ...base, lifecycleStages: late }).valid).toBe(true);
+    expect(validateSettings({ ...base, customStagesEnabled: true, lifecycleStages: late }).errors)
+      .toContain('The last of lifecycleStages must start before thresholds.redToGone');
+  });
+
+  it('should not require yellowToRed before redToGone with custom stages', () => {
+    const thresholds = { greenToYellow: 100, yellowToRed: 500, redToGone: 300 };
+    expect(validateSettings({ ...base, thresholds }).valid).toBe(false);
+    expect(validateSettings({ ...base, thresholds, customStagesEnabled: true, lifecycleStages: stages }).valid)
+      .toBe(true);
+  });
+});
+
+describe('validateSettings media freeze', () => {
+  const base = {
+    timeMode: 'active',
+    thresholds: { greenToYellow: 100, yellowToRed: 200, redToGone: 300 },
+  };
+
+  it('should accept boolean media signals', () => {
+    expect(validateSettings({ ...base, freezeAudibleTabs: true, freezeMutedTabs: false }).valid).toBe(true);
+  });
+
+  it('should reject non-boolean media signals', () => {
+    expect(validateSettings({ ...base, freezeMutedTabs: 'yes' }).errors)
+      .toContain('freezeMutedTabs must be a boolean');
+  });
+});
+
+describe('validateSettings engaged time', () => {
+  const base = {
+    timeMode: 'engaged',
+    thresholds: { greenToYellow: 100, yellowToRed: 200, redToGone: 300 },
+  };
+
+  it('should accept the engaged time mode with a detection interval', () => {
+    const result = validateSettings({ ...base, idleDetectionSeconds: 60 });
+    expect(result.valid).toBe(true);
+  });
+
+  it('should reject an unknown time mode', () => {
+    const result = validateSettings({ ...base, timeMode: 'idle' });
+    expect(result.errors).toContain('timeMode must be one of: active, wallclock, engaged, got "idle"');
+  });
+
+  it('should reject a detection interval below the Chrome minimum', () => {
+    const result = validateSettings({ ...base, idleDetectionSeconds: 10 });
+    expect(result.errors).toContain('idleDetectionSeconds must be a whole number of at least 15');
+  });
+});
+
+describe('validateSettings protection lists', () => {
+  const base = {
+    timeMode: 'active',
+    thresholds: { greenToYellow: 100, yellowToRed: 200, redToGone: 300 },
+  };
+
+  it('should pass for arrays of patterns', () => {
+    const result = validateSettings({
+      ...base,
+      protectedUrlPatterns: ['mail.google.com', 'github.com/acme/*'],
+      protectedGroupTitles: ['Reference'],
+    });
+    expect(result.valid).toBe(true);
+  });
+
+  it('should fail when a list is not an array', () => {
+    const result = validateSettings({ ...base, protectedGroupTitles: 'Reference' });
+    expect(result.errors).toContain('protectedGroupTitles must be an array');
+  });
+
+  it('should fail for empty entries', () => {
+    const result = validateSettings({ ...base, protectedUrlPatterns: ['ok.com', '  '] });
+    expect(result.errors).toContain('protectedUrlPatterns[1] must be a non-empty string');
+  });
+});
+
 describe('validateBookmarkState', () => {
   it('should pass for valid bookmark state with folderId', () => {
     const result = validateBookmarkState({ folderId: '42' });
@@ -306,6 +661,54 @@ describe('validateBookmarkState', () => {
   });
 });
 
+describe('validateDryRunReport', () => {
+  it('should pass for a recorded report', () => {
+    const result = validateDryRunReport({
+      createdAt: 1000,
+      transitions: [{ tabId: 1, windowId: 1, url: '', title: '', from: 'green', to: 'yellow' }],
+      actions: [{ type: 'closeTab', reason: 'gone', tabId: 1, windowId: 1 }],
+    });
+    expect(result.valid).toBe(true);
+  });
+
+  it('should fail for an unknown action type', () => {
+    const result = validateDryRunReport({ createdAt: 1000, transitions: [], actions: [{ type: 'explode' }] });
+    expect(result.valid).toBe(false);
+    expect(result.errors[0]).toMatch(/^actions\[0\]\.type must be one of: closeTab/);
+  });
+
+  it('should fail for a report without lists', () => {
+    const result = validateDryRunReport({ createdAt: 1000 });
+    expect(result.errors).toEqual(['transitions must be an array', 'actions must be an array']);
+  });
+});
+
+describe('validateClosedJournal', () => {
+  const entry = {
+    id: '1000-4', closedAt: 1000, reason: 'gone', windowId: 1,
+    group: { title: 'Research', color: 'red' },
+    tabs: [{ url: 'https://example.com/', title: 'Example', index: 0, ageMs: 5000 }],
+  };
+
+  it('should pass for journaled closures', () => {
+    expect(validateClosedJournal([entry, { ...entry, id: '2', reason: 'budget', group: null }]).valid).toBe(true);
+    expect(validateClosedJournal([]).valid).toBe(true);
+  });
+
+  it('should fail for malformed entries', () => {
+    const result = validateClosedJournal([{ ...entry, reason: 'bored', group: { title: 'X', color: 'teal' }, tabs: [] }]);
+    expect(result.errors).toEqual([
+      'closedJournal[0].reason must be one of: gone, budget, tree, duplicate',
+      'closedJournal[0].group must be null or { title, color }',
+      'closedJournal[0].tabs must be a non-empty array',
+    ]);
+  });
+
+  it('should fail for a non-array', () => {
+    expect(validateClosedJournal({}).valid).toBe(false);
+  });
+});
+
 describe('validateActiveTime', () => {
   const validActiveTime = {
     accumulatedMs: 5000,
@@ -342,6 +745,12 @@ describe('validateActiveTime', () => {
     const result = validateActiveTime({ ...validActiveTime, focusStartTime: 'invalid' });
     expect(result.valid).toBe(false);
   });
+
+  it('should validate the optional idle flags', () => {
+    expect(validateActiveTime({ ...validActiveTime, windowFocused: true, idle: false, pauseOnIdle: true }).valid)
+      .toBe(true);
+    expect(validateActiveTime({ ...validActiveTime, idle: 'locked' }).errors).toContain('idle must be a boolean');
+  });
 });
 
 describe('validateTabMeta', () => {
@@ -381,6 +790,12 @@ describe('validateTabMeta', () => {
     expect(result.valid).toBe(true);
   });
 
+  it('should pass for a custom lifecycle stage status', () => {
+    expect(validateTabMeta({ 1: { ...validEntry, status: 'stage-3' } }).valid).toBe(true);
+    expect(validateTabMeta({ 1: { ...validEntry, status: 'stage-1' } }).errors)
+      .toContain('TabMeta[1].status must be a lifecycle stage id or "gone"');
+  });
+
   it('should fail for negative tabId', () => {
     const result = validateTabMeta({ 1: { ...validEntry, tabId: -1 } });
     expect(result.valid).toBe(false);
@@ -400,6 +815,55 @@ describe('validateTabMeta', () => {
     const result = validateTabMeta({});
     expect(result.valid).toBe(true);
   });
+
+  it('should pass for a snoozed tab', () => {
+    const result = validateTabMeta({
+      1: { ...validEntry, snoozeUntil: Date.now() + 1000, snoozedAtActiveTime: 0, snoozedAtWallTime: Date.now() },
+    });
+    expect(result.valid).toBe(true);
+  });
+
+  it('should validate usage stats', () => {
+    expect(validateTabMeta({
+      1: { ...validEntry, activationCount: 3, foregroundMs: 1000, foregroundSince: null },
+    }).valid).toBe(true);
+    const result = validateTabMeta({ 1: { ...validEntry, activationCount: -1, foregroundMs: 'x' } });
+    expect(result.errors).toContain('TabMeta[1].activationCount must be a non-negative integer');
+    expect(result.errors).toContain('TabMeta[1].foregroundMs must be a non-negative number');
+  });
+
+  it('should validate the opener tab ID', () => {
+    expect(validateTabMeta({ 1: { ...validEntry, openerTabId: 7 } }).valid).toBe(true);
+    expect(validateTabMeta({ 1: { ...validEntry, openerTabId: '7' } }).errors)
+      .toContain('TabMeta[1].openerTabId must be an integer');
+  });
+
+  it('should validate a media freeze snapshot', () => {
+    expect(validateTabMeta({
+      1: { ...validEntry, mediaFrozenAtActiveTime: 10, mediaFrozenAtWallTime: Date.now() },
+    }).valid).toBe(true);
+    const result = validateTabMeta({ 1: { ...validEntry, mediaFrozenAtActiveTime: 10 } });
+    expect(result.errors).toContain('TabMeta[1].mediaFrozenAtWallTime must be a non-negative number');
+  });
+
+  it('should validate a window freeze snapshot', () => {
+    expect(validateTabMeta({
+      1: { ...validEntry, windowFrozenAtActiveTime: 10, windowFrozenAtWallTime: Date.now() },
+    }).valid).toBe(true);
+    const result = validateTabMeta({ 1: { ...validEntry, windowFrozenAtActiveTime: -1 } });
+    expect(result.errors).toContain('TabMeta[1].windowFrozenAtActiveTime must be a non-negative number');
+  });
+
+  it('should validate a group freeze snapshot', () => {
+    const result = validateTabMeta({ 1: { ...validEntry, groupFrozenAtActiveTime: 10 } });
+    expect(result.errors).toContain('TabMeta[1].groupFrozenAtWallTime must be a non-negative number');
+  });
+
+  it('should fail for a snooze without its age snapshot', () => {
+    const result = validateTabMeta({ 1: { ...validEntry, snoozeUntil: Date.now() + 1000 } });
+    expect(result.valid).toBe(false);
+    expect(result.errors).toContain('TabMeta[1].snoozedAtActiveTime must be a non-negative number');
+  });
 });
 
 describe('validateWindowState', () => {
@@ -450,6 +914,45 @@ describe('validateWindowState', () => {
     expect(result.valid).toBe(true);
   });
 
+  it('should accept special groups and zones of custom lifecycle stages', () => {
+    const result = validateWindowState({
+      1: {
+        specialGroups: { yellow: null, red: 10, 'stage-3': 11 },
+        groupZones: { 10: 'red', 11: 'stage-3', 4: 'stage-4' },
+      },
+    });
+    expect(result.valid).toBe(true);
+  });
+
+  it('should fail for a special group of the fresh stage', () => {
+    const result = validateWindowState({
+      1: {
+        specialGroups: { green: 3, yellow: null, red: null },
+        groupZones: {},
+      },
+    });
+    expect(result.errors).toContain('WindowState[1].specialGroups.green is not a special group stage');
+  });
+
+  it('should validate the window aging profile', () => {
+    const entry = { specialGroups: { yellow: null, red: null }, groupZones: {} };
+    expect(validateWindowState({ 1: { ...entry, agingProfile: { mode: 'frozen' } } }).valid).toBe(true);
+    const result = validateWindowState({ 1: { ...entry, agingProfile: { mode: 'paused' } } });
+    expect(result.errors).toContain('WindowState[1].agingProfile.mode must be one of: inherit, frozen, custom');
+  });
+
+  it('should validate group policies', () => {
+    const entry = { specialGroups: { yellow: null, red: null }, groupZones: {} };
+    expect(validateWindowState({
+      1: { ...entry, groupPolicies: { 5: { frozen: true, keepPosition: true, thresholdFactor: 0.5 } } },
+    }).valid).toBe(true);
+    const result = validateWindowState({
+      1: { ...entry, groupPolicies: { 5: { frozen: 'yes', thresholdFactor: 0 } } },
+    });
+    expect(result.errors).toContain('WindowState[1].groupPolicies[5].frozen must be a boolean');
+    expect(result.errors).toContain('WindowState[1].groupPolicies[5].thresholdFactor must be a positive number');
+  });
+
   it('should fail for string specialGroups.yellow', () => {
     const result = validateWindowState({
       1: {
@@ -472,6 +975,24 @@ describe('validateWindowState', () => {
     expect(result.valid).toBe(true);
   });
 
+  it('should validate groupSnoozes entries', () => {
+    const base = { specialGroups: { yellow: null, red: null }, groupZones: {} };
+    const snooze = { snoozeUntil: Date.now() + 1000, snoozedAtActiveTime: 10, snoozedAtWallTime: Date.now() };
+    expect(validateWindowState({ 1: { ...base, groupSnoozes: { 7: snooze } } }).valid).toBe(true);
+
+    const result = validateWindowState({ 1: { ...base, groupSnoozes: { 7: { ...snooze, snoozeUntil: 'monday' } } } });
+    expect(result.valid).toBe(false);
+    expect(result.errors).toContain('WindowState[1].groupSnoozes[7].snoozeUntil must be a positive number');
+  });
+
+  it('should validate the pendingClose queue', () => {
+    const base = { specialGroups: { yellow: null, red: null }, groupZones: {} };
+    expect(validateWindowState({ 1: { ...base, pendingClose: { tabs: [3], groups: [] } } }).valid).toBe(true);
+
+    const result = validateWindowState({ 1: { ...base, pendingClose: { tabs: ['3'], groups: [] } } });
+    expect(result.errors).toContain('WindowState[1].pendingClose.tabs must be an array of IDs');
+  });
+
   it('should pass with valid groupNaming metadata', () => {
     const result = validateWindowState({
       1: {
@@ -542,3 +1063,42 @@ describe('validateWindowState', () => {
     expect(result.errors.some((e) => e.includes('lastCandidate'))).toBe(true);
   });
 });
+
+describe('validateAgingProfile', () => {
+  it('should pass for inherit, frozen and custom profiles', () => {
+    expect(validateAgingProfile({ mode: 'inherit' }).valid).toBe(true);
+    expect(validateAgingProfile({ mode: 'frozen' }).valid).toBe(true);
+    expect(validateAgingProfile({
+      mode: 'custom', thresholds: { greenToYellow: 1000, yellowToRed: 2000, redToGone: 3000 },
+    }).valid).toBe(true);
+  });
+
+  it('should fail for a non-object profile', () => {
+    expect(validateAgingProfile(null).errors).toContain('agingProfile must be a non-null object');
+  });
+
+  it('should check custom thresholds against custom stages when given settings', () => {
+    const profile = { mode: 'custom', thresholds: { greenToYellow: 1000, yellowToRed: 2000, redToGone: 3000 } };
+    const settings = {
+      customStagesEnabled: true,
+      lifecycleStages: [
+        { name: 'Fresh', color: 'blue' },
+        { name: 'Warm', color: 'cyan', after: 500 },
+        { name: 'Cooling', color: 'orange', after: 1000 },
+        { name: 'Cold', color: 'grey', after: 1500 },
+      ],
+    };
+    expect(validateAgingProfile(profile).valid).toBe(true);
+    expect(validateAgingProfile(profile, 'agingProfile', { ...settings, customStagesEnabled: false }).valid).toBe(true);
+    expect(validateAgingProfile(profile, 'agingProfile', settings).errors)
+      .toEqual(['agingProfile.thresholds.yellowToRed must be less than lifecycleStages[3].after']);
+  });
+
+  it('should validate custom thresholds', () => {
+    const result = validateAgingProfile({
+      mode: 'custom', thresholds: { greenToYellow: 3000, yellowToRed: 2000, redToGone: 1000 },
+    });
+    expect(result.valid).toBe(false);
+    expect(result.errors.some((e) => e.startsWith('agingProfile.thresholds'))).toBe(true);
+  });
+});
@@ -0,0 +1,121 @@
+import {
+  isSnoozed,
+  snoozeTab,
+  unsnoozeTab,
+  snoozeGroup,
+  unsnoozeGroup,
+  releaseExpiredSnoozes,
+  copyTabSnooze,
+} from '../../src/background/snooze.js';
+
+describe('snooze', () => {
+  const NOW = 1_000_000;
+
+  function makeMeta(overrides = {}) {
+    return {
+      tabId: 1, windowId: 1, refreshActiveTime: 1000, refreshWallTime: NOW - 5000,
+      status: 'yellow', groupId: null, isSpecialGroup: false, pinned: false, ...overrides,
+    };
+  }
+
+  function makeWindowState() {
+    return { 1: { specialGroups: { yellow: null, red: null }, groupZones: {} } };
+  }
+
+  describe('tab snoozes', () => {
+    it('should report a tab as snoozed until its deadline', () => {
+      const meta = makeMeta();
+      snoozeTab(meta, NOW + 100, 4000, NOW);
+      expect(isSnoozed(meta, {}, NOW)).toBe(true);
+      expect(isSnoozed(meta, {}, NOW + 100)).toBe(false);
+    });
+
+    it('should resume aging from where it was when released', () => {
+      const meta = makeMeta();
+      snoozeTab(meta, NOW + 10_000, 4000, NOW);
+
+      // 10s of wall time and 7s of active time pass while snoozed
+      unsnoozeTab(meta, 11_000, NOW + 10_000);
+
+      // Age before snooze: active 3000, wall 5000 — unchanged after release
+      expect(11_000 - meta.refreshActiveTime).toBe(3000);
+      expect(NOW + 10_000 - meta.refreshWallTime).toBe(5000);
+      expect(meta.snoozeUntil).toBeUndefined();
+      expect(meta.snoozedAtActiveTime).toBeUndefined();
+    });
+
+    it('should keep the original snapshot when re-snoozed', () => {
+      const meta = makeMeta();
+      snoozeTab(meta, NOW + 100, 4000, NOW);
+      snoozeTab(meta, NOW + 500, 4050, NOW + 50);
+      expect(meta.snoozeUntil).toBe(NOW + 500);
+      expect(meta.snoozedAtActiveTime).toBe(4000);
+      expect(meta.snoozedAtWallTime).toBe(NOW);
+    });
+
+    it('should treat a refresh during the snooze as the new frozen point', () => {
+      const meta = makeMeta();
+      snoozeTab(meta, NOW + 10_000, 4000, NOW);
+      meta.refreshActiveTime = 6000;
+      meta.refreshWallTime = NOW + 2000;
+
+      unsnoozeTab(meta, 11_000, NOW + 10_000);
+      expect(meta.refreshActiveTime).toBe(11_000);
+      expect(meta.refreshWallTime).toBe(NOW + 10_000);
+    });
+
+    it('should copy a snooze to a re-matched entry', () => {
+      const from = makeMeta({ snoozeUntil: NOW + 1, snoozedAtActiveTime: 2, snoozedAtWallTime: 3 });
+      const to = makeMeta({ tabId: 9 });
+      copyTabSnooze(from, to);
+      expect(to).toMatchObject({ snoozeUntil: NOW + 1, snoozedAtActiveTime: 2, snoozedAtWallTime: 3 });
+
+      const untouched = makeMeta({ tabId: 10 });
+      copyTabSnooze(makeMeta(), untouched);
+      expect(untouched.snoozeUntil).toBeUndefined();
+    });
+  });
+
+  describe('group snoozes', () => {
+    it('should snooze every tab in the group and release them together', () => {
+      const windowState = makeWindowState();
+      const tabMeta = {
+        1: makeMeta({ tabId: 1, groupId: 7 }),
+        2: makeMeta({ tabId: 2, groupId: 7, refreshActiveTime: 2000 }),
+        3: makeMeta({ tabId: 3, groupId: 8 }),
+      };
+      snoozeGroup(1, 7, NOW + 10_000, windowState, 4000, NOW);
+
+      expect(isSnoozed(tabMeta[1], windowState, NOW)).toBe(true);
+      expect(isSnoozed(tabMeta[3], windowState, NOW)).toBe(false);
+
+      unsnoozeGroup(1, 7, tabMeta, windowState, 9000, NOW + 10_000);
+      expect(9000 - tabMeta[1].refreshActiveTime).toBe(3000);
+      expect(9000 - tabMeta[2].refreshActiveTime).toBe(2000);
+      expect(tabMeta[3].refreshActiveTime).toBe(1000);
+      expect(windowState[1].groupSnoozes[7]).toBeUndefined();
+    });
+  });
+
+  describe('releaseExpiredSnoozes', () => {
+    it('should release only expired tab and group snoozes', () => {
+      const windowState = makeWindowState();
+      const tabMeta = {
+        1: makeMeta({ tabId: 1 }),
+        2: makeMeta({ tabId: 2 }),
+        3: makeMeta({ tabId: 3, groupId: 7 }),
+      };
+      snoozeTab(tabMeta[1], NOW + 100, 4000, NOW);
+      snoozeTab(tabMeta[2], NOW + 5000, 4000, NOW);
+      snoozeGroup(1, 7, NOW + 100, windowState, 4000, NOW);
+
+      const released = releaseExpiredSnoozes(tabMeta, windowState, 4100, NOW + 200);
+
+      expect(released).toEqual({ tabs: 1, groups: 1 });
+      expect(tabMeta[1].snoozeUntil).toBeUndefined();
+      expect(tabMeta[2].snoozeUntil).toBe(NOW + 5000);
+      expect(tabMeta[3].refreshActiveTime).toBe(1100);
+      expect(windowState[1].groupSnoozes).toEqual({});
+    });
+  });
+});
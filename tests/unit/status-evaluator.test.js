@@ -2,6 +2,11 @@ const {
   computeStatus,
   computeAge,
   evaluateAllTabs,
+  resolveTabThresholds,
+  computeFrecencyFactor,
+  computeStage,
+  computeTimeUntilGone,
+  computeGroupTimeUntilGone,
 } = await import('../../src/background/status-evaluator.js');
 
 describe('status-evaluator', () => {
@@ -284,4 +289,417 @@ describe('status-evaluator', () => {
       });
     });
   });
+
+  describe('per-domain threshold rules', () => {
+    const settings = {
+      timeMode: 'active',
+      thresholds,
+      thresholdRules: [
+        {
+          pattern: '*.atlassian.net',
+          thresholds: { greenToYellow: 1000, yellowToRed: 2000, redToGone: 3000 },
+        },
+        {
+          pattern: 'news.example.com',
+          thresholds: { greenToYellow: 10, yellowToRed: 20, redToGone: 30 },
+          redToGoneEnabled: false,
+        },
+        {
+          pattern: '*.example.com',
+          thresholds: { greenToYellow: 100, yellowToRed: 200, redToGone: 300 },
+        },
+      ],
+    };
+    const meta = (id, url) => ({
+      tabId: id, windowId: 1, refreshActiveTime: 0, refreshWallTime: 0,
+      status: 'green', pinned: false, groupId: null, isSpecialGroup: false, url,
+    });
+
+    it('should fall back to global thresholds when no rule matches', () => {
+      const resolved = resolveTabThresholds(meta(1, 'https://other.org/'), settings);
+      expect(resolved.thresholds).toBe(thresholds);
+      expect(resolved.rule).toBeNull();
+    });
+
+    it('should use the first matching rule in order', () => {
+      const resolved = resolveTabThresholds(meta(1, 'https://news.example.com/a'), settings);
+      expect(resolved.thresholds.greenToYellow).toBe(10);
+      expect(resolved.transitionToggles.redToGoneEnabled).toBe(false);
+    });
+
+    it('should inherit global toggles when a rule does not set them', () => {
+      const resolved = resolveTabThresholds(
+        meta(1, 'https://team.atlassian.net/browse/X-1'),
+        { ...settings, yellowToRedEnabled: false },
+      );
+      expect(resolved.transitionToggles.yellowToRedEnabled).toBe(false);
+      expect(resolved.transitionToggles.greenToYellowEnabled).toBeUndefined();
+    });
+
+    it('should age each tab against its own rule in evaluateAllTabs', () => {
+      const tabMeta = {
+        1: meta(1, 'https://team.atlassian.net/browse/X-1'),
+        2: meta(2, 'https://news.example.com/story'),
+        3: meta(3, 'https://other.org/'),
+      };
+      const transitions = evaluateAllTabs(tabMeta, 2500, settings);
+      expect(transitions[1]).toEqual({ oldStatus: 'green', newStatus: 'red' });
+      expect(transitions[2]).toEqual({ oldStatus: 'green', newStatus: 'red' });
+      expect(transitions[3]).toBeUndefined();
+    });
+  });
+
+  describe('window profiles', () => {
+    const settings = { timeMode: 'active', thresholds };
+    const meta = (id, windowId, extra = {}) => ({
+      tabId: id, windowId, refreshActiveTime: 0, refreshWallTime: 0,
+      status: 'green', pinned: false, groupId: null, isSpecialGroup: false, ...extra,
+    });
+
+    it('should compute age up to the start of a window freeze', () => {
+      const frozen = meta(1, 1, { windowFrozenAtActiveTime: 5000, windowFrozenAtWallTime: Date.now() });
+      expect(computeAge(frozen, 1_000_000, settings)).toBe(5000);
+    });
+
+    it('should not transition tabs under a window freeze', () => {
+      const tabMeta = {
+        1: meta(1, 1, { windowFrozenAtActiveTime: thresholds.redToGone, windowFrozenAtWallTime: Date.now() }),
+      };
+      expect(evaluateAllTabs(tabMeta, thresholds.redToGone * 2, settings)[1]).toBeUndefined();
+    });
+
+    it('should let custom window thresholds take precedence over per-domain rules', () => {
+      const windowState = {
+        2: {
+          specialGroups: {}, groupZones: {},
+          agingProfile: { mode: 'custom', thresholds: { greenToYellow: 10, yellowToRed: 20, redToGone: 30 } },
+        },
+      };
+      const tabMeta = {
+        1: meta(1, 1, { url: 'https://jira.example.com/' }),
+        2: meta(2, 2, { url: 'https://jira.example.com/' }),
+      };
+      const transitions = evaluateAllTabs(tabMeta, 25, {
+        ...settings,
+        thresholdRules: [{ pattern: '*.example.com', thresholds: { greenToYellow: 100, yellowToRed: 200, redToGone: 300 } }],
+      }, windowState);
+      expect(transitions[1]).toBeUndefined();
+      expect(transitions[2]).toEqual({ oldStatus: 'green', newStatus: 'red' });
+    });
+  });
+
+  describe('group policies', () => {
+    const settings = { timeMode: 'active', thresholds };
+    const meta = (id, groupId, extra = {}) => ({
+      tabId: id, windowId: 1, refreshActiveTime: 0, refreshWallTime: 0,
+      status: 'green', pinned: false, groupId, isSpecialGroup: false, ...extra,
+    });
+    const windowState = {
+      1: {
+        specialGroups: {}, groupZones: {},
+        groupPolicies: { 5: { thresholdFactor: 2 }, 6: { thresholdFactor: 0.5 } },
+      },
+    };
+
+    it('should multiply the transition times of a group with a factor', () => {
+      const tabMeta = { 1: meta(1, 5), 2: meta(2, 6), 3: meta(3, null) };
+      const transitions = evaluateAllTabs(tabMeta, thresholds.yellowToRed, settings, windowState);
+      // At 8h a slowed group has just turned yellow, a plain tab red; a fast group is gone at 12h
+      expect(transitions[1]).toEqual({ oldStatus: 'green', newStatus: 'yellow' });
+      expect(transitions[3]).toEqual({ oldStatus: 'green', newStatus: 'red' });
+      expect(transitions[2]).toEqual({ oldStatus: 'green', newStatus: 'red' });
+      expect(evaluateAllTabs(tabMeta, thresholds.redToGone / 2, settings, windowState)[2])
+        .toEqual({ oldStatus: 'green', newStatus: 'gone' });
+    });
+
+    it('should not transition tabs under a group freeze', () => {
+      const frozen = meta(1, 7, { groupFrozenAtActiveTime: 5000, groupFrozenAtWallTime: Date.now() });
+      expect(computeAge(frozen, 1_000_000, settings)).toBe(5000);
+      expect(evaluateAllTabs({ 1: frozen }, thresholds.redToGone * 2, settings, windowState)[1]).toBeUndefined();
+    });
+  });
+
+  describe('never-close protection', () => {
+    it('should stop protected tabs at red', () => {
+      const tabMeta = {
+        1: {
+          tabId: 1, windowId: 1, refreshActiveTime: 0, refreshWallTime: 0, status: 'red',
+          pinned: false, groupId: null, isSpecialGroup: false, url: 'https://mail.example.com/',
+        },
+        2: {
+          tabId: 2, windowId: 1, refreshActiveTime: 0, refreshWallTime: 0, status: 'red',
+          pinned: false, groupId: null, isSpecialGroup: false, url: 'https://other.org/',
+        },
+      };
+      const settings = { timeMode: 'active', thresholds, protectedUrlPatterns: ['mail.example.com'] };
+      const transitions = evaluateAllTabs(tabMeta, thresholds.redToGone + 1, settings);
+      expect(transitions[1]).toBeUndefined();
+      expect(tabMeta[1].status).toBe('red');
+      expect(transitions[2]).toEqual({ oldStatus: 'red', newStatus: 'gone' });
+    });
+
+    it('should stop members of protected groups at red', () => {
+      const member = (tabId, groupId) => ({
+        tabId, windowId: 1, refreshActiveTime: 0, refreshWallTime: 0, status: 'red',
+        pinned: false, groupId, isSpecialGroup: false, url: `https://example.com/${tabId}`,
+      });
+      const tabMeta = { 1: member(1, 5), 2: member(2, 6) };
+      const settings = { timeMode: 'active', thresholds };
+      const transitions = evaluateAllTabs(tabMeta, thresholds.redToGone + 1, settings, {}, new Set([5]));
+      expect(transitions[1]).toBeUndefined();
+      expect(transitions[2]).toEqual({ oldStatus: 'red', newStatus: 'gone' });
+    });
+  });
+
+  describe('quiet hours', () => {
+    const days = [0, 1, 2, 3, 4, 5, 6];
+    const settings = {
+      timeMode: 'active',
+      thresholds,
+      quietHours: [{ days, start: '00:00', end: '12:00' }, { days, start: '12:00', end: '00:00' }],
+    };
+    const meta = (id, extra = {}) => ({
+      tabId: id, windowId: 1, refreshActiveTime: 0, refreshWallTime: 0, status: 'red',
+      pinned: false, groupId: null, isSpecialGroup: false, ...extra,
+    });
+
+    it('should hold tabs due to turn gone at red and queue them', () => {
+      const tabMeta = {
+        1: meta(1),
+        2: meta(2, { groupId: 5 }),
+        3: meta(3, { status: 'green', refreshActiveTime: thresholds.redToGone }),
+      };
+      const windowState = { 1: { specialGroups: { yellow: null, red: null }, groupZones: {} } };
+
+      const transitions = evaluateAllTabs(tabMeta, thresholds.redToGone + 1, settings, windowState);
+
+      expect(transitions).toEqual({});
+      expect(windowState[1].pendingClose).toEqual({ tabs: [1, 2], groups: [] });
+      evaluateAllTabs(tabMeta, thresholds.redToGone + 2, settings, windowState);
+      expect(windowState[1].pendingClose).toEqual({ tabs: [1, 2], groups: [] });
+    });
+
+    it('should move a tab into the last stage without turning it gone', () => {
+      const tabMeta = { 1: meta(1, { status: 'yellow' }) };
+      const transitions = evaluateAllTabs(tabMeta, thresholds.redToGone + 1, settings, {});
+      expect(transitions[1]).toEqual({ oldStatus: 'yellow', newStatus: 'red' });
+    });
+  });
+
+  describe('custom lifecycle stages', () => {
+    const settings = {
+      timeMode: 'active',
+      thresholds,
+      customStagesEnabled: true,
+      lifecycleStages: [
+        { name: 'Fresh', color: 'blue' },
+        { name: 'Warm', color: 'cyan', after: 3600000 },
+        { name: 'Cooling', color: 'orange', after: 7200000 },
+        { name: 'Cold', color: 'grey', after: 43200000 },
+      ],
+    };
+    const meta = (id, extra = {}) => ({
+      tabId: id, windowId: 1, refreshActiveTime: 0, refreshWallTime: 0, status: 'green',
+      pinned: false, groupId: null, isSpecialGroup: false, ...extra,
+    });
+
+    it('should walk tabs through every stage before gone', () => {
+      const ages = [0, 3600000, 7200000, 43200000, 86400000];
+      const statuses = ages.map((age) => evaluateAllTabs({ 1: meta(1) }, age, settings)[1]?.newStatus ?? 'green');
+      expect(statuses).toEqual(['green', 'yellow', 'red', 'stage-3', 'gone']);
+    });
+
+    it('should hold protected tabs in the last stage', () => {
+      const tabMeta = { 1: meta(1, { status: 'stage-3', url: 'https://mail.example.com/' }) };
+      const transitions = evaluateAllTabs(tabMeta, 100000000, {
+        ...settings, protectedUrlPatterns: ['mail.example.com'],
+      });
+      expect(transitions[1]).toBeUndefined();
+    });
+
+    it('should let a per-domain rule retime the first transitions only', () => {
+      const tabMeta = { 1: meta(1, { url: 'https://news.example.com/' }) };
+      const withRule = {
+        ...settings,
+        thresholdRules: [{ pattern: 'news.example.com', thresholds }],
+      };
+      // 5h: past the custom Cooling stage (2h) but before the rule's yellowToRed (8h)
+      expect(evaluateAllTabs(tabMeta, 18000000, settings)[1].newStatus).toBe('red');
+      expect(evaluateAllTabs(tabMeta, 18000000, withRule)[1].newStatus).toBe('yellow');
+      // Later stages keep their own timing
+      expect(evaluateAllTabs(tabMeta, 50000000, withRule)[1].newStatus).toBe('stage-3');
+    });
+
+    it('should close tabs at the shorter gone time of a window profile despite later stages', () => {
+      const minute = 60000;
+      const withArchive = {
+        ...settings,
+        lifecycleStages: [...settings.lifecycleStages.slice(0, 3), { name: 'Archive', color: 'grey', after: 48 * 60 * minute }],
+      };
+      const windowState = {
+        1: {
+          specialGroups: {}, groupZones: {},
+          agingProfile: {
+            mode: 'custom', thresholds: { greenToYellow: 10 * minute, yellowToRed: 20 * minute, redToGone: 60 * minute },
+          },
+        },
+      };
+      const tabMeta = { 1: meta(1) };
+      expect(evaluateAllTabs(tabMeta, 59 * minute, withArchive, windowState)[1].newStatus).toBe('red');
+      expect(evaluateAllTabs(tabMeta, 60 * minute, withArchive, windowState)[1].newStatus).toBe('gone');
+    });
+
+    it('should stop at a disabled transition in computeStage, blocking later ones', () => {
+      const lifecycle = {
+        stages: [
+          { id: 'green', after: 0, enabled: true },
+          { id: 'yellow', after: 10, enabled: false },
+          { id: 'red', after: 20, enabled: true },
+        ],
+        goneAfter: 30,
+        goneEnabled: true,
+      };
+      expect(computeStage(25, lifecycle)).toBe('green');
+      expect(computeStage(30, lifecycle)).toBe('green');
+      expect(computeStage(30, { ...lifecycle, stages: lifecycle.stages.map((st) => ({ ...st, enabled: true })) }))
+        .toBe('gone');
+    });
+  });
+
+  describe('media-frozen tabs', () => {
+    const settings = { timeMode: 'active', thresholds };
+
+    it('should compute age up to the start of the freeze', () => {
+      const meta = {
+        refreshActiveTime: 1000, refreshWallTime: Date.now() - 60_000,
+        mediaFrozenAtActiveTime: 5000, mediaFrozenAtWallTime: Date.now() - 50_000,
+      };
+      expect(computeAge(meta, 1_000_000, settings)).toBe(4000);
+      const wallAge = computeAge(meta, 1_000_000, { ...settings, timeMode: 'wallclock' });
+      expect(wallAge).toBeGreaterThanOrEqual(10_000);
+      expect(wallAge).toBeLessThan(11_000);
+    });
+
+    it('should stop a frozen tab at red', () => {
+      const tabMeta = {
+        1: {
+          tabId: 1, windowId: 1, refreshActiveTime: 0, refreshWallTime: 0, status: 'red',
+          pinned: false, groupId: null, isSpecialGroup: false,
+          mediaFrozenAtActiveTime: thresholds.redToGone + 1, mediaFrozenAtWallTime: Date.now(),
+        },
+      };
+      const transitions = evaluateAllTabs(tabMeta, thresholds.redToGone * 2, settings);
+      expect(transitions[1]).toBeUndefined();
+    });
+  });
+
+  describe('snoozed tabs', () => {
+    const settings = { timeMode: 'active', thresholds };
+    const meta = (id, extra = {}) => ({
+      tabId: id, windowId: 1, refreshActiveTime: 0, refreshWallTime: 0, status: 'red',
+      pinned: false, groupId: null, isSpecialGroup: false, ...extra,
+    });
+
+    it('should keep a snoozed tab green regardless of age', () => {
+      const tabMeta = {
+        1: meta(1, { snoozeUntil: Date.now() + 60000, snoozedAtActiveTime: 0, snoozedAtWallTime: 0 }),
+      };
+      const transitions = evaluateAllTabs(tabMeta, thresholds.redToGone * 2, settings);
+      expect(transitions[1]).toEqual({ oldStatus: 'red', newStatus: 'green' });
+    });
+
+    it('should keep tabs of a snoozed group green', () => {
+      const tabMeta = { 1: meta(1, { groupId: 7 }), 2: meta(2, { groupId: 8 }) };
+      const windowState = {
+        1: {
+          specialGroups: { yellow: null, red: null },
+          groupZones: {},
+          groupSnoozes: { 7: { snoozeUntil: Date.now() + 60000, snoozedAtActiveTime: 0, snoozedAtWallTime: 0 } },
+        },
+      };
+      const transitions = evaluateAllTabs(tabMeta, thresholds.yellowToRed + 1, settings, windowState);
+      expect(transitions[1]).toEqual({ oldStatus: 'red', newStatus: 'green' });
+      expect(transitions[2]).toBeUndefined();
+    });
+
+    it('should age normally once the snooze has expired', () => {
+      const tabMeta = { 1: meta(1, { snoozeUntil: Date.now() - 1, snoozedAtActiveTime: 0, snoozedAtWallTime: 0 }) };
+      const transitions = evaluateAllTabs(tabMeta, thresholds.redToGone + 1, settings);
+      expect(transitions[1]).toEqual({ oldStatus: 'red', newStatus: 'gone' });
+    });
+  });
+
+  describe('frecency aging mode', () => {
+    const base = {
+      tabId: 1, windowId: 1, refreshActiveTime: 0, refreshWallTime: 0, status: 'green',
+      pinned: false, groupId: null, isSpecialGroup: false,
+    };
+
+    it('should return 1 for a tab that was never visited', () => {
+      expect(computeFrecencyFactor(base)).toBe(1);
+    });
+
+    it('should shrink as activations and foreground time grow', () => {
+      const visited = computeFrecencyFactor({ ...base, activationCount: 7 });
+      const viewed = computeFrecencyFactor({ ...base, activationCount: 7, foregroundMs: 63 * 60_000 });
+      expect(visited).toBeCloseTo(1 / 1.75);
+      expect(viewed).toBeLessThan(visited);
+    });
+
+    it('should never drop below the minimum factor', () => {
+      const factor = computeFrecencyFactor({ ...base, activationCount: 1e9, foregroundMs: 1e12 });
+      expect(factor).toBe(0.25);
+    });
+
+    it('should scale age only in frecency mode', () => {
+      const meta = { ...base, activationCount: 7 };
+      expect(computeAge(meta, 7000, { timeMode: 'active' })).toBe(7000);
+      expect(computeAge(meta, 7000, { timeMode: 'active', agingMode: 'frecency' })).toBeCloseTo(4000);
+    });
+  });
+
+  describe('time until gone', () => {
+    const settings = { timeMode: 'active', thresholds: { greenToYellow: 1000, yellowToRed: 2000, redToGone: 3000 } };
+    const meta = (extra) => ({
+      tabId: 1, windowId: 1, refreshActiveTime: 0, refreshWallTime: 0, status: 'green',
+      pinned: false, groupId: null, isSpecialGroup: false, url: 'https://example.com/', ...extra,
+    });
+
+    it('should count down to the gone threshold', () => {
+      expect(computeTimeUntilGone(meta(), 2500, settings)).toBe(500);
+      expect(computeTimeUntilGone(meta(), 4000, settings)).toBe(0);
+    });
+
+    it('should stretch the time left by the frecency factor', () => {
+      const visited = meta({ activationCount: 7 });
+      expect(computeTimeUntilGone(visited, 2000, { ...settings, agingMode: 'frecency' })).toBeCloseTo(3250);
+    });
+
+    it('should be null for tabs that will not turn gone', () => {
+      expect(computeTimeUntilGone(meta({ pinned: true }), 0, settings)).toBeNull();
+      expect(computeTimeUntilGone(meta({ snoozeUntil: Date.now() + 60_000 }), 0, settings)).toBeNull();
+      expect(computeTimeUntilGone(meta(), 0, { ...settings, protectedUrlPatterns: ['example.com'] })).toBeNull();
+      expect(computeTimeUntilGone(meta(), 0, { ...settings, redToGoneEnabled: false })).toBeNull();
+      expect(computeTimeUntilGone(meta(), 0, { ...settings, yellowToRedEnabled: false })).toBeNull();
+    });
+
+    it('should wait for the freshest member of a group', () => {
+      const tabMeta = {
+        1: meta({ groupId: 5 }),
+        2: meta({ tabId: 2, groupId: 5, refreshActiveTime: 1000 }),
+        3: meta({ tabId: 3, groupId: 5, refreshActiveTime: 2900, pinned: true }),
+        4: meta({ tabId: 4, groupId: 6 }),
+      };
+      expect(computeGroupTimeUntilGone(5, tabMeta, 2500, settings)).toBe(1500);
+      expect(computeGroupTimeUntilGone(7, tabMeta, 2500, settings)).toBeNull();
+    });
+
+    it('should be null for a group with a member that will not turn gone', () => {
+      const tabMeta = {
+        1: meta({ groupId: 5 }),
+        2: meta({ tabId: 2, groupId: 5, mediaFrozenAtActiveTime: 100, mediaFrozenAtWallTime: 100 }),
+      };
+      expect(computeGroupTimeUntilGone(5, tabMeta, 2500, settings)).toBeNull();
+    });
+  });
 });
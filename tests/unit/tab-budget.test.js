@@ -0,0 +1,130 @@
+import { jest } from '@jest/globals';
+
+globalThis.chrome = {
+  tabs: {
+    remove: jest.fn(async () => {}),
+  },
+};
+
+const {
+  isTabBudgetEnabled,
+  resolveTabBudget,
+  findTabsOverBudget,
+  evictTabs,
+} = await import('../../src/background/tab-budget.js');
+
+describe('tab-budget', () => {
+  const settings = {
+    timeMode: 'active',
+    thresholds: { greenToYellow: 1000, yellowToRed: 2000, redToGone: 3000 },
+    tabBudgetEnabled: true,
+    maxTabsPerWindow: 2,
+  };
+
+  function seed(windowId, refreshTimes, firstId = 1) {
+    const tabMeta = {};
+    const liveTabs = [];
+    refreshTimes.forEach((refreshActiveTime, i) => {
+      const id = firstId + i;
+      tabMeta[id] = {
+        tabId: id, windowId, refreshActiveTime, refreshWallTime: Date.now(),
+        status: 'green', groupId: null, isSpecialGroup: false, pinned: false, url: `https://example.com/${id}`,
+      };
+      liveTabs.push({ id, windowId, url: `https://example.com/${id}` });
+    });
+    return { tabMeta, liveTabs };
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should be off by default with a budget of 100 tabs', () => {
+    expect(isTabBudgetEnabled({})).toBe(false);
+    expect(resolveTabBudget({})).toBe(100);
+    expect(resolveTabBudget({ maxTabsPerWindow: 0 })).toBe(100);
+    expect(resolveTabBudget(settings)).toBe(2);
+  });
+
+  describe('findTabsOverBudget', () => {
+    it('should pick the oldest tabs of a window over budget', () => {
+      const { tabMeta, liveTabs } = seed(1, [500, 100, 300, 400]);
+      expect(findTabsOverBudget(tabMeta, liveTabs, 600, settings).map((t) => t.id)).toEqual([2, 3]);
+    });
+
+    it('should count each window on its own', () => {
+      const a = seed(1, [100, 200]);
+      const b = seed(2, [100, 200, 300], 10);
+      const tabMeta = { ...a.tabMeta, ...b.tabMeta };
+      const liveTabs = [...a.liveTabs, ...b.liveTabs];
+      expect(findTabsOverBudget(tabMeta, liveTabs, 600, settings).map((t) => t.id)).toEqual([10]);
+    });
+
+    it('should not count pinned or untracked tabs', () => {
+      const { tabMeta, liveTabs } = seed(1, [100, 200]);
+      liveTabs.push({ id: 3, windowId: 1, pinned: true }, { id: 4, windowId: 1 });
+      expect(findTabsOverBudget(tabMeta, liveTabs, 600, settings)).toEqual([]);
+    });
+
+    it('should count but never evict tabs it may not close', () => {
+      const { tabMeta, liveTabs } = seed(1, [100, 200, 300]);
+      liveTabs[0].active = true;
+      expect(findTabsOverBudget(tabMeta, liveTabs, 600, settings).map((t) => t.id)).toEqual([2]);
+    });
+
+    it('should evict nothing during quiet hours', () => {
+      const { tabMeta, liveTabs } = seed(1, [100, 200, 300]);
+      const days = [0, 1, 2, 3, 4, 5, 6];
+      const quietHours = [{ days, start: '00:00', end: '12:00' }, { days, start: '12:00', end: '00:00' }];
+      expect(findTabsOverBudget(tabMeta, liveTabs, 600, { ...settings, quietHours })).toEqual([]);
+    });
+  });
+
+  describe('evictTabs', () => {
+    function goneConfig(overrides) {
+      return {
+        bookmarkEnabled: true,
+        bookmarkFolderId: 'folder-1',
+        bookmarkTab: jest.fn(async () => true),
+        bookmarkGroupTabs: jest.fn(),
+        isBookmarkableUrl: (url) => Boolean(url),
+        ...overrides,
+      };
+    }
+
+    it('should bookmark and close the tabs', async () => {
+      const { tabMeta, liveTabs } = seed(1, [100, 200]);
+      const config = goneConfig();
+
+      expect(await evictTabs(liveTabs, tabMeta, config)).toEqual([1, 2]);
+      expect(config.bookmarkTab).toHaveBeenCalledWith(liveTabs[0], 'folder-1');
+      expect(chrome.tabs.remove).toHaveBeenCalledWith(2);
+      expect(tabMeta).toEqual({});
+    });
+
+    it('should journal each evicted tab', async () => {
+      const { tabMeta, liveTabs } = seed(1, [100]);
+      const entry = tabMeta[1];
+      const config = goneConfig({ recordClosed: jest.fn() });
+
+      await evictTabs(liveTabs, tabMeta, config);
+      expect(config.recordClosed).toHaveBeenCalledWith('budget', [{ tab: liveTabs[0], meta: entry }], null);
+    });
+
+    it('should close without bookmarking when bookmarking is off', async () => {
+      const { tabMeta, liveTabs } = seed(1, [100]);
+      const config = goneConfig({ bookmarkEnabled: false });
+
+      expect(await evictTabs(liveTabs, tabMeta, config)).toEqual([1]);
+      expect(config.bookmarkTab).not.toHaveBeenCalled();
+    });
+
+    it('should keep the entry of a tab that fails to close', async () => {
+      chrome.tabs.remove.mockRejectedValueOnce(new Error('No tab with id: 1'));
+      const { tabMeta, liveTabs } = seed(1, [100]);
+
+      expect(await evictTabs(liveTabs, tabMeta, goneConfig())).toEqual([]);
+      expect(tabMeta[1]).toBeDefined();
+    });
+  });
+});
@@ -0,0 +1,112 @@
+import { jest } from '@jest/globals';
+
+globalThis.chrome = {
+  tabs: {
+    discard: jest.fn(async (tabId) => ({ id: tabId, discarded: true })),
+  },
+};
+
+const {
+  isDiscardEnabled,
+  findTabsToDiscard,
+  discardTabs,
+} = await import('../../src/background/tab-discarder.js');
+
+const HOUR = 60 * 60 * 1000;
+const MINUTE = 60 * 1000;
+
+describe('tab-discarder', () => {
+  const thresholds = { greenToYellow: 4 * HOUR, yellowToRed: 8 * HOUR, redToGone: 24 * HOUR };
+  const settings = { timeMode: 'active', thresholds, discardEnabled: true };
+
+  function meta(tabId, status, refreshActiveTime = 0) {
+    return {
+      tabId, windowId: 1, refreshActiveTime, refreshWallTime: Date.now(),
+      status, groupId: null, isSpecialGroup: false, pinned: false,
+    };
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should be off by default', () => {
+    expect(isDiscardEnabled({})).toBe(false);
+    expect(isDiscardEnabled(settings)).toBe(true);
+  });
+
+  describe('findTabsToDiscard', () => {
+    it('should pick loaded background tabs in the last stage only', () => {
+      const tabMeta = { 1: meta(1, 'red'), 2: meta(2, 'yellow'), 3: meta(3, 'green') };
+      const liveTabs = [{ id: 1 }, { id: 2 }, { id: 3 }, { id: 4 }];
+      expect(findTabsToDiscard(tabMeta, liveTabs, 9 * HOUR, settings)).toEqual([1]);
+    });
+
+    it('should skip active, pinned, unloaded and audible tabs', () => {
+      const tabMeta = {};
+      for (const id of [1, 2, 3, 4, 5]) tabMeta[id] = meta(id, 'red');
+      const liveTabs = [
+        { id: 1, active: true },
+        { id: 2, pinned: true },
+        { id: 3, discarded: true },
+        { id: 4, status: 'unloaded' },
+        { id: 5, audible: true },
+      ];
+      expect(findTabsToDiscard(tabMeta, liveTabs, 9 * HOUR, settings)).toEqual([]);
+    });
+
+    it('should wait for the delay measured from entering the last stage', () => {
+      const tabMeta = { 1: meta(1, 'red') };
+      const delayed = { ...settings, discardDelayMinutes: 30 };
+      expect(findTabsToDiscard(tabMeta, [{ id: 1 }], 8 * HOUR + 29 * MINUTE, delayed)).toEqual([]);
+      expect(findTabsToDiscard(tabMeta, [{ id: 1 }], 8 * HOUR + 30 * MINUTE, delayed)).toEqual([1]);
+    });
+
+    it('should measure the delay against the tab\'s own thresholds', () => {
+      const tabMeta = { 1: { ...meta(1, 'red'), url: 'https://news.example.com/' } };
+      const delayed = {
+        ...settings,
+        discardDelayMinutes: 30,
+        thresholdRules: [{ pattern: 'news.example.com', thresholds: { greenToYellow: HOUR, yellowToRed: 2 * HOUR, redToGone: 4 * HOUR } }],
+      };
+      expect(findTabsToDiscard(tabMeta, [{ id: 1 }], 2 * HOUR + 30 * MINUTE, delayed)).toEqual([1]);
+    });
+
+    it('should use the last custom stage', () => {
+      const custom = {
+        ...settings,
+        customStagesEnabled: true,
+        lifecycleStages: [
+          { name: 'Fresh', color: 'blue' },
+          { name: 'Warm', color: 'cyan', after: HOUR },
+          { name: 'Cooling', color: 'orange', after: 2 * HOUR },
+          { name: 'Cold', color: 'grey', after: 6 * HOUR },
+        ],
+      };
+      const tabMeta = { 1: meta(1, 'red'), 2: meta(2, 'stage-3') };
+      expect(findTabsToDiscard(tabMeta, [{ id: 1 }, { id: 2 }], 7 * HOUR, custom)).toEqual([2]);
+    });
+  });
+
+  describe('discardTabs', () => {
+    it('should return the discarded tabs and skip failures', async () => {
+      chrome.tabs.discard
+        .mockResolvedValueOnce({ id: 1, discarded: true })
+        .mockResolvedValueOnce(undefined)
+        .mockRejectedValueOnce(new Error('Cannot discard'));
+      const tabMeta = { 1: meta(1, 'red'), 2: meta(2, 'red'), 3: meta(3, 'red') };
+
+      expect(await discardTabs([1, 2, 3], tabMeta)).toEqual([1]);
+      expect(Object.keys(tabMeta)).toEqual(['1', '2', '3']);
+    });
+
+    it('should move the entry of a tab replaced on discard', async () => {
+      chrome.tabs.discard.mockResolvedValueOnce({ id: 11, discarded: true });
+      const tabMeta = { 1: meta(1, 'red', 500) };
+
+      expect(await discardTabs([1], tabMeta)).toEqual([11]);
+      expect(tabMeta[1]).toBeUndefined();
+      expect(tabMeta[11]).toMatchObject({ tabId: 11, status: 'red', refreshActiveTime: 500 });
+    });
+  });
+});
@@ -14,16 +14,20 @@ globalThis.chrome = {
   tabGroups: {
     TAB_GROUP_ID_NONE: -1,
     update: jest.fn(async (groupId, props) => ({ id: groupId, ...props })),
+    query: jest.fn(async () => []),
   },
   tabs: {
     query: jest.fn(async () => []),
     get: jest.fn(async () => null),
     group: jest.fn(async (opts) => opts.groupId || 200),
     move: jest.fn(async () => {}),
+    ungroup: jest.fn(async () => {}),
   },
 };
+chrome.tabGroups.move = jest.fn(async () => {});
 
-const { placeNewTab } = await import('../../src/background/tab-placer.js');
+const { placeNewTab, resolveNoOpenerPlacement, resolveMaxTabsPerGroup } = await import('../../src/background/tab-placer.js');
+const { dissolveUnnamedSingleTabGroups } = await import('../../src/background/group-manager.js');
 
 describe('tab-placer', () => {
   beforeEach(() => {
@@ -210,4 +214,195 @@ describe('tab-placer', () => {
       expect(chrome.tabs.group).toHaveBeenCalled();
     });
   });
+
+  describe('tabs without a context tab', () => {
+    const windowState = {
+      1: { specialGroups: { yellow: 50, red: null }, groupZones: {} },
+    };
+
+    function openTabs() {
+      chrome.tabs.query.mockResolvedValueOnce([
+        { id: 1, windowId: 1, groupId: 5, url: 'https://docs.example.com/a' },
+        { id: 2, windowId: 1, groupId: 5, url: 'https://other.org/' },
+        { id: 3, windowId: 1, groupId: 6, url: 'https://docs.example.com/b' },
+        { id: 4, windowId: 1, groupId: 50, url: 'https://news.example.net/' },
+        { id: 5, windowId: 1, groupId: -1, url: 'https://news.example.net/2' },
+      ]);
+    }
+
+    it('should default to leftmost placement', () => {
+      expect(resolveNoOpenerPlacement(undefined)).toBe('leftmost');
+      expect(resolveNoOpenerPlacement({ noOpenerPlacement: 'bogus' })).toBe('leftmost');
+      expect(resolveNoOpenerPlacement({ noOpenerPlacement: 'affinity' })).toBe('affinity');
+      expect(resolveNoOpenerPlacement({ noOpenerPlacement: 'default' })).toBe('default');
+    });
+
+    it('should add the tab to the user group that best covers its hostname', async () => {
+      openTabs();
+      const newTab = { id: 20, windowId: 1, groupId: -1, index: 5, pendingUrl: 'https://docs.example.com/c' };
+      const tabMeta = { 20: { tabId: 20, windowId: 1, groupId: null, isSpecialGroup: false, pinned: false } };
+
+      await placeNewTab(newTab, 1, tabMeta, windowState, { noOpenerPlacement: 'affinity' });
+
+      expect(chrome.tabs.query).toHaveBeenCalledWith({ windowId: 1 });
+      expect(chrome.tabs.group).toHaveBeenCalledWith({ tabIds: [20], groupId: 6 });
+      expect(chrome.tabs.move).not.toHaveBeenCalled();
+      expect(tabMeta[20].groupId).toBe(6);
+    });
+
+    it('should move the tab far left when no user group has its hostname', async () => {
+      openTabs();
+      const newTab = { id: 20, windowId: 1, groupId: -1, index: 5, url: 'https://news.example.net/3' };
+
+      await placeNewTab(newTab, 1, {}, windowState, { noOpenerPlacement: 'affinity' });
+
+      expect(chrome.tabs.group).not.toHaveBeenCalled();
+      expect(chrome.tabs.move).toHaveBeenCalledWith(20, { index: 0 });
+    });
+
+    it('should not look for a group by default', async () => {
+      const newTab = { id: 20, windowId: 1, groupId: -1, index: 5, url: 'https://docs.example.com/c' };
+
+      await placeNewTab(newTab, 1, {}, windowState, {});
+
+      expect(chrome.tabs.query).not.toHaveBeenCalled();
+      expect(chrome.tabs.move).toHaveBeenCalledWith(20, { index: 0 });
+    });
+
+    it('should leave the tab where Chrome put it when set to default', async () => {
+      const newTab = { id: 20, windowId: 1, groupId: -1, index: 5, url: 'https://docs.example.com/c' };
+
+      await placeNewTab(newTab, 1, {}, windowState, { noOpenerPlacement: 'default' });
+
+      expect(chrome.tabs.group).not.toHaveBeenCalled();
+      expect(chrome.tabs.move).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('grouping rules', () => {
+    const windowState = {
+      1: { specialGroups: { yellow: null, red: null }, groupZones: {} },
+    };
+    const settings = {
+      groupingRules: [
+        { pattern: 'mail.example.com', action: 'exclude' },
+        { pattern: 'github.com/acme/*', action: 'group', title: 'Acme', color: 'purple' },
+      ],
+    };
+
+    it('should put a matching tab in the rule group ahead of its context tab', async () => {
+      chrome.tabs.get.mockResolvedValueOnce({ id: 10, windowId: 1, groupId: 5, pinned: false, index: 3 });
+      chrome.tabGroups.query.mockResolvedValueOnce([{ id: 5, title: 'Work' }, { id: 7, title: 'Acme (2h)' }]);
+      const newTab = { id: 20, windowId: 1, groupId: -1, index: 4, openerTabId: 10, pendingUrl: 'https://github.com/acme/api' };
+
+      await placeNewTab(newTab, 1, {}, windowState, settings);
+
+      expect(chrome.tabs.group).toHaveBeenCalledTimes(1);
+      expect(chrome.tabs.group).toHaveBeenCalledWith({ tabIds: [20], groupId: 7 });
+      expect(chrome.tabs.move).not.toHaveBeenCalled();
+    });
+
+    it('should leave tabs opened from an excluded site alone', async () => {
+      chrome.tabs.get.mockResolvedValueOnce({
+        id: 10, windowId: 1, groupId: -1, pinned: false, index: 3, url: 'https://mail.example.com/inbox',
+      });
+      const newTab = { id: 20, windowId: 1, groupId: -1, index: 4, openerTabId: 10, pendingUrl: 'https://news.example.org/' };
+
+      await placeNewTab(newTab, 1, {}, windowState, settings);
+
+      expect(chrome.tabs.group).not.toHaveBeenCalled();
+      expect(chrome.tabs.move).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('group size cap', () => {
+    const windowState = {
+      1: { specialGroups: { yellow: null, red: null }, groupZones: {} },
+    };
+    const settings = { groupSizeCapEnabled: true, maxTabsPerGroup: 2 };
+    const contextTab = { id: 10, windowId: 1, groupId: 5, pinned: false, index: 1 };
+    const newTab = { id: 20, windowId: 1, groupId: 5, pinned: false, index: 2, openerTabId: 10 };
+
+    function windowTabs(...groupIds) {
+      return groupIds.map((groupId, index) => ({ id: index + 1, windowId: 1, groupId, index }));
+    }
+
+    it('should only cap groups when enabled', () => {
+      expect(resolveMaxTabsPerGroup({})).toBeNull();
+      expect(resolveMaxTabsPerGroup({ groupSizeCapEnabled: true })).toBe(15);
+      expect(resolveMaxTabsPerGroup(settings)).toBe(2);
+    });
+
+    it('should add to the context group while it has room', async () => {
+      chrome.tabs.get.mockResolvedValueOnce(contextTab);
+      chrome.tabs.query.mockResolvedValueOnce([...windowTabs(5, -1), newTab]);
+
+      await placeNewTab(newTab, 1, {}, windowState, settings);
+
+      expect(chrome.tabs.group).toHaveBeenCalledWith({ tabIds: [20], groupId: 5 });
+    });
+
+    it('should start a numbered sibling group right of a full group', async () => {
+      chrome.tabs.get.mockResolvedValueOnce(contextTab);
+      chrome.tabs.query
+        .mockResolvedValueOnce([...windowTabs(5, 5, -1), newTab])
+        .mockResolvedValueOnce(windowTabs(5, 5)) // the full group
+        .mockResolvedValueOnce([{ ...newTab, groupId: 200, index: 2 }]);
+      chrome.tabGroups.query.mockResolvedValueOnce([{ id: 5, title: 'Research (2h)', color: 'green' }]);
+      const tabMeta = { 20: { tabId: 20, windowId: 1, groupId: 5, isSpecialGroup: false } };
+
+      await placeNewTab(newTab, 1, tabMeta, windowState, settings);
+
+      expect(chrome.tabs.group).toHaveBeenCalledWith({ tabIds: [20], createProperties: { windowId: 1 } });
+      expect(chrome.tabGroups.update).toHaveBeenCalledWith(200, { title: 'Research 2', color: 'green' });
+      expect(chrome.tabGroups.move).toHaveBeenCalledWith(200, { index: 2 });
+      expect(tabMeta[20].groupId).toBe(200);
+    });
+
+    it('should reuse a sibling with room, also from a full sibling', async () => {
+      chrome.tabs.get.mockResolvedValueOnce({ ...contextTab, groupId: 6 });
+      chrome.tabs.query.mockResolvedValueOnce([...windowTabs(5, 5, 6, 6, 7), newTab]);
+      chrome.tabGroups.query.mockResolvedValueOnce([
+        { id: 5, title: 'Research' }, { id: 6, title: 'Research 2' }, { id: 7, title: 'Research 3' },
+      ]);
+
+      await placeNewTab({ ...newTab, groupId: 6 }, 1, {}, windowState, settings);
+
+      expect(chrome.tabs.group).toHaveBeenCalledTimes(1);
+      expect(chrome.tabs.group).toHaveBeenCalledWith({ tabIds: [20], groupId: 7 });
+      expect(chrome.tabGroups.update).not.toHaveBeenCalled();
+    });
+
+    it('should number the siblings of an unnamed group', async () => {
+      chrome.tabs.get.mockResolvedValueOnce(contextTab);
+      chrome.tabs.query.mockResolvedValueOnce([...windowTabs(5, 5, 8, 9), newTab]);
+      chrome.tabGroups.query.mockResolvedValueOnce([{ id: 5, title: '(1h)' }, { id: 8, title: '' }, { id: 9, title: '2' }]);
+
+      await placeNewTab(newTab, 1, {}, windowState, settings);
+
+      expect(chrome.tabs.group).toHaveBeenCalledWith({ tabIds: [20], groupId: 9 });
+    });
+
+    it('should keep a new sibling of an unnamed group through the next sort', async () => {
+      chrome.tabs.get.mockResolvedValueOnce(contextTab);
+      chrome.tabs.query
+        .mockResolvedValueOnce([...windowTabs(5, 5), newTab])
+        .mockResolvedValueOnce(windowTabs(5, 5))
+        .mockResolvedValueOnce([{ ...newTab, groupId: 201, index: 2 }]);
+      chrome.tabs.group.mockResolvedValueOnce(201);
+      chrome.tabGroups.query.mockResolvedValueOnce([{ id: 5, title: '', color: 'blue' }]);
+      const tabMeta = { 20: { tabId: 20, windowId: 1, groupId: 5, isSpecialGroup: false } };
+
+      await placeNewTab(newTab, 1, tabMeta, windowState, settings);
+      expect(chrome.tabGroups.update).toHaveBeenCalledWith(201, { title: '2', color: 'blue' });
+
+      chrome.tabGroups.query.mockResolvedValueOnce([{ id: 5, title: '' }, { id: 201, title: '2' }]);
+      chrome.tabs.query.mockImplementation(async ({ groupId }) => (groupId === 201 ? [{ ...newTab, groupId }] : []));
+      await dissolveUnnamedSingleTabGroups(1, tabMeta, windowState);
+      chrome.tabs.query.mockImplementation(async () => []);
+
+      expect(chrome.tabs.ungroup).not.toHaveBeenCalled();
+      expect(tabMeta[20].groupId).toBe(201);
+    });
+  });
 });
@@ -20,6 +20,11 @@ const {
   createTabEntry,
   handleNavigation,
   reconcileTabs,
+  getForegroundMs,
+  recordActivation,
+  startForeground,
+  stopForeground,
+  copyUsageStats,
 } = await import('../../src/background/tab-tracker.js');
 
 describe('tab-tracker', () => {
@@ -60,6 +65,12 @@ describe('tab-tracker', () => {
       const entry = createTabEntry(tab, 0);
       expect(entry.pinned).toBe(true);
     });
+
+    it('should record the tab that opened it', () => {
+      expect(createTabEntry({ id: 4, windowId: 1, groupId: -1, openerTabId: 2 }, 0).openerTabId).toBe(2);
+      expect(createTabEntry({ id: 4, windowId: 1, groupId: -1 }, 0)).not.toHaveProperty('openerTabId');
+      expect(createTabEntry({ id: 4, windowId: 1, groupId: -1, openerTabId: 4 }, 0)).not.toHaveProperty('openerTabId');
+    });
   });
 
   describe('handleNavigation', () => {
@@ -186,5 +197,56 @@ describe('tab-tracker', () => {
       expect(result[1].refreshActiveTime).toBe(1000);
       expect(result[1].url).toBe('https://a.com');
     });
+
+    it('should preserve usage stats but drop an open foreground session', () => {
+      const storedMeta = {
+        1: {
+          tabId: 1, windowId: 1, refreshActiveTime: 1000, refreshWallTime: 1000, status: 'green',
+          groupId: null, isSpecialGroup: false, pinned: false, url: 'https://a.com',
+          activationCount: 4, foregroundMs: 90000, foregroundSince: 500,
+        },
+      };
+      const chromeTabs = [{ id: 1, windowId: 1, groupId: -1, pinned: false, url: 'https://a.com' }];
+
+      const result = reconcileTabs(storedMeta, chromeTabs, 5000);
+      expect(result[1].activationCount).toBe(4);
+      expect(result[1].foregroundMs).toBe(90000);
+      expect(result[1].foregroundSince).toBeNull();
+    });
+  });
+
+  describe('usage stats', () => {
+    it('should count activations', () => {
+      const meta = {};
+      recordActivation(meta);
+      recordActivation(meta);
+      expect(meta.activationCount).toBe(2);
+    });
+
+    it('should accumulate foreground time across sessions', () => {
+      const meta = {};
+      startForeground(meta, 1000);
+      expect(getForegroundMs(meta, 4000)).toBe(3000);
+      stopForeground(meta, 5000);
+      expect(meta.foregroundMs).toBe(4000);
+      expect(meta.foregroundSince).toBeNull();
+
+      startForeground(meta, 10000);
+      startForeground(meta, 11000); // already in foreground — keeps the first start
+      stopForeground(meta, 12000);
+      expect(meta.foregroundMs).toBe(6000);
+    });
+
+    it('should ignore stop without a foreground session', () => {
+      const meta = { foregroundMs: 10 };
+      stopForeground(meta, 5000);
+      expect(meta.foregroundMs).toBe(10);
+    });
+
+    it('should copy usage stats to a re-matched entry', () => {
+      const to = {};
+      copyUsageStats({ activationCount: 3, foregroundMs: 700, foregroundSince: 5 }, to);
+      expect(to).toEqual({ activationCount: 3, foregroundMs: 700 });
+    });
   });
 });
@@ -32,6 +32,8 @@ const {
   initActiveTime,
   recoverActiveTime,
   handleFocusChange,
+  handleIdleStateChange,
+  setPauseOnIdle,
   getCurrentActiveTime,
   persistActiveTime,
   getCachedActiveTimeState,
@@ -163,6 +165,87 @@ describe('time-accumulator', () => {
     });
   });
 
+  describe('engaged time (pause on idle)', () => {
+    let now;
+
+    beforeEach(async () => {
+      now = 1_000_000;
+      jest.spyOn(Date, 'now').mockImplementation(() => now);
+      await initActiveTime();
+      await handleFocusChange(1);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should keep counting while idle when pause on idle is off', async () => {
+      await handleIdleStateChange('locked');
+      now += 10_000;
+      expect(await getCurrentActiveTime()).toBe(10_000);
+    });
+
+    it('should stop counting on lock and resume on active', async () => {
+      await setPauseOnIdle(true);
+      now += 10_000;
+      await handleIdleStateChange('locked');
+      now += 60_000;
+      expect(await getCurrentActiveTime()).toBe(10_000);
+
+      await handleIdleStateChange('active');
+      now += 5_000;
+      expect(await getCurrentActiveTime()).toBe(15_000);
+    });
+
+    it('should not count the detection interval before going idle', async () => {
+      await setPauseOnIdle(true);
+      now += 100_000;
+      await handleIdleStateChange('idle', 60_000);
+      expect(await getCurrentActiveTime()).toBe(40_000);
+    });
+
+    it('should not resume on active while no window is focused', async () => {
+      await setPauseOnIdle(true);
+      await handleIdleStateChange('idle');
+      await handleFocusChange(chrome.windows.WINDOW_ID_NONE);
+      await handleIdleStateChange('active');
+      now += 10_000;
+      expect(await getCurrentActiveTime()).toBe(0);
+
+      await handleFocusChange(1);
+      now += 10_000;
+      expect(await getCurrentActiveTime()).toBe(10_000);
+    });
+
+    it('should pause immediately when enabled while already idle', async () => {
+      await handleIdleStateChange('locked');
+      now += 10_000;
+      await setPauseOnIdle(true);
+      now += 10_000;
+      expect(await getCurrentActiveTime()).toBe(10_000);
+
+      await setPauseOnIdle(false);
+      now += 10_000;
+      expect(await getCurrentActiveTime()).toBe(20_000);
+    });
+
+    it('should not add a recovery delta after a restart while paused', async () => {
+      await setPauseOnIdle(true);
+      await handleIdleStateChange('locked');
+      await persistActiveTime();
+      now += 60_000;
+
+      const state = await recoverActiveTime();
+      expect(state.accumulatedMs).toBe(0);
+      expect(state.idle).toBe(true);
+      expect(state.pauseOnIdle).toBe(true);
+
+      await handleIdleStateChange('active');
+      now += 5_000;
+      expect(await getCurrentActiveTime()).toBe(5_000);
+    });
+  });
+
   describe('persistActiveTime', () => {
     it('should write current state to storage', async () => {
       await initActiveTime();
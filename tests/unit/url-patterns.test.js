@@ -0,0 +1,60 @@
+const {
+  isValidUrlPattern,
+  matchesUrlPattern,
+  findMatchingRule,
+} = await import('../../src/shared/url-patterns.js');
+
+describe('url-patterns', () => {
+  describe('isValidUrlPattern', () => {
+    it('should accept non-empty strings only', () => {
+      expect(isValidUrlPattern('example.com')).toBe(true);
+      expect(isValidUrlPattern('  ')).toBe(false);
+      expect(isValidUrlPattern(null)).toBe(false);
+    });
+  });
+
+  describe('matchesUrlPattern', () => {
+    it('should match hostname globs against the hostname only', () => {
+      expect(matchesUrlPattern('jira.example.com', 'https://jira.example.com/browse/X-1')).toBe(true);
+      expect(matchesUrlPattern('*.atlassian.net', 'https://team.atlassian.net/wiki')).toBe(true);
+      expect(matchesUrlPattern('*.atlassian.net', 'https://atlassian.net.evil.org/')).toBe(false);
+      expect(matchesUrlPattern('example.com', 'https://other.org/?q=example.com')).toBe(false);
+    });
+
+    it('should be case-insensitive', () => {
+      expect(matchesUrlPattern('Jira.Example.COM', 'https://jira.example.com/')).toBe(true);
+    });
+
+    it('should match schemeless URL globs against the URL without scheme', () => {
+      expect(matchesUrlPattern('github.com/acme/*', 'https://github.com/acme/repo/pulls')).toBe(true);
+      expect(matchesUrlPattern('github.com/acme/*', 'https://github.com/other/repo')).toBe(false);
+    });
+
+    it('should match globs with a scheme against the full URL', () => {
+      expect(matchesUrlPattern('https://news.*', 'https://news.example.com/a')).toBe(true);
+      expect(matchesUrlPattern('https://news.*', 'http://news.example.com/a')).toBe(false);
+    });
+
+    it('should treat regex metacharacters in patterns literally', () => {
+      expect(matchesUrlPattern('example.com', 'https://exampleXcom/')).toBe(false);
+    });
+
+    it('should not match unparseable URLs', () => {
+      expect(matchesUrlPattern('*', '')).toBe(false);
+      expect(matchesUrlPattern('*', 'not a url')).toBe(false);
+    });
+  });
+
+  describe('findMatchingRule', () => {
+    it('should return the first matching rule', () => {
+      const rules = [{ pattern: 'a.example.com' }, { pattern: '*.example.com' }, { pattern: '*' }];
+      expect(findMatchingRule(rules, 'https://b.example.com/')).toBe(rules[1]);
+      expect(findMatchingRule(rules, 'https://a.example.com/')).toBe(rules[0]);
+    });
+
+    it('should return null for missing rules or URL', () => {
+      expect(findMatchingRule(undefined, 'https://a.example.com/')).toBeNull();
+      expect(findMatchingRule([{ pattern: '*' }], '')).toBeNull();
+    });
+  });
+});
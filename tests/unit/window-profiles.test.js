@@ -0,0 +1,123 @@
+import {
+  getWindowProfile,
+  isWindowFrozen,
+  getWindowThresholds,
+  hasWindowFreeze,
+  setWindowProfile,
+  applyWindowFreeze,
+  copyWindowFreeze,
+} from '../../src/background/window-profiles.js';
+
+describe('window-profiles', () => {
+  const NOW = 1_000_000;
+  const THRESHOLDS = { greenToYellow: 1000, yellowToRed: 2000, redToGone: 3000 };
+
+  function makeMeta(overrides = {}) {
+    return {
+      tabId: 1, windowId: 1, refreshActiveTime: 1000, refreshWallTime: NOW - 5000,
+      status: 'yellow', groupId: null, isSpecialGroup: false, pinned: false, ...overrides,
+    };
+  }
+
+  function makeWindowState() {
+    return {
+      1: { specialGroups: { yellow: null, red: null }, groupZones: {} },
+      2: { specialGroups: { yellow: null, red: null }, groupZones: {} },
+    };
+  }
+
+  describe('setWindowProfile', () => {
+    it('should store a frozen profile', () => {
+      const windowState = makeWindowState();
+      expect(setWindowProfile(1, { mode: 'frozen' }, windowState)).toBe(true);
+      expect(isWindowFrozen(1, windowState)).toBe(true);
+      expect(isWindowFrozen(2, windowState)).toBe(false);
+      expect(getWindowThresholds(1, windowState)).toBeNull();
+    });
+
+    it('should store only the threshold keys of a custom profile', () => {
+      const windowState = makeWindowState();
+      setWindowProfile(1, { mode: 'custom', thresholds: { ...THRESHOLDS, extra: 1 } }, windowState);
+      expect(getWindowProfile(1, windowState)).toEqual({ mode: 'custom', thresholds: THRESHOLDS });
+      expect(getWindowThresholds(1, windowState)).toEqual(THRESHOLDS);
+      expect(isWindowFrozen(1, windowState)).toBe(false);
+    });
+
+    it('should remove the profile when inheriting', () => {
+      const windowState = makeWindowState();
+      setWindowProfile(1, { mode: 'frozen' }, windowState);
+      setWindowProfile(1, { mode: 'inherit' }, windowState);
+      expect(windowState[1]).not.toHaveProperty('agingProfile');
+      expect(getWindowProfile(1, windowState)).toBeNull();
+    });
+
+    it('should refuse windows without state', () => {
+      expect(setWindowProfile(9, { mode: 'frozen' }, makeWindowState())).toBe(false);
+    });
+  });
+
+  describe('applyWindowFreeze', () => {
+    it('should freeze tabs of a frozen window and resume them from the same age', () => {
+      const windowState = makeWindowState();
+      setWindowProfile(1, { mode: 'frozen' }, windowState);
+      const tabMeta = { 1: makeMeta(), 2: makeMeta({ tabId: 2, windowId: 2 }) };
+
+      const started = applyWindowFreeze(tabMeta, windowState, 4000, NOW);
+      expect(started.frozen).toEqual([1]);
+      expect(hasWindowFreeze(tabMeta[1])).toBe(true);
+      expect(hasWindowFreeze(tabMeta[2])).toBe(false);
+
+      // 6s of active time and 10s of wall time pass while frozen
+      setWindowProfile(1, { mode: 'inherit' }, windowState);
+      const ended = applyWindowFreeze(tabMeta, windowState, 10_000, NOW + 10_000);
+      expect(ended.released).toEqual([1]);
+      expect(hasWindowFreeze(tabMeta[1])).toBe(false);
+      expect(10_000 - tabMeta[1].refreshActiveTime).toBe(3000);
+      expect(NOW + 10_000 - tabMeta[1].refreshWallTime).toBe(5000);
+    });
+
+    it('should release a tab moved out of a frozen window', () => {
+      const windowState = makeWindowState();
+      setWindowProfile(1, { mode: 'frozen' }, windowState);
+      const tabMeta = { 1: makeMeta() };
+      applyWindowFreeze(tabMeta, windowState, 4000, NOW);
+
+      tabMeta[1].windowId = 2;
+      expect(applyWindowFreeze(tabMeta, windowState, 5000, NOW + 1000).released).toEqual([1]);
+    });
+
+    it('should take over a running media freeze', () => {
+      const windowState = makeWindowState();
+      setWindowProfile(1, { mode: 'frozen' }, windowState);
+      const tabMeta = { 1: makeMeta({ mediaFrozenAtActiveTime: 2000, mediaFrozenAtWallTime: NOW - 3000 }) };
+
+      applyWindowFreeze(tabMeta, windowState, 4000, NOW);
+      expect(tabMeta[1].windowFrozenAtActiveTime).toBe(2000);
+      expect(tabMeta[1].windowFrozenAtWallTime).toBe(NOW - 3000);
+      expect(tabMeta[1]).not.toHaveProperty('mediaFrozenAtActiveTime');
+      expect(tabMeta[1]).not.toHaveProperty('mediaFrozenAtWallTime');
+    });
+
+    it('should not restart a freeze that is already running', () => {
+      const windowState = makeWindowState();
+      setWindowProfile(1, { mode: 'frozen' }, windowState);
+      const tabMeta = { 1: makeMeta() };
+      applyWindowFreeze(tabMeta, windowState, 4000, NOW);
+      const again = applyWindowFreeze(tabMeta, windowState, 8000, NOW + 4000);
+      expect(again.frozen).toEqual([]);
+      expect(tabMeta[1].windowFrozenAtActiveTime).toBe(4000);
+    });
+  });
+
+  describe('copyWindowFreeze', () => {
+    it('should copy a running freeze only', () => {
+      const target = makeMeta({ tabId: 2 });
+      copyWindowFreeze(makeMeta(), target);
+      expect(hasWindowFreeze(target)).toBe(false);
+
+      copyWindowFreeze(makeMeta({ windowFrozenAtActiveTime: 10, windowFrozenAtWallTime: NOW }), target);
+      expect(target.windowFrozenAtActiveTime).toBe(10);
+      expect(target.windowFrozenAtWallTime).toBe(NOW);
+    });
+  });
+});